@@ -0,0 +1,205 @@
+// Bundles src/main.js and every module it requires into yamaha-flic-integration.js, the single file
+// Hub Studio runs. Modules the hub provides (flicapp, http, ...) are left to the hub's own require.
+//
+//   node scripts/build.js            write the bundle
+//   node scripts/build.js --check    fail if the bundle is out of date
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'src');
+const ENTRY = path.join(SOURCE_DIR, 'main.js');
+const OUTPUT = path.join(ROOT, 'yamaha-flic-integration.js');
+
+// Modules of the Flic Hub SDK; everything else must be a relative path into src/
+const HUB_MODULES = ['flicapp', 'http', 'dgram', 'buttons', 'datastore', 'net'];
+
+// Runs in the bundle: loads the bundled modules on first use, like Node's require
+const BUNDLE_RUNTIME = `const loadedModules = {};
+
+function requireBundled(id) {
+    if (loadedModules[id]) {
+        return loadedModules[id].exports;
+    }
+    const module = loadedModules[id] = { exports: {} };
+    const [factory, dependencies] = bundledModules[id];
+    factory(module, module.exports, request => dependencies[request] ? requireBundled(dependencies[request]) : require(request));
+    return module.exports;
+}`;
+
+/**
+ * Resolve a require() request to a source file
+ * @param {string} fromFile - Absolute path of the requiring module
+ * @param {string} request - Required name
+ * @returns {string|null} - Absolute path, or null for a hub module
+ * @throws {Error} - For anything that is neither a hub module nor a file in src/
+ */
+function resolveModule(fromFile, request) {
+    if (HUB_MODULES.includes(request)) {
+        return null;
+    }
+    if (!request.startsWith('.')) {
+        throw new Error(`${path.relative(ROOT, fromFile)}: cannot bundle "${request}" (only relative paths and hub modules)`);
+    }
+
+    const base = path.resolve(path.dirname(fromFile), request);
+    const candidates = [base, `${base}.js`, path.join(base, 'index.js')];
+    const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (!file) {
+        throw new Error(`${path.relative(ROOT, fromFile)}: cannot find "${request}"`);
+    }
+    return file;
+}
+
+/**
+ * Find the require() calls of a module, skipping comment lines
+ * @param {string} source - Module source
+ * @returns {Object[]} - { request, topLevel } (topLevel: required while the module loads)
+ */
+function findRequires(source) {
+    const requires = [];
+    source.split('\n').forEach(line => {
+        if (/^\s*(\/\/|\*|\/\*)/.test(line)) {
+            return;
+        }
+        const pattern = /\brequire\((['"])([^'"]+)\1\)/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            requires.push({ request: match[2], topLevel: !/^\s/.test(line) });
+        }
+    });
+    return requires;
+}
+
+/**
+ * Collect the modules reachable from the entry point
+ * @param {string} entry - Absolute path of the entry module
+ * @returns {Object[]} - { id, file, source, dependencies ({ request: id }), imports (top-level ids) },
+ *                       each after the modules it imports, so the entry comes last
+ */
+function collectModules(entry) {
+    const modules = [];
+    const byFile = {};
+
+    const visit = file => {
+        if (byFile[file]) {
+            return byFile[file];
+        }
+        const source = fs.readFileSync(file, 'utf8');
+        const module = {
+            id: path.relative(SOURCE_DIR, file).split(path.sep).join('/'),
+            file: file,
+            source: source,
+            dependencies: {},
+            imports: []
+        };
+        byFile[file] = module;
+
+        findRequires(source).forEach(({ request, topLevel }) => {
+            const resolved = resolveModule(file, request);
+            if (!resolved) {
+                return;
+            }
+            const dependency = visit(resolved);
+            module.dependencies[request] = dependency.id;
+            if (topLevel) {
+                module.imports.push(dependency.id);
+            }
+        });
+        modules.push(module);
+        return module;
+    };
+
+    visit(entry);
+    return modules;
+}
+
+/**
+ * Reject cycles among top-level requires: a module in a cycle would see a half-loaded module's
+ * exports, so its destructured imports would be undefined
+ * @param {Object[]} modules - Collected modules
+ * @throws {Error} - Naming the modules of the first cycle found
+ */
+function checkCycles(modules) {
+    const byId = {};
+    modules.forEach(module => {
+        byId[module.id] = module;
+    });
+    const done = new Set();
+
+    const visit = (id, trail) => {
+        if (trail.includes(id)) {
+            const cycle = trail.slice(trail.indexOf(id)).concat(id);
+            throw new Error(`Require cycle: ${cycle.join(' -> ')} (require one side inside a function instead)`);
+        }
+        if (done.has(id)) {
+            return;
+        }
+        byId[id].imports.forEach(dependency => visit(dependency, trail.concat(id)));
+        done.add(id);
+    };
+    modules.forEach(module => visit(module.id, []));
+}
+
+/**
+ * Build the single-file script
+ * @returns {string} - Bundle source
+ */
+function bundle() {
+    const modules = collectModules(ENTRY);
+    checkCycles(modules);
+
+    const entries = modules.map(module => [
+        `// ---- src/${module.id} ----`,
+        `${JSON.stringify(module.id)}: [function (module, exports, require) {`,
+        module.source.replace(/\n$/, ''),
+        `}, ${JSON.stringify(module.dependencies)}]`
+    ].join('\n'));
+
+    return [
+        '// Yamaha Speaker Integration with Flic App Module',
+        '// Built by scripts/build.js from the modules in src/ - change those and run `npm run build`.',
+        '// The speaker configuration (YAMAHA_CONFIG) comes first, in the src/config.js part.',
+        '',
+        `const bundledModules = {\n${entries.join(',\n\n')}\n};`,
+        '',
+        BUNDLE_RUNTIME,
+        '',
+        `requireBundled(${JSON.stringify(modules[modules.length - 1].id)});`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Write the bundle, or with --check verify that it is current
+ */
+function main() {
+    const output = bundle();
+    const relativeOutput = path.relative(ROOT, OUTPUT);
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+        if (current !== output) {
+            console.error(`❌ ${relativeOutput} is out of date; run npm run build`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`✅ ${relativeOutput} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(OUTPUT, output);
+    console.log(`📦 Wrote ${relativeOutput} (${output.split('\n').length} lines)`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { HUB_MODULES, resolveModule, bundle };
@@ -0,0 +1,189 @@
+// Yamaha speaker configuration: the speakers, groups and Twist modes, and every setting of the
+// integration. A configuration stored in the hub datastore replaces parts of it (see hub/config-loader.js)
+
+// Yamaha speaker configuration
+const YAMAHA_CONFIG = {
+    // Update these with your Yamaha speaker's IP address and zones
+    // Each speaker can optionally tune how the Twist's 0-1 range maps onto the zone's volume steps:
+    //   volume: {
+    //       curve: 'db',   // 'linear' (default) or 'db' (spread the Twist evenly between dbFloor and the cap)
+    //       dbFloor: -60,  // Quietest audible level in dB for the 'db' curve
+    //       cap: 120,      // Highest native volume step the Twist can reach (defaults to the zone maximum)
+    //       step: 5        // Native steps per "volume up/down" (defaults to 10% of the range)
+    //   }
+    // A speaker with mode: 'input' turns its Twist into a source selector for its zone
+    // (each detent selects the next input the zone supports), e.g.
+    //   { id: 'id1sources', ip: 'RECEIVER1_IP_ADDRESS', name: 'Sources', zone: 'main', mode: 'input' }
+    // mode: 'program' selects sound programs the same way; mode: 'bass', 'treble', 'dialogue' or
+    // 'subwoofer' turns the Twist into that level across the range the zone reports
+    // zone is any zone id the receiver reports in system/getFeatures (main, zone2, zone3, zone4).
+    // maxVolume (native steps) limits every volume command for a zone, and
+    //   quietHours: { from: '21:00', to: '07:00', maxVolume: 40, lowerAtStart: true, fadeSeconds: 30 }
+    // sets a lower limit during those hours (lowerAtStart turns a louder zone down when they begin).
+    // Playback devices (type: 'playback') control the zone that is playing a netusb input
+    // (streaming, net radio, USB, ...). Add target: '{speaker-id}' to always control one zone,
+    // and gestures: { ... } to override playbackGestures for that device
+    speakers: [
+        { 
+            id: 'id1main', 
+            ip: 'RECEIVER1_IP_ADDRESS', 
+            name: 'Name Receiver 1 Main Zone',
+            zone: 'main'
+        },
+        { 
+            id: 'id1zone2', 
+            ip: 'RECEIVER1_IP_ADDRESS', 
+            name: 'Name Receiver 1 Zone 2',
+            zone: 'zone2'
+        },
+        { 
+            id: 'playback', 
+            ip: 'RECEIVER1_IP_ADDRESS', 
+            name: 'Playback Control',
+            type: 'playback'
+        }
+    ],
+    // Fallback volume ranges per zone (native volume steps), used until a device's
+    // own ranges have been discovered through system/getFeatures; other zones fall back to 0-100
+    volumeRanges: {
+        main: {
+            min: 0,    // Default fallback
+            max: 100,  // Default fallback
+            step: 1    // Default fallback
+        },
+        zone2: {
+            min: 0,    // Default fallback
+            max: 100,  // Default fallback
+            step: 1    // Default fallback
+        }
+    },
+    // Real-time state sync using YXC event notifications (UDP push)
+    events: {
+        enabled: true,
+        appName: 'MusicCast/1.0(FlicHub)',
+        port: 41100,                   // Local UDP port the receivers push events to
+        renewIntervalMs: 5 * 60 * 1000, // Receivers stop pushing 10 minutes after the last subscribed request
+        pollIntervalMs: 30 * 1000,     // Fallback getStatus polling interval
+        eventTimeoutMs: 60 * 1000      // Poll a receiver when no event arrived for this long
+    },
+    // Automatic network discovery of MusicCast/YXC devices (SSDP)
+    // Speakers can be pinned to a device with deviceId (device_id from getDeviceInfo, e.g. 'AC44F2123456');
+    // they follow that device when DHCP gives it a new IP address
+    discovery: {
+        enabled: true,
+        intervalMs: 10 * 60 * 1000,    // Periodic re-scan interval
+        listenMs: 3000,                // How long to collect M-SEARCH responses
+        addZones: true,                // Create (and store) speaker entries for discovered zones that are not configured
+        ssdpAddress: '239.255.255.250',
+        ssdpPort: 1900,
+        searchTarget: 'urn:schemas-upnp-org:device:MediaRenderer:1'
+    },
+    // Named sequences of steps, run with the action message "macro {name}" or from a button binding.
+    // Steps: power (on/off), input, volume (native steps), mute (true/false), scene, preset,
+    // tuner-preset (with optional band), and wait ({ ms } or { until: { power: 'on', ... } }).
+    // Each step waits until the receiver reports the new state before the next one starts.
+    macros: {
+        'movie-night': {
+            device: 'id1zone2',  // Default device for steps without their own device
+            steps: [
+                { action: 'power', value: 'on' },
+                { action: 'input', value: 'hdmi1' },
+                { action: 'wait', until: { power: 'on' } },
+                { action: 'volume', value: 30 },
+                { action: 'preset', value: 2 }
+            ]
+        }
+    },
+    // Twist gestures of playback devices. Actions: play, pause (only while playing), toggle,
+    // stop, next, previous, resume-or-next (resume when paused, next track when playing) or none
+    playbackGestures: {
+        threshold: 0.1,              // Minimum rotation for a gesture
+        farThreshold: 0.35,          // Rotations to the left past this use twistLeftFar
+        settleMs: 300,               // Rotation ends when the Twist rests this long
+        doubleTwistMs: 600,          // Wait this long for a second rotation (0 = no double twist)
+        twistRight: 'resume-or-next',
+        twistLeft: 'pause',
+        twistLeftFar: 'previous',
+        doubleTwist: 'stop',
+        press: 'toggle'              // Action message "{playback-id} press" (assign it to the Twist's push)
+    },
+    // Zone groups: each group is its own virtual Speaker device (id = group id) whose Twist moves
+    // every member by the same amount, and "{group-id} on|off|power|mute" fans out to all members.
+    // Write a group as a member list or as { name, members }, e.g.
+    //   downstairs: ['id1main', 'id1zone2']
+    groups: {},
+    // MusicCast Link groups ("{device-id} join {device-id}", "{device-id} leave", "all party")
+    link: {
+        groupVolume: true            // The group server's Twist sets the volume of every member
+    },
+    // Cooldowns per command class: a command blocks the classes in `blocks` for `ms`
+    // within its scope ('zone', 'receiver' or 'global'). Speakers can override a class with
+    // their own cooldowns, e.g. cooldowns: { playback: { ms: 4000, scope: 'zone' } }
+    cooldowns: {
+        playback: { ms: 2500, scope: 'receiver', blocks: ['playback', 'volume'] },
+        volume: { ms: 0, scope: 'zone', blocks: [] },
+        power: { ms: 2000, scope: 'zone', blocks: ['power'] }
+    },
+    macroStepTimeoutMs: 15000,   // Give up on a step if the receiver does not reach the state in time
+    // Local schedules for things the receivers cannot do themselves. Each runs an action message
+    // at a 24-hour hub time on days: 'daily' (default), 'weekdays', 'weekends' or a list like ['sat', 'sun'], e.g.
+    //   { name: 'zone2-off', time: '23:00', days: 'weekdays', action: 'id1zone2 off' }
+    //   { name: 'wake-up', time: '07:00', action: 'macro wake-up' }
+    schedules: [],
+    scheduler: {
+        checkIntervalMs: 30 * 1000,  // How often the schedules are checked
+        catchUpMinutes: 10           // Run a schedule that was due this recently, e.g. during a restart
+    },
+    // Flic buttons that send action messages (e.g. macros), keyed by button bdaddr
+    buttonBindings: {
+        // '80:e4:da:00:00:00': { click: 'macro movie-night', doubleClick: 'id1zone2 mute', hold: 'id1zone2 off' }
+    },
+    // HTTP client behaviour
+    client: {
+        timeoutMs: 5000,             // Abort a request after this long
+        retries: 2,                  // Extra attempts for idempotent get* requests
+        retryDelayMs: 300,           // Backoff before the first retry (doubles for each further retry)
+        offlineAfterFailures: 3,     // Consecutive failed requests before a device is marked offline
+        offlineRetryMs: 30 * 1000    // How often an offline device is probed again
+    },
+    // Configuration and last-known state in the hub datastore. A stored configuration
+    // (speakers, groups, cooldowns, playbackGestures, macros, buttonBindings, schedules) replaces the values
+    // in this file; these values are the defaults until something is stored
+    persistence: {
+        enabled: true,
+        configKey: 'yamaha-config',
+        stateKey: 'yamaha-state',      // Last volumes and discovered capabilities
+        scheduleKey: 'yamaha-schedule', // Last run of every schedule
+        stateSaveDelayMs: 10 * 1000    // Collect state changes for this long before writing
+    },
+    // Volume fades ("{device-id} fade {level} {seconds}", power-on ramps and soft mute).
+    // Speakers can set powerOn: { volume: 25, maxVolume: 40, fadeSeconds: 5 } to start at (or below)
+    // a volume after being switched on, and softMute: true/false to override softMute
+    fades: {
+        stepMs: 250,                 // Time between volume writes of a fade
+        softMute: false,             // Ramp the volume down before muting and up after unmuting
+        softMuteSeconds: 1.5         // Duration of the soft mute ramps
+    },
+    // Small JSON HTTP server on the hub for dashboards and home automation (needs the hub's net module):
+    //   GET  /status, /status/{id}      now playing, power, volume and input
+    //   GET  /zones, /zones/{id}        power, volume, mute and input
+    //   POST /zones/{id}/volume         { "volume": 35 } or { "action": "up" | "down" }
+    //   POST /zones/{id}/power          { "power": "on" | "off" | "toggle" }
+    //   POST /zones/{id}/mute           toggle mute
+    //   POST /macros/{name}             start a macro
+    //   POST /commands                  { "command": "livingroom input hdmi1" } (any action message)
+    // Commands run through the action-message dispatcher, so cooldowns and volume limits apply.
+    // The server only starts with a token; requests must send "Authorization: Bearer {token}"
+    // and POST bodies must be application/json. "config" commands are refused
+    httpServer: {
+        enabled: false,
+        port: 8080,
+        token: ''                    // Shared secret, required
+    },
+    // Requests to one device are queued; pending volume writes collapse to the latest value
+    requestQueue: {
+        maxConcurrent: 1             // Concurrent HTTP requests per device IP
+    }
+};
+
+module.exports = { YAMAHA_CONFIG };
@@ -0,0 +1,141 @@
+// Device model: what the integration knows about a MusicCast/YXC device (identity, zones with their
+// functions, inputs, sound programs, scenes and volume ranges, and netusb, tuner and distribution
+// support), built from system/getDeviceInfo and system/getFeatures replies
+
+/**
+ * Create the entry of a device that has not been discovered yet
+ * @param {string} ip - Device IP address
+ * @returns {Object} - Device entry (discovered: false)
+ */
+function createDeviceEntry(ip) {
+    return {
+        ip: ip,
+        discovered: false,
+        modelName: null,
+        deviceId: null,
+        zones: {},
+        netusb: null,
+        tuner: null,
+        distribution: null,
+        systemInputs: []
+    };
+}
+
+/**
+ * Store a device's identity from its system/getDeviceInfo reply
+ * @param {Object} device - Device entry
+ * @param {Object} deviceInfo - getDeviceInfo reply
+ * @returns {Object} - device
+ */
+function applyDeviceInfo(device, deviceInfo) {
+    device.modelName = deviceInfo.model_name || null;
+    device.deviceId = deviceInfo.device_id || null;
+    return device;
+}
+
+/**
+ * Parse a zone entry from system/getFeatures into its capabilities
+ * @param {Object} zone - Zone entry from getFeatures
+ * @returns {Object} - Zone capabilities
+ */
+function parseZoneFeatures(zone) {
+    const rangeSteps = {};
+    (zone.range_step || []).forEach(item => {
+        rangeSteps[item.id] = { min: item.min, max: item.max, step: item.step || 1 };
+    });
+
+    let volumeRange = null;
+    if (rangeSteps.volume && rangeSteps.volume.min !== undefined && rangeSteps.volume.max !== undefined) {
+        // The 'volume' entry is the native step range setVolume expects
+        volumeRange = Object.assign({}, rangeSteps.volume);
+
+        // The matching dB range (if reported) enables dB-aware curves
+        const dbRange = rangeSteps.actual_volume_db;
+        if (dbRange && dbRange.min !== undefined && dbRange.max !== undefined) {
+            volumeRange.dbMin = dbRange.min;
+            volumeRange.dbMax = dbRange.max;
+        }
+    }
+
+    return {
+        funcList: zone.func_list || [],
+        inputs: zone.input_list || [],
+        soundPrograms: zone.sound_program_list || [],
+        sceneCount: zone.scene_num || 0,
+        rangeSteps: rangeSteps,
+        volumeRange: volumeRange
+    };
+}
+
+/**
+ * Store a device's capabilities from its system/getFeatures reply
+ * @param {Object} device - Device entry
+ * @param {Object} featuresData - getFeatures reply
+ * @returns {Object} - device (discovered once it reported at least one zone)
+ */
+function applyDeviceFeatures(device, featuresData) {
+    (featuresData.zone || []).forEach(zone => {
+        device.zones[zone.id] = parseZoneFeatures(zone);
+    });
+    if (featuresData.netusb) {
+        device.netusb = {
+            funcList: featuresData.netusb.func_list || [],
+            presetCount: featuresData.netusb.preset ? featuresData.netusb.preset.num : 0
+        };
+    }
+    if (featuresData.tuner) {
+        device.tuner = featuresData.tuner;
+    }
+    if (featuresData.distribution) {
+        device.distribution = featuresData.distribution;
+    }
+    if (featuresData.system && Array.isArray(featuresData.system.input_list)) {
+        device.systemInputs = featuresData.system.input_list;
+    }
+    device.discovered = Object.keys(device.zones).length > 0;
+    return device;
+}
+
+/**
+ * Check whether a discovered device supports a function on one of its zones
+ * @param {Object} device - Discovered device entry
+ * @param {string} zone - Zone id (main, zone2, ...)
+ * @param {string} func - Function name from getFeatures (volume, mute, power, scene, netusb, tuner, link, ...)
+ * @returns {boolean} - True if the device reported the function
+ */
+function deviceSupports(device, zone, func) {
+    if (func === 'netusb') {
+        return device.netusb !== null;
+    }
+    if (func === 'tuner') {
+        return device.tuner !== null;
+    }
+    if (func === 'link') {
+        return device.distribution !== null;
+    }
+    
+    const zoneFeatures = device.zones[zone];
+    return !!zoneFeatures && (zoneFeatures.funcList.includes(func) || (func === 'scene' && zoneFeatures.sceneCount > 0));
+}
+
+/**
+ * Read a device's identity and capabilities
+ * @param {Function} request - YXC request function, e.g. the request of createYxcClient
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Device entry; rejects if the device does not answer
+ */
+async function readDevice(request, ip) {
+    const device = createDeviceEntry(ip);
+    applyDeviceInfo(device, await request(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo'));
+    applyDeviceFeatures(device, await request(ip, '/YamahaExtendedControl/v1/system/getFeatures'));
+    return device;
+}
+
+module.exports = {
+    createDeviceEntry,
+    applyDeviceInfo,
+    parseZoneFeatures,
+    applyDeviceFeatures,
+    deviceSupports,
+    readDevice
+};
@@ -0,0 +1,278 @@
+// "config ..." action messages: show and change the configuration while the hub runs
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { isPlaybackDevice, discoverDevice, discoverAllDevices } = require('./device-registry');
+const { linkGroups } = require('./link-group-state');
+const { getZoneGroup } = require('./zone-group-levels');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { netusbPresetNames } = require('./zone-commands');
+const { runNetworkDiscovery } = require('./discovery');
+const { playbackGestureStates } = require('./playback');
+const { refreshAllLinkGroups } = require('./link-groups');
+const {
+    PERSISTED_CONFIG_KEYS,
+    findConfiguredName,
+    validateYamahaConfig,
+    getPersistedConfig,
+    saveYamahaConfig
+} = require('./config-loader');
+
+/**
+ * Log the configured speakers and groups
+ */
+function listConfig() {
+    console.log('📋 Speakers:');
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const extras = [speaker.mode === 'input' ? 'source selector' : (speaker.mode ? `${speaker.mode} control` : null), speaker.target ? `target ${speaker.target}` : null]
+            .filter(extra => extra);
+        console.log(`  ${speaker.id}: ${speaker.name} (${isPlaybackDevice(speaker) ? 'playback' : speaker.zone} at ${speaker.ip}${extras.length > 0 ? ', ' + extras.join(', ') : ''})`);
+    });
+    
+    const groupIds = Object.keys(YAMAHA_CONFIG.groups);
+    if (groupIds.length > 0) {
+        console.log('📋 Groups:');
+        groupIds.forEach(groupId => {
+            const group = getZoneGroup(groupId);
+            console.log(`  ${groupId}: ${group.members.map(member => member.id).join(', ')}`);
+        });
+    }
+    if (YAMAHA_CONFIG.schedules.length > 0) {
+        console.log('📋 Schedules:');
+        YAMAHA_CONFIG.schedules.forEach(schedule => {
+            const days = [].concat(schedule.days || 'daily').join(', ');
+            console.log(`  ${schedule.name}: ${schedule.time} ${days} - ${schedule.action}${schedule.enabled === false ? ' (disabled)' : ''}`);
+        });
+    }
+}
+
+/**
+ * Validate and apply a configuration change, then store it
+ * @param {Function} change - Receives a copy of the persisted configuration to modify;
+ *                            may return an error message to refuse the change
+ * @returns {Promise<string|null>} - Why the change was refused, or null if it was applied
+ */
+async function applyConfigChange(change) {
+    const candidate = JSON.parse(JSON.stringify(getPersistedConfig()));
+    const refusal = change(candidate);
+    if (refusal) {
+        console.error(`❌ ${refusal}`);
+        return refusal;
+    }
+    
+    const errors = validateYamahaConfig(candidate);
+    if (errors.length > 0) {
+        console.error('❌ Configuration not changed:');
+        errors.forEach(error => console.error(`   - ${error}`));
+        return `Configuration not changed: ${errors.join('; ')}`;
+    }
+    
+    PERSISTED_CONFIG_KEYS.forEach(key => {
+        YAMAHA_CONFIG[key] = candidate[key];
+    });
+    
+    try {
+        await saveYamahaConfig();
+    } catch (error) {
+        console.error('❌ Configuration changed but not saved:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Forget a device's capabilities and caches when no speaker uses its address any more
+ * @param {string} ip - Device IP address
+ */
+function forgetUnusedDevice(ip) {
+    if (YAMAHA_CONFIG.speakers.some(s => s.ip === ip)) {
+        return;
+    }
+    delete deviceRegistry[ip];
+    delete netusbPresetNames[ip];
+    delete linkGroups[ip];
+}
+
+/**
+ * Create the virtual device of a new speaker and load its state
+ * @param {Object} speaker - Speaker configuration
+ */
+async function startSpeaker(speaker) {
+    if (!deviceRegistry[speaker.ip] || !deviceRegistry[speaker.ip].discovered) {
+        await discoverDevice(speaker.ip);
+    }
+    
+    flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+        volume: isPlaybackDevice(speaker) ? 0.5 : 0
+    });
+    if (!isPlaybackDevice(speaker)) {
+        await getCurrentVolumeAndUpdate(speaker);
+    }
+}
+
+/**
+ * Handle "config set {id} ip {addr}" and "config set {id} name {name}"
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} field - ip or name
+ * @param {string} value - New value
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function setSpeakerConfig(speakerId, field, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        console.error(`❌ Unknown speaker: ${speakerId}`);
+        return { error: `Unknown speaker: ${speakerId}` };
+    }
+    const oldIp = speaker.ip;
+    
+    const refusal = await applyConfigChange(config => {
+        const entry = config.speakers.find(s => s.id === speakerId);
+        if (field === 'ip') {
+            entry.ip = value;
+            // The pinned device id belongs to the old address
+            delete entry.deviceId;
+        } else if (field === 'name') {
+            entry.name = value;
+        } else {
+            return `Unknown setting "${field}" (expected ip, name)`;
+        }
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    console.log(`✅ ${speakerId} ${field} set to ${value}`);
+    if (field === 'ip' && value !== oldIp) {
+        forgetUnusedDevice(oldIp);
+        delete speakerStates[speakerId];
+        await startSpeaker(YAMAHA_CONFIG.speakers.find(s => s.id === speakerId));
+    }
+}
+
+/**
+ * Handle "config add {id} {ip} {zone} {name}"
+ * @param {string} speakerId - New speaker identifier
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id, or playback for a playback device
+ * @param {string} name - Display name
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function addSpeakerConfig(speakerId, ip, zone, name) {
+    const speaker = { id: speakerId, ip: ip, name: name || speakerId };
+    if (zone === 'playback') {
+        speaker.type = 'playback';
+    } else {
+        speaker.zone = zone;
+    }
+    
+    const refusal = await applyConfigChange(config => {
+        config.speakers.push(speaker);
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    console.log(`➕ Added speaker "${speakerId}" (${speaker.name}, ${zone === 'playback' ? 'playback device' : zone + ' zone'} at ${ip})`);
+    await startSpeaker(YAMAHA_CONFIG.speakers.find(s => s.id === speakerId));
+}
+
+/**
+ * Handle "config remove {id}": drop the speaker, its state and its group memberships
+ * @param {string} speakerId - Speaker identifier
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function removeSpeakerConfig(speakerId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        console.error(`❌ Unknown speaker: ${speakerId}`);
+        return { error: `Unknown speaker: ${speakerId}` };
+    }
+    
+    const refusal = await applyConfigChange(config => {
+        config.speakers = config.speakers.filter(s => s.id !== speakerId);
+        Object.keys(config.groups).forEach(groupId => {
+            const definition = config.groups[groupId];
+            if (Array.isArray(definition)) {
+                config.groups[groupId] = definition.filter(memberId => memberId !== speakerId);
+            } else if (definition && Array.isArray(definition.members)) {
+                definition.members = definition.members.filter(memberId => memberId !== speakerId);
+            }
+        });
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    delete speakerStates[speakerId];
+    delete playbackGestureStates[speakerId];
+    forgetUnusedDevice(speaker.ip);
+    
+    // Older hub firmware cannot delete virtual devices; the device then just stops responding
+    if (typeof flicApp.removeVirtualDevice === 'function') {
+        flicApp.removeVirtualDevice(speakerId);
+    }
+    console.log(`➖ Removed speaker "${speakerId}" (${speaker.name}); delete its virtual device in the Flic app if it is still listed`);
+}
+
+/**
+ * Handle "config rediscover": query every device's features again and refresh all zones
+ */
+async function rediscoverDevices() {
+    console.log('🔎 Rediscovering devices...');
+    Object.keys(netusbPresetNames).forEach(ip => delete netusbPresetNames[ip]);
+    
+    await discoverAllDevices();
+    if (YAMAHA_CONFIG.discovery.enabled) {
+        await runNetworkDiscovery();
+    }
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (!isPlaybackDevice(speaker)) {
+            await getCurrentVolumeAndUpdate(speaker);
+        }
+    }
+    await refreshAllLinkGroups();
+}
+
+/**
+ * Handle a "config ..." action message
+ * Resolves like the zone handlers in handlers.js (see dispatchCommand)
+ * @param {string[]} args - Words after "config" in their original case
+ * @returns {Promise<Object|undefined>} - { error: message } for a refused or unknown command,
+ *                                        { failed: error } if the change failed
+ */
+async function handleConfigCommand(args) {
+    const command = (args[0] || '').toLowerCase();
+    // Existing speakers are found regardless of case; new ones keep the id as written
+    const speakerId = args.length > 1 ? findConfiguredName(args[1], YAMAHA_CONFIG.speakers.map(s => s.id)) || args[1] : null;
+    let task = null;
+    
+    if (command === 'list' && args.length === 1) {
+        listConfig();
+        return;
+    } else if (command === 'set' && args.length >= 4) {
+        // "config set {id} ip {addr}" / "config set {id} name {name}"
+        task = setSpeakerConfig(speakerId, args[2].toLowerCase(), args.slice(3).join(' '));
+    } else if (command === 'add' && args.length >= 4) {
+        // "config add {id} {ip} {zone} {name}"
+        task = addSpeakerConfig(args[1], args[2], args[3].toLowerCase(), args.slice(4).join(' '));
+    } else if (command === 'remove' && args.length === 2) {
+        // "config remove {id}"
+        task = removeSpeakerConfig(speakerId);
+    } else if (command === 'rediscover' && args.length === 1) {
+        task = rediscoverDevices();
+    } else {
+        const message = 'Unknown config command. Expected: config list | config set {id} ip {addr} | config add {id} {ip} {zone} {name} | config remove {id} | config rediscover';
+        console.log(message);
+        return { error: message };
+    }
+    
+    return task.catch(error => {
+        console.error('❌ Config command failed:', error);
+        return { failed: error };
+    });
+}
+
+module.exports = { handleConfigCommand };
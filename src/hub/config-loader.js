@@ -0,0 +1,278 @@
+// Configuration and runtime state in the hub datastore: validation, loading and saving
+
+const { YAMAHA_CONFIG } = require('../config');
+const { isZoneId } = require('../yxc/zones');
+const { readDatastore, writeDatastore } = require('./storage');
+const { parseScheduleTime, getScheduleDays } = require('./schedule-times');
+const { SOUND_LEVELS } = require('./sound-settings');
+
+// Configuration keys stored in the datastore; everything else always comes from YAMAHA_CONFIG
+const PERSISTED_CONFIG_KEYS = ['speakers', 'groups', 'cooldowns', 'playbackGestures', 'macros', 'buttonBindings', 'schedules'];
+
+const COOLDOWN_SCOPES = ['zone', 'receiver', 'global'];
+
+const COMMAND_CLASSES = ['playback', 'volume', 'power'];
+
+const DEVICE_TYPES = ['playback'];
+
+const TWIST_MODES = ['input', 'program'].concat(Object.keys(SOUND_LEVELS));
+
+/**
+ * Find a configured id or name regardless of case
+ * Action messages match speaker ids, group ids and macro names case-insensitively, so "LivingRoom"
+ * finds a speaker configured as "livingRoom"
+ * @param {string} name - Id or name as written
+ * @param {string[]} names - Configured ids or names
+ * @returns {string|null} - The configured spelling, or null if there is none
+ */
+function findConfiguredName(name, names) {
+    const lowered = String(name).toLowerCase();
+    return names.find(candidate => candidate.toLowerCase() === lowered) || null;
+}
+
+/**
+ * Convert speakers written as the old pseudo-zone (zone: 'playback') to playback devices
+ * @param {Object} config - Configuration with the persisted keys
+ */
+function migrateSpeakerConfig(config) {
+    (Array.isArray(config.speakers) ? config.speakers : []).forEach(speaker => {
+        if (speaker && speaker.zone === 'playback' && speaker.type === undefined) {
+            speaker.type = 'playback';
+            delete speaker.zone;
+        }
+    });
+}
+
+/**
+ * Validate a configuration
+ * @param {Object} config - Configuration with the persisted keys
+ * @returns {string[]} - Error messages (empty if the configuration is valid)
+ */
+function validateYamahaConfig(config) {
+    // Required here rather than at the top: the dispatcher reaches this module through the config commands
+    const { findCommand } = require('./dispatcher');
+    const errors = [];
+    
+    if (!Array.isArray(config.speakers)) {
+        return ['speakers must be a list'];
+    }
+    
+    const speakerIds = [];
+    config.speakers.forEach((speaker, index) => {
+        const label = `Speaker #${index + 1}${speaker && speaker.id ? ` (${speaker.id})` : ''}`;
+        if (!speaker || typeof speaker.id !== 'string' || speaker.id.length === 0) {
+            errors.push(`${label}: missing id`);
+            return;
+        }
+        if (speaker.id.includes(' ')) {
+            errors.push(`${label}: ids cannot contain spaces`);
+        }
+        if (findConfiguredName(speaker.id, speakerIds)) {
+            errors.push(`${label}: duplicate id "${speaker.id}"`);
+        }
+        speakerIds.push(speaker.id);
+        
+        if (typeof speaker.ip !== 'string' || speaker.ip.length === 0) {
+            errors.push(`${label}: missing ip`);
+        }
+        if (speaker.type !== undefined && !DEVICE_TYPES.includes(speaker.type)) {
+            errors.push(`${label}: unknown type "${speaker.type}" (expected ${DEVICE_TYPES.join(', ')})`);
+        } else if (speaker.type === undefined && !isZoneId(speaker.zone)) {
+            errors.push(`${label}: unknown zone "${speaker.zone}" (expected main, zone2, zone3, ...)`);
+        }
+        if (speaker.mode !== undefined && !TWIST_MODES.includes(speaker.mode)) {
+            errors.push(`${label}: unknown mode "${speaker.mode}" (expected ${TWIST_MODES.join(', ')})`);
+        }
+        if (speaker.volume && speaker.volume.curve !== undefined && !['linear', 'db'].includes(speaker.volume.curve)) {
+            errors.push(`${label}: unknown volume curve "${speaker.volume.curve}" (expected linear, db)`);
+        }
+        if (speaker.cooldowns) {
+            validateCooldowns(speaker.cooldowns, `${label} cooldowns`, errors);
+        }
+        if (speaker.powerOn) {
+            ['volume', 'maxVolume', 'fadeSeconds']
+                .filter(key => speaker.powerOn[key] !== undefined && !(typeof speaker.powerOn[key] === 'number' && speaker.powerOn[key] >= 0))
+                .forEach(key => errors.push(`${label}: powerOn.${key} must be a number of at least 0`));
+        }
+        if (speaker.softMute !== undefined && typeof speaker.softMute !== 'boolean') {
+            errors.push(`${label}: softMute must be true or false`);
+        }
+        if (speaker.maxVolume !== undefined && typeof speaker.maxVolume !== 'number') {
+            errors.push(`${label}: maxVolume must be a number`);
+        }
+        if (speaker.quietHours) {
+            if (!parseScheduleTime(speaker.quietHours.from) || !parseScheduleTime(speaker.quietHours.to)) {
+                errors.push(`${label}: quietHours needs from and to times (HH:MM)`);
+            }
+            if (typeof speaker.quietHours.maxVolume !== 'number') {
+                errors.push(`${label}: quietHours.maxVolume must be a number`);
+            }
+        }
+    });
+    
+    config.speakers.forEach(speaker => {
+        if (speaker && speaker.target !== undefined && !speakerIds.includes(speaker.target)) {
+            errors.push(`Speaker ${speaker.id}: unknown target "${speaker.target}"`);
+        }
+    });
+    
+    Object.keys(config.groups || {}).forEach(groupId => {
+        const definition = config.groups[groupId];
+        const memberIds = Array.isArray(definition) ? definition : (definition && definition.members);
+        if (findConfiguredName(groupId, speakerIds)) {
+            errors.push(`Group ${groupId}: id is already used by a speaker`);
+        }
+        if (!Array.isArray(memberIds)) {
+            errors.push(`Group ${groupId}: members must be a list of speaker ids`);
+            return;
+        }
+        memberIds
+            .filter(memberId => !speakerIds.includes(memberId))
+            .forEach(memberId => errors.push(`Group ${groupId}: unknown member "${memberId}"`));
+    });
+    
+    validateCooldowns(config.cooldowns || {}, 'cooldowns', errors);
+    
+    Object.keys(config.macros || {}).forEach(name => {
+        const macro = config.macros[name];
+        const devices = [macro.device].concat((macro.steps || []).map(step => step.device));
+        devices
+            .filter(deviceId => deviceId !== undefined && !speakerIds.includes(deviceId))
+            .forEach(deviceId => errors.push(`Macro ${name}: unknown device "${deviceId}"`));
+    });
+    
+    const scheduleNames = [];
+    (config.schedules || []).forEach((schedule, index) => {
+        const label = `Schedule ${schedule && schedule.name ? schedule.name : `#${index + 1}`}`;
+        if (!schedule || typeof schedule.name !== 'string' || schedule.name.length === 0) {
+            errors.push(`${label}: missing name`);
+            return;
+        }
+        if (scheduleNames.includes(schedule.name)) {
+            errors.push(`${label}: duplicate name`);
+        }
+        scheduleNames.push(schedule.name);
+        
+        if (!parseScheduleTime(schedule.time)) {
+            errors.push(`${label}: invalid time "${schedule.time}" (expected HH:MM)`);
+        }
+        if (!getScheduleDays(schedule.days)) {
+            errors.push(`${label}: unknown days ${JSON.stringify(schedule.days)} (expected daily, weekdays, weekends or mon-sun)`);
+        }
+        if (typeof schedule.action !== 'string' || schedule.action.trim().length === 0) {
+            errors.push(`${label}: missing action`);
+            return;
+        }
+        const words = schedule.action.trim().split(/\s+/);
+        const globalCommand = findCommand(words[0].toLowerCase());
+        if (words[0].toLowerCase() === 'macro' && !findConfiguredName(words[1] || '', Object.keys(config.macros || {}))) {
+            errors.push(`${label}: unknown macro "${words[1]}"`);
+        } else if (!globalCommand || !globalCommand.global) {
+            const targetIds = speakerIds.concat(Object.keys(config.groups || {}));
+            const unknown = words[0].split(',').filter(id => id.toLowerCase() !== 'all' && !findConfiguredName(id, targetIds));
+            if (unknown.length > 0) {
+                errors.push(`${label}: unknown device "${unknown[0]}"`);
+            } else if (!findCommand((words[1] || '').toLowerCase())) {
+                errors.push(`${label}: unknown command "${words[1] || ''}"`);
+            }
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Validate cooldown rules
+ * @param {Object} cooldowns - Rules per command class
+ * @param {string} label - Prefix for error messages
+ * @param {string[]} errors - Error messages to add to
+ */
+function validateCooldowns(cooldowns, label, errors) {
+    Object.keys(cooldowns).forEach(commandClass => {
+        const rule = cooldowns[commandClass] || {};
+        if (!COMMAND_CLASSES.includes(commandClass)) {
+            errors.push(`${label}: unknown command class "${commandClass}" (expected ${COMMAND_CLASSES.join(', ')})`);
+        }
+        if (rule.scope !== undefined && !COOLDOWN_SCOPES.includes(rule.scope)) {
+            errors.push(`${label}.${commandClass}: unknown scope "${rule.scope}" (expected ${COOLDOWN_SCOPES.join(', ')})`);
+        }
+        if (rule.ms !== undefined && !(typeof rule.ms === 'number' && rule.ms >= 0)) {
+            errors.push(`${label}.${commandClass}: ms must be a number of milliseconds`);
+        }
+        (rule.blocks || [])
+            .filter(blocked => !COMMAND_CLASSES.includes(blocked))
+            .forEach(blocked => errors.push(`${label}.${commandClass}: cannot block unknown command class "${blocked}"`));
+    });
+}
+
+/**
+ * Get the persisted part of the active configuration
+ * @returns {Object} - Configuration values keyed by PERSISTED_CONFIG_KEYS
+ */
+function getPersistedConfig() {
+    const config = {};
+    PERSISTED_CONFIG_KEYS.forEach(key => {
+        config[key] = YAMAHA_CONFIG[key];
+    });
+    return config;
+}
+
+/**
+ * Load the configuration: stored values replace the in-file defaults if they are valid
+ * @returns {Promise} - Rejects if the in-file configuration itself is invalid
+ */
+async function loadYamahaConfig() {
+    console.log('Loading Yamaha configuration...');
+    
+    if (YAMAHA_CONFIG.persistence.enabled) {
+        try {
+            const stored = await readDatastore(YAMAHA_CONFIG.persistence.configKey);
+            if (stored) {
+                const candidate = Object.assign(getPersistedConfig(), stored);
+                migrateSpeakerConfig(candidate);
+                const errors = validateYamahaConfig(candidate);
+                if (errors.length === 0) {
+                    PERSISTED_CONFIG_KEYS.forEach(key => {
+                        YAMAHA_CONFIG[key] = candidate[key];
+                    });
+                    console.log('💾 Loaded configuration from the hub datastore');
+                } else {
+                    console.error('❌ Stored configuration is invalid, using the configuration in the script:');
+                    errors.forEach(error => console.error(`   - ${error}`));
+                }
+            }
+        } catch (error) {
+            console.error('❌ Could not load the stored configuration:', error.message);
+        }
+    }
+    
+    migrateSpeakerConfig(YAMAHA_CONFIG);
+    const errors = validateYamahaConfig(YAMAHA_CONFIG);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ Configuration error: ${error}`));
+        throw new Error(`Invalid configuration (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    }
+    
+    console.log('Configured speakers:', YAMAHA_CONFIG.speakers.map(s => s.name));
+}
+
+/**
+ * Store the active configuration in the hub datastore
+ * @returns {Promise} - Resolves when stored
+ */
+async function saveYamahaConfig() {
+    if (!YAMAHA_CONFIG.persistence.enabled) {
+        return;
+    }
+    await writeDatastore(YAMAHA_CONFIG.persistence.configKey, getPersistedConfig());
+    console.log('💾 Configuration saved to the hub datastore');
+}
+
+module.exports = {
+    PERSISTED_CONFIG_KEYS,
+    findConfiguredName,
+    validateYamahaConfig,
+    getPersistedConfig,
+    loadYamahaConfig,
+    saveYamahaConfig
+};
@@ -0,0 +1,146 @@
+// Cooldown policy: how soon a speaker accepts another command of the same class
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { getVirtualDeviceValues, getCurrentVolumeAndUpdate } = require('./device-state');
+
+/**
+ * Get the cooldown rule a speaker uses for a command class
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} commandClass - playback, volume or power
+ * @returns {Object} - { ms, scope, blocks }
+ */
+function getCooldownRule(speaker, commandClass) {
+    const defaults = YAMAHA_CONFIG.cooldowns[commandClass];
+    const own = speaker.cooldowns && speaker.cooldowns[commandClass];
+    return Object.assign({ ms: 0, scope: 'receiver', blocks: [] }, defaults || {}, own || {});
+}
+
+/**
+ * Check whether a cooldown scope covers a zone
+ * @param {string} scope - global, receiver or zone
+ * @param {Object} entry - Recorded command
+ * @param {Object} target - Speaker configuration of the zone to check
+ * @returns {boolean} - True if the recorded command's cooldown applies to the zone
+ */
+function cooldownScopeMatches(scope, entry, target) {
+    switch (scope) {
+        case 'global':
+            return true;
+        case 'zone':
+            return entry.target.ip === target.ip && entry.target.zone === target.zone;
+        default:
+            return entry.target.ip === target.ip;
+    }
+}
+
+/**
+ * Create a cooldown policy
+ * Every executed command is recorded with its class; its rule (YAMAHA_CONFIG.cooldowns, overridden
+ * by the speaker's own cooldowns) decides which command classes it blocks, for how long, and where
+ * @returns {Object} - { check(source, commandClass, target), record(source, commandClass, target), clear() }
+ */
+function createCooldownPolicy() {
+    let recent = [];
+    
+    const prune = now => {
+        recent = recent.filter(entry => now - entry.time < entry.rule.ms);
+    };
+    
+    return {
+        /**
+         * Check whether a command may run now
+         * @param {Object} source - Speaker (or playback device) issuing the command
+         * @param {string} commandClass - playback, volume or power
+         * @param {Object} target - Zone the command acts on (defaults to source)
+         * @returns {Object|null} - null if allowed, otherwise { reason, remainingMs }
+         */
+        check(source, commandClass, target = source) {
+            const now = Date.now();
+            prune(now);
+            
+            const blocking = recent
+                .filter(entry => entry.rule.blocks.includes(commandClass) && cooldownScopeMatches(entry.rule.scope, entry, target))
+                .sort((a, b) => (b.time + b.rule.ms) - (a.time + a.rule.ms))[0];
+            if (!blocking) {
+                return null;
+            }
+            
+            const remainingMs = blocking.time + blocking.rule.ms - now;
+            const where = blocking.rule.scope === 'global' || blocking.target === blocking.source ? ''
+                : ` on ${blocking.rule.scope === 'zone' ? blocking.target.name : blocking.target.ip}`;
+            return {
+                reason: `${blocking.commandClass} cooldown after ${blocking.source.name}${where} (${Math.ceil(remainingMs / 1000)}s remaining)`,
+                remainingMs: remainingMs
+            };
+        },
+        
+        /**
+         * Record an executed command
+         * @param {Object} source - Speaker (or playback device) that issued the command; its rule applies
+         * @param {string} commandClass - playback, volume or power
+         * @param {Object} target - Zone the command acted on (defaults to source)
+         */
+        record(source, commandClass, target = source) {
+            const rule = getCooldownRule(source, commandClass);
+            if (rule.ms > 0 && rule.blocks.length > 0) {
+                recent.push({ commandClass, source, target, rule, time: Date.now() });
+            }
+        },
+        
+        /**
+         * Forget all recorded commands
+         */
+        clear() {
+            recent = [];
+        }
+    };
+}
+
+const cooldownPolicy = createCooldownPolicy();
+
+/**
+ * Check the cooldown policy and log the reason when a command is blocked
+ * @param {Object} source - Speaker (or playback device) issuing the command
+ * @param {string} commandClass - playback, volume or power
+ * @param {string} description - Command for the log, e.g. "Volume change"
+ * @param {Object} target - Zone the command acts on (defaults to source)
+ * @returns {string|null} - Why the command is blocked, or null if it may run
+ */
+function getCooldownBlock(source, commandClass, description, target = source) {
+    const blocked = cooldownPolicy.check(source, commandClass, target);
+    if (!blocked) {
+        return null;
+    }
+    const message = `${description} on ${target.name} blocked - ${blocked.reason}`;
+    console.log(`⏳ ${message}`);
+    return message;
+}
+
+/**
+ * Check the cooldown policy and log the reason when a command is blocked
+ * @param {Object} source - Speaker (or playback device) issuing the command
+ * @param {string} commandClass - playback, volume or power
+ * @param {string} description - Command for the log, e.g. "Volume change"
+ * @param {Object} target - Zone the command acts on (defaults to source)
+ * @returns {boolean} - True if the command may run
+ */
+function passesCooldown(source, commandClass, description, target = source) {
+    return getCooldownBlock(source, commandClass, description, target) === null;
+}
+
+/**
+ * Move a volume Twist back to the zone's real volume after a blocked update
+ * @param {Object} speaker - Speaker configuration
+ */
+function restoreTwistPosition(speaker) {
+    const state = speakerStates[speaker.id];
+    if (state && state.volume !== undefined) {
+        flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+    } else {
+        getCurrentVolumeAndUpdate(speaker);
+    }
+}
+
+module.exports = { cooldownPolicy, getCooldownBlock, passesCooldown, restoreTwistPosition };
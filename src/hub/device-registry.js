@@ -0,0 +1,167 @@
+// Capabilities of the configured devices (getDeviceInfo and getFeatures) and the checks commands
+// run against them before anything is sent
+
+const { YAMAHA_CONFIG } = require('../config');
+const {
+    createDeviceEntry,
+    applyDeviceInfo,
+    applyDeviceFeatures,
+    deviceSupports
+} = require('../devices/model');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, scheduleStateSave } = require('./runtime-state');
+
+/**
+ * Check whether a configured device is a playback device rather than a zone
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for type: 'playback'
+ */
+function isPlaybackDevice(speaker) {
+    return speaker.type === 'playback';
+}
+
+/**
+ * Get the inputs a speaker's zone supports
+ * @param {Object} speaker - Speaker configuration
+ * @returns {string[]} - Input ids from the zone's input_list (empty if unknown)
+ */
+function getZoneInputs(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    return zone ? zone.inputs : [];
+}
+
+/**
+ * Get the distinct device IP addresses in the configuration
+ * @returns {string[]} - Device IP addresses
+ */
+function getDeviceIps() {
+    return [...new Set(YAMAHA_CONFIG.speakers.map(s => s.ip))];
+}
+
+/**
+ * Discover a device's identity and capabilities and store them in the registry
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Registry entry (with discovered: false if the device did not answer)
+ */
+async function discoverDevice(ip) {
+    const device = createDeviceEntry(ip);
+
+    try {
+        applyDeviceInfo(device, await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo'));
+
+        // Remember which device each speaker lives on so it can be found again if its IP changes
+        if (device.deviceId) {
+            YAMAHA_CONFIG.speakers
+                .filter(s => s.ip === ip && !s.deviceId)
+                .forEach(s => { s.deviceId = device.deviceId; });
+        }
+
+        applyDeviceFeatures(device, await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getFeatures'));
+    } catch (error) {
+        console.error(`❌ Error discovering device features for ${ip}:`, error);
+    }
+
+    // Keep capabilities restored from the datastore while the device cannot be reached
+    const restored = deviceRegistry[ip];
+    if (!device.discovered && restored && restored.restored) {
+        console.log(`⚠️ Could not discover features for ${ip}, using saved capabilities`);
+        return restored;
+    }
+
+    deviceRegistry[ip] = device;
+
+    if (device.discovered) {
+        scheduleStateSave();
+        const extras = device.netusb ? ', netusb' : '';
+        console.log(`🔎 ${device.modelName || 'Yamaha device'} at ${ip}: zones ${Object.keys(device.zones).join(', ')}${extras}`);
+    } else {
+        console.log(`⚠️ Could not discover features for ${ip}, using default capabilities`);
+    }
+
+    return device;
+}
+
+/**
+ * Discover every configured device and report speakers whose zone the device does not have
+ */
+async function discoverAllDevices() {
+    for (const ip of getDeviceIps()) {
+        await discoverDevice(ip);
+    }
+
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const device = deviceRegistry[speaker.ip];
+        if (!isPlaybackDevice(speaker) && device && device.discovered && !device.zones[speaker.zone]) {
+            console.log(`⚠️ ${speaker.name}: ${device.modelName || speaker.ip} has no zone "${speaker.zone}"`);
+        }
+    });
+}
+
+/**
+ * Get the discovered capabilities of a speaker's zone
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object|null} - Zone capabilities, or null if unknown
+ */
+function getZoneCapabilities(speaker) {
+    const device = deviceRegistry[speaker.ip];
+    if (!device || !device.discovered) {
+        return null;
+    }
+    return device.zones[speaker.zone] || null;
+}
+
+/**
+ * Check whether a speaker supports a YXC function, logging a clear message if it does not
+ * Devices that could not be discovered are assumed to support everything
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} func - Function name from getFeatures (volume, mute, power, scene, netusb, tuner, ...)
+ * @returns {boolean} - True if the command may be sent
+ */
+function checkSupported(speaker, func) {
+    if (isPlaybackDevice(speaker) && !['netusb', 'link'].includes(func)) {
+        console.log(`🚫 ${speaker.name}: ${func} is not available on a playback device`);
+        return false;
+    }
+    
+    const device = deviceRegistry[speaker.ip];
+    if (!device || !device.discovered) {
+        return true;
+    }
+
+    const supported = deviceSupports(device, speaker.zone, func);
+    if (!supported) {
+        const model = device.modelName || 'device';
+        console.log(`🚫 ${speaker.name}: ${func} is not supported by ${model} at ${speaker.ip} (${speaker.zone} zone)`);
+    }
+    return supported;
+}
+
+// Inputs that play through netusb, used when a device did not report play_info_type
+const NETUSB_INPUTS = ['net_radio', 'server', 'usb', 'spotify', 'airplay', 'bluetooth', 'deezer',
+    'tidal', 'qobuz', 'pandora', 'napster', 'juke', 'amazon_music', 'alexa', 'mc_link'];
+
+/**
+ * Check whether an input is played through the netusb (network/USB) player
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} input - Input id
+ * @returns {boolean} - True for netusb inputs
+ */
+function isNetusbInput(speaker, input) {
+    const device = deviceRegistry[speaker.ip];
+    const inputInfo = device && device.systemInputs.find(entry => entry.id === input);
+    if (inputInfo && inputInfo.play_info_type) {
+        return inputInfo.play_info_type === 'netusb';
+    }
+    return NETUSB_INPUTS.includes(input);
+}
+
+module.exports = {
+    isPlaybackDevice,
+    getZoneInputs,
+    getDeviceIps,
+    discoverDevice,
+    discoverAllDevices,
+    getZoneCapabilities,
+    checkSupported,
+    isNetusbInput
+};
@@ -0,0 +1,294 @@
+// Last known state per speaker and the virtual devices that show it
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { delay } = require('../yxc/client');
+const { yxcRequest } = require('./yxc-client');
+const { readDatastore } = require('./storage');
+const { deviceRegistry, speakerStates, scheduleStateSave } = require('./runtime-state');
+const { isPlaybackDevice, getZoneInputs } = require('./device-registry');
+const { nativeToVolume } = require('./volume-mapping');
+const {
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    controlsGroupVolume,
+    getGroupLevel
+} = require('./link-group-state');
+const { getSoundPosition } = require('./sound-settings');
+const { refreshZoneGroupTwists } = require('./zone-group-levels');
+
+/**
+ * Get the Twist position that represents an input on a source selector
+ * The Twist range is split into one segment per input; an input sits in the middle of its segment
+ * @param {Object} speaker - Speaker configuration (mode: 'input')
+ * @param {string} input - Input id
+ * @returns {number} - Virtual device volume (0-1)
+ */
+function getInputPosition(speaker, input) {
+    const inputs = getZoneInputs(speaker);
+    const index = inputs.indexOf(input);
+    if (index === -1) {
+        return 0;
+    }
+    return (index + 0.5) / inputs.length;
+}
+
+/**
+ * Convert a speaker's known state into virtual device values
+ * A muted or standby zone is reported as silent so the Twist matches what you hear
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} state - Cached speaker state
+ * @returns {Object} - Values for flicApp.virtualDeviceUpdateState
+ */
+function getVirtualDeviceValues(speaker, state) {
+    if (speaker.mode === 'input') {
+        return { volume: getInputPosition(speaker, state.input) };
+    }
+    if (speaker.mode) {
+        return { volume: getSoundPosition(speaker, state) };
+    }
+    if (state.power === 'standby' || state.mute === true) {
+        return { volume: 0 };
+    }
+    if (controlsGroupVolume(speaker)) {
+        const groupLevel = getGroupLevel(linkGroups[speaker.ip]);
+        if (groupLevel !== null) {
+            return { volume: groupLevel };
+        }
+    }
+    return { volume: nativeToVolume(speaker, state.volume) };
+}
+
+// getStatus fields kept per zone
+const ZONE_STATE_KEYS = ['power', 'volume', 'mute', 'input', 'sound_program', 'tone_control', 'dialogue_level',
+    'subwoofer_volume', 'pure_direct', 'enhancer', 'extra_bass'];
+
+// Functions called with the speaker configuration when its zone is seen switched on
+const zonePowerOnListeners = [];
+
+/**
+ * Run a function whenever a zone changes to on, including the first status of a zone that is
+ * already on (zones in a Twist mode excluded)
+ * @param {Function} listener - Called with the speaker configuration
+ */
+function onZonePowerOn(listener) {
+    zonePowerOnListeners.push(listener);
+}
+
+/**
+ * Merge a (partial) zone status into the cached state of the speakers on that zone
+ * and push changes to their virtual devices
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id (main, zone2, ...)
+ * @param {Object} status - getStatus response or event payload for the zone
+ * @param {boolean} force - Push the state even if nothing changed
+ */
+function applyZoneStatus(ip, zone, status, force = false) {
+    const zoneSpeakers = YAMAHA_CONFIG.speakers.filter(s => s.ip === ip && s.zone === zone);
+    zoneSpeakers.forEach(speaker => {
+        const state = speakerStates[speaker.id] || (speakerStates[speaker.id] = {});
+        const previousPower = state.power;
+        let changed = false;
+
+        ZONE_STATE_KEYS.forEach(key => {
+            // tone_control is an object ({ mode, bass, treble }); compare it by content
+            if (status[key] !== undefined && JSON.stringify(state[key]) !== JSON.stringify(status[key])) {
+                state[key] = status[key];
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            scheduleStateSave();
+        }
+        if (previousPower !== 'on' && state.power === 'on' && !speaker.mode) {
+            zonePowerOnListeners.forEach(listener => listener(speaker));
+        }
+        if ((changed || force) && state.volume !== undefined) {
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+            refreshZoneGroupTwists(speaker.id);
+        }
+    });
+
+    // A linked client's volume moves the level shown on its group's Twist
+    const membership = status.volume !== undefined && getLinkMembership(ip, zone);
+    if (membership && membership.role === 'client' && YAMAHA_CONFIG.link.groupVolume) {
+        const server = findZoneSpeaker(membership.group.serverIp, membership.group.serverZone);
+        if (server) {
+            refreshGroupTwist(server);
+        }
+    }
+}
+
+/**
+ * Get the receiver a playback device reports the playback state of
+ * @param {Object} speaker - Playback device configuration
+ * @returns {string} - Device IP address (the target's receiver if the device has a target)
+ */
+function getPlaybackIp(speaker) {
+    const target = speaker.target && YAMAHA_CONFIG.speakers.find(s => s.id === speaker.target);
+    return target ? target.ip : speaker.ip;
+}
+
+/**
+ * Record the netusb playback state for the playback devices on a receiver
+ * @param {string} ip - Device IP address
+ * @param {string} playback - Playback state ('play', 'pause', 'stop', ...)
+ */
+function applyPlaybackStatus(ip, playback) {
+    if (playback === undefined) {
+        return;
+    }
+
+    const playbackSpeakers = YAMAHA_CONFIG.speakers.filter(s => isPlaybackDevice(s) && getPlaybackIp(s) === ip);
+    playbackSpeakers.forEach(speaker => {
+        const state = speakerStates[speaker.id] || (speakerStates[speaker.id] = {});
+        if (state.playback !== playback) {
+            state.playback = playback;
+            // Playback devices always rest at the center position
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, {
+                volume: 0.5
+            });
+        }
+    });
+}
+
+/**
+ * Get current volume from Yamaha device and update virtual device state
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<number>} - Current volume in native volume steps
+ */
+async function getCurrentVolumeAndUpdate(speaker) {
+    // Skip playback devices as they don't have volume
+    if (isPlaybackDevice(speaker)) {
+        return null;
+    }
+    
+    try {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+
+        // Update cached state and virtual device state
+        applyZoneStatus(speaker.ip, speaker.zone, statusData, true);
+
+        return statusData.volume;
+    } catch (error) {
+        console.error(`❌ Error getting current volume for ${speaker.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Initialize virtual device states with current Yamaha volumes
+ */
+async function initializeVirtualDeviceStates() {
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (isPlaybackDevice(speaker)) {
+            // Create virtual playback device for playback control
+            flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+                volume: 0.5
+            });
+        } else if (speaker.mode) {
+            // Create virtual source selector or sound control and point it at the current setting
+            flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+                volume: 0
+            });
+            await getCurrentVolumeAndUpdate(speaker);
+        } else {
+            // Get current volume for regular speakers
+            await getCurrentVolumeAndUpdate(speaker);
+        }
+    }
+}
+
+/**
+ * Push the group level to the Twist of a group's server zone
+ * @param {Object} server - Speaker configuration of the server zone
+ */
+function refreshGroupTwist(server) {
+    const state = speakerStates[server.id];
+    if (state && state.volume !== undefined) {
+        flicApp.virtualDeviceUpdateState('Speaker', server.id, getVirtualDeviceValues(server, state));
+    }
+}
+
+/**
+ * Poll a speaker's zone status until it matches the expected values
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} expected - Expected status fields, e.g. { power: 'on' }
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise} - Resolves when the state is reached, rejects on timeout
+ */
+async function waitForZoneState(speaker, expected, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    const keys = Object.keys(expected);
+    
+    while (true) {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        applyZoneStatus(speaker.ip, speaker.zone, statusData);
+        if (keys.every(key => statusData[key] === expected[key])) {
+            return;
+        }
+        
+        if (Date.now() >= deadline) {
+            const expectedText = keys.map(key => `${key}=${expected[key]}`).join(', ');
+            throw new Error(`${speaker.name} did not report ${expectedText} within ${timeoutMs / 1000}s`);
+        }
+        await delay(500);
+    }
+}
+
+/**
+ * Restore last-known zone states and capabilities, so virtual devices start with sensible
+ * values and volume ranges are right before the receivers answer
+ */
+async function restoreRuntimeState() {
+    if (!YAMAHA_CONFIG.persistence.enabled) {
+        return;
+    }
+    
+    let saved;
+    try {
+        saved = await readDatastore(YAMAHA_CONFIG.persistence.stateKey);
+    } catch (error) {
+        console.error('❌ Could not restore state:', error.message);
+        return;
+    }
+    if (!saved) {
+        return;
+    }
+    
+    Object.keys(saved.capabilities || {}).forEach(ip => {
+        if (!deviceRegistry[ip]) {
+            deviceRegistry[ip] = Object.assign(saved.capabilities[ip], { restored: true });
+        }
+    });
+    
+    let restoredCount = 0;
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const state = saved.states && saved.states[speaker.id];
+        if (!state || speakerStates[speaker.id] || isPlaybackDevice(speaker)) {
+            return;
+        }
+        speakerStates[speaker.id] = Object.assign({}, state);
+        if (state.volume !== undefined) {
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+            restoredCount++;
+        }
+    });
+    console.log(`💾 Restored ${restoredCount} zone state(s) and ${Object.keys(saved.capabilities || {}).length} device(s) from the hub datastore`);
+}
+
+module.exports = {
+    getInputPosition,
+    getVirtualDeviceValues,
+    onZonePowerOn,
+    applyZoneStatus,
+    applyPlaybackStatus,
+    getCurrentVolumeAndUpdate,
+    initializeVirtualDeviceStates,
+    refreshGroupTwist,
+    waitForZoneState,
+    restoreRuntimeState
+};
@@ -0,0 +1,275 @@
+// Network discovery of MusicCast/YXC devices (SSDP)
+
+const flicApp = require('flicapp');
+const http = require('http');
+const dgram = require('dgram');
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { isPlaybackDevice, discoverDevice } = require('./device-registry');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { saveYamahaConfig } = require('./config-loader');
+
+/**
+ * Fetch a URL with a plain GET request (used for UPnP device descriptions)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} - Response body
+ */
+function fetchUrl(url) {
+    return new Promise((resolve, reject) => {
+        let request = null;
+        const timeoutId = setTimeout(() => {
+            // Stop the request rather than leaving it running on the hub
+            if (request && typeof request.abort === 'function') {
+                request.abort();
+            }
+            reject(new Error('Request timeout'));
+        }, 5000);
+
+        request = http.makeRequest({ url: url, method: 'GET' }, (error, result) => {
+            clearTimeout(timeoutId);
+
+            if (error) {
+                reject(new Error(`HTTP request failed: ${error}`));
+            } else {
+                const responseData = result || {};
+                resolve(responseData.content || responseData.body || responseData.data || '');
+            }
+        });
+    });
+}
+
+/**
+ * Parse the headers of an SSDP response
+ * @param {string} message - Raw SSDP response
+ * @returns {Object} - Header values keyed by lower-case header name
+ */
+function parseSsdpHeaders(message) {
+    const headers = {};
+    message.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+/**
+ * Send an SSDP M-SEARCH and collect the description URLs of the devices that answer
+ * @returns {Promise<string[]>} - Distinct LOCATION URLs
+ */
+function searchSsdpLocations() {
+    const discoveryConfig = YAMAHA_CONFIG.discovery;
+    const request = [
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${discoveryConfig.ssdpAddress}:${discoveryConfig.ssdpPort}`,
+        'MAN: "ssdp:discover"',
+        `MX: ${Math.max(1, Math.floor(discoveryConfig.listenMs / 1000) - 1)}`,
+        `ST: ${discoveryConfig.searchTarget}`,
+        '',
+        ''
+    ].join('\r\n');
+
+    return new Promise((resolve) => {
+        const locations = new Set();
+        let socket;
+
+        try {
+            socket = dgram.createSocket('udp4');
+            socket.on('message', (message) => {
+                const headers = parseSsdpHeaders(message.toString());
+                if (headers.location) {
+                    locations.add(headers.location);
+                }
+            });
+            socket.on('error', (error) => {
+                console.error('❌ SSDP discovery error:', error);
+            });
+            socket.send(request, discoveryConfig.ssdpPort, discoveryConfig.ssdpAddress);
+        } catch (error) {
+            console.error('❌ Could not send SSDP search:', error);
+            resolve([]);
+            return;
+        }
+
+        setTimeout(() => {
+            try {
+                socket.close();
+            } catch (error) {
+                // Socket already closed
+            }
+            resolve([...locations]);
+        }, discoveryConfig.listenMs);
+    });
+}
+
+/**
+ * Check a UPnP device description for the Yamaha Extended Control service
+ * @param {string} location - Description URL from the SSDP response
+ * @returns {Promise<string|null>} - Device IP address if it is a YXC device
+ */
+async function resolveYxcLocation(location) {
+    const hostMatch = location.match(/^https?:\/\/([^:/]+)/i);
+    if (!hostMatch) {
+        return null;
+    }
+
+    try {
+        const description = await fetchUrl(location);
+        return description.includes('X_yxcControlURL') ? hostMatch[1] : null;
+    } catch (error) {
+        console.error(`❌ Error reading device description ${location}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Create a speaker id that is not in use yet, e.g. 'rxv6amain'
+ * @param {Object} device - Registry entry
+ * @param {string} zone - Zone id
+ * @returns {string} - Unique speaker id
+ */
+function generateSpeakerId(device, zone) {
+    const model = (device.modelName || 'yamaha').toLowerCase().replace(/[^a-z0-9]/g, '');
+    let id = `${model}${zone}`;
+    if (YAMAHA_CONFIG.speakers.some(s => s.id === id) && device.deviceId) {
+        id = `${model}${device.deviceId.slice(-4).toLowerCase()}${zone}`;
+    }
+    let suffix = 2;
+    const baseId = id;
+    while (YAMAHA_CONFIG.speakers.some(s => s.id === id)) {
+        id = `${baseId}${suffix++}`;
+    }
+    return id;
+}
+
+/**
+ * Get the zone names the user gave a device in the MusicCast app
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Zone names keyed by zone id
+ */
+async function getZoneNames(ip) {
+    const zoneNames = {};
+    try {
+        const nameText = await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getNameText');
+        (nameText.zone_list || []).forEach(zone => {
+            zoneNames[zone.id] = zone.text;
+        });
+    } catch (error) {
+        console.error(`❌ Error reading zone names for ${ip}:`, error);
+    }
+    return zoneNames;
+}
+
+/**
+ * Store the speakers after discovery changed them, so new addresses and zones survive a restart
+ */
+async function saveDiscoveredSpeakers() {
+    try {
+        await saveYamahaConfig();
+    } catch (error) {
+        console.error('❌ Could not save the discovered speakers:', error.message);
+    }
+}
+
+/**
+ * Update configured speakers for a discovered device: follow IP changes and add missing zones
+ * @param {Object} device - Registry entry of a discovered device
+ */
+async function reconcileDiscoveredDevice(device) {
+    if (!device.discovered) {
+        return;
+    }
+
+    // Re-resolve configured speakers whose device came back on a different address
+    const movedSpeakers = device.deviceId
+        ? YAMAHA_CONFIG.speakers.filter(s => s.deviceId === device.deviceId && s.ip !== device.ip)
+        : [];
+    if (movedSpeakers.length > 0) {
+        movedSpeakers.forEach(speaker => {
+            console.log(`🔁 ${speaker.name} moved from ${speaker.ip} to ${device.ip}`);
+            const oldIp = speaker.ip;
+            speaker.ip = device.ip;
+            if (!YAMAHA_CONFIG.speakers.some(s => s.ip === oldIp)) {
+                delete deviceRegistry[oldIp];
+            }
+            if (!isPlaybackDevice(speaker)) {
+                getCurrentVolumeAndUpdate(speaker);
+            }
+        });
+        await saveDiscoveredSpeakers();
+    }
+
+    if (!YAMAHA_CONFIG.discovery.addZones) {
+        return;
+    }
+
+    const missingZones = Object.keys(device.zones).filter(zone =>
+        !YAMAHA_CONFIG.speakers.some(s => s.ip === device.ip && s.zone === zone));
+    if (missingZones.length === 0) {
+        return;
+    }
+
+    const zoneNames = await getZoneNames(device.ip);
+    for (const zone of missingZones) {
+        const speaker = {
+            id: generateSpeakerId(device, zone),
+            ip: device.ip,
+            name: zoneNames[zone] || `${device.modelName || 'Yamaha'} ${zone}`,
+            zone: zone,
+            deviceId: device.deviceId
+        };
+        YAMAHA_CONFIG.speakers.push(speaker);
+        console.log(`➕ Added speaker "${speaker.id}" (${speaker.name}, ${zone} zone at ${device.ip})`);
+
+        flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+            volume: 0
+        });
+        await getCurrentVolumeAndUpdate(speaker);
+    }
+    await saveDiscoveredSpeakers();
+}
+
+/**
+ * Find YXC devices on the network, refresh their capabilities and update the speaker list
+ */
+async function runNetworkDiscovery() {
+    const locations = await searchSsdpLocations();
+    const foundIps = new Set();
+
+    for (const location of locations) {
+        const ip = await resolveYxcLocation(location);
+        if (ip) {
+            foundIps.add(ip);
+        }
+    }
+
+    console.log(`🔍 Network discovery found ${foundIps.size} Yamaha device(s)`);
+
+    for (const ip of foundIps) {
+        const known = deviceRegistry[ip];
+        const device = known && known.discovered ? known : await discoverDevice(ip);
+        await reconcileDiscoveredDevice(device);
+    }
+}
+
+/**
+ * Run network discovery now and then periodically
+ */
+async function startNetworkDiscovery() {
+    const discoveryConfig = YAMAHA_CONFIG.discovery;
+    if (!discoveryConfig.enabled) {
+        return;
+    }
+
+    await runNetworkDiscovery();
+
+    setInterval(() => {
+        runNetworkDiscovery().catch(error => {
+            console.error('❌ Error during network discovery:', error);
+        });
+    }, discoveryConfig.intervalMs);
+}
+
+module.exports = { runNetworkDiscovery, startNetworkDiscovery };
@@ -0,0 +1,605 @@
+// Command dispatcher: parses action messages against the command registry and runs them
+
+const { YAMAHA_CONFIG } = require('../config');
+const { isPlaybackDevice } = require('./device-registry');
+const { findConfiguredName } = require('./config-loader');
+const { SLEEP_MINUTES } = require('./zone-commands');
+const { cancelFade, parseFadeArgs, handleDeviceFade } = require('./fades');
+const { handleDeviceNowPlaying } = require('./now-playing');
+const { runMacro } = require('./macros');
+const { resolvePlaybackTarget, getPlaybackGestures, runPlaybackAction } = require('./playback');
+const { startPartyMode, stopPartyMode } = require('./link-groups');
+const {
+    handleDeviceVolumeUp,
+    handleDeviceVolumeDown,
+    handleDeviceVolumeSet,
+    handleDeviceMuteToggle,
+    handleDevicePowerToggle,
+    handleDevicePowerOn,
+    handleDevicePowerOff,
+    handleDeviceInput,
+    handleDeviceSleep,
+    parsePositiveInteger,
+    handleDeviceScene,
+    handleDevicePreset,
+    handleDevicePresetList,
+    handleDeviceTunerPreset,
+    handleDeviceTunerPresetList,
+    handleDeviceJoin,
+    handleDeviceLeave
+} = require('./handlers');
+const { handleDeviceSoundLevel, handleDeviceSoundSwitch, handleDeviceSoundProgram } = require('./sound');
+const { handleZoneGroupAction } = require('./zone-groups');
+const { handleConfigCommand } = require('./config-commands');
+
+// Action-message commands. Each entry handles one or more verbs:
+//   usage / description / example   help text (see getCommandHelp)
+//   args: [min, max]                number of arguments after the verb
+//   validate(args, kind)            error message for bad arguments, or null
+//   zone / group / playback (target, args, verb)   handler per kind of target
+//   all (args, verb)                handler for the bare "all" target ("all party")
+//   global (args, verb, rawArgs)    handler for commands without a target ("macro x")
+//   cancelsFade                     the command takes over from a running volume fade
+//   keepCase                        pass arguments in their original case (rawArgs)
+const COMMANDS = [
+    {
+        verbs: ['volume'],
+        usage: 'up|down|{n}|+{n}|-{n}',
+        description: 'Step the volume, set a native level or change it by n steps (groups: up|down)',
+        example: 'livingroom volume +5',
+        args: [1, 1],
+        cancelsFade: true,
+        validate: (args, kind) => {
+            if (args[0] === 'up' || args[0] === 'down') {
+                return null;
+            }
+            if (kind === 'group') {
+                return 'Groups take "volume up" or "volume down"';
+            }
+            return parseCommandNumber(args[0]) ? null : `Invalid volume: ${args[0]} (expected up, down, {n}, +{n} or -{n})`;
+        },
+        zone: (target, args) => {
+            if (args[0] === 'up') {
+                return handleDeviceVolumeUp(target.id);
+            }
+            if (args[0] === 'down') {
+                return handleDeviceVolumeDown(target.id);
+            }
+            return handleDeviceVolumeSet(target.id, parseCommandNumber(args[0]));
+        },
+        group: (target, args) => handleZoneGroupAction(target.id, `volume ${args[0]}`)
+    },
+    {
+        verbs: ['mute'],
+        description: 'Toggle mute',
+        example: 'livingroom mute',
+        cancelsFade: true,
+        zone: target => handleDeviceMuteToggle(target.id),
+        group: target => handleZoneGroupAction(target.id, 'mute')
+    },
+    {
+        verbs: ['power'],
+        description: 'Toggle power on/off',
+        example: 'livingroom power',
+        cancelsFade: true,
+        zone: target => handleDevicePowerToggle(target.id),
+        group: target => handleZoneGroupAction(target.id, 'power')
+    },
+    {
+        verbs: ['on'],
+        description: 'Turn on',
+        example: 'livingroom,kitchen on',
+        cancelsFade: true,
+        zone: target => handleDevicePowerOn(target.id),
+        group: target => handleZoneGroupAction(target.id, 'on')
+    },
+    {
+        verbs: ['off'],
+        description: 'Turn off',
+        example: 'all off',
+        cancelsFade: true,
+        zone: target => handleDevicePowerOff(target.id),
+        group: target => handleZoneGroupAction(target.id, 'off')
+    },
+    {
+        verbs: ['input'],
+        usage: '{name}|next|previous',
+        description: 'Switch input, or cycle through the zone\'s inputs',
+        example: 'livingroom input hdmi1',
+        args: [1, 1],
+        zone: (target, args) => handleDeviceInput(target.id, args[0])
+    },
+    {
+        verbs: ['scene'],
+        usage: '{n}',
+        description: 'Recall a scene',
+        example: 'livingroom scene 2',
+        args: [1, 1],
+        validate: args => parsePositiveInteger(args[0]) === null ? `Invalid scene number: ${args[0]}` : null,
+        zone: (target, args) => handleDeviceScene(target.id, args[0])
+    },
+    {
+        verbs: ['preset'],
+        usage: '{n}',
+        description: 'Recall a net/USB preset',
+        example: 'livingroom preset 3',
+        args: [1, 1],
+        validate: args => parsePositiveInteger(args[0]) === null ? `Invalid preset number: ${args[0]}` : null,
+        zone: (target, args) => handleDevicePreset(target.id, args[0])
+    },
+    {
+        verbs: ['presets'],
+        description: 'Log the net/USB preset list',
+        example: 'livingroom presets',
+        zone: target => handleDevicePresetList(target.id)
+    },
+    {
+        verbs: ['tuner'],
+        usage: 'preset [band] {n} | presets [band]',
+        description: 'Recall a tuner preset, or log the tuner preset list',
+        example: 'livingroom tuner preset fm 5',
+        args: [1, 3],
+        validate: args => {
+            if (args[0] === 'preset' && (args.length === 2 || args.length === 3)) {
+                return parsePositiveInteger(args[args.length - 1]) === null ? `Invalid preset number: ${args[args.length - 1]}` : null;
+            }
+            if (args[0] === 'presets' && args.length <= 2) {
+                return null;
+            }
+            return 'Expected "tuner preset [band] {n}" or "tuner presets [band]"';
+        },
+        zone: (target, args) => args[0] === 'preset'
+            ? handleDeviceTunerPreset(target.id, args[args.length - 1], args.length === 3 ? args[1] : undefined)
+            : handleDeviceTunerPresetList(target.id, args[1])
+    },
+    {
+        verbs: ['nowplaying'],
+        description: 'Log what the zone is playing',
+        example: 'livingroom nowplaying',
+        zone: target => handleDeviceNowPlaying(target.id),
+        playback: target => resolvePlaybackTarget(target.speaker).then(zone => {
+            if (zone) {
+                return handleDeviceNowPlaying(zone.id);
+            }
+            const message = `${target.speaker.name}: no zone to report on`;
+            console.log(`🚫 ${message}`);
+            return { blocked: message };
+        })
+    },
+    {
+        verbs: ['fade'],
+        usage: '{level} {seconds}',
+        description: 'Ramp the volume to a native volume level',
+        example: 'livingroom fade 15 600',
+        args: [2, 2],
+        validate: args => parseFadeArgs(args[0], args[1])
+            ? null : `Invalid fade: ${args.join(' ')} (expected a native volume level and a number of seconds)`,
+        zone: (target, args) => handleDeviceFade(target.id, args[0], args[1])
+    },
+    {
+        verbs: ['sleep'],
+        usage: '30|60|90|120|off',
+        description: 'Set the zone\'s sleep timer',
+        example: 'bedroom sleep 60',
+        args: [1, 1],
+        validate: args => args[0] === 'off' || SLEEP_MINUTES.includes(Number(args[0]))
+            ? null : `Invalid sleep time: ${args[0]} (expected 30, 60, 90, 120 or off)`,
+        zone: (target, args) => handleDeviceSleep(target.id, args[0])
+    },
+    {
+        verbs: ['program'],
+        usage: '{name}|next|previous',
+        description: 'Select a sound program',
+        example: 'livingroom program next',
+        args: [1, 1],
+        zone: (target, args) => handleDeviceSoundProgram(target.id, args[0])
+    },
+    {
+        verbs: ['bass', 'treble', 'dialogue', 'subwoofer'],
+        usage: '{n}|up|down',
+        description: 'Set a sound level',
+        example: 'livingroom dialogue up',
+        args: [1, 1],
+        validate: args => args[0] === 'up' || args[0] === 'down' || /^[+-]?\d+(\.\d+)?$/.test(args[0])
+            ? null : `Invalid level: ${args[0]} (expected a number, up or down)`,
+        zone: (target, args, verb) => handleDeviceSoundLevel(target.id, verb, args[0])
+    },
+    {
+        verbs: ['puredirect', 'enhancer', 'extrabass'],
+        usage: '[on|off]',
+        description: 'Switch a sound setting, or toggle it',
+        example: 'livingroom puredirect',
+        args: [0, 1],
+        validate: args => args.length === 0 || args[0] === 'on' || args[0] === 'off' ? null : `Expected on or off, not ${args[0]}`,
+        zone: (target, args, verb) => handleDeviceSoundSwitch(target.id, verb, args[0])
+    },
+    {
+        verbs: ['join'],
+        usage: '{device-id}',
+        description: 'Play another zone\'s audio via MusicCast Link',
+        example: 'kitchen join livingroom',
+        args: [1, 1],
+        validate: args => findZoneId(args[0])
+            ? null : `Unknown device: ${args[0]}${formatSuggestion(args[0], getAllZones().map(s => s.id))}`,
+        zone: (target, args) => handleDeviceJoin(target.id, findZoneId(args[0]))
+    },
+    {
+        verbs: ['leave'],
+        description: 'Leave the MusicCast Link group',
+        example: 'kitchen leave',
+        zone: target => handleDeviceLeave(target.id)
+    },
+    {
+        verbs: ['play', 'pause', 'toggle', 'stop', 'next', 'previous'],
+        description: 'Control playback on the zone the playback device drives',
+        example: 'playback previous',
+        playback: (target, args, verb) => runPlaybackAction(target.speaker, verb)
+    },
+    {
+        verbs: ['press'],
+        description: 'Run the playback device\'s press action',
+        example: 'playback press',
+        playback: target => runPlaybackAction(target.speaker, getPlaybackGestures(target.speaker).press)
+    },
+    {
+        verbs: ['party'],
+        usage: '[off]',
+        description: 'Link every device to the zone that is streaming, or end all groups',
+        example: 'all party',
+        args: [0, 1],
+        validate: args => args.length === 0 || args[0] === 'off' ? null : `Expected "all party" or "all party off"`,
+        all: args => args[0] === 'off' ? stopPartyMode() : startPartyMode()
+    },
+    {
+        verbs: ['macro'],
+        usage: '{name}',
+        description: 'Run a macro from the configuration',
+        example: 'macro movie-night',
+        args: [1, 1],
+        validate: args => findMacroName(args[0])
+            ? null : `Unknown macro: ${args[0]}${formatSuggestion(args[0], Object.keys(YAMAHA_CONFIG.macros))}`,
+        global: args => runMacro(findMacroName(args[0]) || args[0])
+    },
+    {
+        verbs: ['config'],
+        usage: 'list | set {id} ip {addr} | add {id} {ip} {zone} {name} | remove {id} | rediscover',
+        description: 'Show or change speakers (stored in the hub datastore)',
+        example: 'config set livingroom ip 192.168.1.50',
+        args: [1, Infinity],
+        keepCase: true,
+        global: (args, verb, rawArgs) => handleConfigCommand(rawArgs)
+    },
+    {
+        verbs: ['help'],
+        description: 'Log this list of action messages',
+        example: 'help',
+        global: () => logCommandHelp()
+    }
+];
+
+// Placeholders for the targets a command takes, for the help text
+const COMMAND_TARGET_LABELS = {
+    zone: '{device-id}',
+    group: '{group-id}',
+    playback: '{playback-id}',
+    all: 'all'
+};
+
+/**
+ * Find the command for a verb
+ * @param {string} verb - First word after the targets
+ * @returns {Object|null} - Command definition
+ */
+function findCommand(verb) {
+    return COMMANDS.find(command => command.verbs.includes(verb)) || null;
+}
+
+/**
+ * Get every zone "all" stands for (no playback devices or Twist modes)
+ * @returns {Object[]} - Speaker configurations
+ */
+function getAllZones() {
+    return YAMAHA_CONFIG.speakers.filter(speaker => !isPlaybackDevice(speaker) && !speaker.mode);
+}
+
+/**
+ * Find the configured id of a zone that can share its audio (no playback device), regardless of case
+ * @param {string} id - Id as written
+ * @returns {string|null} - Configured id
+ */
+function findZoneId(id) {
+    return findConfiguredName(id, YAMAHA_CONFIG.speakers.filter(s => !isPlaybackDevice(s)).map(s => s.id));
+}
+
+/**
+ * Find the configured name of a macro, regardless of case
+ * @param {string} name - Name as written
+ * @returns {string|null} - Configured name
+ */
+function findMacroName(name) {
+    return findConfiguredName(name, Object.keys(YAMAHA_CONFIG.macros));
+}
+
+/**
+ * Parse a numeric command argument: "35" is a level, "+5" and "-5" are relative
+ * @param {string} value - Argument
+ * @returns {Object|null} - { value, relative }, or null if it is not a whole number
+ */
+function parseCommandNumber(value) {
+    if (!/^[+-]?\d+$/.test(value)) {
+        return null;
+    }
+    return { value: Number(value), relative: value[0] === '+' || value[0] === '-' };
+}
+
+/**
+ * Count the single-character edits between two words (Levenshtein distance)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Edit distance
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Suggest the closest known word for a typo
+ * @param {string} word - Unknown word
+ * @param {string[]} candidates - Known words
+ * @returns {string} - ' (did you mean "x"?)', or '' if nothing is close
+ */
+function formatSuggestion(word, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = getEditDistance(word, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    
+    // Allow one edit for short words, two for longer ones
+    const allowed = word.length <= 4 ? 1 : 2;
+    return best !== null && bestDistance <= allowed ? ` (did you mean "${best}"?)` : '';
+}
+
+/**
+ * Resolve the target part of an action message
+ * Ids are matched regardless of case; targets carry the configured id
+ * @param {string} spec - Device id, group id, "all", or a comma-separated list of them
+ * @returns {Object} - { targets: [{ kind, id, speaker? }] } or { error }
+ */
+function resolveCommandTargets(spec) {
+    const targets = [];
+    const add = target => {
+        if (!targets.some(existing => existing.id === target.id)) {
+            targets.push(target);
+        }
+    };
+    
+    for (const id of spec.split(',').filter(part => part)) {
+        const speakerId = findConfiguredName(id, YAMAHA_CONFIG.speakers.map(s => s.id));
+        const speaker = speakerId && YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+        const groupId = findConfiguredName(id, Object.keys(YAMAHA_CONFIG.groups));
+        if (id.toLowerCase() === 'all') {
+            getAllZones().forEach(zone => add({ kind: 'zone', id: zone.id, speaker: zone }));
+        } else if (speaker) {
+            add({ kind: isPlaybackDevice(speaker) ? 'playback' : 'zone', id: speaker.id, speaker: speaker });
+        } else if (groupId) {
+            add({ kind: 'group', id: groupId });
+        } else {
+            const known = ['all', ...YAMAHA_CONFIG.speakers.map(s => s.id), ...Object.keys(YAMAHA_CONFIG.groups)];
+            return { error: `Unknown device: ${id}${formatSuggestion(id, known)}` };
+        }
+    }
+    
+    if (targets.length === 0) {
+        return { error: `No devices in "${spec}"` };
+    }
+    return { targets };
+}
+
+/**
+ * Check the arguments of a command
+ * @param {Object} command - Command definition
+ * @param {string} verb - Verb as written
+ * @param {string[]} args - Arguments
+ * @param {string[]} kinds - Kinds of the targets (none for global commands)
+ * @returns {string|null} - Error message, or null if the arguments are fine
+ */
+function validateCommandArgs(command, verb, args, kinds) {
+    const [min, max] = command.args || [0, 0];
+    if (args.length < min || args.length > max) {
+        return `Usage: "${formatCommandUsage(command, verb)}"`;
+    }
+    if (!command.validate) {
+        return null;
+    }
+    for (const kind of kinds.length > 0 ? kinds : [null]) {
+        const error = command.validate(args, kind);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an action message into a command
+ * Grammar: "{targets} {verb} [args...]", where targets is a device id, a group id, "all" or a
+ * comma-separated list of them ("livingroom,kitchen off"); "macro", "config" and "help" take no targets.
+ * Verbs and keyword arguments are lowercased; device ids, group ids and macro names are looked up
+ * regardless of case and handed on in their configured spelling
+ * @param {string} message - Action message, e.g. "livingroom volume +5"
+ * @returns {Object} - { command, verb, targets, args, rawArgs }, or { error } if the message is not valid
+ */
+function parseCommand(message) {
+    const words = message.trim().split(/\s+/).filter(word => word);
+    if (words.length === 0) {
+        return { error: 'Empty action message' };
+    }
+    const lowered = words.map(word => word.toLowerCase());
+    
+    // Commands without targets: "macro {name}", "config ...", "help"
+    const globalCommand = findCommand(lowered[0]);
+    if (globalCommand && globalCommand.global && !findConfiguredName(words[0], YAMAHA_CONFIG.speakers.map(s => s.id))) {
+        const args = lowered.slice(1);
+        const error = validateCommandArgs(globalCommand, lowered[0], args, []);
+        return error ? { error } : { command: globalCommand, verb: lowered[0], targets: [], args, rawArgs: words.slice(1) };
+    }
+    
+    if (words.length < 2) {
+        return { error: `Invalid action message format. Expected: "{device-id} {command} [arguments]"${formatSuggestion(lowered[0], COMMANDS.filter(c => c.global).map(c => c.verbs[0]))}` };
+    }
+    
+    const resolved = resolveCommandTargets(words[0]);
+    if (resolved.error) {
+        return { error: resolved.error };
+    }
+    
+    const verb = lowered[1];
+    const command = findCommand(verb);
+    if (!command) {
+        const verbs = COMMANDS
+            .filter(c => resolved.targets.some(target => c[target.kind]))
+            .reduce((all, c) => all.concat(c.verbs), []);
+        return { error: `Unknown command: ${verb}${formatSuggestion(verb, verbs)}` };
+    }
+    
+    // "all" on its own addresses the whole system for commands such as "all party"
+    let targets = resolved.targets;
+    if (command.all) {
+        if (lowered[0] !== 'all') {
+            return { error: `"${verb}" only works as "all ${verb}"` };
+        }
+        targets = [{ kind: 'all', id: 'all' }];
+    }
+    
+    const unsupported = targets.find(target => !command[target.kind]);
+    if (unsupported) {
+        const kinds = Object.keys(COMMAND_TARGET_LABELS).filter(kind => command[kind]);
+        return { error: `"${verb}" does not work on ${unsupported.id} (it takes ${kinds.map(kind => COMMAND_TARGET_LABELS[kind]).join(' or ') || 'no device'})` };
+    }
+    
+    const args = lowered.slice(2);
+    const kinds = [...new Set(targets.map(target => target.kind))];
+    const error = validateCommandArgs(command, verb, args, kinds);
+    if (error) {
+        return { error };
+    }
+    return { command, verb, targets, args, rawArgs: words.slice(2) };
+}
+
+/**
+ * Combine handler results into the result of a command
+ * Handlers report a command that did not run (see handlers.js); a failure outweighs a block,
+ * and a block outweighs an invalid argument
+ * @param {Array} results - Handler results, one per target
+ * @returns {Object} - Result as returned by dispatchCommand
+ */
+function getCommandResult(results) {
+    const outcomes = results.filter(result => result && typeof result === 'object');
+    const failed = outcomes.find(result => result.failed);
+    if (failed) {
+        return { ok: false, failed: failed.failed };
+    }
+    const blocked = outcomes.find(result => result.blocked);
+    if (blocked) {
+        return { ok: false, blocked: blocked.blocked };
+    }
+    const invalid = outcomes.find(result => result.error);
+    if (invalid) {
+        return { ok: false, invalid: invalid.error };
+    }
+    return { ok: true };
+}
+
+/**
+ * Run a command in action-message form
+ * Action messages, button bindings, schedules and the HTTP API all come through here, so they
+ * share the same validation, cooldowns and volume limits. Several targets run in parallel
+ * @param {string} message - Command, e.g. "livingroom volume up"
+ * @returns {Promise<Object>} - { ok: true } once the command has run, { ok: false, error } if it was not
+ *                              understood, { ok: false, invalid } if a handler refused an argument,
+ *                              { ok: false, blocked } if a cooldown, volume limit or missing feature kept
+ *                              it from running, or { ok: false, failed } if a receiver request failed
+ *                              (the last three already logged)
+ */
+async function dispatchCommand(message) {
+    const parsed = parseCommand(message);
+    if (parsed.error) {
+        return { ok: false, error: parsed.error };
+    }
+    
+    const { command, verb, targets } = parsed;
+    const args = command.keepCase ? parsed.rawArgs : parsed.args;
+    if (command.global) {
+        const result = await Promise.resolve(command.global(args, verb, parsed.rawArgs)).catch(error => {
+            console.error(`❌ ${verb} failed:`, error);
+            return { failed: error };
+        });
+        return getCommandResult([result]);
+    }
+    
+    const results = await Promise.all(targets.map(target => {
+        if (target.kind === 'all') {
+            return command.all(args, verb);
+        }
+        
+        // A new volume, mute or power command takes over from a running fade
+        if (command.cancelsFade && target.kind === 'zone') {
+            cancelFade(target.id);
+        }
+        return Promise.resolve(command[target.kind](target, args, verb)).catch(error => {
+            console.error(`❌ ${target.id} ${verb} failed:`, error);
+            return { failed: error };
+        });
+    }));
+    return getCommandResult(results);
+}
+
+/**
+ * Format the usage of a command for the help text and usage errors
+ * @param {Object} command - Command definition
+ * @param {string} verb - Verb to show (defaults to all verbs of the command)
+ * @returns {string} - e.g. "{device-id|group-id} volume up|down|{n}|+{n}|-{n}"
+ */
+function formatCommandUsage(command, verb) {
+    const kinds = Object.keys(COMMAND_TARGET_LABELS).filter(kind => command[kind]);
+    const target = kinds.length > 1
+        ? `{${kinds.map(kind => COMMAND_TARGET_LABELS[kind].replace(/[{}]/g, '')).join('|')}}`
+        : kinds.map(kind => COMMAND_TARGET_LABELS[kind]).join('');
+    return [target, verb || command.verbs.join('|'), command.usage].filter(part => part).join(' ');
+}
+
+/**
+ * Build the help text from the command registry
+ * @returns {string[]} - One line per command
+ */
+function getCommandHelp() {
+    return COMMANDS.map(command =>
+        `- "${formatCommandUsage(command)}" - ${command.description} (e.g., "${command.example}")`);
+}
+
+/**
+ * Log the action messages the dispatcher understands
+ */
+function logCommandHelp() {
+    console.log('Action messages (targets can be combined: "livingroom,kitchen off"; "all off" runs on every zone):');
+    getCommandHelp().forEach(line => console.log(line));
+}
+
+module.exports = { getAllZones, findCommand, dispatchCommand, logCommandHelp };
@@ -0,0 +1,237 @@
+// Volume fades: ramps, power-on volume and soft mute
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { createCancelToken, delay } = require('../yxc/client');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const { getVolumeRange, clampNativeVolume } = require('./volume-mapping');
+const { onZonePowerOn, applyZoneStatus, waitForZoneState } = require('./device-state');
+const { setYamahaVolume, setYamahaMute } = require('./zone-commands');
+
+// Cancel token of the fade running on each speaker id
+const activeFades = {};
+
+/**
+ * Stop the fade running on a speaker, if any; the volume stays where the fade was
+ * @param {string} speakerId - Speaker identifier
+ * @returns {boolean} - True if a fade was cancelled
+ */
+function cancelFade(speakerId) {
+    const token = activeFades[speakerId];
+    if (!token) {
+        return false;
+    }
+    token.cancel();
+    delete activeFades[speakerId];
+    console.log(`⏹️ Fade on ${speakerId} cancelled`);
+    return true;
+}
+
+/**
+ * Get the last known native volume of a zone, reading the status if it is not known yet
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<number>} - Native volume
+ */
+async function getKnownVolume(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    if (state.volume !== undefined) {
+        return state.volume;
+    }
+    const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+    applyZoneStatus(speaker.ip, speaker.zone, statusData);
+    return statusData.volume;
+}
+
+/**
+ * Ramp a speaker's volume to a target over a number of seconds
+ * A running fade on the same speaker is replaced; volume writes are only sent when the native step changes
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} target - Target volume in the zone's native volume steps
+ * @param {number} seconds - Duration of the fade
+ * @param {Function} onStarted - Called once the first step has been sent (optional)
+ * @returns {Promise<boolean>} - True if the fade reached the target, false if it was cancelled
+ */
+async function fadeYamahaVolume(speakerId, target, seconds, onStarted = () => {}) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'volume')) {
+        throw new Error(`${speaker.name} does not support volume control`);
+    }
+    
+    cancelFade(speakerId);
+    const token = createCancelToken();
+    activeFades[speakerId] = token;
+    
+    try {
+        const start = await getKnownVolume(speaker);
+        const targetVolume = clampNativeVolume(speaker, target);
+        const stepMs = YAMAHA_CONFIG.fades.stepMs;
+        const steps = Math.max(1, Math.round(seconds * 1000 / stepMs));
+        let lastVolume = start;
+        
+        for (let step = 1; step <= steps; step++) {
+            if (token.cancelled) {
+                return false;
+            }
+            const volume = clampNativeVolume(speaker, start + (targetVolume - start) * step / steps);
+            if (volume !== lastVolume) {
+                await setYamahaVolume(speakerId, volume);
+                lastVolume = volume;
+            }
+            if (step === 1) {
+                onStarted();
+            }
+            if (step < steps) {
+                await delay(stepMs);
+            }
+        }
+        return !token.cancelled;
+    } finally {
+        if (activeFades[speakerId] === token) {
+            delete activeFades[speakerId];
+        }
+    }
+}
+
+/**
+ * Bring a zone that was just switched on to its configured power-on volume
+ * (speaker.powerOn: { volume, maxVolume, fadeSeconds })
+ * @param {Object} speaker - Speaker configuration
+ */
+async function applyPowerOnVolume(speaker) {
+    const powerOn = speaker.powerOn;
+    if (!powerOn) {
+        return;
+    }
+    
+    try {
+        // setVolume is refused while the zone is still starting up
+        await waitForZoneState(speaker, { power: 'on' }, YAMAHA_CONFIG.macroStepTimeoutMs);
+        
+        const current = await getKnownVolume(speaker);
+        let target = powerOn.volume !== undefined ? powerOn.volume : current;
+        if (powerOn.maxVolume !== undefined) {
+            target = Math.min(target, powerOn.maxVolume);
+        }
+        if (target === current) {
+            return;
+        }
+        
+        console.log(`🔆 ${speaker.name} switched on at volume ${current}, ${powerOn.fadeSeconds ? 'fading' : 'setting'} to ${target}`);
+        if (powerOn.fadeSeconds) {
+            await setYamahaVolume(speaker.id, getVolumeRange(speaker).min);
+            await fadeYamahaVolume(speaker.id, target, powerOn.fadeSeconds);
+        } else {
+            cancelFade(speaker.id);
+            await setYamahaVolume(speaker.id, target);
+        }
+    } catch (error) {
+        console.error(`❌ Error applying the power-on volume of ${speaker.name}:`, error);
+    }
+}
+
+// Zones switched on from standby go to their configured power-on volume
+onZonePowerOn(applyPowerOnVolume);
+
+/**
+ * Check whether a speaker ramps its volume around mute changes
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - speaker.softMute, or fades.softMute if the speaker does not set it
+ */
+function usesSoftMute(speaker) {
+    return speaker.softMute !== undefined ? speaker.softMute === true : YAMAHA_CONFIG.fades.softMute;
+}
+
+/**
+ * Mute or unmute a zone, ramping the volume down before muting and back up after unmuting if soft mute is on
+ * The volume is restored while the zone is muted, so unmuting with the remote returns to the same level
+ * @param {Object} speaker - Speaker configuration
+ * @param {boolean} muted - True to mute, false to unmute
+ * @returns {Promise<boolean>} - False if a soft mute ramp was cancelled before the mute changed
+ */
+async function setZoneMute(speaker, muted) {
+    cancelFade(speaker.id);
+    if (!usesSoftMute(speaker) || !checkSupported(speaker, 'volume')) {
+        await setYamahaMute(speaker.id, muted);
+        applyZoneStatus(speaker.ip, speaker.zone, { mute: muted });
+        return true;
+    }
+    
+    const seconds = YAMAHA_CONFIG.fades.softMuteSeconds;
+    const minVolume = getVolumeRange(speaker).min;
+    const volume = await getKnownVolume(speaker);
+    
+    if (muted) {
+        if (!await fadeYamahaVolume(speaker.id, minVolume, seconds)) {
+            return false;
+        }
+        await setYamahaMute(speaker.id, true);
+        applyZoneStatus(speaker.ip, speaker.zone, { mute: true });
+        await setYamahaVolume(speaker.id, volume);
+        return true;
+    }
+    
+    await setYamahaVolume(speaker.id, minVolume);
+    await setYamahaMute(speaker.id, false);
+    applyZoneStatus(speaker.ip, speaker.zone, { mute: false });
+    await fadeYamahaVolume(speaker.id, volume, seconds);
+    return true;
+}
+
+/**
+ * Parse the arguments of "fade {level} {seconds}"
+ * @param {string} levelValue - Native volume level (a whole number)
+ * @param {string} secondsValue - Duration in seconds (0 sets the level at once)
+ * @returns {Object|null} - { level, seconds }, or null if either is invalid
+ */
+function parseFadeArgs(levelValue, secondsValue) {
+    const seconds = Number(secondsValue);
+    if (!/^\d+$/.test(levelValue) || secondsValue === '' || !Number.isFinite(seconds) || seconds < 0) {
+        return null;
+    }
+    return { level: Number(levelValue), seconds: seconds };
+}
+
+/**
+ * Handle "{device-id} fade {level} {seconds}"
+ * Resolves once the first step has been sent, so callers (the HTTP API) do not wait for a fade that
+ * can run for minutes; a failure after that is only logged
+ * @param {string} deviceId - Device identifier
+ * @param {string} levelValue - Target volume in native volume steps
+ * @param {string} secondsValue - Duration in seconds
+ */
+async function handleDeviceFade(deviceId, levelValue, secondsValue) {
+    const fade = parseFadeArgs(levelValue, secondsValue);
+    if (!fade) {
+        const message = `Invalid fade for device ${deviceId}: expected "fade {level} {seconds}"`;
+        console.log(message);
+        return { error: message };
+    }
+    const target = fade.level;
+    const seconds = fade.seconds;
+    
+    console.log(`🎚️ Fading ${deviceId} to ${target} over ${seconds}s`);
+    return new Promise(resolve => {
+        let started = false;
+        fadeYamahaVolume(deviceId, target, seconds, () => {
+            started = true;
+            resolve();
+        }).then(finished => {
+            if (finished) {
+                console.log(`✅ ${deviceId} faded to ${target}`);
+            }
+            resolve();
+        }, error => {
+            console.error(`❌ Error fading ${deviceId}:`, error);
+            if (!started) {
+                resolve({ failed: error });
+            }
+        });
+    });
+}
+
+module.exports = { cancelFade, fadeYamahaVolume, setZoneMute, parseFadeArgs, handleDeviceFade };
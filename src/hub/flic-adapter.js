@@ -0,0 +1,80 @@
+// Flic app module integration: action messages, virtual device updates and button bindings
+
+const flicApp = require('flicapp');
+const buttons = require('buttons');
+const { YAMAHA_CONFIG } = require('../config');
+const { isPlaybackDevice } = require('./device-registry');
+const { handlePlaybackDeviceUpdate } = require('./playback');
+const { handleInputDeviceUpdate, handleYamahaSpeakerUpdate } = require('./handlers');
+const { handleSoundDeviceUpdate } = require('./sound');
+const { handleZoneGroupUpdate } = require('./zone-groups');
+const { dispatchCommand } = require('./dispatcher');
+
+/**
+ * Handle an action message from the Flic app (or a button binding)
+ * @param {string} message - Action message, e.g. "livingroom volume up"
+ */
+function handleActionMessage(message) {
+    console.log('Received action message:', message);
+    
+    dispatchCommand(message).then(result => {
+        // Invalid, blocked and failed commands were logged where they happened
+        if (!result.ok && result.error) {
+            console.log(result.error);
+        }
+    }).catch(error => {
+        console.error(`❌ Error handling action message "${message}":`, error);
+    });
+}
+
+// Handle action messages from Flic app
+flicApp.on('actionMessage', handleActionMessage);
+
+// Handle virtual device updates from Flic Twist controllers
+flicApp.on('virtualDeviceUpdate', (metaData, values) => {
+    if (metaData.dimmableType === 'Speaker') {
+        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === metaData.virtualDeviceId);
+        if (!speaker && YAMAHA_CONFIG.groups[metaData.virtualDeviceId]) {
+            handleZoneGroupUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && isPlaybackDevice(speaker)) {
+            handlePlaybackDeviceUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && speaker.mode === 'input') {
+            handleInputDeviceUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && speaker.mode) {
+            handleSoundDeviceUpdate(metaData.virtualDeviceId, values);
+        } else {
+            handleYamahaSpeakerUpdate(metaData.virtualDeviceId, values);
+        }
+    }
+});
+
+/**
+ * Send the action messages bound to Flic buttons in YAMAHA_CONFIG.buttonBindings
+ */
+function startButtonBindings() {
+    if (Object.keys(YAMAHA_CONFIG.buttonBindings).length === 0) {
+        return;
+    }
+    
+    buttons.on('buttonSingleOrDoubleClickOrHold', (event) => {
+        const binding = YAMAHA_CONFIG.buttonBindings[event.bdaddr];
+        if (!binding) {
+            return;
+        }
+        
+        let message;
+        if (event.isSingleClick) {
+            message = binding.click;
+        } else if (event.isDoubleClick) {
+            message = binding.doubleClick;
+        } else if (event.isHold) {
+            message = binding.hold;
+        }
+        
+        if (message) {
+            handleActionMessage(message);
+        }
+    });
+}
+
+module.exports = { handleActionMessage, startButtonBindings };
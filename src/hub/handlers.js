@@ -0,0 +1,582 @@
+// Zone commands from action messages and the Twists of speakers and input selectors
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { getZoneInputs, checkSupported } = require('./device-registry');
+const { logVolumeLimit } = require('./volume-limits');
+const { clampNativeVolume, volumeToNative, nativeToVolume, getVolumeStepSize } = require('./volume-mapping');
+const { controlsGroupVolume } = require('./link-group-state');
+const { getInputPosition, applyZoneStatus } = require('./device-state');
+const {
+    setYamahaVolume,
+    setYamahaInput,
+    recallYamahaScene,
+    SLEEP_MINUTES,
+    setYamahaSleep,
+    getNetusbPresets,
+    recallNetusbPreset,
+    getTunerPresets,
+    recallTunerPreset
+} = require('./zone-commands');
+const { cancelFade, setZoneMute } = require('./fades');
+const { cooldownPolicy, getCooldownBlock, passesCooldown, restoreTwistPosition } = require('./cooldowns');
+const { joinLinkGroup, leaveLinkGroup, setGroupVolume } = require('./link-groups');
+
+/**
+ * Check that a zone command may run: the zone supports the function and no cooldown blocks it
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} func - YXC function (volume, power, mute, ...)
+ * @param {string} commandClass - Cooldown class (volume, power), or undefined for none
+ * @param {string} description - Command for the cooldown log, e.g. "Volume up"
+ * @returns {Object|null} - null if it may run, otherwise the handler result { blocked: reason }
+ */
+function checkZoneCommand(speaker, func, commandClass, description) {
+    if (!checkSupported(speaker, func)) {
+        return { blocked: `${speaker.name} does not support ${func}` };
+    }
+    const blocked = commandClass ? getCooldownBlock(speaker, commandClass, description) : null;
+    return blocked ? { blocked: blocked } : null;
+}
+
+// Zone command handlers resolve to nothing once the command has run, to { blocked: reason } if a
+// cooldown, volume limit or missing feature kept it from running, to { failed: error } if the
+// receiver request failed, or to { error: message } if an argument is invalid (see dispatchCommand)
+
+/**
+ * Handle volume up for specific device
+ */
+async function handleDeviceVolumeUp(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume up');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current volume
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const currentVolume = statusData.volume;
+        const newVolume = clampNativeVolume(speaker, currentVolume + getVolumeStepSize(speaker));
+        const held = logVolumeLimit(speaker, currentVolume + getVolumeStepSize(speaker), newVolume);
+        if (held && newVolume === currentVolume) {
+            return { blocked: held };
+        }
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+    } catch (error) {
+        console.error(`❌ Error increasing volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle volume down for specific device
+ */
+async function handleDeviceVolumeDown(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume down');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current volume
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const currentVolume = statusData.volume;
+        const newVolume = clampNativeVolume(speaker, currentVolume - getVolumeStepSize(speaker));
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+    } catch (error) {
+        console.error(`❌ Error decreasing volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle a volume level or relative volume change for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {Object} level - { value, relative } in native steps (see parseCommandNumber); clamped to the zone's range and limits
+ */
+async function handleDeviceVolumeSet(deviceId, level) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume change');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        let requested = level.value;
+        let currentVolume = (speakerStates[speaker.id] || {}).volume;
+        if (level.relative) {
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            currentVolume = statusData.volume;
+            requested += currentVolume;
+        }
+        const newVolume = clampNativeVolume(speaker, requested);
+        const held = logVolumeLimit(speaker, requested, newVolume);
+        if (held && newVolume === currentVolume) {
+            return { blocked: held };
+        }
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+        console.log(`✅ ${speaker.name} volume set to ${newVolume}`);
+    } catch (error) {
+        console.error(`❌ Error setting volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle mute toggle for specific device
+ */
+async function handleDeviceMuteToggle(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'mute');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current mute status
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const isCurrentlyMuted = statusData.mute;
+        
+        // Toggle mute status (ramped if soft mute is on)
+        const newMuteState = !isCurrentlyMuted;
+        if (!await setZoneMute(speaker, newMuteState)) {
+            return;
+        }
+        
+        console.log(`✅ ${speaker.name} ${newMuteState ? 'muted' : 'unmuted'}`);
+    } catch (error) {
+        console.error(`❌ Error toggling mute for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power toggle for specific device
+ */
+async function handleDevicePowerToggle(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current power status
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const isCurrentlyOn = statusData.power === 'on';
+        
+        // Toggle power status
+        const newPowerState = isCurrentlyOn ? 'standby' : 'on';
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: newPowerState
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: newPowerState });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned ${newPowerState === 'on' ? 'on' : 'off'}`);
+    } catch (error) {
+        console.error(`❌ Error toggling power for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power on for specific device
+ */
+async function handleDevicePowerOn(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: 'on'
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: 'on' });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned on`);
+    } catch (error) {
+        console.error(`❌ Error turning on ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power off for specific device
+ */
+async function handleDevicePowerOff(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: 'standby'
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: 'standby' });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned off`);
+    } catch (error) {
+        console.error(`❌ Error turning off ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle input selection for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} input - Input id, or 'next' / 'previous' to cycle through the zone's inputs
+ */
+async function handleDeviceInput(deviceId, input) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        let targetInput = input;
+        if (input === 'next' || input === 'previous') {
+            const inputs = getZoneInputs(speaker);
+            if (inputs.length === 0) {
+                const message = `${speaker.name}: input list unknown, cannot cycle inputs`;
+                console.log(`🚫 ${message}`);
+                return { blocked: message };
+            }
+            
+            // Get current input
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            const currentIndex = inputs.indexOf(statusData.input);
+            const offset = input === 'next' ? 1 : -1;
+            const newIndex = currentIndex === -1 ? 0 : (currentIndex + offset + inputs.length) % inputs.length;
+            targetInput = inputs[newIndex];
+        }
+        
+        await setYamahaInput(deviceId, targetInput);
+        console.log(`✅ ${speaker.name} switched to ${targetInput}`);
+    } catch (error) {
+        console.error(`❌ Error switching input for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle sleep timer for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Minutes (30, 60, 90, 120) or off
+ */
+async function handleDeviceSleep(deviceId, value) {
+    const minutes = value === 'off' ? 0 : Number(value);
+    if (!SLEEP_MINUTES.includes(minutes)) {
+        const message = `Invalid sleep time for device ${deviceId}: ${value} (expected 30, 60, 90, 120 or off)`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await setYamahaSleep(deviceId, minutes);
+        console.log(`💤 ${deviceId} sleep timer ${minutes === 0 ? 'off' : `set to ${minutes} minutes`}`);
+    } catch (error) {
+        console.error(`❌ Error setting sleep timer on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Parse a 1-based number argument (scene, preset)
+ * @param {string} value - Argument from the action message
+ * @returns {number|null} - Number, or null if it is not a positive integer
+ */
+function parsePositiveInteger(value) {
+    const num = Number(value);
+    return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+/**
+ * Handle scene recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Scene number argument
+ */
+async function handleDeviceScene(deviceId, value) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid scene number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallYamahaScene(deviceId, num);
+        console.log(`✅ ${deviceId} recalled scene ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling scene ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle net/USB preset recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Preset number argument
+ */
+async function handleDevicePreset(deviceId, value) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid preset number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallNetusbPreset(deviceId, num);
+        console.log(`✅ ${deviceId} recalled preset ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling preset ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Log the net/USB preset list of a device
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDevicePresetList(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        return;
+    }
+    if (!checkSupported(speaker, 'netusb')) {
+        return { blocked: `${speaker.name} does not support netusb` };
+    }
+    
+    try {
+        const presets = await getNetusbPresets(speaker.ip);
+        console.log(`📻 Presets on ${speaker.name}:`);
+        presets.forEach(preset => console.log(`  ${preset.num}. ${preset.name} (${preset.input})`));
+        if (presets.length === 0) {
+            console.log('  (no presets stored)');
+        }
+    } catch (error) {
+        console.error(`❌ Error getting presets for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle tuner preset recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Preset number argument
+ * @param {string} band - Optional band (am, fm, dab)
+ */
+async function handleDeviceTunerPreset(deviceId, value, band) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid tuner preset number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallTunerPreset(deviceId, num, band);
+        console.log(`✅ ${deviceId} recalled tuner preset ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling tuner preset ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Log the tuner preset list of a device
+ * @param {string} deviceId - Device identifier
+ * @param {string} band - Optional band (am, fm, dab)
+ */
+async function handleDeviceTunerPresetList(deviceId, band) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        return;
+    }
+    if (!checkSupported(speaker, 'tuner')) {
+        return { blocked: `${speaker.name} does not support tuner` };
+    }
+    
+    try {
+        const presets = await getTunerPresets(speaker, band);
+        console.log(`📻 Tuner presets on ${speaker.name}:`);
+        presets.forEach(preset => console.log(`  ${preset.num}. ${preset.name}`));
+        if (presets.length === 0) {
+            console.log('  (no presets stored)');
+        }
+    } catch (error) {
+        console.error(`❌ Error getting tuner presets for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} join {server-device-id}": play the server zone's audio on this zone
+ * @param {string} deviceId - Device identifier
+ * @param {string} serverId - Device identifier of the zone to follow
+ */
+async function handleDeviceJoin(deviceId, serverId) {
+    try {
+        await joinLinkGroup(deviceId, serverId);
+    } catch (error) {
+        console.error(`❌ Error linking ${deviceId} to ${serverId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} leave": unlink the zone (ends its group if it is the server)
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDeviceLeave(deviceId) {
+    try {
+        await leaveLinkGroup(deviceId);
+    } catch (error) {
+        console.error(`❌ Error unlinking ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle source selector updates: each detent into another segment selects that input
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+async function handleInputDeviceUpdate(deviceId, values) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || values.volume === undefined) {
+        return;
+    }
+    
+    const inputs = getZoneInputs(speaker);
+    if (inputs.length === 0) {
+        console.log(`🚫 ${speaker.name}: input list unknown, cannot select sources`);
+        return;
+    }
+    
+    const index = Math.min(inputs.length - 1, Math.floor(Math.max(0, values.volume) * inputs.length));
+    const state = speakerStates[speaker.id] || {};
+    if (inputs[index] === state.input) {
+        return;
+    }
+    
+    try {
+        await setYamahaInput(deviceId, inputs[index]);
+    } catch (error) {
+        console.error(`❌ Failed to select source on ${deviceId}:`, error);
+    }
+    
+    // Snap the Twist to the middle of the selected input's segment
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: getInputPosition(speaker, (speakerStates[speaker.id] || {}).input)
+    });
+}
+
+async function handleYamahaSpeakerUpdate(deviceId, values) {
+    if (values.volume !== undefined) {
+        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+        if (!speaker || !checkSupported(speaker, 'volume')) {
+            return;
+        }
+        
+        // A blocked update snaps the Twist back to the zone's real volume
+        if (!passesCooldown(speaker, 'volume', 'Volume change')) {
+            restoreTwistPosition(speaker);
+            return;
+        }
+        cancelFade(speaker.id);
+        
+        // The server zone of a MusicCast Link group sets the volume of the whole group
+        if (controlsGroupVolume(speaker)) {
+            await setGroupVolume(speaker, values.volume);
+            cooldownPolicy.record(speaker, 'volume');
+            return;
+        }
+        const nativeVolume = volumeToNative(speaker, values.volume);
+        if (nativeToVolume(speaker, nativeVolume) < values.volume - 0.01) {
+            logVolumeLimit(speaker, Infinity, nativeVolume);
+        }
+        
+        try {
+            await setYamahaVolume(deviceId, nativeVolume);
+            cooldownPolicy.record(speaker, 'volume');
+        } catch (error) {
+            console.error(`❌ Failed to update Yamaha speaker ${deviceId}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    handleDeviceVolumeUp,
+    handleDeviceVolumeDown,
+    handleDeviceVolumeSet,
+    handleDeviceMuteToggle,
+    handleDevicePowerToggle,
+    handleDevicePowerOn,
+    handleDevicePowerOff,
+    handleDeviceInput,
+    handleDeviceSleep,
+    parsePositiveInteger,
+    handleDeviceScene,
+    handleDevicePreset,
+    handleDevicePresetList,
+    handleDeviceTunerPreset,
+    handleDeviceTunerPresetList,
+    handleDeviceJoin,
+    handleDeviceLeave,
+    handleInputDeviceUpdate,
+    handleYamahaSpeakerUpdate
+};
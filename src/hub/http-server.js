@@ -0,0 +1,559 @@
+// Local HTTP server (status and control API)
+
+const { YAMAHA_CONFIG } = require('../config');
+const { YxcError } = require('../yxc/errors');
+const { isDeviceOnline } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { getVolumeLimit } = require('./volume-limits');
+const { getVolumeRange } = require('./volume-mapping');
+const { getZoneNowPlaying } = require('./now-playing');
+const { getAllZones, dispatchCommand } = require('./dispatcher');
+const { findConfiguredName } = require('./config-loader');
+
+// Routes of the local HTTP server; ":name" path segments are passed to the handler as params
+const HTTP_ROUTES = [
+    { method: 'GET', path: '/status', handler: handleStatusRequest },
+    { method: 'GET', path: '/status/:id', handler: handleZoneStatusRequest },
+    { method: 'GET', path: '/zones', handler: handleZonesRequest },
+    { method: 'GET', path: '/zones/:id', handler: handleZoneRequest },
+    { method: 'POST', path: '/zones/:id/volume', handler: handleZoneVolumeRequest },
+    { method: 'POST', path: '/zones/:id/power', handler: handleZonePowerRequest },
+    { method: 'POST', path: '/zones/:id/mute', handler: handleZoneMuteRequest },
+    { method: 'POST', path: '/macros/:name', handler: handleMacroRequest },
+    { method: 'POST', path: '/commands', handler: handleCommandRequest }
+];
+
+// Power values accepted by POST /zones/{id}/power, as action-message commands
+const HTTP_POWER_COMMANDS = {
+    on: 'on',
+    off: 'off',
+    standby: 'off',
+    toggle: 'power'
+};
+
+const HTTP_STATUS_TEXTS = {
+    200: 'OK',
+    202: 'Accepted',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    405: 'Method Not Allowed',
+    409: 'Conflict',
+    413: 'Payload Too Large',
+    415: 'Unsupported Media Type',
+    500: 'Internal Server Error',
+    502: 'Bad Gateway'
+};
+
+// Action-message verbs the HTTP API does not run: they change the stored configuration
+const HTTP_REFUSED_VERBS = ['config'];
+
+// Largest request the server reads (headers and body)
+const HTTP_MAX_REQUEST_BYTES = 16 * 1024;
+
+/**
+ * GET /status: now-playing view of every zone
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleStatusRequest() {
+    return {
+        status: 200,
+        body: {
+            zones: getAllZones().map(speaker =>
+                Object.assign(getZoneNowPlaying(speaker), { online: isDeviceOnline(speaker.ip) }))
+        }
+    };
+}
+
+/**
+ * GET /status/{id}: now-playing view of one zone
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZoneStatusRequest(request, params) {
+    const speaker = getAllZones().find(s => s.id.toLowerCase() === params.id.toLowerCase());
+    if (!speaker) {
+        return { status: 404, body: { error: `Unknown zone: ${params.id}` } };
+    }
+    return { status: 200, body: Object.assign(getZoneNowPlaying(speaker), { online: isDeviceOnline(speaker.ip) }) };
+}
+
+/**
+ * Get the control view of a zone: power, volume, mute and input
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { id, name, zone, power, volume, mute, input, online, range, limit }
+ */
+function getZoneSummary(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    const range = getVolumeRange(speaker);
+    const limit = getVolumeLimit(speaker);
+    return {
+        id: speaker.id,
+        name: speaker.name,
+        zone: speaker.zone,
+        power: state.power || null,
+        volume: state.volume !== undefined ? state.volume : null,
+        mute: state.mute !== undefined ? state.mute : null,
+        input: state.input || null,
+        online: isDeviceOnline(speaker.ip),
+        range: { min: range.min, max: range.max },
+        limit: limit ? limit.volume : null
+    };
+}
+
+/**
+ * Parse the JSON body of a request
+ * @param {Object} request - Parsed request
+ * @returns {Object|null} - Body ({} if empty), or null if it is not a JSON object
+ */
+function parseJsonBody(request) {
+    if (request.body.trim().length === 0) {
+        return {};
+    }
+    try {
+        const body = JSON.parse(request.body);
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run a command through the action-message dispatcher for an HTTP request
+ * A command a cooldown, volume limit or missing feature kept from running answers 409, one whose
+ * receiver request failed 502
+ * @param {string} message - Command in action-message form
+ * @param {Object} speaker - Zone whose state the response reports (optional)
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function runHttpCommand(message, speaker) {
+    console.log('Received HTTP command:', message);
+    const result = await dispatchCommand(message);
+    if (result.blocked) {
+        return { status: 409, body: { error: result.blocked } };
+    }
+    if (result.failed) {
+        const error = result.failed;
+        return { status: error instanceof YxcError ? 502 : 500, body: { error: error.message } };
+    }
+    if (!result.ok) {
+        return { status: 400, body: { error: result.error || result.invalid } };
+    }
+    return { status: 200, body: speaker ? getZoneSummary(speaker) : { ok: true } };
+}
+
+/**
+ * Find the zone an HTTP request addresses
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object|null} - Speaker configuration
+ */
+function findHttpZone(params) {
+    return getAllZones().find(s => s.id.toLowerCase() === params.id.toLowerCase()) || null;
+}
+
+/**
+ * Answer for a zone id that is not configured
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function unknownZoneResponse(params) {
+    return { status: 404, body: { error: `Unknown zone: ${params.id}` } };
+}
+
+/**
+ * GET /zones: power, volume, mute and input of every zone
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZonesRequest() {
+    return { status: 200, body: { zones: getAllZones().map(getZoneSummary) } };
+}
+
+/**
+ * GET /zones/{id}: power, volume, mute and input of one zone
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZoneRequest(request, params) {
+    const speaker = findHttpZone(params);
+    return speaker ? { status: 200, body: getZoneSummary(speaker) } : unknownZoneResponse(params);
+}
+
+/**
+ * POST /zones/{id}/volume: { "volume": n } sets a native level, { "action": "up" | "down" } steps it
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function handleZoneVolumeRequest(request, params) {
+    const speaker = findHttpZone(params);
+    if (!speaker) {
+        return unknownZoneResponse(params);
+    }
+    
+    const body = parseJsonBody(request);
+    if (body && Number.isInteger(body.volume) && body.volume >= 0) {
+        return runHttpCommand(`${speaker.id} volume ${body.volume}`, speaker);
+    }
+    if (body && (body.action === 'up' || body.action === 'down')) {
+        return runHttpCommand(`${speaker.id} volume ${body.action}`, speaker);
+    }
+    return { status: 400, body: { error: 'Expected { "volume": n } or { "action": "up" | "down" }' } };
+}
+
+/**
+ * POST /zones/{id}/power: { "power": "on" | "off" | "toggle" } (toggle without a body)
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function handleZonePowerRequest(request, params) {
+    const speaker = findHttpZone(params);
+    if (!speaker) {
+        return unknownZoneResponse(params);
+    }
+    
+    const body = parseJsonBody(request);
+    const power = body && body.power !== undefined ? body.power : 'toggle';
+    if (!body || !Object.keys(HTTP_POWER_COMMANDS).includes(power)) {
+        return { status: 400, body: { error: 'Expected { "power": "on" | "off" | "toggle" }' } };
+    }
+    return runHttpCommand(`${speaker.id} ${HTTP_POWER_COMMANDS[power]}`, speaker);
+}
+
+/**
+ * POST /zones/{id}/mute: toggle mute
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function handleZoneMuteRequest(request, params) {
+    const speaker = findHttpZone(params);
+    return speaker ? runHttpCommand(`${speaker.id} mute`, speaker) : unknownZoneResponse(params);
+}
+
+/**
+ * POST /macros/{name}: start a macro (answers before it finishes, macros can run for minutes)
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ name })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleMacroRequest(request, params) {
+    const name = findConfiguredName(params.name, Object.keys(YAMAHA_CONFIG.macros));
+    if (!name) {
+        return { status: 404, body: { error: `Unknown macro: ${params.name}` } };
+    }
+    
+    console.log('Received HTTP command:', `macro ${name}`);
+    dispatchCommand(`macro ${name}`).catch(error => console.error(`❌ Macro "${name}" failed:`, error));
+    return { status: 202, body: { macro: name, started: true } };
+}
+
+/**
+ * POST /commands: run any action message, { "command": "livingroom input hdmi1" }
+ * @param {Object} request - Parsed request
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function handleCommandRequest(request) {
+    const body = parseJsonBody(request);
+    if (!body || typeof body.command !== 'string' || body.command.trim().length === 0) {
+        return { status: 400, body: { error: 'Expected { "command": "{device-id} {action}" }' } };
+    }
+    
+    const verb = body.command.trim().split(/\s+/)[0].toLowerCase();
+    if (HTTP_REFUSED_VERBS.includes(verb)) {
+        return { status: 403, body: { error: `"${verb}" commands are not available over HTTP` } };
+    }
+    return runHttpCommand(body.command);
+}
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @param {string} given - Value from the request
+ * @param {string} expected - Configured value
+ * @returns {boolean} - True if both are the same
+ */
+function constantTimeEquals(given, expected) {
+    if (typeof given !== 'string' || given.length !== expected.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < expected.length; i++) {
+        difference |= given.charCodeAt(i) ^ expected.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Check the shared secret of a request (httpServer.token in an "Authorization: Bearer" header)
+ * @param {Object} request - Parsed request
+ * @returns {boolean} - True if the request carries the configured token
+ */
+function isHttpRequestAuthorized(request) {
+    const token = YAMAHA_CONFIG.httpServer.token;
+    if (!token) {
+        return false;
+    }
+    return constantTimeEquals(request.headers.authorization, `Bearer ${token}`);
+}
+
+/**
+ * Check that a request's body is JSON: a web page can only send other content types without
+ * the browser asking the server first, so this keeps pages from posting commands
+ * @param {Object} request - Parsed request
+ * @returns {boolean} - True for GET requests and application/json bodies
+ */
+function hasJsonContentType(request) {
+    if (request.method === 'GET') {
+        return true;
+    }
+    const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return contentType === 'application/json';
+}
+
+/**
+ * Join the chunks of a body sent with "Transfer-Encoding: chunked"
+ * @param {Buffer} data - Body bytes received so far
+ * @returns {string|null} - Body, or null until the last chunk has arrived
+ */
+function decodeChunkedBody(data) {
+    const chunks = [];
+    let position = 0;
+    
+    while (true) {
+        const lineEnd = data.indexOf('\r\n', position);
+        if (lineEnd === -1) {
+            return null;
+        }
+        const size = parseInt(data.slice(position, lineEnd).toString(), 16);
+        if (isNaN(size)) {
+            return null;
+        }
+        if (size === 0) {
+            // Decode once all chunks are joined: a chunk can end inside a multi-byte character
+            return Buffer.concat(chunks).toString();
+        }
+        
+        const chunkStart = lineEnd + 2;
+        if (data.length < chunkStart + size + 2) {
+            return null;
+        }
+        chunks.push(data.slice(chunkStart, chunkStart + size));
+        position = chunkStart + size + 2;
+    }
+}
+
+/**
+ * Parse an HTTP request once it has fully arrived
+ * @param {Buffer} data - Bytes received so far
+ * @returns {Object|null} - { method, path, query, headers, body, malformed (the query string could not be
+ *                          decoded) }, or null if more data is needed
+ */
+function parseHttpRequest(data) {
+    const headerEnd = data.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+        return null;
+    }
+    
+    const lines = data.slice(0, headerEnd).toString().split('\r\n');
+    const requestLine = lines[0].split(' ');
+    const headers = {};
+    lines.slice(1).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    
+    const bodyData = data.slice(headerEnd + 4);
+    let body;
+    if ((headers['transfer-encoding'] || '').toLowerCase() === 'chunked') {
+        body = decodeChunkedBody(bodyData);
+        if (body === null) {
+            return null;
+        }
+    } else if (bodyData.length < (parseInt(headers['content-length'], 10) || 0)) {
+        return null;
+    } else {
+        body = bodyData.toString();
+    }
+    
+    const target = requestLine[1] || '/';
+    const queryStart = target.indexOf('?');
+    const query = {};
+    let malformed = false;
+    if (queryStart !== -1) {
+        target.slice(queryStart + 1).split('&').filter(pair => pair).forEach(pair => {
+            const [key, value] = pair.split('=');
+            try {
+                query[decodeURIComponent(key)] = decodeURIComponent((value || '').replace(/\+/g, ' '));
+            } catch (error) {
+                // A bad percent-escape (URIError) is answered with 400
+                malformed = true;
+            }
+        });
+    }
+    
+    return {
+        method: (requestLine[0] || '').toUpperCase(),
+        path: queryStart === -1 ? target : target.slice(0, queryStart),
+        query: query,
+        headers: headers,
+        body: body,
+        malformed: malformed
+    };
+}
+
+/**
+ * Find the route for a request path
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {Object} - { route, params }, { methodNotAllowed: true } or null
+ * @throws {URIError} - If a path segment is not validly percent-encoded
+ */
+function matchHttpRoute(method, path) {
+    const segments = path.split('/').filter(segment => segment).map(decodeURIComponent);
+    let pathMatched = false;
+    
+    for (const route of HTTP_ROUTES) {
+        const routeSegments = route.path.split('/').filter(segment => segment);
+        if (routeSegments.length !== segments.length) {
+            continue;
+        }
+        
+        const params = {};
+        const matches = routeSegments.every((routeSegment, index) => {
+            if (routeSegment.startsWith(':')) {
+                params[routeSegment.slice(1)] = segments[index];
+                return true;
+            }
+            return routeSegment === segments[index];
+        });
+        if (!matches) {
+            continue;
+        }
+        if (route.method === method) {
+            return { route: route, params: params };
+        }
+        pathMatched = true;
+    }
+    return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+/**
+ * Answer a parsed request
+ * @param {Object} request - Parsed request
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function handleHttpRequest(request) {
+    if (request.malformed) {
+        return { status: 400, body: { error: 'Malformed query string' } };
+    }
+    if (!isHttpRequestAuthorized(request)) {
+        return { status: 401, body: { error: 'Missing or wrong token' } };
+    }
+    if (!hasJsonContentType(request)) {
+        return { status: 415, body: { error: 'Expected Content-Type: application/json' } };
+    }
+    
+    let match = null;
+    try {
+        match = matchHttpRoute(request.method, request.path);
+    } catch (error) {
+        return { status: 400, body: { error: `Malformed path: ${request.path}` } };
+    }
+    if (!match) {
+        return { status: 404, body: { error: `Not found: ${request.path}` } };
+    }
+    if (match.methodNotAllowed) {
+        return { status: 405, body: { error: `${request.method} is not allowed on ${request.path}` } };
+    }
+    
+    try {
+        return await match.route.handler(request, match.params);
+    } catch (error) {
+        console.error(`❌ HTTP ${request.method} ${request.path} failed:`, error);
+        return { status: 500, body: { error: error.message } };
+    }
+}
+
+/**
+ * Write a JSON response and close the connection
+ * @param {Object} socket - Client socket
+ * @param {Object} response - { status, body }
+ */
+function writeHttpResponse(socket, response) {
+    const content = JSON.stringify(response.body);
+    socket.write(`HTTP/1.1 ${response.status} ${HTTP_STATUS_TEXTS[response.status] || ''}\r\n` +
+        'Content-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(content)}\r\n` +
+        'Connection: close\r\n\r\n' +
+        content);
+    socket.end();
+}
+
+/**
+ * Serve the HTTP routes on YAMAHA_CONFIG.httpServer.port, if the hub provides a TCP server
+ */
+function startHttpServer() {
+    const serverConfig = YAMAHA_CONFIG.httpServer;
+    if (!serverConfig.enabled) {
+        return;
+    }
+    if (!serverConfig.token) {
+        console.log('⚠️ httpServer.token is not set, the HTTP API is not started');
+        return;
+    }
+    
+    let net = null;
+    try {
+        net = require('net');
+    } catch (error) {
+        net = null;
+    }
+    if (!net || typeof net.createServer !== 'function') {
+        console.log('⚠️ This hub has no TCP server module, the HTTP API is not available');
+        return;
+    }
+    
+    const server = net.createServer(socket => {
+        // Kept as bytes until the request is complete, so characters split across packets decode correctly
+        let received = Buffer.alloc(0);
+        let answered = false;
+        
+        socket.on('data', chunk => {
+            if (answered) {
+                return;
+            }
+            received = Buffer.concat([received, Buffer.from(chunk)]);
+            
+            const request = parseHttpRequest(received);
+            if (!request && received.length <= HTTP_MAX_REQUEST_BYTES) {
+                return;
+            }
+            answered = true;
+            if (!request) {
+                writeHttpResponse(socket, { status: 413, body: { error: 'Request too large' } });
+                return;
+            }
+            handleHttpRequest(request)
+                .then(response => writeHttpResponse(socket, response))
+                .catch(error => {
+                    console.error(`❌ HTTP ${request.method} ${request.path} failed:`, error);
+                    writeHttpResponse(socket, { status: 500, body: { error: 'Internal error' } });
+                });
+        });
+        socket.on('error', error => {
+            console.error('❌ HTTP connection error:', error);
+        });
+    });
+    server.on('error', error => {
+        console.error('❌ HTTP server error:', error);
+    });
+    server.listen(serverConfig.port);
+    console.log(`🌐 HTTP API listening on port ${serverConfig.port}`);
+}
+
+module.exports = { startHttpServer };
@@ -0,0 +1,75 @@
+// Startup: loads the configuration and starts every part of the integration in order
+
+const { deviceRegistry } = require('./runtime-state');
+const { getDeviceIps, discoverAllDevices } = require('./device-registry');
+const { initializeVirtualDeviceStates, restoreRuntimeState } = require('./device-state');
+const { startNetworkDiscovery } = require('./discovery');
+const { startQuietHours } = require('./quiet-hours');
+const { refreshPlaybackStatus } = require('./now-playing');
+const { refreshAllLinkGroups } = require('./link-groups');
+const { initializeZoneGroupDevices } = require('./zone-groups');
+const { loadYamahaConfig } = require('./config-loader');
+const { logCommandHelp } = require('./dispatcher');
+const { startButtonBindings } = require('./flic-adapter');
+const { scheduler } = require('./scheduler');
+const { startStateSync } = require('./state-sync');
+const { startHttpServer } = require('./http-server');
+
+// Initialize the integration
+async function initializeYamahaIntegration() {
+    await loadYamahaConfig();
+    
+    // Start virtual devices from the last known volumes while the receivers are queried
+    await restoreRuntimeState();
+    
+    console.log('Yamaha Speaker Integration Ready!');
+    console.log('Available features:');
+    console.log('- Volume control via Flic buttons');
+    console.log('- Volume control via Flic Twist controllers');
+    console.log('- Playback control via Flic Twist (playback device)');
+    console.log('- Source selection via Flic Twist (input devices)');
+    console.log('- Multi-speaker synchronization');
+    console.log('');
+    logCommandHelp();
+    
+    // Discover features (volume ranges, inputs, functions) of every device
+    await discoverAllDevices();
+
+    // Find devices on the network, follow IP changes and add unconfigured zones
+    await startNetworkDiscovery();
+    
+    // Load the MusicCast Link groups that already exist
+    await refreshAllLinkGroups();
+    
+    // Run action messages from bound Flic buttons
+    startButtonBindings();
+    
+    // Run the configured schedules, catching up on runs missed during a restart
+    await scheduler.load();
+    scheduler.start();
+    
+    // Lower zones that are too loud when their quiet hours start
+    startQuietHours();
+    
+    // Keep virtual devices in sync with changes made outside of Flic
+    startStateSync();
+    
+    // Initialize virtual device states with current volumes
+    await initializeVirtualDeviceStates();
+    
+    // Create group devices once their members' volumes are known
+    await initializeZoneGroupDevices();
+    
+    // Load what the net/USB players are playing
+    for (const ip of getDeviceIps()) {
+        const device = deviceRegistry[ip];
+        if (!device || !device.discovered || device.netusb !== null) {
+            await refreshPlaybackStatus(ip);
+        }
+    }
+    
+    // Serve the status and control API
+    startHttpServer();
+}
+
+module.exports = { initializeYamahaIntegration };
@@ -0,0 +1,83 @@
+// MusicCast Link groups as last reported by the devices, and the membership and group level
+// derived from them
+
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { nativeToVolume } = require('./volume-mapping');
+
+const DIST_API = '/YamahaExtendedControl/v1/dist';
+
+// Active MusicCast Link groups keyed by server IP: { groupId, serverIp, serverZone, clients: [{ ip, zone }] }
+const linkGroups = {};
+
+/**
+ * Find the speaker configured for a zone of a device
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id
+ * @returns {Object|null} - Speaker configuration
+ */
+function findZoneSpeaker(ip, zone) {
+    return YAMAHA_CONFIG.speakers.find(s => s.ip === ip && s.zone === zone && !s.mode) || null;
+}
+
+/**
+ * Find the group a zone belongs to, as server or as client
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id
+ * @returns {Object|null} - { group, role: 'server' | 'client' }, or null if the zone is not linked
+ */
+function getLinkMembership(ip, zone) {
+    const ownGroup = linkGroups[ip];
+    if (ownGroup && ownGroup.serverZone === zone) {
+        return { group: ownGroup, role: 'server' };
+    }
+    for (const group of Object.values(linkGroups)) {
+        if (group.clients.some(client => client.ip === ip && client.zone === zone)) {
+            return { group: group, role: 'client' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the speakers of a group, server first
+ * @param {Object} group - Link group
+ * @returns {Object[]} - Speaker configurations (unconfigured members are left out)
+ */
+function getLinkGroupSpeakers(group) {
+    return [{ ip: group.serverIp, zone: group.serverZone }].concat(group.clients)
+        .map(member => findZoneSpeaker(member.ip, member.zone))
+        .filter(speaker => speaker);
+}
+
+/**
+ * Check whether a speaker's Twist controls the volume of its whole group
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for the server zone of a group when link.groupVolume is on
+ */
+function controlsGroupVolume(speaker) {
+    const group = linkGroups[speaker.ip];
+    return YAMAHA_CONFIG.link.groupVolume && !!group && group.serverZone === speaker.zone;
+}
+
+/**
+ * Get the level of a group's Twist: the loudest member's position
+ * @param {Object} group - Link group
+ * @returns {number|null} - Virtual device volume (0-1), or null while member volumes are unknown
+ */
+function getGroupLevel(group) {
+    const levels = getLinkGroupSpeakers(group)
+        .filter(speaker => speakerStates[speaker.id] && speakerStates[speaker.id].volume !== undefined)
+        .map(speaker => nativeToVolume(speaker, speakerStates[speaker.id].volume));
+    return levels.length > 0 ? Math.max.apply(null, levels) : null;
+}
+
+module.exports = {
+    DIST_API,
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    getLinkGroupSpeakers,
+    controlsGroupVolume,
+    getGroupLevel
+};
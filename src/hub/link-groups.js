@@ -0,0 +1,336 @@
+// MusicCast Link groups (distribution): join, leave, party mode and group volume
+
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { getDeviceIps, checkSupported } = require('./device-registry');
+const { volumeToNative, nativeToVolume } = require('./volume-mapping');
+const {
+    DIST_API,
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    getLinkGroupSpeakers,
+    getGroupLevel
+} = require('./link-group-state');
+const { getCurrentVolumeAndUpdate, refreshGroupTwist } = require('./device-state');
+const { setYamahaVolume } = require('./zone-commands');
+const { getAudioSpeakers, findStreamingZone } = require('./playback');
+
+/**
+ * Generate a MusicCast Link group id (32 hex characters)
+ * @returns {string} - Group id
+ */
+function generateGroupId() {
+    let groupId = '';
+    for (let i = 0; i < 32; i++) {
+        groupId += Math.floor(Math.random() * 16).toString(16);
+    }
+    return groupId;
+}
+
+/**
+ * Log the members of a group
+ * @param {Object} group - Link group
+ */
+function logLinkGroup(group) {
+    const server = findZoneSpeaker(group.serverIp, group.serverZone);
+    const serverName = server ? server.name : `${group.serverIp} (${group.serverZone})`;
+    const clientNames = group.clients.map(client => {
+        const speaker = findZoneSpeaker(client.ip, client.zone);
+        return speaker ? speaker.name : client.ip;
+    });
+    console.log(`🔗 ${serverName} group: ${clientNames.join(', ')}`);
+}
+
+/**
+ * Record the new state of a group, log it and refresh the group's Twist
+ * @param {string} serverIp - Server device IP address
+ * @param {Object|null} group - Link group, or null if the group ended
+ */
+function setLinkGroup(serverIp, group) {
+    const previous = linkGroups[serverIp];
+    if (group && group.clients.length > 0) {
+        linkGroups[serverIp] = group;
+        logLinkGroup(group);
+    } else if (previous) {
+        delete linkGroups[serverIp];
+        const server = findZoneSpeaker(serverIp, previous.serverZone);
+        console.log(`🔗 ${server ? server.name : serverIp} group ended`);
+    }
+    
+    const serverZone = (group || previous || {}).serverZone;
+    const server = serverZone && findZoneSpeaker(serverIp, serverZone);
+    if (server) {
+        refreshGroupTwist(server);
+    }
+}
+
+/**
+ * Read a device's distribution state and update the group it serves
+ * @param {string} ip - Device IP address
+ */
+async function refreshLinkGroup(ip) {
+    try {
+        const info = await yxcRequest(ip, `${DIST_API}/getDistributionInfo`);
+        const previous = linkGroups[ip];
+        
+        if (info.role !== 'server' || !Array.isArray(info.client_list) || info.client_list.length === 0) {
+            if (previous) {
+                setLinkGroup(ip, null);
+            }
+            return;
+        }
+        
+        // Client zones are not reported; keep the ones we linked, otherwise assume the main zone
+        const clients = info.client_list.map(client => {
+            const known = previous && previous.clients.find(c => c.ip === client.ip_address);
+            return { ip: client.ip_address, zone: known ? known.zone : 'main' };
+        });
+        const group = {
+            groupId: info.group_id,
+            serverIp: ip,
+            serverZone: info.server_zone || (previous ? previous.serverZone : 'main'),
+            clients: clients
+        };
+        
+        if (!previous || JSON.stringify(previous) !== JSON.stringify(group)) {
+            setLinkGroup(ip, group);
+        }
+    } catch (error) {
+        console.error(`❌ Error reading MusicCast Link state for ${ip}:`, error);
+    }
+}
+
+/**
+ * Read the distribution state of every device
+ */
+async function refreshAllLinkGroups() {
+    for (const ip of getDeviceIps()) {
+        if (deviceRegistry[ip] && deviceRegistry[ip].discovered && !deviceRegistry[ip].distribution) {
+            continue;
+        }
+        await refreshLinkGroup(ip);
+    }
+}
+
+/**
+ * Link a client zone to a server zone so it plays the same audio
+ * @param {string} clientId - Speaker that joins
+ * @param {string} serverId - Speaker whose audio is shared
+ */
+async function joinLinkGroup(clientId, serverId) {
+    const client = YAMAHA_CONFIG.speakers.find(s => s.id === clientId);
+    const server = YAMAHA_CONFIG.speakers.find(s => s.id === serverId);
+    if (!client || !server) {
+        throw new Error(`Speaker ${!client ? clientId : serverId} not found`);
+    }
+    if (client.ip === server.ip) {
+        throw new Error(`${client.name} and ${server.name} are zones of the same device`);
+    }
+    if (!checkSupported(client, 'link') || !checkSupported(server, 'link')) {
+        throw new Error(`MusicCast Link is not supported by ${client.name} or ${server.name}`);
+    }
+    
+    const existing = linkGroups[server.ip];
+    if (existing && existing.serverZone !== server.zone) {
+        throw new Error(`${server.ip} already shares its ${existing.serverZone} zone`);
+    }
+    
+    // A zone can only be in one group: leave the old one first
+    const membership = getLinkMembership(client.ip, client.zone);
+    if (membership && membership.group === existing && membership.role === 'client') {
+        console.log(`🔗 ${client.name} is already linked to ${server.name}`);
+        return;
+    }
+    if (membership) {
+        await leaveLinkGroup(clientId);
+    }
+    // A device that shares another of its zones cannot also be a client: end that group
+    if (linkGroups[client.ip]) {
+        console.log(`Ending the group ${client.ip} shares`);
+        await dissolveLinkGroup(linkGroups[client.ip]);
+    }
+    const serverMembership = getLinkMembership(server.ip, server.zone);
+    if (serverMembership && serverMembership.role === 'client') {
+        await leaveLinkGroup(serverId);
+    }
+    
+    const groupId = existing ? existing.groupId : generateGroupId();
+    console.log(`Linking ${client.name} to ${server.name}`);
+    
+    await yxcRequest(client.ip, `${DIST_API}/setClientInfo`, null, {
+        body: { group_id: groupId, zone: [client.zone], server_ip_address: server.ip }
+    });
+    await yxcRequest(server.ip, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: groupId, zone: server.zone, type: 'add', client_list: [client.ip] }
+    });
+    await yxcRequest(server.ip, `${DIST_API}/startDistribution`, { num: 0 });
+    
+    setLinkGroup(server.ip, {
+        groupId: groupId,
+        serverIp: server.ip,
+        serverZone: server.zone,
+        clients: (existing ? existing.clients : []).concat([{ ip: client.ip, zone: client.zone }])
+    });
+}
+
+/**
+ * End a group: unlink every client and stop distributing
+ * @param {Object} group - Link group
+ */
+async function dissolveLinkGroup(group) {
+    for (const client of group.clients) {
+        try {
+            await yxcRequest(client.ip, `${DIST_API}/setClientInfo`, null, {
+                body: { group_id: '', zone: [client.zone] }
+            });
+        } catch (error) {
+            console.error(`❌ Error unlinking ${client.ip}:`, error);
+        }
+    }
+    await yxcRequest(group.serverIp, `${DIST_API}/stopDistribution`);
+    await yxcRequest(group.serverIp, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: '', zone: group.serverZone }
+    });
+    setLinkGroup(group.serverIp, null);
+}
+
+/**
+ * Take a zone out of its group (ends the group if the zone is its server)
+ * @param {string} speakerId - Speaker that leaves
+ */
+async function leaveLinkGroup(speakerId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const membership = getLinkMembership(speaker.ip, speaker.zone);
+    if (!membership) {
+        console.log(`🔗 ${speaker.name} is not linked`);
+        return;
+    }
+    
+    const group = membership.group;
+    if (membership.role === 'server') {
+        console.log(`Ending the group of ${speaker.name}`);
+        await dissolveLinkGroup(group);
+        return;
+    }
+    
+    console.log(`Unlinking ${speaker.name}`);
+    await yxcRequest(speaker.ip, `${DIST_API}/setClientInfo`, null, {
+        body: { group_id: '', zone: [speaker.zone] }
+    });
+    
+    const clients = group.clients.filter(client => !(client.ip === speaker.ip && client.zone === speaker.zone));
+    if (clients.length === 0) {
+        await dissolveLinkGroup(Object.assign({}, group, { clients: [] }));
+        return;
+    }
+    
+    await yxcRequest(group.serverIp, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: group.groupId, zone: group.serverZone, type: 'remove', client_list: [speaker.ip] }
+    });
+    await yxcRequest(group.serverIp, `${DIST_API}/startDistribution`, { num: 0 });
+    setLinkGroup(group.serverIp, Object.assign({}, group, { clients: clients }));
+}
+
+/**
+ * Party mode: link one zone of every other device to the zone that is streaming
+ * (or the first configured zone if nothing is)
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a device could not be linked,
+ *                                        { blocked: reason } if there is no zone to share
+ */
+async function startPartyMode() {
+    const server = await findStreamingZone() || getAudioSpeakers()[0];
+    if (!server) {
+        console.log('🚫 No zone to share');
+        return { blocked: 'No zone to share' };
+    }
+    
+    console.log(`🎉 Party mode: sharing ${server.name}`);
+    const linkedIps = [server.ip];
+    let failure = null;
+    for (const speaker of getAudioSpeakers()) {
+        if (linkedIps.includes(speaker.ip)) {
+            continue;
+        }
+        linkedIps.push(speaker.ip);
+        
+        try {
+            await joinLinkGroup(speaker.id, server.id);
+        } catch (error) {
+            console.error(`❌ Could not link ${speaker.name}:`, error);
+            failure = failure || error;
+        }
+    }
+    return failure ? { failed: failure } : undefined;
+}
+
+/**
+ * End every group
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a group could not be ended
+ */
+async function stopPartyMode() {
+    const groups = Object.values(linkGroups);
+    if (groups.length === 0) {
+        console.log('🔗 No MusicCast Link groups active');
+        return;
+    }
+    let failure = null;
+    for (const group of groups) {
+        try {
+            await dissolveLinkGroup(group);
+        } catch (error) {
+            console.error(`❌ Error ending the group of ${group.serverIp}:`, error);
+            failure = failure || error;
+        }
+    }
+    return failure ? { failed: failure } : undefined;
+}
+
+/**
+ * Set the volume of a whole group from one Twist
+ * Members keep their volumes relative to each other: the loudest member moves to the new
+ * level and the others are scaled by the same factor
+ * @param {Object} server - Speaker configuration of the server zone
+ * @param {number} level - Virtual device volume (0-1)
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a member's volume was not set
+ */
+async function setGroupVolume(server, level) {
+    const group = linkGroups[server.ip];
+    const members = getLinkGroupSpeakers(group).filter(speaker => checkSupported(speaker, 'volume'));
+    
+    for (const member of members) {
+        if (!speakerStates[member.id] || speakerStates[member.id].volume === undefined) {
+            await getCurrentVolumeAndUpdate(member);
+        }
+    }
+    
+    const currentLevel = getGroupLevel(group) || 0;
+    const results = await Promise.all(members.map(member => {
+        const state = speakerStates[member.id] || {};
+        const memberLevel = state.volume !== undefined ? nativeToVolume(member, state.volume) : currentLevel;
+        const newLevel = currentLevel > 0 ? Math.min(1, memberLevel * level / currentLevel) : level;
+        return setYamahaVolume(member.id, volumeToNative(member, newLevel))
+            .then(() => null, error => ({ speaker: member, error: error }));
+    }));
+    
+    const failures = results.filter(result => result);
+    if (failures.length > 0) {
+        console.error(`❌ Group volume not set on ${failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ')}`);
+        return { failed: failures[0].error };
+    }
+}
+
+module.exports = {
+    refreshLinkGroup,
+    refreshAllLinkGroups,
+    joinLinkGroup,
+    leaveLinkGroup,
+    startPartyMode,
+    stopPartyMode,
+    setGroupVolume
+};
@@ -0,0 +1,139 @@
+// Macros: named sequences of zone commands
+
+const { YAMAHA_CONFIG } = require('../config');
+const { delay } = require('../yxc/client');
+const { clampNativeVolume } = require('./volume-mapping');
+const { waitForZoneState } = require('./device-state');
+const {
+    setYamahaVolume,
+    setYamahaPower,
+    setYamahaMute,
+    setYamahaInput,
+    recallYamahaScene,
+    recallNetusbPreset,
+    recallTunerPreset
+} = require('./zone-commands');
+const { cancelFade } = require('./fades');
+
+// Macros run one at a time so chained commands never race each other
+let macroQueue = Promise.resolve();
+
+/**
+ * Run a single macro step and wait for the receiver to confirm it
+ * @param {Object} step - Step definition
+ * @param {Object} speaker - Speaker the step targets
+ */
+async function runMacroStep(step, speaker) {
+    const timeoutMs = YAMAHA_CONFIG.macroStepTimeoutMs;
+    
+    switch (step.action) {
+        case 'power': {
+            const powerOn = step.value === 'on' || step.value === true;
+            await setYamahaPower(speaker.id, powerOn);
+            await waitForZoneState(speaker, { power: powerOn ? 'on' : 'standby' }, timeoutMs);
+            break;
+        }
+        case 'input':
+            await setYamahaInput(speaker.id, step.value);
+            await waitForZoneState(speaker, { input: step.value }, timeoutMs);
+            break;
+        case 'volume':
+            cancelFade(speaker.id);
+            await setYamahaVolume(speaker.id, step.value);
+            await waitForZoneState(speaker, { volume: clampNativeVolume(speaker, step.value) }, timeoutMs);
+            break;
+        case 'mute': {
+            const muted = step.value === true || step.value === 'true' || step.value === 'on';
+            cancelFade(speaker.id);
+            await setYamahaMute(speaker.id, muted);
+            await waitForZoneState(speaker, { mute: muted }, timeoutMs);
+            break;
+        }
+        case 'scene':
+            await recallYamahaScene(speaker.id, step.value);
+            break;
+        case 'preset':
+            await recallNetusbPreset(speaker.id, step.value);
+            break;
+        case 'tuner-preset':
+            await recallTunerPreset(speaker.id, step.value, step.band);
+            break;
+        case 'wait':
+            if (step.until) {
+                await waitForZoneState(speaker, step.until, step.timeoutMs || timeoutMs);
+            } else {
+                await delay(step.ms || 0);
+            }
+            break;
+        default:
+            throw new Error(`Unknown macro action "${step.action}"`);
+    }
+}
+
+/**
+ * Describe a macro step for log messages
+ * @param {Object} step - Step definition
+ * @param {string} deviceId - Device the step targets
+ * @returns {string} - Description, e.g. "input hdmi1 on id1zone2"
+ */
+function describeMacroStep(step, deviceId) {
+    if (step.action === 'wait') {
+        const condition = step.until
+            ? Object.keys(step.until).map(key => `${key}=${step.until[key]}`).join(', ')
+            : `${step.ms || 0}ms`;
+        return `wait for ${condition} on ${deviceId}`;
+    }
+    return `${step.action} ${step.value} on ${deviceId}`;
+}
+
+/**
+ * Run the steps of a macro in order, stopping at the first failure
+ * @param {string} name - Macro name
+ * @param {Object} macro - Macro definition ({ device, steps })
+ * @returns {Promise<Object|undefined>} - { failed: error } if a step failed
+ */
+async function executeMacro(name, macro) {
+    console.log(`🎬 Running macro "${name}"`);
+    const steps = macro.steps || [];
+    
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        const deviceId = step.device || macro.device;
+        const description = describeMacroStep(step, deviceId);
+        
+        try {
+            const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+            if (!speaker) {
+                throw new Error(`Speaker ${deviceId} not found`);
+            }
+            await runMacroStep(step, speaker);
+            console.log(`  ✓ Step ${index + 1}/${steps.length}: ${description}`);
+        } catch (error) {
+            console.error(`❌ Macro "${name}" stopped at step ${index + 1}/${steps.length} (${description}): ${error.message}`);
+            return { failed: error };
+        }
+    }
+    
+    console.log(`✅ Macro "${name}" finished`);
+}
+
+/**
+ * Queue a macro by name
+ * @param {string} name - Macro name from YAMAHA_CONFIG.macros
+ * @returns {Promise<Object|undefined>} - Nothing once the macro ran to completion, { failed: error } if
+ *                                        a step failed, or { error: message } for an unknown macro
+ */
+function runMacro(name) {
+    const macro = YAMAHA_CONFIG.macros[name];
+    if (!macro) {
+        const message = `Unknown macro: ${name} (available: ${Object.keys(YAMAHA_CONFIG.macros).join(', ') || 'none'})`;
+        console.log(message);
+        return Promise.resolve({ error: message });
+    }
+    
+    const run = macroQueue.then(() => executeMacro(name, macro));
+    macroQueue = run.catch(() => null);
+    return run;
+}
+
+module.exports = { runMacro };
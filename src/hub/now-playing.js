@@ -0,0 +1,135 @@
+// Net/USB play info per receiver and the nowplaying command
+
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { isNetusbInput } = require('./device-registry');
+const { applyPlaybackStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+
+/**
+ * Fetch netusb play info from a device and record its track and playback state
+ * @param {string} ip - Device IP address
+ */
+async function refreshPlaybackStatus(ip) {
+    try {
+        const playInfo = await yxcRequest(ip, '/YamahaExtendedControl/v1/netusb/getPlayInfo');
+        applyPlayInfo(ip, playInfo);
+    } catch (error) {
+        console.error(`❌ Error refreshing playback status for ${ip}:`, error);
+    }
+}
+
+// Net/USB player state per device IP, from netusb/getPlayInfo and play_time events
+const nowPlaying = {};
+
+/**
+ * Record netusb play info for a device and pass the playback state on to its playback devices
+ * @param {string} ip - Device IP address
+ * @param {Object} playInfo - getPlayInfo response
+ */
+function applyPlayInfo(ip, playInfo) {
+    nowPlaying[ip] = {
+        input: playInfo.input || null,
+        playback: playInfo.playback || null,
+        artist: playInfo.artist || '',
+        album: playInfo.album || '',
+        track: playInfo.track || '',
+        playTime: playInfo.play_time !== undefined ? playInfo.play_time : null,
+        totalTime: playInfo.total_time !== undefined ? playInfo.total_time : null,
+        shuffle: playInfo.shuffle || null,
+        repeat: playInfo.repeat || null,
+        albumArtUrl: playInfo.albumart_url ? `http://${ip}${playInfo.albumart_url}` : null,
+        updatedAt: Date.now()
+    };
+    applyPlaybackStatus(ip, playInfo.playback);
+}
+
+/**
+ * Build the now-playing view of a zone: its status plus the receiver's track if the zone plays a netusb input
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { id, name, zone, power, volume, mute, input, playback, artist, album, track, ... }
+ */
+function getZoneNowPlaying(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    const entry = {
+        id: speaker.id,
+        name: speaker.name,
+        zone: speaker.zone,
+        power: state.power || null,
+        volume: state.volume !== undefined ? state.volume : null,
+        mute: state.mute !== undefined ? state.mute : null,
+        input: state.input || null,
+        playback: null
+    };
+    
+    const player = nowPlaying[speaker.ip];
+    if (state.power === 'on' && player && state.input && isNetusbInput(speaker, state.input) && player.input === state.input) {
+        ['playback', 'artist', 'album', 'track', 'playTime', 'totalTime', 'shuffle', 'repeat', 'albumArtUrl'].forEach(key => {
+            entry[key] = player[key];
+        });
+    }
+    return entry;
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} - Formatted time
+ */
+function formatPlayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+}
+
+/**
+ * Describe a zone's now-playing view in one log line
+ * @param {Object} entry - getZoneNowPlaying result
+ * @returns {string} - Description
+ */
+function describeNowPlaying(entry) {
+    if (entry.power !== 'on') {
+        return `📴 ${entry.name}: ${entry.power === null ? 'unknown' : 'off'}`;
+    }
+    if (!entry.playback) {
+        return `🎵 ${entry.name}: ${entry.input || 'unknown input'} (no track information)`;
+    }
+    
+    const title = [entry.artist, entry.track].filter(part => part).join(' - ') || 'Unknown track';
+    const details = [entry.input];
+    if (entry.playTime !== null && entry.playTime >= 0) {
+        details.push(entry.totalTime > 0
+            ? `${formatPlayTime(entry.playTime)}/${formatPlayTime(entry.totalTime)}`
+            : formatPlayTime(entry.playTime));
+    }
+    if (entry.shuffle) details.push(`shuffle ${entry.shuffle}`);
+    if (entry.repeat) details.push(`repeat ${entry.repeat}`);
+    
+    return `🎵 ${entry.name}: ${title}${entry.album ? ` (${entry.album})` : ''} [${details.join(', ')}] ${entry.playback}`;
+}
+
+/**
+ * Handle "{device-id} nowplaying": refresh the zone and its receiver's player and log what is playing
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDeviceNowPlaying(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    await getCurrentVolumeAndUpdate(speaker);
+    if (!deviceRegistry[speaker.ip] || deviceRegistry[speaker.ip].netusb !== null) {
+        await refreshPlaybackStatus(speaker.ip);
+    }
+    console.log(describeNowPlaying(getZoneNowPlaying(speaker)));
+}
+
+module.exports = {
+    refreshPlaybackStatus,
+    nowPlaying,
+    applyPlayInfo,
+    getZoneNowPlaying,
+    handleDeviceNowPlaying
+};
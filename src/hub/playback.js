@@ -0,0 +1,272 @@
+// Playback devices: play, pause and skip commands, Twist gestures and the zone that is streaming
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice, checkSupported, isNetusbInput } = require('./device-registry');
+const { applyPlaybackStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+const { cooldownPolicy, getCooldownBlock } = require('./cooldowns');
+const { applyPlayInfo } = require('./now-playing');
+
+/**
+ * Get playback status from Yamaha device
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<string>} - Playback status ('play', 'pause', 'stop', or 'unknown')
+ */
+async function getPlaybackStatus(speaker) {
+    try {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        // Check if device is powered on first
+        if (statusData.power !== 'on') {
+            return 'off';
+        }
+        
+        // Try to get playback status from netusb info
+        const netusbData = await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/getPlayInfo');
+        applyPlayInfo(speaker.ip, netusbData);
+        return netusbData.playback || 'unknown';
+    } catch (error) {
+        console.error(`❌ Error getting playback status for ${speaker.name}:`, error);
+        return 'unknown';
+    }
+}
+
+// Playback state a device reports after a setPlayback command (next/previous keep playing)
+const PLAYBACK_RESULT_STATES = {
+    play: 'play',
+    pause: 'pause',
+    stop: 'stop'
+};
+
+// Log lines for executed playback actions
+const PLAYBACK_ACTION_LOGS = {
+    play: '▶️ {name} playback resumed',
+    pause: '⏸️ {name} playback paused',
+    stop: '⏹️ {name} playback stopped',
+    next: '⏭️ {name} skipped to next track',
+    previous: '⏮️ {name} went back to previous track'
+};
+
+/**
+ * Send a netusb playback command to a device
+ * @param {Object} speaker - Speaker whose device plays the stream
+ * @param {string} playback - setPlayback value (play, pause, stop, next, previous)
+ * Uses: /netusb/setPlayback?playback={playback}
+ */
+async function sendPlaybackCommand(speaker, playback) {
+    await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/setPlayback', {
+        playback: playback
+    });
+    applyPlaybackStatus(speaker.ip, PLAYBACK_RESULT_STATES[playback]);
+}
+
+/**
+ * Find the zone a playback device controls
+ * A playback device with target: '{speaker-id}' always drives that zone; otherwise it follows
+ * the zone that is on and playing a netusb input (zones on its own receiver first)
+ * @param {Object} playbackSpeaker - Playback device configuration
+ * @returns {Promise<Object|null>} - Speaker configuration of the zone, or null if none found
+ */
+async function resolvePlaybackTarget(playbackSpeaker) {
+    if (playbackSpeaker.target) {
+        const target = YAMAHA_CONFIG.speakers.find(s => s.id === playbackSpeaker.target);
+        if (!target) {
+            console.error(`❌ ${playbackSpeaker.name}: target ${playbackSpeaker.target} not found`);
+        }
+        return target || null;
+    }
+    
+    const streamingZone = await findStreamingZone(playbackSpeaker.ip);
+    if (streamingZone) {
+        return streamingZone;
+    }
+    
+    // Nothing is streaming: fall back to the first zone on the playback device's receiver
+    return getAudioSpeakers(playbackSpeaker.ip)[0] || null;
+}
+
+/**
+ * Get the speakers that control a zone's audio (no playback devices or source selectors)
+ * @param {string} preferredIp - Speakers on this receiver come first
+ * @returns {Object[]} - Speaker configurations
+ */
+function getAudioSpeakers(preferredIp) {
+    return YAMAHA_CONFIG.speakers
+        .filter(s => !isPlaybackDevice(s) && !s.mode)
+        .sort((a, b) => (b.ip === preferredIp) - (a.ip === preferredIp));
+}
+
+/**
+ * Find a zone that is on and playing a netusb input
+ * @param {string} preferredIp - Zones on this receiver are checked first
+ * @returns {Promise<Object|null>} - Speaker configuration of the zone, or null if nothing is streaming
+ */
+async function findStreamingZone(preferredIp) {
+    for (const candidate of getAudioSpeakers(preferredIp)) {
+        if (!speakerStates[candidate.id] || speakerStates[candidate.id].input === undefined) {
+            await getCurrentVolumeAndUpdate(candidate);
+        }
+        const state = speakerStates[candidate.id] || {};
+        if (state.power === 'on' && isNetusbInput(candidate, state.input)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the playback gesture settings of a playback device (defaults merged with its own gestures)
+ * @param {Object} speaker - Playback device configuration
+ * @returns {Object} - Gesture settings
+ */
+function getPlaybackGestures(speaker) {
+    return Object.assign({}, YAMAHA_CONFIG.playbackGestures, speaker.gestures || {});
+}
+
+/**
+ * Run a playback action on the zone a playback device controls
+ * Resolves like the zone handlers in handlers.js: to nothing once the action has run (or had nothing
+ * to do), to { blocked: reason }, to { failed: error } or to { error: message } (see dispatchCommand)
+ * @param {Object} playbackSpeaker - Playback device configuration
+ * @param {string} action - play, pause, toggle, stop, next, previous or resume-or-next
+ * @returns {Promise<Object|undefined>} - Outcome if the action did not run
+ */
+async function runPlaybackAction(playbackSpeaker, action) {
+    if (!action || action === 'none') {
+        return;
+    }
+    
+    const target = await resolvePlaybackTarget(playbackSpeaker);
+    if (!target) {
+        const message = `${playbackSpeaker.name}: no zone to control`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    if (!checkSupported(target, 'netusb')) {
+        return { blocked: `${target.name} does not support netusb` };
+    }
+    const blocked = getCooldownBlock(playbackSpeaker, 'playback', 'Playback command', target);
+    if (blocked) {
+        return { blocked: blocked };
+    }
+    
+    try {
+        let playback = action;
+        if (action === 'toggle' || action === 'resume-or-next' || action === 'pause') {
+            const playbackStatus = await getPlaybackStatus(target);
+            if (action === 'toggle') {
+                playback = playbackStatus === 'play' ? 'pause' : 'play';
+            } else if (action === 'resume-or-next') {
+                // Resume a paused stream, skip ahead in a playing one
+                playback = playbackStatus === 'play' ? 'next' : (playbackStatus === 'pause' ? 'play' : null);
+            } else if (playbackStatus !== 'play') {
+                playback = null;
+            }
+        }
+        if (!playback) {
+            return;
+        }
+        if (!PLAYBACK_ACTION_LOGS[playback]) {
+            const message = `Unknown playback action for ${playbackSpeaker.id}: ${action}`;
+            console.log(message);
+            return { error: message };
+        }
+        
+        await sendPlaybackCommand(target, playback);
+        cooldownPolicy.record(playbackSpeaker, 'playback', target);
+        console.log(PLAYBACK_ACTION_LOGS[playback].replace('{name}', target.name));
+    } catch (error) {
+        console.error(`❌ Error running playback action ${action} on ${target.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Map a finished Twist rotation to its configured playback action
+ * @param {Object} gestures - Gesture settings
+ * @param {number} rotation - Total rotation away from the center (-0.5 to 0.5 per update)
+ * @returns {string|null} - Playback action
+ */
+function getTwistAction(gestures, rotation) {
+    if (rotation > 0) {
+        return gestures.twistRight;
+    }
+    return -rotation >= gestures.farThreshold ? gestures.twistLeftFar : gestures.twistLeft;
+}
+
+// Twist rotations in progress and gestures waiting for a possible second twist, per playback device
+const playbackGestureStates = {};
+
+/**
+ * Handle a completed Twist rotation: wait briefly for a second rotation (double twist),
+ * then run the matching action
+ * @param {Object} speaker - Playback device configuration
+ */
+function finishPlaybackTwist(speaker) {
+    const gestureState = playbackGestureStates[speaker.id];
+    const gestures = getPlaybackGestures(speaker);
+    const rotation = gestureState.rotation;
+    gestureState.rotation = 0;
+    gestureState.settleTimer = null;
+    
+    if (Math.abs(rotation) <= gestures.threshold) {
+        return;
+    }
+    
+    if (gestureState.pendingTimer) {
+        clearTimeout(gestureState.pendingTimer);
+        gestureState.pendingTimer = null;
+        runPlaybackAction(speaker, gestures.doubleTwist);
+        return;
+    }
+    
+    if (!gestures.doubleTwistMs || !gestures.doubleTwist || gestures.doubleTwist === 'none') {
+        runPlaybackAction(speaker, getTwistAction(gestures, rotation));
+        return;
+    }
+    
+    gestureState.pendingTimer = setTimeout(() => {
+        gestureState.pendingTimer = null;
+        runPlaybackAction(speaker, getTwistAction(gestures, rotation));
+    }, gestures.doubleTwistMs);
+}
+
+/**
+ * Handle playback device updates for playback control
+ * Updates are collected into one rotation until the Twist rests for settleMs;
+ * the total rotation then picks the gesture (see playbackGestures)
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+function handlePlaybackDeviceUpdate(deviceId, values) {
+    // Find the speaker configuration for this device
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || !isPlaybackDevice(speaker) || values.volume === undefined) {
+        return;
+    }
+    
+    const gestureState = playbackGestureStates[deviceId] ||
+        (playbackGestureStates[deviceId] = { rotation: 0, settleTimer: null, pendingTimer: null });
+    const volumeChange = values.volume - 0.5; // 0.5 is the center position
+    
+    gestureState.rotation += volumeChange;
+    clearTimeout(gestureState.settleTimer);
+    gestureState.settleTimer = setTimeout(() => finishPlaybackTwist(speaker), getPlaybackGestures(speaker).settleMs);
+    
+    // Reset playback device to center position
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: 0.5
+    });
+}
+
+module.exports = {
+    resolvePlaybackTarget,
+    getAudioSpeakers,
+    findStreamingZone,
+    getPlaybackGestures,
+    runPlaybackAction,
+    playbackGestureStates,
+    handlePlaybackDeviceUpdate
+};
@@ -0,0 +1,65 @@
+// Lowers zones that are above their cap when their quiet hours start
+
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice } = require('./device-registry');
+const { isQuietHours, getVolumeLimit } = require('./volume-limits');
+const { setYamahaVolume } = require('./zone-commands');
+const { cancelFade, fadeYamahaVolume } = require('./fades');
+
+// Speaker ids whose quiet hours were active at the last check
+const activeQuietHours = new Set();
+
+/**
+ * Lower zones that are above their cap when their quiet hours start (quietHours.lowerAtStart)
+ * @param {Date} now - Current time (defaults to the hub clock)
+ */
+async function checkQuietHours(now = new Date()) {
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (!speaker.quietHours || isPlaybackDevice(speaker) || speaker.mode) {
+            continue;
+        }
+        
+        const active = isQuietHours(speaker.quietHours, now);
+        const started = active && !activeQuietHours.has(speaker.id);
+        if (active) {
+            activeQuietHours.add(speaker.id);
+        } else {
+            activeQuietHours.delete(speaker.id);
+        }
+        
+        const state = speakerStates[speaker.id] || {};
+        if (!started || !speaker.quietHours.lowerAtStart || state.power !== 'on' || state.volume === undefined) {
+            continue;
+        }
+        const limit = getVolumeLimit(speaker, now);
+        if (!limit || state.volume <= limit.volume) {
+            continue;
+        }
+        
+        console.log(`🌙 Quiet hours started: lowering ${speaker.name} from ${state.volume} to ${limit.volume}`);
+        try {
+            if (speaker.quietHours.fadeSeconds) {
+                await fadeYamahaVolume(speaker.id, limit.volume, speaker.quietHours.fadeSeconds);
+            } else {
+                cancelFade(speaker.id);
+                await setYamahaVolume(speaker.id, limit.volume);
+            }
+        } catch (error) {
+            console.error(`❌ Error lowering ${speaker.name} for quiet hours:`, error);
+        }
+    }
+}
+
+/**
+ * Check quiet hours now and then with the scheduler interval
+ * The interval always runs, so quiet hours given to a speaker after startup are checked too
+ */
+function startQuietHours() {
+    setInterval(() => {
+        checkQuietHours().catch(error => console.error('❌ Error checking quiet hours:', error));
+    }, YAMAHA_CONFIG.scheduler.checkIntervalMs);
+    checkQuietHours().catch(error => console.error('❌ Error checking quiet hours:', error));
+}
+
+module.exports = { startQuietHours };
@@ -0,0 +1,53 @@
+// Last known zone states and discovered device capabilities, shared by the hub modules and saved
+// to the datastore so a restart does not begin from nothing
+
+const { YAMAHA_CONFIG } = require('../config');
+const { writeDatastore } = require('./storage');
+
+// Per-device capabilities keyed by IP address, built from getDeviceInfo and getFeatures
+const deviceRegistry = {};
+
+// Last known state per speaker id (power, volume, mute, input, playback),
+// fed by our own commands, YXC events and fallback polling
+const speakerStates = {};
+
+let stateSaveTimer = null;
+
+/**
+ * Store last-known zone states and discovered capabilities (debounced)
+ */
+function scheduleStateSave() {
+    if (!YAMAHA_CONFIG.persistence.enabled || stateSaveTimer) {
+        return;
+    }
+    stateSaveTimer = setTimeout(() => {
+        stateSaveTimer = null;
+        saveRuntimeState();
+    }, YAMAHA_CONFIG.persistence.stateSaveDelayMs);
+}
+
+/**
+ * Store last-known zone states and discovered capabilities now
+ * @returns {Promise} - Resolves when stored (errors are logged)
+ */
+async function saveRuntimeState() {
+    const states = {};
+    Object.keys(speakerStates).forEach(speakerId => {
+        const state = speakerStates[speakerId];
+        states[speakerId] = { power: state.power, volume: state.volume, mute: state.mute, input: state.input };
+    });
+    const capabilities = {};
+    Object.keys(deviceRegistry)
+        .filter(ip => deviceRegistry[ip].discovered)
+        .forEach(ip => {
+            capabilities[ip] = deviceRegistry[ip];
+        });
+    
+    try {
+        await writeDatastore(YAMAHA_CONFIG.persistence.stateKey, { states: states, capabilities: capabilities });
+    } catch (error) {
+        console.error('❌ Could not save state:', error.message);
+    }
+}
+
+module.exports = { deviceRegistry, speakerStates, scheduleStateSave };
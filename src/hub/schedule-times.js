@@ -0,0 +1,45 @@
+// Times of day and days of the week, as used by schedules and quiet hours
+
+// Day indexes (Date.getDay()) for the days a schedule runs on
+const SCHEDULE_DAYS = {
+    sun: [0], mon: [1], tue: [2], wed: [3], thu: [4], fri: [5], sat: [6],
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+/**
+ * Parse a schedule time
+ * @param {string} time - 24-hour time, e.g. '07:00' or '23:30'
+ * @returns {Object|null} - { hours, minutes }, or null if the time is invalid
+ */
+function parseScheduleTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time : '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Get the days a schedule runs on
+ * @param {string|string[]} days - 'daily' (default), 'weekdays', 'weekends', a day or a list of days ('mon', ...)
+ * @returns {number[]|null} - Day indexes, or null if a day is unknown
+ */
+function getScheduleDays(days) {
+    const names = days === undefined ? ['daily'] : [].concat(days);
+    const indexes = [];
+    for (const name of names) {
+        if (!SCHEDULE_DAYS[name]) {
+            return null;
+        }
+        SCHEDULE_DAYS[name].forEach(index => {
+            if (!indexes.includes(index)) {
+                indexes.push(index);
+            }
+        });
+    }
+    return indexes;
+}
+
+module.exports = { parseScheduleTime, getScheduleDays };
@@ -0,0 +1,142 @@
+// Scheduler: action messages that run at configured times
+
+const { YAMAHA_CONFIG } = require('../config');
+const { readDatastore, writeDatastore } = require('./storage');
+const { parseScheduleTime, getScheduleDays } = require('./schedule-times');
+const { handleActionMessage } = require('./flic-adapter');
+
+/**
+ * Find the most recent time a schedule was due, up to a week back
+ * @param {Object} schedule - Schedule configuration
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Last due time at or before now
+ */
+function getLastScheduledTime(schedule, now) {
+    const time = parseScheduleTime(schedule.time);
+    const days = getScheduleDays(schedule.days);
+    if (!time || !days) {
+        return null;
+    }
+    
+    for (let daysBack = 0; daysBack <= 7; daysBack++) {
+        const due = new Date(now.getTime());
+        due.setDate(due.getDate() - daysBack);
+        due.setHours(time.hours, time.minutes, 0, 0);
+        if (due.getTime() <= now.getTime() && days.includes(due.getDay())) {
+            return due;
+        }
+    }
+    return null;
+}
+
+/**
+ * Create the scheduler for YAMAHA_CONFIG.schedules
+ * Each due schedule runs its action message once; the time of its last run is stored in the hub
+ * datastore, so a restart neither repeats a run nor loses one that was due during the restart
+ * (within scheduler.catchUpMinutes)
+ * @param {Object} options - { now: () => Date, run: (actionMessage) => void } for tests; defaults to the real clock and handleActionMessage
+ * @returns {Object} - { load(), tick(), start(), stop(), getLastRuns() }
+ */
+function createScheduler(options = {}) {
+    const now = options.now || (() => new Date());
+    const run = options.run || handleActionMessage;
+    let lastRuns = {};
+    let timer = null;
+    
+    const save = async () => {
+        if (!YAMAHA_CONFIG.persistence.enabled) {
+            return;
+        }
+        try {
+            await writeDatastore(YAMAHA_CONFIG.persistence.scheduleKey, lastRuns);
+        } catch (error) {
+            console.error('❌ Could not save schedule runs:', error.message);
+        }
+    };
+    
+    return {
+        /**
+         * Load the last run times stored before a restart
+         */
+        async load() {
+            if (!YAMAHA_CONFIG.persistence.enabled) {
+                return;
+            }
+            try {
+                lastRuns = (await readDatastore(YAMAHA_CONFIG.persistence.scheduleKey)) || {};
+            } catch (error) {
+                console.error('❌ Could not load schedule runs:', error.message);
+            }
+        },
+        
+        /**
+         * Run every schedule that became due since its last run
+         * @returns {Promise<string[]>} - Names of the schedules that ran
+         */
+        async tick() {
+            const current = now();
+            const catchUpMs = YAMAHA_CONFIG.scheduler.catchUpMinutes * 60 * 1000;
+            const ran = [];
+            
+            YAMAHA_CONFIG.schedules.forEach(schedule => {
+                if (schedule.enabled === false) {
+                    return;
+                }
+                const due = getLastScheduledTime(schedule, current);
+                if (!due || (lastRuns[schedule.name] || 0) >= due.getTime() || current.getTime() - due.getTime() > catchUpMs) {
+                    return;
+                }
+                
+                lastRuns[schedule.name] = due.getTime();
+                ran.push(schedule.name);
+                const late = current.getTime() - due.getTime() > YAMAHA_CONFIG.scheduler.checkIntervalMs * 2;
+                console.log(`⏰ Schedule "${schedule.name}" (${schedule.time}${late ? ', catching up' : ''}): ${schedule.action}`);
+                run(schedule.action);
+            });
+            
+            if (ran.length > 0) {
+                // Forget schedules that were removed from the configuration
+                Object.keys(lastRuns).forEach(name => {
+                    if (!YAMAHA_CONFIG.schedules.some(schedule => schedule.name === name)) {
+                        delete lastRuns[name];
+                    }
+                });
+                await save();
+            }
+            return ran;
+        },
+        
+        /**
+         * Check the schedules every scheduler.checkIntervalMs
+         */
+        start() {
+            if (timer || YAMAHA_CONFIG.schedules.length === 0) {
+                return;
+            }
+            timer = setInterval(() => this.tick(), YAMAHA_CONFIG.scheduler.checkIntervalMs);
+            console.log(`⏰ ${YAMAHA_CONFIG.schedules.length} schedule(s) active`);
+            this.tick();
+        },
+        
+        /**
+         * Stop checking the schedules
+         */
+        stop() {
+            if (timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        },
+        
+        /**
+         * @returns {Object} - Last run time (ms) per schedule name
+         */
+        getLastRuns() {
+            return Object.assign({}, lastRuns);
+        }
+    };
+}
+
+const scheduler = createScheduler();
+
+module.exports = { createScheduler, scheduler };
@@ -0,0 +1,117 @@
+// Sound levels, switches and programs a zone offers, and the Twist positions that show them
+
+const { getZoneCapabilities } = require('./device-registry');
+
+// Adjustable sound levels: getFeatures function, range_step id, getStatus field and the
+// fallback range used until the zone's own range is known
+const SOUND_LEVELS = {
+    bass: {
+        label: 'Bass',
+        func: 'tone_control',
+        endpoint: 'tone',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.tone_control ? status.tone_control.bass : undefined,
+        params: value => ({ mode: 'manual', bass: value })
+    },
+    treble: {
+        label: 'Treble',
+        func: 'tone_control',
+        endpoint: 'tone',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.tone_control ? status.tone_control.treble : undefined,
+        params: value => ({ mode: 'manual', treble: value })
+    },
+    dialogue: {
+        label: 'Dialogue level',
+        func: 'dialogue_level',
+        endpoint: 'dialogue',
+        fallbackRange: { min: 0, max: 3, step: 1 },
+        read: status => status.dialogue_level,
+        params: value => ({ value: value })
+    },
+    subwoofer: {
+        label: 'Subwoofer volume',
+        func: 'subwoofer_volume',
+        endpoint: 'subwoofer',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.subwoofer_volume,
+        params: value => ({ volume: value })
+    }
+};
+
+// On/off sound switches: getFeatures function and getStatus field
+const SOUND_SWITCHES = {
+    puredirect: { label: 'Pure Direct', func: 'pure_direct', endpoint: 'pureDirect', field: 'pure_direct' },
+    enhancer: { label: 'Enhancer', func: 'enhancer', endpoint: 'enhancer', field: 'enhancer' },
+    extrabass: { label: 'Extra Bass', func: 'extra_bass', endpoint: 'extraBass', field: 'extra_bass' }
+};
+
+/**
+ * Get the range a zone accepts for a sound level
+ * The tone_control range_step entry covers bass and treble
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @returns {Object} - { min, max, step }
+ */
+function getSoundLevelRange(speaker, setting) {
+    const level = SOUND_LEVELS[setting];
+    const zone = getZoneCapabilities(speaker);
+    const range = zone && (zone.rangeSteps[setting] || zone.rangeSteps[level.func]);
+    if (range && range.min !== undefined && range.max !== undefined) {
+        return range;
+    }
+    return level.fallbackRange;
+}
+
+/**
+ * Round a sound level to the zone's step and keep it inside the zone's range
+ * @param {Object} range - { min, max, step }
+ * @param {number} value - Requested level
+ * @returns {number} - Level the zone accepts
+ */
+function fitSoundLevel(range, value) {
+    const steps = Math.round((value - range.min) / range.step);
+    const fitted = range.min + steps * range.step;
+    return Math.max(range.min, Math.min(range.max, Number(fitted.toFixed(2))));
+}
+
+/**
+ * Get the sound programs a speaker's zone supports
+ * @param {Object} speaker - Speaker configuration
+ * @returns {string[]} - Program ids from the zone's sound_program_list (empty if unknown)
+ */
+function getZoneSoundPrograms(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    return zone ? zone.soundPrograms : [];
+}
+
+/**
+ * Get the Twist position of a sound control (mode: 'program' or a SOUND_LEVELS key)
+ * Programs are segments like a source selector; levels span their range from left to right
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} state - Cached speaker state
+ * @returns {number} - Position between 0 and 1
+ */
+function getSoundPosition(speaker, state) {
+    if (speaker.mode === 'program') {
+        const programs = getZoneSoundPrograms(speaker);
+        const index = programs.indexOf(state.sound_program);
+        return index === -1 ? 0 : (index + 0.5) / programs.length;
+    }
+    
+    const range = getSoundLevelRange(speaker, speaker.mode);
+    const value = SOUND_LEVELS[speaker.mode].read(state);
+    if (value === undefined || range.max === range.min) {
+        return 0;
+    }
+    return (value - range.min) / (range.max - range.min);
+}
+
+module.exports = {
+    SOUND_LEVELS,
+    SOUND_SWITCHES,
+    getSoundLevelRange,
+    fitSoundLevel,
+    getZoneSoundPrograms,
+    getSoundPosition
+};
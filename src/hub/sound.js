@@ -0,0 +1,291 @@
+// Sound settings (sound program, tone, dialogue, pure direct, enhancer, ...) and sound-mode Twists
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const {
+    SOUND_LEVELS,
+    SOUND_SWITCHES,
+    getSoundLevelRange,
+    fitSoundLevel,
+    getZoneSoundPrograms,
+    getSoundPosition
+} = require('./sound-settings');
+const { applyZoneStatus } = require('./device-state');
+
+/**
+ * Set a sound level (bass, treble, dialogue level, subwoofer volume) on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @param {number} value - Requested level (rounded to the zone's step and range)
+ * @returns {Promise<number>} - Level that was set
+ */
+async function setYamahaSoundLevel(speakerId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const level = SOUND_LEVELS[setting];
+    if (!checkSupported(speaker, level.func)) {
+        throw new Error(`${speaker.name} does not support ${level.label.toLowerCase()}`);
+    }
+    
+    const fitted = fitSoundLevel(getSoundLevelRange(speaker, setting), value);
+    await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, level.endpoint), level.params(fitted),
+        { coalesceKey: `${setting}:${speaker.zone}` });
+    
+    const state = speakerStates[speaker.id] || {};
+    const status = {};
+    if (level.func === 'tone_control') {
+        status.tone_control = Object.assign({}, state.tone_control, { mode: 'manual', [setting]: fitted });
+    } else {
+        status[level.func] = fitted;
+    }
+    applyZoneStatus(speaker.ip, speaker.zone, status);
+    
+    console.log(`🎚️ ${level.label} of ${speaker.name} set to ${fitted}`);
+    return fitted;
+}
+
+/**
+ * Switch a sound setting (Pure Direct, Enhancer, Extra Bass) on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} setting - Key of SOUND_SWITCHES
+ * @param {boolean} enable - New state
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSoundSwitch(speakerId, setting, enable) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const soundSwitch = SOUND_SWITCHES[setting];
+    if (!checkSupported(speaker, soundSwitch.func)) {
+        throw new Error(`${speaker.name} does not support ${soundSwitch.label}`);
+    }
+    
+    const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, soundSwitch.endpoint), {
+        enable: enable.toString()
+    });
+    applyZoneStatus(speaker.ip, speaker.zone, { [soundSwitch.field]: enable });
+    
+    console.log(`🎚️ ${soundSwitch.label} ${enable ? 'on' : 'off'} for ${speaker.name}`);
+    return response;
+}
+
+/**
+ * Select a sound program on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} program - Program id (straight, movie, music, ...)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSoundProgram(speakerId, program) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'sound_program')) {
+        throw new Error(`${speaker.name} does not support sound programs`);
+    }
+    
+    const programs = getZoneSoundPrograms(speaker);
+    if (programs.length > 0 && !programs.includes(program)) {
+        console.log(`🚫 ${speaker.name}: unknown sound program "${program}" (available: ${programs.join(', ')})`);
+        throw new Error(`${speaker.name} does not support sound program ${program}`);
+    }
+    
+    const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'program'), {
+        program: program
+    });
+    applyZoneStatus(speaker.ip, speaker.zone, { sound_program: program });
+    
+    console.log(`🎚️ ${speaker.name} sound program set to ${program}`);
+    return response;
+}
+
+/**
+ * Get a speaker's zone status, from the cache if it holds the field, otherwise from the device
+ * @param {Object} speaker - Speaker configuration
+ * @param {Function} read - Reads the wanted value from a status
+ * @returns {Promise<*>} - The value (undefined if the zone does not report it)
+ */
+async function readZoneValue(speaker, read) {
+    const cached = read(speakerStates[speaker.id] || {});
+    if (cached !== undefined) {
+        return cached;
+    }
+    const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+    applyZoneStatus(speaker.ip, speaker.zone, statusData);
+    return read(statusData);
+}
+
+// Like the zone handlers in handlers.js, the sound handlers resolve to nothing once the command has
+// run, to { blocked: reason }, to { failed: error } or to { error: message } (see dispatchCommand)
+
+/**
+ * Handle "{device-id} {bass|treble|dialogue|subwoofer} {n|up|down}"
+ * @param {string} deviceId - Device identifier
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @param {string} value - Level, or up / down to move one step
+ */
+async function handleDeviceSoundLevel(deviceId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const level = SOUND_LEVELS[setting];
+    if (!checkSupported(speaker, level.func)) {
+        return { blocked: `${speaker.name} does not support ${level.label.toLowerCase()}` };
+    }
+    
+    try {
+        let target = Number(value);
+        if (value === 'up' || value === 'down') {
+            const range = getSoundLevelRange(speaker, setting);
+            const current = await readZoneValue(speaker, level.read);
+            target = (current === undefined ? range.min : current) + (value === 'up' ? range.step : -range.step);
+        } else if (value === '' || !Number.isFinite(target)) {
+            const message = `Invalid ${level.label.toLowerCase()} for device ${deviceId}: ${value}`;
+            console.log(message);
+            return { error: message };
+        }
+        
+        await setYamahaSoundLevel(deviceId, setting, target);
+    } catch (error) {
+        console.error(`❌ Error setting ${level.label.toLowerCase()} for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} {puredirect|enhancer|extrabass} [on|off]" (no argument toggles)
+ * @param {string} deviceId - Device identifier
+ * @param {string} setting - Key of SOUND_SWITCHES
+ * @param {string} value - on, off or undefined
+ */
+async function handleDeviceSoundSwitch(deviceId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const soundSwitch = SOUND_SWITCHES[setting];
+    if (!checkSupported(speaker, soundSwitch.func)) {
+        return { blocked: `${speaker.name} does not support ${soundSwitch.label}` };
+    }
+    
+    try {
+        let enable = value === 'on';
+        if (value === undefined) {
+            // Toggle from the zone's current state
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            enable = !statusData[soundSwitch.field];
+        }
+        
+        await setYamahaSoundSwitch(deviceId, setting, enable);
+    } catch (error) {
+        console.error(`❌ Error switching ${soundSwitch.label} for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} program {name|next|previous}"
+ * @param {string} deviceId - Device identifier
+ * @param {string} program - Program id, or 'next' / 'previous' to cycle through the zone's programs
+ */
+async function handleDeviceSoundProgram(deviceId, program) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    if (!checkSupported(speaker, 'sound_program')) {
+        return { blocked: `${speaker.name} does not support sound programs` };
+    }
+    
+    const programs = getZoneSoundPrograms(speaker);
+    const cycle = program === 'next' || program === 'previous';
+    if (cycle && programs.length === 0) {
+        const message = `${speaker.name}: sound program list unknown, cannot cycle programs`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    if (!cycle && programs.length > 0 && !programs.includes(program)) {
+        const message = `${speaker.name}: unknown sound program "${program}" (available: ${programs.join(', ')})`;
+        console.log(`🚫 ${message}`);
+        return { error: message };
+    }
+    
+    try {
+        let targetProgram = program;
+        if (cycle) {
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            const currentIndex = programs.indexOf(statusData.sound_program);
+            const offset = program === 'next' ? 1 : -1;
+            const newIndex = currentIndex === -1 ? 0 : (currentIndex + offset + programs.length) % programs.length;
+            targetProgram = programs[newIndex];
+        }
+        
+        await setYamahaSoundProgram(deviceId, targetProgram);
+    } catch (error) {
+        console.error(`❌ Error selecting sound program for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle Twist updates of a sound control
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+async function handleSoundDeviceUpdate(deviceId, values) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || values.volume === undefined) {
+        return;
+    }
+    const position = Math.max(0, Math.min(1, values.volume));
+    const state = speakerStates[speaker.id] || {};
+    
+    try {
+        if (speaker.mode === 'program') {
+            const programs = getZoneSoundPrograms(speaker);
+            if (programs.length === 0) {
+                console.log(`🚫 ${speaker.name}: sound program list unknown, cannot select programs`);
+                return;
+            }
+            const program = programs[Math.min(programs.length - 1, Math.floor(position * programs.length))];
+            if (program !== state.sound_program) {
+                await setYamahaSoundProgram(deviceId, program);
+            }
+        } else {
+            const range = getSoundLevelRange(speaker, speaker.mode);
+            const value = fitSoundLevel(range, range.min + position * (range.max - range.min));
+            if (value !== SOUND_LEVELS[speaker.mode].read(state)) {
+                await setYamahaSoundLevel(deviceId, speaker.mode, value);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Failed to update ${deviceId}:`, error);
+    }
+    
+    // Snap the Twist to the selected program or level
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: getSoundPosition(speaker, speakerStates[speaker.id] || {})
+    });
+}
+
+module.exports = {
+    handleDeviceSoundLevel,
+    handleDeviceSoundSwitch,
+    handleDeviceSoundProgram,
+    handleSoundDeviceUpdate
+};
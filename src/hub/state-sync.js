@@ -0,0 +1,134 @@
+// Real-time state sync: YXC events pushed over UDP, with polling as a fallback
+
+const dgram = require('dgram');
+const { YAMAHA_CONFIG } = require('../config');
+const { isZoneId } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { isPlaybackDevice, getDeviceIps } = require('./device-registry');
+const { applyZoneStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+const { netusbPresetNames } = require('./zone-commands');
+const { refreshPlaybackStatus, nowPlaying } = require('./now-playing');
+const { refreshLinkGroup } = require('./link-groups');
+
+let eventSocket = null;
+
+// Timestamp of the last event received per device IP
+const lastEventTimes = {};
+
+/**
+ * Handle an event packet pushed by a device
+ * Zone payloads carry changed fields (power, volume, mute, input) directly;
+ * flags like status_updated / play_info_updated mean we have to fetch the details
+ * @param {string} ip - Sender IP address
+ * @param {Buffer|string} message - Raw UDP payload (JSON)
+ */
+function handleYxcEvent(ip, message) {
+    let event;
+    try {
+        event = JSON.parse(message.toString());
+    } catch (error) {
+        console.error(`❌ Ignoring malformed event from ${ip}:`, error);
+        return;
+    }
+
+    lastEventTimes[ip] = Date.now();
+
+    Object.keys(event).forEach(key => {
+        const payload = event[key];
+        if (!payload || typeof payload !== 'object') {
+            return;
+        }
+
+        if (key === 'dist') {
+            if (payload.dist_info_updated) {
+                refreshLinkGroup(ip);
+            }
+        } else if (key === 'netusb') {
+            if (payload.play_info_updated) {
+                refreshPlaybackStatus(ip);
+            } else if (payload.play_time !== undefined && nowPlaying[ip]) {
+                // Sent every second while playing
+                nowPlaying[ip].playTime = payload.play_time;
+            }
+            if (payload.preset_info_updated) {
+                delete netusbPresetNames[ip];
+            }
+        } else if (isZoneId(key)) {
+            applyZoneStatus(ip, key, payload);
+
+            if (payload.status_updated) {
+                const speaker = YAMAHA_CONFIG.speakers.find(s => s.ip === ip && s.zone === key);
+                if (speaker) {
+                    getCurrentVolumeAndUpdate(speaker);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Renew the event subscription on every device
+ * Devices keep pushing events for 10 minutes after the last request with X-AppName/X-AppPort headers
+ */
+function renewEventSubscriptions() {
+    getDeviceIps().forEach(ip => {
+        yxcRequest(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo').catch(error => {
+            console.error(`❌ Error renewing event subscription for ${ip}:`, error);
+        });
+    });
+}
+
+/**
+ * Poll getStatus on devices that have not pushed any events recently
+ */
+function pollSilentDevices() {
+    const now = Date.now();
+
+    getDeviceIps().forEach(ip => {
+        const lastEventTime = lastEventTimes[ip] || 0;
+        if (eventSocket && now - lastEventTime < YAMAHA_CONFIG.events.eventTimeoutMs) {
+            return;
+        }
+
+        const deviceSpeakers = YAMAHA_CONFIG.speakers.filter(s => s.ip === ip);
+        deviceSpeakers.forEach(speaker => {
+            if (!isPlaybackDevice(speaker)) {
+                getCurrentVolumeAndUpdate(speaker);
+            }
+        });
+        const device = deviceRegistry[ip];
+        if (deviceSpeakers.some(s => isPlaybackDevice(s)) || !device || !device.discovered || device.netusb !== null) {
+            refreshPlaybackStatus(ip);
+        }
+    });
+}
+
+/**
+ * Start listening for event notifications and the polling fallback
+ */
+function startStateSync() {
+    const eventsConfig = YAMAHA_CONFIG.events;
+
+    if (eventsConfig.enabled) {
+        try {
+            eventSocket = dgram.createSocket('udp4');
+            eventSocket.on('message', (message, rinfo) => handleYxcEvent(rinfo.address, message));
+            eventSocket.on('error', (error) => {
+                console.error('❌ Event listener error, falling back to polling:', error);
+                eventSocket = null;
+            });
+            eventSocket.bind(eventsConfig.port);
+            console.log(`📡 Listening for Yamaha events on UDP port ${eventsConfig.port}`);
+        } catch (error) {
+            console.error('❌ Could not start event listener, falling back to polling:', error);
+            eventSocket = null;
+        }
+
+        setInterval(renewEventSubscriptions, eventsConfig.renewIntervalMs);
+    }
+
+    setInterval(pollSilentDevices, eventsConfig.pollIntervalMs);
+}
+
+module.exports = { startStateSync };
@@ -0,0 +1,48 @@
+// JSON values in the hub datastore
+
+const datastore = require('datastore');
+
+/**
+ * Read a JSON value from the hub datastore
+ * @param {string} key - Datastore key
+ * @returns {Promise<*>} - Parsed value, or null if the key is empty
+ */
+function readDatastore(key) {
+    return new Promise((resolve, reject) => {
+        datastore.get(key, (error, value) => {
+            if (error) {
+                reject(new Error(`Datastore read of ${key} failed: ${error}`));
+                return;
+            }
+            if (value === null || value === undefined || value === '') {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(value));
+            } catch (parseError) {
+                reject(new Error(`Datastore value of ${key} is not valid JSON`));
+            }
+        });
+    });
+}
+
+/**
+ * Write a JSON value to the hub datastore
+ * @param {string} key - Datastore key
+ * @param {*} value - Value to store
+ * @returns {Promise} - Resolves when the value is stored
+ */
+function writeDatastore(key, value) {
+    return new Promise((resolve, reject) => {
+        datastore.put(key, JSON.stringify(value), error => {
+            if (error) {
+                reject(new Error(`Datastore write of ${key} failed: ${error}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+module.exports = { readDatastore, writeDatastore };
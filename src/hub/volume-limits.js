@@ -0,0 +1,61 @@
+// Per-zone maximum volume and quiet-hours caps
+
+const { parseScheduleTime } = require('./schedule-times');
+
+/**
+ * Check whether a quiet-hours window is active
+ * @param {Object} quietHours - { from: 'HH:MM', to: 'HH:MM' }; a window may run past midnight
+ * @param {Date} now - Current time
+ * @returns {boolean} - True between from (inclusive) and to (exclusive)
+ */
+function isQuietHours(quietHours, now) {
+    const from = parseScheduleTime(quietHours.from);
+    const to = parseScheduleTime(quietHours.to);
+    if (!from || !to) {
+        return false;
+    }
+    
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const start = from.hours * 60 + from.minutes;
+    const end = to.hours * 60 + to.minutes;
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Get the volume limit that applies to a speaker right now
+ * @param {Object} speaker - Speaker configuration
+ * @param {Date} now - Current time (defaults to the hub clock)
+ * @returns {Object|null} - { volume, reason } with the lower of maxVolume and an active quiet-hours cap
+ */
+function getVolumeLimit(speaker, now = new Date()) {
+    let limit = null;
+    if (typeof speaker.maxVolume === 'number') {
+        limit = { volume: speaker.maxVolume, reason: 'maximum volume' };
+    }
+    
+    const quietHours = speaker.quietHours;
+    if (quietHours && typeof quietHours.maxVolume === 'number' && isQuietHours(quietHours, now) &&
+        (!limit || quietHours.maxVolume < limit.volume)) {
+        limit = { volume: quietHours.maxVolume, reason: `quiet hours ${quietHours.from}-${quietHours.to}` };
+    }
+    return limit;
+}
+
+/**
+ * Log that a volume request was held back by the speaker's volume limit
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} requested - Requested native volume
+ * @param {number} allowed - Native volume after clamping
+ * @returns {string|null} - The message if the limit held the request back
+ */
+function logVolumeLimit(speaker, requested, allowed) {
+    const limit = getVolumeLimit(speaker);
+    if (limit && requested > allowed && allowed >= limit.volume) {
+        const message = `${speaker.name} held at ${allowed} (${limit.reason})`;
+        console.log(`🌙 ${message}`);
+        return message;
+    }
+    return null;
+}
+
+module.exports = { isQuietHours, getVolumeLimit, logVolumeLimit };
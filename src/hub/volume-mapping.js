@@ -0,0 +1,184 @@
+// Mapping between the Twist's 0-1 range and a zone's native volume steps (linear or dB curves)
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneCapabilities } = require('./device-registry');
+const { getVolumeLimit } = require('./volume-limits');
+
+// Speakers we already warned about a 'db' curve without a dB range
+const dbCurveWarnings = new Set();
+
+/**
+ * Get the native volume range for a speaker's zone
+ * Uses the range discovered for that device, falling back to the configured defaults
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { min, max, step, dbMin?, dbMax? }
+ */
+function getVolumeRange(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    if (zone && zone.volumeRange) {
+        return zone.volumeRange;
+    }
+    return YAMAHA_CONFIG.volumeRanges[speaker.zone] || { min: 0, max: 100, step: 1 };
+}
+
+/**
+ * Get the volume mapping options for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - Mapping options ({ curve, dbFloor, cap, step })
+ */
+function getVolumeOptions(speaker) {
+    return speaker.volume || {};
+}
+
+/**
+ * Get the highest native volume step the Twist may reach for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {number} - User cap, limited to the zone's range
+ */
+function getVolumeCap(speaker) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeOptions(speaker).cap;
+    if (cap === undefined) {
+        return range.max;
+    }
+    return Math.max(range.min, Math.min(range.max, cap));
+}
+
+/**
+ * Clamp a native volume to the speaker's range/cap and volume limit, and round it to the zone's step size
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} nativeVolume - Native volume value
+ * @returns {number} - Valid native volume step
+ */
+function clampNativeVolume(speaker, nativeVolume) {
+    const range = getVolumeRange(speaker);
+    const step = range.step || 1;
+    const snapped = range.min + Math.round((nativeVolume - range.min) / step) * step;
+    const limit = getVolumeLimit(speaker);
+    const highest = limit ? Math.min(getVolumeCap(speaker), limit.volume) : getVolumeCap(speaker);
+    return Math.max(range.min, Math.min(highest, snapped));
+}
+
+/**
+ * Check whether a speaker uses the dB-aware curve (and the zone reports a dB range)
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for the 'db' curve
+ */
+function usesDbCurve(speaker) {
+    if (getVolumeOptions(speaker).curve !== 'db') {
+        return false;
+    }
+
+    const range = getVolumeRange(speaker);
+    if (range.dbMin === undefined || range.dbMax === undefined) {
+        if (!dbCurveWarnings.has(speaker.id)) {
+            dbCurveWarnings.add(speaker.id);
+            console.log(`⚠️ ${speaker.name} does not report a dB range, using the linear volume curve`);
+        }
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Convert a native volume step to dB (steps are linear in dB on YXC devices)
+ * @param {Object} range - Zone volume range including dbMin/dbMax
+ * @param {number} nativeVolume - Native volume step
+ * @returns {number} - Volume in dB
+ */
+function nativeVolumeToDb(range, nativeVolume) {
+    return range.dbMin + (nativeVolume - range.min) * (range.dbMax - range.dbMin) / (range.max - range.min);
+}
+
+/**
+ * Convert a dB value to a (fractional) native volume step
+ * @param {Object} range - Zone volume range including dbMin/dbMax
+ * @param {number} db - Volume in dB
+ * @returns {number} - Native volume step
+ */
+function dbToNativeVolume(range, db) {
+    return range.min + (db - range.dbMin) * (range.max - range.min) / (range.dbMax - range.dbMin);
+}
+
+/**
+ * Get the dB level the 'db' curve starts at for a speaker (never above the cap)
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} capDb - The speaker's cap in dB
+ * @returns {number} - Floor in dB
+ */
+function getDbFloor(speaker, capDb) {
+    const dbFloor = getVolumeOptions(speaker).dbFloor;
+    return Math.min(dbFloor !== undefined ? dbFloor : -60, capDb);
+}
+
+/**
+ * Map a Twist value (0-1) to a native volume step for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} value - Virtual device volume (0-1)
+ * @returns {number} - Native volume step
+ */
+function volumeToNative(speaker, value) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeCap(speaker);
+    const position = Math.max(0, Math.min(1, value));
+
+    if (usesDbCurve(speaker)) {
+        // Bottom of the Twist stays silent, the rest is spread evenly in dB from the floor up to the cap
+        if (position === 0) {
+            return range.min;
+        }
+        const capDb = nativeVolumeToDb(range, cap);
+        const floorDb = getDbFloor(speaker, capDb);
+        return clampNativeVolume(speaker, dbToNativeVolume(range, floorDb + (capDb - floorDb) * position));
+    }
+
+    return clampNativeVolume(speaker, range.min + (cap - range.min) * position);
+}
+
+/**
+ * Map a native volume step to a Twist value (0-1) for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} nativeVolume - Native volume step reported by the device
+ * @returns {number} - Virtual device volume (0-1)
+ */
+function nativeToVolume(speaker, nativeVolume) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeCap(speaker);
+    if (cap <= range.min || nativeVolume <= range.min) {
+        return 0;
+    }
+
+    let position;
+    if (usesDbCurve(speaker)) {
+        const capDb = nativeVolumeToDb(range, cap);
+        const floorDb = getDbFloor(speaker, capDb);
+        position = capDb === floorDb ? 1 : (nativeVolumeToDb(range, nativeVolume) - floorDb) / (capDb - floorDb);
+    } else {
+        position = (nativeVolume - range.min) / (cap - range.min);
+    }
+    return Math.max(0, Math.min(1, position));
+}
+
+/**
+ * Get the native step size for "volume up/down" on a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {number} - Native volume steps per press
+ */
+function getVolumeStepSize(speaker) {
+    const range = getVolumeRange(speaker);
+    const configuredStep = getVolumeOptions(speaker).step;
+    if (configuredStep !== undefined) {
+        return configuredStep;
+    }
+    // Default to 10% of the zone's range, rounded to whole device steps
+    const step = range.step || 1;
+    return Math.max(step, Math.round((range.max - range.min) / 10 / step) * step);
+}
+
+module.exports = {
+    getVolumeRange,
+    clampNativeVolume,
+    volumeToNative,
+    nativeToVolume,
+    getVolumeStepSize
+};
@@ -0,0 +1,13 @@
+// The hub's YXC client, configured from YAMAHA_CONFIG (client, requestQueue and events)
+
+const http = require('http');
+const { YAMAHA_CONFIG } = require('../config');
+const { createYxcClient } = require('../yxc/client');
+
+// Every module sends through this one client, so they share its request queues and offline tracking
+const yxcClient = createYxcClient({ http: http, config: YAMAHA_CONFIG });
+
+module.exports = {
+    yxcRequest: yxcClient.request,
+    isDeviceOnline: yxcClient.isDeviceOnline
+};
@@ -0,0 +1,354 @@
+// Zone commands sent to the receivers: volume, power, mute, input, scenes, sleep timer and presets
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { getZoneInputs, getZoneCapabilities, checkSupported } = require('./device-registry');
+const { clampNativeVolume } = require('./volume-mapping');
+const { applyZoneStatus } = require('./device-state');
+
+/**
+ * Set volume for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} volume - Volume level in the zone's native volume steps
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaVolume(speakerId, volume) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'volume')) {
+        throw new Error(`${speaker.name} does not support volume control`);
+    }
+    
+    // Range, cap, maxVolume and quiet hours; the confirmed write moves the Twist to the limited level
+    const volumeValue = clampNativeVolume(speaker, volume);
+    
+    try {
+        // Pending volume writes for this zone collapse to the latest value
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'volume'), {
+            volume: volumeValue
+        }, { coalesceKey: `volume:${speaker.zone}`, withRequest: true });
+        
+        // The successful write confirms the volume; no need to read the status back.
+        // If our write was collapsed into a newer one, that caller refreshes the Twist
+        const writtenVolume = response.params.volume;
+        applyZoneStatus(speaker.ip, speaker.zone, { volume: writtenVolume }, writtenVolume === volumeValue);
+        
+        return response.body;
+    } catch (error) {
+        console.error(`❌ Error setting volume for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Set power state for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {boolean} powerOn - True to turn on, false to turn off
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaPower(speakerId, powerOn) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'power')) {
+        throw new Error(`${speaker.name} does not support power control`);
+    }
+    
+    const powerState = powerOn ? 'on' : 'standby';
+    console.log(`Setting power for ${speaker.name} (${speaker.zone} zone) to ${powerState}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: powerState
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: powerState });
+        console.log(`Successfully set power for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting power for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Set mute state for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {boolean} muted - True to mute, false to unmute
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaMute(speakerId, muted) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'mute')) {
+        throw new Error(`${speaker.name} does not support mute control`);
+    }
+    
+    const muteState = muted ? 'true' : 'false';
+    console.log(`Setting mute for ${speaker.name} (${speaker.zone} zone) to ${muteState}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'mute'), {
+            enable: muteState
+        });
+        
+        console.log(`Successfully set mute for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting mute for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Switch the input of a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} input - Input id (hdmi1, spotify, tuner, bluetooth, ...)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaInput(speakerId, input) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const inputs = getZoneInputs(speaker);
+    if (inputs.length > 0 && !inputs.includes(input)) {
+        console.log(`🚫 ${speaker.name}: unknown input "${input}" (available: ${inputs.join(', ')})`);
+        throw new Error(`${speaker.name} does not support input ${input}`);
+    }
+    
+    console.log(`Setting input for ${speaker.name} (${speaker.zone} zone) to ${input}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'input'), {
+            input: input
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { input: input });
+        console.log(`Successfully set input for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting input for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Recall a scene on a specific Yamaha speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Scene number (1-based)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallYamahaScene(speakerId, num) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'scene')) {
+        throw new Error(`${speaker.name} does not support scenes`);
+    }
+    
+    const zone = getZoneCapabilities(speaker);
+    if (zone && zone.sceneCount > 0 && num > zone.sceneCount) {
+        throw new Error(`${speaker.name} only has ${zone.sceneCount} scenes`);
+    }
+    
+    console.log(`Recalling scene ${num} on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'scene'), {
+        num: num
+    });
+}
+
+// Sleep timer values setSleep accepts (minutes, 0 = off)
+const SLEEP_MINUTES = [0, 30, 60, 90, 120];
+
+/**
+ * Set the sleep timer of a specific Yamaha speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} minutes - One of SLEEP_MINUTES
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSleep(speakerId, minutes) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!SLEEP_MINUTES.includes(minutes)) {
+        throw new Error(`Invalid sleep time ${minutes} (expected ${SLEEP_MINUTES.join(', ')})`);
+    }
+    if (!checkSupported(speaker, 'sleep')) {
+        throw new Error(`${speaker.name} does not support a sleep timer`);
+    }
+    
+    console.log(`Setting sleep timer for ${speaker.name} (${speaker.zone} zone) to ${minutes === 0 ? 'off' : `${minutes} minutes`}`);
+    
+    return yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'sleep'), {
+        sleep: minutes
+    });
+}
+
+// Net/USB preset names per device IP, cached from netusb/getPresetInfo
+const netusbPresetNames = {};
+
+/**
+ * Get the net/USB preset list of a device
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object[]>} - Presets as { num, input, name }, empty slots excluded
+ */
+async function getNetusbPresets(ip) {
+    const presetData = await yxcRequest(ip, '/YamahaExtendedControl/v1/netusb/getPresetInfo');
+    const presets = (presetData.preset_info || [])
+        .map((preset, index) => ({ num: index + 1, input: preset.input, name: preset.text }))
+        .filter(preset => preset.input && preset.input !== 'unknown');
+    
+    netusbPresetNames[ip] = {};
+    presets.forEach(preset => {
+        netusbPresetNames[ip][preset.num] = preset.name;
+    });
+    return presets;
+}
+
+/**
+ * Get the name of a net/USB preset for logging (fetched once per device)
+ * @param {string} ip - Device IP address
+ * @param {number} num - Preset number
+ * @returns {Promise<string|null>} - Preset name, or null if unknown
+ */
+async function getNetusbPresetName(ip, num) {
+    try {
+        if (!netusbPresetNames[ip]) {
+            await getNetusbPresets(ip);
+        }
+        return netusbPresetNames[ip][num] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Recall a net/USB preset (streaming favourites, net radio, ...) on a speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Preset number (1-based)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallNetusbPreset(speakerId, num) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'netusb')) {
+        throw new Error(`${speaker.name} does not support net/USB presets`);
+    }
+    
+    const device = deviceRegistry[speaker.ip];
+    if (device && device.netusb && device.netusb.presetCount > 0 && num > device.netusb.presetCount) {
+        throw new Error(`${speaker.name} only has ${device.netusb.presetCount} presets`);
+    }
+    
+    const presetName = await getNetusbPresetName(speaker.ip, num);
+    console.log(`Recalling preset ${num}${presetName ? ` (${presetName})` : ''} on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/recallPreset', {
+        zone: speaker.zone,
+        num: num
+    });
+}
+
+/**
+ * Get the tuner band to use for preset commands
+ * Tuners with a common preset list use band 'common'; others default to FM
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} band - Requested band (am, fm, dab) or undefined
+ * @returns {string} - Band parameter for the tuner API
+ */
+function getTunerPresetBand(speaker, band) {
+    const device = deviceRegistry[speaker.ip];
+    const tuner = device && device.tuner;
+    if (tuner && tuner.preset && tuner.preset.type === 'common') {
+        return 'common';
+    }
+    return band || 'fm';
+}
+
+/**
+ * Get the tuner preset list of a device
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} band - Requested band (am, fm, dab) or undefined
+ * @returns {Promise<Object[]>} - Presets as { num, band, name }, empty slots excluded
+ */
+async function getTunerPresets(speaker, band) {
+    const presetData = await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/tuner/getPresetInfo', {
+        band: getTunerPresetBand(speaker, band)
+    });
+    return (presetData.preset_info || [])
+        .map((preset, index) => ({ num: index + 1, band: preset.band, name: formatTunerFrequency(preset) }))
+        .filter(preset => preset.band && preset.band !== 'unknown' && preset.name);
+}
+
+/**
+ * Format a tuner preset for logging (FM in MHz, AM in kHz, DAB by station id)
+ * @param {Object} preset - Entry from tuner/getPresetInfo
+ * @returns {string} - Human readable preset
+ */
+function formatTunerFrequency(preset) {
+    if (!preset.number) {
+        return '';
+    }
+    if (preset.band === 'fm') {
+        return `FM ${(preset.number / 1000).toFixed(2)} MHz`;
+    }
+    if (preset.band === 'am') {
+        return `AM ${preset.number} kHz`;
+    }
+    return `${String(preset.band).toUpperCase()} ${preset.number}`;
+}
+
+/**
+ * Recall a tuner preset on a speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Preset number (1-based)
+ * @param {string} band - Band (am, fm, dab); ignored on tuners with a common preset list
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallTunerPreset(speakerId, num, band) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'tuner')) {
+        throw new Error(`${speaker.name} does not have a tuner`);
+    }
+    
+    const presetBand = getTunerPresetBand(speaker, band);
+    console.log(`Recalling tuner preset ${num} (${presetBand}) on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/tuner/recallPreset', {
+        zone: speaker.zone,
+        band: presetBand,
+        num: num
+    });
+}
+
+module.exports = {
+    setYamahaVolume,
+    setYamahaPower,
+    setYamahaMute,
+    setYamahaInput,
+    recallYamahaScene,
+    SLEEP_MINUTES,
+    setYamahaSleep,
+    netusbPresetNames,
+    getNetusbPresets,
+    recallNetusbPreset,
+    getTunerPresets,
+    recallTunerPreset
+};
@@ -0,0 +1,76 @@
+// Zone group members and the level shown on a zone group's Twist
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice } = require('./device-registry');
+const { nativeToVolume } = require('./volume-mapping');
+
+/**
+ * Get a zone group from the configuration
+ * Groups are written as a member list or as { name, members }
+ * @param {string} groupId - Group identifier
+ * @returns {Object|null} - { id, name, members: [speaker configurations] }
+ */
+function getZoneGroup(groupId) {
+    const definition = YAMAHA_CONFIG.groups[groupId];
+    if (!definition) {
+        return null;
+    }
+    
+    const memberIds = Array.isArray(definition) ? definition : definition.members || [];
+    return {
+        id: groupId,
+        name: (!Array.isArray(definition) && definition.name) || groupId,
+        members: memberIds
+            .map(memberId => YAMAHA_CONFIG.speakers.find(s => s.id === memberId))
+            .filter(speaker => speaker && !isPlaybackDevice(speaker) && !speaker.mode)
+    };
+}
+
+/**
+ * Get the zone groups a speaker belongs to
+ * @param {string} speakerId - Speaker identifier
+ * @returns {Object[]} - Zone groups
+ */
+function getSpeakerZoneGroups(speakerId) {
+    return Object.keys(YAMAHA_CONFIG.groups)
+        .map(getZoneGroup)
+        .filter(group => group.members.some(member => member.id === speakerId));
+}
+
+/**
+ * Get the level of a group's Twist: the average Twist position of its members
+ * @param {Object} group - Zone group
+ * @returns {number|null} - Virtual device volume (0-1), or null while member volumes are unknown
+ */
+function getZoneGroupLevel(group) {
+    const levels = group.members
+        .filter(member => speakerStates[member.id] && speakerStates[member.id].volume !== undefined)
+        .map(member => nativeToVolume(member, speakerStates[member.id].volume));
+    if (levels.length === 0) {
+        return null;
+    }
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+}
+
+/**
+ * Push a group's level to its virtual device
+ * @param {Object} group - Zone group
+ */
+function refreshZoneGroupTwist(group) {
+    const level = getZoneGroupLevel(group);
+    if (level !== null) {
+        flicApp.virtualDeviceUpdateState('Speaker', group.id, { volume: level });
+    }
+}
+
+/**
+ * Push the level of every group a speaker belongs to
+ * @param {string} speakerId - Speaker identifier
+ */
+function refreshZoneGroupTwists(speakerId) {
+    getSpeakerZoneGroups(speakerId).forEach(refreshZoneGroupTwist);
+}
+
+module.exports = { getZoneGroup, getZoneGroupLevel, refreshZoneGroupTwist, refreshZoneGroupTwists };
@@ -0,0 +1,169 @@
+// Zone groups: commands and Twist turns fanned out to every member
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const { volumeToNative, nativeToVolume } = require('./volume-mapping');
+const { getZoneGroup, getZoneGroupLevel, refreshZoneGroupTwist } = require('./zone-group-levels');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { setYamahaVolume, setYamahaPower } = require('./zone-commands');
+const { cancelFade, setZoneMute } = require('./fades');
+const { cooldownPolicy, getCooldownBlock } = require('./cooldowns');
+
+/**
+ * Run a command on every member of a group in parallel and report the members that failed
+ * @param {Object} group - Zone group
+ * @param {string} description - Result for the log, e.g. "turned on"
+ * @param {Function} command - Called with each member; returns a promise
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first member's error) if any member failed
+ */
+async function fanOutToZoneGroup(group, description, command) {
+    const results = await Promise.all(group.members.map(member =>
+        Promise.resolve()
+            .then(() => command(member))
+            .then(() => null, error => ({ speaker: member, error: error }))
+    ));
+    
+    const failures = results.filter(result => result);
+    if (failures.length === 0) {
+        console.log(`✅ ${group.name} ${description}`);
+    } else if (failures.length < group.members.length) {
+        const details = failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ');
+        console.log(`⚠️ ${group.name} ${description} on ${group.members.length - failures.length} of ${group.members.length} zones (failed: ${details})`);
+    } else {
+        const details = failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ');
+        console.error(`❌ ${group.name} not ${description} (${details})`);
+    }
+    return failures.length > 0 ? { failed: failures[0].error } : undefined;
+}
+
+/**
+ * Handle group Twist updates: move every member by the same amount, keeping their offsets
+ * Each member is clamped to its own range; members in a cooldown keep their volume
+ * @param {string} groupId - Group identifier (virtual device ID)
+ * @param {Object} values - Values from Flic Twist
+ * @returns {Promise<Object|undefined>} - { failed: error } if a member failed, { blocked: reason } if every member was held back
+ */
+async function handleZoneGroupUpdate(groupId, values) {
+    const group = getZoneGroup(groupId);
+    if (!group || values.volume === undefined) {
+        return;
+    }
+    group.members.forEach(member => cancelFade(member.id));
+    
+    for (const member of group.members) {
+        if (!speakerStates[member.id] || speakerStates[member.id].volume === undefined) {
+            await getCurrentVolumeAndUpdate(member);
+        }
+    }
+    
+    const currentLevel = getZoneGroupLevel(group);
+    const change = currentLevel === null ? 0 : values.volume - currentLevel;
+    const blocks = [];
+    const members = group.members.filter(member => {
+        if (!checkSupported(member, 'volume')) {
+            blocks.push(`${member.name} does not support volume`);
+            return false;
+        }
+        const blocked = getCooldownBlock(member, 'volume', 'Volume change');
+        if (blocked) {
+            blocks.push(blocked);
+        }
+        return !blocked;
+    });
+    
+    const failures = await Promise.all(members.map(member => {
+        const state = speakerStates[member.id] || {};
+        const memberLevel = state.volume !== undefined ? nativeToVolume(member, state.volume) : values.volume;
+        const level = Math.max(0, Math.min(1, memberLevel + change));
+        return setYamahaVolume(member.id, volumeToNative(member, level))
+            .then(() => {
+                cooldownPolicy.record(member, 'volume');
+                return null;
+            }, error => {
+                console.error(`❌ Group volume not set on ${member.name}:`, error);
+                return error;
+            });
+    }));
+    
+    // Snap the group Twist to the level the members actually reached
+    refreshZoneGroupTwist(group);
+    
+    const failure = failures.find(error => error);
+    if (failure) {
+        return { failed: failure };
+    }
+    return members.length === 0 && blocks.length > 0 ? { blocked: blocks.join('; ') } : undefined;
+}
+
+/**
+ * Handle group action messages: "{group-id} on|off|power|mute|volume up|volume down"
+ * Resolves like the zone handlers in handlers.js; a member that failed makes the whole command { failed }
+ * @param {string} groupId - Group identifier
+ * @param {string} action - Action from the message
+ * @returns {Promise<Object|undefined>} - Outcome if the command did not run on every member
+ */
+async function handleZoneGroupAction(groupId, action) {
+    const group = getZoneGroup(groupId);
+    if (group.members.length === 0) {
+        const message = `Group ${groupId} has no configured members`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    group.members.forEach(member => cancelFade(member.id));
+    
+    switch (action) {
+        case 'on':
+            return fanOutToZoneGroup(group, 'turned on', member => setYamahaPower(member.id, true));
+        case 'off':
+            return fanOutToZoneGroup(group, 'turned off', member => setYamahaPower(member.id, false));
+        case 'power': {
+            // Turn the group on unless every member is already on
+            const allOn = group.members.every(member => (speakerStates[member.id] || {}).power === 'on');
+            return fanOutToZoneGroup(group, allOn ? 'turned off' : 'turned on', member => setYamahaPower(member.id, !allOn));
+        }
+        case 'mute': {
+            // Mute the group unless every member is already muted
+            const allMuted = group.members.every(member => (speakerStates[member.id] || {}).mute === true);
+            return fanOutToZoneGroup(group, allMuted ? 'unmuted' : 'muted', member => setZoneMute(member, !allMuted));
+        }
+        case 'volume up':
+        case 'volume down': {
+            const level = getZoneGroupLevel(group);
+            const stepSize = 0.1 * (action === 'volume up' ? 1 : -1);
+            return handleZoneGroupUpdate(groupId, { volume: Math.max(0, Math.min(1, (level || 0) + stepSize)) });
+        }
+        default: {
+            const message = `Unknown action for group ${groupId}: ${action}`;
+            console.log(message);
+            return { error: message };
+        }
+    }
+}
+
+/**
+ * Create the virtual devices of all zone groups
+ */
+async function initializeZoneGroupDevices() {
+    for (const groupId of Object.keys(YAMAHA_CONFIG.groups)) {
+        const group = getZoneGroup(groupId);
+        if (YAMAHA_CONFIG.speakers.some(s => s.id === groupId)) {
+            console.error(`❌ Group ${groupId} has the same id as a speaker and is ignored`);
+            continue;
+        }
+        
+        const definition = YAMAHA_CONFIG.groups[groupId];
+        const memberIds = Array.isArray(definition) ? definition : definition.members || [];
+        memberIds
+            .filter(memberId => !group.members.some(member => member.id === memberId))
+            .forEach(memberId => console.log(`⚠️ Group ${groupId}: ${memberId} is not a speaker with a volume`));
+        
+        flicApp.createVirtualDevice(groupId, 'Speaker', {
+            volume: getZoneGroupLevel(group) || 0
+        });
+        console.log(`👥 Group ${group.name}: ${group.members.map(member => member.name).join(', ') || '(no configured members)'}`);
+    }
+}
+
+module.exports = { handleZoneGroupUpdate, handleZoneGroupAction, initializeZoneGroupDevices };
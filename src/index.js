@@ -0,0 +1,35 @@
+// YXC client and device model for plain Node, without the Flic Hub:
+//
+//   const { createYxcClient, nodeHttp, readDevice } = require('yamaha-flic-integration');
+//   const client = createYxcClient({ http: nodeHttp });
+//   const device = await readDevice(client.request, '192.168.1.100');
+//   await client.request('192.168.1.100', getZoneEndpoint('main', 'volume'), { volume: 40 });
+
+const errors = require('./yxc/errors');
+const { createCancelToken, delay, createYxcClient } = require('./yxc/client');
+const { ZONE_FUNCTIONS, isZoneId, getZoneEndpoint } = require('./yxc/zones');
+const nodeHttp = require('./yxc/node-http');
+const {
+    createDeviceEntry,
+    applyDeviceInfo,
+    parseZoneFeatures,
+    applyDeviceFeatures,
+    deviceSupports,
+    readDevice
+} = require('./devices/model');
+
+module.exports = Object.assign({}, errors, {
+    createCancelToken,
+    delay,
+    createYxcClient,
+    ZONE_FUNCTIONS,
+    isZoneId,
+    getZoneEndpoint,
+    nodeHttp,
+    createDeviceEntry,
+    applyDeviceInfo,
+    parseZoneFeatures,
+    applyDeviceFeatures,
+    deviceSupports,
+    readDevice
+});
@@ -0,0 +1,15 @@
+// Yamaha Speaker Integration with Flic App Module
+// This script integrates Yamaha speakers using the YXC (Yamaha Extended Control) API
+// with Flic buttons and Twist controllers for volume control
+//
+// Entry point of the hub script: `npm run build` bundles it with everything it requires into
+// yamaha-flic-integration.js, the single file Hub Studio runs
+
+const { initializeYamahaIntegration } = require('./hub/integration');
+
+console.log('Yamaha Speaker Integration Started');
+
+// Start the integration
+initializeYamahaIntegration().catch(error => {
+    console.error('❌ Yamaha Speaker Integration could not start:', error.message);
+});
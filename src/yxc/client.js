@@ -0,0 +1,412 @@
+// YXC (Yamaha Extended Control) HTTP client: a request queue per device, retries with backoff,
+// timeouts, cancellation and offline tracking. It needs nothing from the Flic Hub; give it the hub's
+// http module, or ./node-http to use it from plain Node
+
+const {
+    YxcTimeoutError,
+    YxcNetworkError,
+    YxcHttpError,
+    YxcInvalidResponseError,
+    YxcResponseError,
+    YxcCancelledError,
+    YxcOfflineError,
+    createYxcResponseError
+} = require('./errors');
+
+// Settings for whatever the client configuration leaves out (see YAMAHA_CONFIG for their meaning)
+const DEFAULT_SETTINGS = {
+    client: {
+        timeoutMs: 5000,
+        retries: 2,
+        retryDelayMs: 300,
+        offlineAfterFailures: 3,
+        offlineRetryMs: 30 * 1000
+    },
+    requestQueue: {
+        maxConcurrent: 1
+    },
+    // Event subscription headers are only sent when enabled
+    events: {
+        enabled: false,
+        appName: 'MusicCast/1.0(FlicHub)',
+        port: 41100
+    }
+};
+
+/**
+ * Create a token that cancels pending and running requests it is passed to
+ * @returns {Object} - { cancelled, cancel(), onCancel(listener) }
+ */
+function createCancelToken() {
+    const listeners = [];
+    const token = {
+        cancelled: false,
+        cancel() {
+            if (token.cancelled) {
+                return;
+            }
+            token.cancelled = true;
+            listeners.splice(0).forEach(listener => listener());
+        },
+        onCancel(listener) {
+            if (token.cancelled) {
+                listener();
+                return () => {};
+            }
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+    };
+    return token;
+}
+
+/**
+ * Wait for a given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise} - Resolves after the delay
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a YXC client with its own request queues and device health
+ * @param {Object} options - { http (module with makeRequest), config ({ client, requestQueue, events }, read on every request) }
+ * @returns {Object} - { request(ip, endpoint, params, options), isDeviceOnline(ip) }
+ */
+function createYxcClient(options) {
+    const http = options.http;
+    const config = options.config || {};
+    
+    /**
+     * Get a section of the client configuration
+     * @param {string} section - client, requestQueue or events
+     * @returns {Object} - Configured values over the defaults
+     */
+    function getSettings(section) {
+        return Object.assign({}, DEFAULT_SETTINGS[section], config[section]);
+    }
+    
+    // Consecutive connection failures and offline state per device IP
+    const deviceHealth = {};
+    
+    /**
+     * Get the health record of a device
+     * @param {string} ip - Device IP address
+     * @returns {Object} - { failures, offline, lastAttempt }
+     */
+    function getDeviceHealth(ip) {
+        return deviceHealth[ip] || (deviceHealth[ip] = { failures: 0, offline: false, lastAttempt: 0 });
+    }
+    
+    /**
+     * Check whether a device is reachable (not marked offline)
+     * @param {string} ip - Device IP address
+     * @returns {boolean} - True unless the device is marked offline
+     */
+    function isDeviceOnline(ip) {
+        return !getDeviceHealth(ip).offline;
+    }
+    
+    /**
+     * Record that a device answered (any YXC reply counts, even an error code)
+     * @param {string} ip - Device IP address
+     */
+    function recordDeviceReachable(ip) {
+        const health = getDeviceHealth(ip);
+        if (health.offline) {
+            console.log(`📶 ${ip} is back online`);
+        }
+        health.failures = 0;
+        health.offline = false;
+    }
+    
+    /**
+     * Record a connection failure and mark the device offline after too many in a row
+     * @param {string} ip - Device IP address
+     * @param {Error} error - The failure
+     */
+    function recordDeviceFailure(ip, error) {
+        const health = getDeviceHealth(ip);
+        health.failures++;
+        if (!health.offline && health.failures >= getSettings('client').offlineAfterFailures) {
+            health.offline = true;
+            console.error(`📴 ${ip} marked offline after ${health.failures} failed requests (${error.message})`);
+        }
+    }
+    
+    // Request queue per device IP: { active, pending: [{ coalesceKey, waiters: [{ run, resolve, reject, removeCancelListener }] }] }
+    const requestQueues = {};
+    
+    /**
+     * Start queued requests for a device while it has free request slots
+     * @param {string} ip - Device IP address
+     */
+    function processRequestQueue(ip) {
+        const queue = requestQueues[ip];
+        
+        while (queue.active < getSettings('requestQueue').maxConcurrent && queue.pending.length > 0) {
+            const job = queue.pending.shift();
+            queue.active++;
+            
+            // Once running, a request is cancelled through its own signal (see performYxcRequest)
+            job.waiters.forEach(waiter => waiter.removeCancelListener());
+            const run = job.waiters[job.waiters.length - 1].run;
+            Promise.resolve()
+                .then(() => run())
+                .then(result => job.waiters.forEach(waiter => waiter.resolve(result)),
+                    error => job.waiters.forEach(waiter => waiter.reject(error)))
+                .then(() => {
+                    queue.active--;
+                    processRequestQueue(ip);
+                });
+        }
+    }
+    
+    /**
+     * Queue a request for a device
+     * A pending request with the same coalesce key is replaced, so only the latest value is sent;
+     * its callers are settled with the result of the request that replaced it.
+     * Cancelling the signal of a request that is still waiting rejects it right away.
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint (for the cancel error)
+     * @param {Function} run - Starts the request and returns its promise
+     * @param {Object} options - { coalesceKey (optional key identifying interchangeable requests), signal }
+     * @returns {Promise} - Result of the request
+     */
+    function enqueueDeviceRequest(ip, endpoint, run, options = {}) {
+        const queue = requestQueues[ip] || (requestQueues[ip] = { active: 0, pending: [] });
+        const coalesceKey = options.coalesceKey;
+        
+        return new Promise((resolve, reject) => {
+            if (options.signal && options.signal.cancelled) {
+                reject(new YxcCancelledError(ip, endpoint));
+                return;
+            }
+            
+            const waiter = { run: run, resolve: resolve, reject: reject, removeCancelListener: () => {} };
+            let job = coalesceKey ? queue.pending.find(pendingJob => pendingJob.coalesceKey === coalesceKey) : null;
+            if (job) {
+                job.waiters.push(waiter);
+            } else {
+                job = { coalesceKey: coalesceKey, waiters: [waiter] };
+                queue.pending.push(job);
+            }
+            
+            if (options.signal) {
+                waiter.removeCancelListener = options.signal.onCancel(() => {
+                    job.waiters.splice(job.waiters.indexOf(waiter), 1);
+                    if (job.waiters.length === 0) {
+                        queue.pending.splice(queue.pending.indexOf(job), 1);
+                    }
+                    reject(new YxcCancelledError(ip, endpoint));
+                });
+            }
+            processRequestQueue(ip);
+        });
+    }
+    
+    /**
+     * Build the URL for a YXC request
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters (undefined values are skipped)
+     * @returns {string} - Request URL
+     */
+    function buildYxcUrl(ip, endpoint, params) {
+        let url = `http://${ip}${endpoint}`;
+        if (params) {
+            // Every defined field becomes a query parameter (volume, power, enable, input, ...)
+            const query = Object.keys(params)
+                .filter(key => params[key] !== undefined)
+                .map(key => `${key}=${encodeURIComponent(params[key])}`);
+            if (query.length > 0) url += '?' + query.join('&');
+        }
+        return url;
+    }
+    
+    /**
+     * Send one HTTP request and parse the YXC reply
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {string} url - Full request URL
+     * @param {Object} signal - Optional cancel token
+     * @param {Object} payload - JSON body; sends a POST instead of a GET
+     * @returns {Promise<Object>} - Parsed reply with response_code 0
+     */
+    function performYxcRequest(ip, endpoint, url, signal, payload) {
+        const headers = {
+            'Content-Type': payload ? 'application/json' : 'application/x-www-form-urlencoded',
+            'User-Agent': 'Flic-Hub-Studio/1.0'
+        };
+        
+        // Every request carrying these headers (re)subscribes us to the device's event push
+        const events = getSettings('events');
+        if (events.enabled) {
+            headers['X-AppName'] = events.appName;
+            headers['X-AppPort'] = String(events.port);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const timeoutMs = getSettings('client').timeoutMs;
+            let request = null;
+            let settled = false;
+            let removeCancelListener = () => {};
+            
+            const abort = () => {
+                if (request && typeof request.abort === 'function') {
+                    try {
+                        request.abort();
+                    } catch (error) {
+                        // Request already finished
+                    }
+                }
+            };
+            
+            // Settle once; late callbacks after a timeout or cancel are ignored
+            const finish = (error, body) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timeoutId);
+                removeCancelListener();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(body);
+                }
+            };
+            
+            const timeoutId = setTimeout(() => {
+                abort();
+                finish(new YxcTimeoutError(ip, endpoint, timeoutMs));
+            }, timeoutMs);
+            
+            if (signal) {
+                removeCancelListener = signal.onCancel(() => {
+                    abort();
+                    finish(new YxcCancelledError(ip, endpoint));
+                });
+            }
+            if (settled) {
+                return;
+            }
+            
+            const requestOptions = { url: url, method: 'GET', headers: headers };
+            if (payload) {
+                requestOptions.method = 'POST';
+                requestOptions.content = JSON.stringify(payload);
+            }
+            
+            request = http.makeRequest(requestOptions, (error, result) => {
+                if (error) {
+                    finish(new YxcNetworkError(ip, endpoint, error));
+                    return;
+                }
+                
+                const responseData = result || {};
+                const statusCode = responseData.statusCode !== undefined ? responseData.statusCode : responseData.status;
+                if (typeof statusCode !== 'number') {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                if (statusCode < 200 || statusCode >= 300) {
+                    finish(new YxcHttpError(ip, endpoint, statusCode));
+                    return;
+                }
+                
+                let body;
+                try {
+                    body = JSON.parse(responseData.content || responseData.body || responseData.data || '');
+                } catch (parseError) {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                if (!body || typeof body !== 'object') {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                
+                if (body.response_code !== undefined && body.response_code !== 0) {
+                    finish(createYxcResponseError(ip, endpoint, body.response_code));
+                    return;
+                }
+                finish(null, body);
+            });
+        });
+    }
+    
+    /**
+     * Send a request to a YXC device and return its parsed JSON reply
+     * Requests are queued per device; get* requests are idempotent and retried with backoff.
+     * Each attempt is queued on its own, so a backoff does not hold up the device's other requests.
+     * Devices that keep failing are marked offline and fail fast until the next probe is due.
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @param {Object} options - { coalesceKey, signal, retries, withRequest, body (JSON, sent as POST) }
+     * @returns {Promise<Object>} - Parsed reply ({ body, params } with withRequest)
+     */
+    async function yxcRequest(ip, endpoint, params = null, options = {}) {
+        const clientConfig = getSettings('client');
+        const url = buildYxcUrl(ip, endpoint, params);
+        const idempotent = !options.body && /\/get[A-Z][^/]*$/.test(endpoint);
+        const maxRetries = options.retries !== undefined ? options.retries : (idempotent ? clientConfig.retries : 0);
+        const signal = options.signal;
+        
+        //console.log(`🌐 HTTP request: ${url}`);
+        
+        const attemptRequest = async () => {
+            if (signal && signal.cancelled) {
+                throw new YxcCancelledError(ip, endpoint);
+            }
+            
+            // Offline devices only get a probe request every offlineRetryMs
+            const health = getDeviceHealth(ip);
+            if (health.offline && Date.now() - health.lastAttempt < clientConfig.offlineRetryMs) {
+                throw new YxcOfflineError(ip, endpoint);
+            }
+            health.lastAttempt = Date.now();
+            
+            try {
+                const body = await performYxcRequest(ip, endpoint, url, signal, options.body);
+                recordDeviceReachable(ip);
+                return { body: body, params: params };
+            } catch (error) {
+                if (error instanceof YxcResponseError) {
+                    recordDeviceReachable(ip);
+                } else if (!(error instanceof YxcCancelledError)) {
+                    recordDeviceFailure(ip, error);
+                }
+                throw error;
+            }
+        };
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await enqueueDeviceRequest(ip, endpoint, attemptRequest, { coalesceKey: options.coalesceKey, signal: signal });
+                return options.withRequest ? result : result.body;
+            } catch (error) {
+                if (!error.retryable || attempt >= maxRetries || getDeviceHealth(ip).offline) {
+                    throw error;
+                }
+            }
+            await delay(clientConfig.retryDelayMs * Math.pow(2, attempt));
+        }
+    }
+    
+    return {
+        request: yxcRequest,
+        isDeviceOnline: isDeviceOnline
+    };
+}
+
+module.exports = {
+    createCancelToken,
+    delay,
+    createYxcClient
+};
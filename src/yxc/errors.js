@@ -0,0 +1,182 @@
+// Errors of failed YXC requests: one class per kind of failure, so callers can tell a timeout
+// from a refused parameter without parsing messages
+
+// Meaning of the response_code field in YXC replies (0 = OK)
+const YXC_RESPONSE_CODES = {
+    1: 'Initializing',
+    2: 'Internal error',
+    3: 'Not supported',           // "Invalid request": the API does not exist on this device
+    4: 'Invalid parameter',
+    5: 'Guarded',                 // Not possible in the current state (e.g. zone in standby)
+    6: 'Time out',
+    99: 'Firmware updating',
+    100: 'Streaming service access error',
+    101: 'Streaming service error',
+    102: 'Wrong user name',
+    103: 'Wrong password',
+    104: 'Account expired',
+    105: 'Account disconnected',
+    106: 'Account limit reached',
+    107: 'Server maintenance',
+    108: 'Invalid account',
+    109: 'License error',
+    110: 'Read only mode',
+    111: 'Max stations',
+    112: 'Access denied'
+};
+
+/**
+ * Base class for failed YXC requests
+ */
+class YxcError extends Error {
+    constructor(message, ip, endpoint) {
+        super(message);
+        this.name = 'YxcError';
+        this.ip = ip;
+        this.endpoint = endpoint;
+        this.retryable = false;
+    }
+}
+
+/**
+ * The device did not answer in time (the request is aborted)
+ */
+class YxcTimeoutError extends YxcError {
+    constructor(ip, endpoint, timeoutMs) {
+        super(`Request to ${ip} timed out after ${timeoutMs}ms`, ip, endpoint);
+        this.name = 'YxcTimeoutError';
+        this.retryable = true;
+    }
+}
+
+/**
+ * The request could not be sent or no response was received
+ */
+class YxcNetworkError extends YxcError {
+    constructor(ip, endpoint, cause) {
+        super(`HTTP request to ${ip} failed: ${cause}`, ip, endpoint);
+        this.name = 'YxcNetworkError';
+        this.retryable = true;
+    }
+}
+
+/**
+ * The device answered with a non-2xx HTTP status
+ */
+class YxcHttpError extends YxcError {
+    constructor(ip, endpoint, statusCode) {
+        super(`${ip} answered HTTP ${statusCode}`, ip, endpoint);
+        this.name = 'YxcHttpError';
+        this.statusCode = statusCode;
+        this.retryable = statusCode >= 500;
+    }
+}
+
+/**
+ * The device answered with something that is not YXC JSON
+ */
+class YxcInvalidResponseError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`${ip} returned an invalid response`, ip, endpoint);
+        this.name = 'YxcInvalidResponseError';
+    }
+}
+
+/**
+ * The device answered with a non-zero response_code
+ */
+class YxcResponseError extends YxcError {
+    constructor(ip, endpoint, code) {
+        super(`${YXC_RESPONSE_CODES[code] || 'Unknown error'} (response_code ${code})`, ip, endpoint);
+        this.name = 'YxcResponseError';
+        this.code = code;
+        // Initializing and device-side time outs are worth another try
+        this.retryable = code === 1 || code === 6;
+    }
+}
+
+/**
+ * response_code 3: the device does not support this request
+ */
+class YxcNotSupportedError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcNotSupportedError';
+    }
+}
+
+/**
+ * response_code 4: a parameter is out of range or unknown
+ */
+class YxcInvalidParameterError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcInvalidParameterError';
+    }
+}
+
+/**
+ * response_code 5: the request is not possible in the device's current state
+ */
+class YxcGuardedError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcGuardedError';
+    }
+}
+
+/**
+ * The request was cancelled by the caller
+ */
+class YxcCancelledError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`Request to ${ip} was cancelled`, ip, endpoint);
+        this.name = 'YxcCancelledError';
+    }
+}
+
+/**
+ * The device is marked offline after repeated failures
+ */
+class YxcOfflineError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`${ip} is offline`, ip, endpoint);
+        this.name = 'YxcOfflineError';
+    }
+}
+
+/**
+ * Create the error for a non-zero YXC response_code
+ * @param {string} ip - Device IP address
+ * @param {string} endpoint - API endpoint
+ * @param {number} code - response_code from the reply
+ * @returns {YxcResponseError} - Named error for the code
+ */
+function createYxcResponseError(ip, endpoint, code) {
+    switch (code) {
+        case 3:
+            return new YxcNotSupportedError(ip, endpoint, code);
+        case 4:
+            return new YxcInvalidParameterError(ip, endpoint, code);
+        case 5:
+            return new YxcGuardedError(ip, endpoint, code);
+        default:
+            return new YxcResponseError(ip, endpoint, code);
+    }
+}
+
+module.exports = {
+    YXC_RESPONSE_CODES,
+    YxcError,
+    YxcTimeoutError,
+    YxcNetworkError,
+    YxcHttpError,
+    YxcInvalidResponseError,
+    YxcResponseError,
+    YxcNotSupportedError,
+    YxcInvalidParameterError,
+    YxcGuardedError,
+    YxcCancelledError,
+    YxcOfflineError,
+    createYxcResponseError
+};
@@ -0,0 +1,51 @@
+// makeRequest for plain Node, with the options and callback of the Flic Hub's http module, so the
+// YXC client runs outside the hub: createYxcClient({ http: require('./node-http') })
+
+const http = require('http');
+
+/**
+ * Send an HTTP request
+ * @param {Object} options - { url, method, headers, content }
+ * @param {Function} callback - Called once with (error, { statusCode, headers, content })
+ * @returns {Object} - { abort() }
+ */
+function makeRequest(options, callback) {
+    const headers = Object.assign({}, options.headers);
+    if (options.content) {
+        headers['Content-Length'] = Buffer.byteLength(options.content);
+    }
+
+    let finished = false;
+    const finish = (error, result) => {
+        if (!finished) {
+            finished = true;
+            callback(error, result);
+        }
+    };
+
+    const request = http.request(options.url, { method: options.method || 'GET', headers: headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+            finish(null, {
+                statusCode: response.statusCode,
+                headers: response.headers,
+                content: Buffer.concat(chunks).toString('utf8')
+            });
+        });
+        response.on('error', error => finish(error.message));
+    });
+    request.on('error', error => finish(error.message));
+    if (options.content) {
+        request.write(options.content);
+    }
+    request.end();
+
+    return {
+        abort() {
+            request.destroy();
+        }
+    };
+}
+
+module.exports = { makeRequest };
@@ -0,0 +1,44 @@
+// Zone ids and the endpoints of zone functions in the YXC API
+
+// Zone functions and their YXC API names; every zone (main, zone2, zone3, ...) has the same set
+const ZONE_FUNCTIONS = {
+    volume: 'setVolume',
+    status: 'getStatus',
+    power: 'setPower',
+    mute: 'setMute',
+    input: 'setInput',
+    scene: 'recallScene',
+    sleep: 'setSleep',
+    program: 'setSoundProgram',
+    tone: 'setToneControl',
+    dialogue: 'setDialogueLevel',
+    subwoofer: 'setSubwooferVolume',
+    pureDirect: 'setPureDirect',
+    enhancer: 'setEnhancer',
+    extraBass: 'setExtraBass'
+};
+
+/**
+ * Check whether a name is a YXC zone id
+ * @param {string} zone - Zone id from the configuration, getFeatures or an event
+ * @returns {boolean} - True for main, zone2, zone3, ...
+ */
+function isZoneId(zone) {
+    return typeof zone === 'string' && /^(main|zone[2-9])$/.test(zone);
+}
+
+/**
+ * Build the endpoint of a zone function
+ * @param {string} zone - Zone id
+ * @param {string} func - Key of ZONE_FUNCTIONS
+ * @returns {string} - API endpoint
+ * @throws {Error} - For playback devices and other entries without a zone
+ */
+function getZoneEndpoint(zone, func) {
+    if (!isZoneId(zone)) {
+        throw new Error(`${func} needs a zone, got "${zone}"`);
+    }
+    return `/YamahaExtendedControl/v1/${zone}/${ZONE_FUNCTIONS[func]}`;
+}
+
+module.exports = { ZONE_FUNCTIONS, isZoneId, getZoneEndpoint };
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { bundle } = require('../scripts/build');
+const { createFakeClock } = require('./harness/fake-clock');
+const {
+    createFakeFlicApp,
+    createFakeHttp,
+    createFakeDatastore,
+    createFakeDgram,
+    createFakeButtons
+} = require('./harness/fake-hub-modules');
+
+const BUNDLE_PATH = path.join(__dirname, '..', 'yamaha-flic-integration.js');
+
+test('the single-file script is built from the current src/', () => {
+    assert.ok(fs.readFileSync(BUNDLE_PATH, 'utf8') === bundle(), 'yamaha-flic-integration.js is out of date; run npm run build');
+});
+
+test('the single-file script loads its modules with only the hub modules available', async () => {
+    const clock = createFakeClock();
+    const flicApp = createFakeFlicApp();
+    const modules = {
+        flicapp: flicApp,
+        http: createFakeHttp([]),
+        datastore: createFakeDatastore(),
+        dgram: createFakeDgram(),
+        buttons: createFakeButtons()
+    };
+    const logs = [];
+    const record = (...args) => logs.push(args.join(' '));
+
+    const context = vm.createContext({
+        require: name => {
+            if (modules[name]) {
+                return modules[name];
+            }
+            throw new Error(`Cannot find module '${name}'`);
+        },
+        console: { log: record, error: record, warn: record, info: record },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        Date: clock.Date,
+        Buffer: Buffer
+    });
+    vm.runInContext(fs.readFileSync(BUNDLE_PATH, 'utf8'), context, { filename: BUNDLE_PATH });
+
+    flicApp.emit('actionMessage', 'help');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.ok(logs.includes('Yamaha Speaker Integration Started'));
+    assert.ok(logs.some(line => line.startsWith('Action messages')), 'help was not handled');
+});
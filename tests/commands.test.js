@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+test('input selects a source by name or steps through the list', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom input tuner');
+    assert.equal(main.input, 'tuner');
+
+    await harness.sendAction('livingroom input next');
+    assert.equal(main.input, 'spotify');
+});
+
+test('program steps through the sound programs', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom program movie');
+    assert.equal(main.sound_program, 'movie');
+
+    await harness.sendAction('livingroom program next');
+    assert.equal(main.sound_program, 'music');
+});
+
+test('sleep sets the receiver sleep timer', async () => {
+    const { harness, zone2 } = await startIntegration();
+
+    await harness.sendAction('kitchen sleep 60');
+    assert.equal(zone2.sleep, 60);
+
+    await harness.sendAction('kitchen sleep off');
+    assert.equal(zone2.sleep, 0);
+});
+
+test('scene recalls a scene number', async () => {
+    const { harness, receiver } = await startIntegration();
+
+    await harness.sendAction('livingroom scene 2');
+
+    assert.deepEqual(receiver.requestsTo('main/recallScene').map(request => request.params.num), ['2']);
+});
+
+test('commands can address several zones at once', async () => {
+    const { harness, main, zone2 } = await startIntegration();
+
+    await harness.sendAction('livingroom,kitchen volume 30');
+
+    assert.equal(main.volume, 30);
+    assert.equal(zone2.volume, 30);
+});
+
+test('unknown commands and targets are reported with a suggestion', async () => {
+    const { harness, receiver } = await startIntegration();
+    const sent = receiver.requests.length;
+
+    await harness.sendAction('livingroom volum up');
+    await harness.sendAction('kitchn mute');
+
+    assert.equal(receiver.requests.length, sent);
+    assert.ok(harness.logged('Unknown command: volum (did you mean "volume"?)'));
+    assert.ok(harness.logged('(did you mean "kitchen"?)'));
+});
+
+test('a refused config change is reported as invalid', async () => {
+    const { harness } = await startIntegration();
+
+    const result = await harness.evaluate('dispatchCommand("config set kitchen colour red")');
+
+    assert.equal(result.ok, false);
+    assert.match(result.invalid, /Unknown setting "colour"/);
+});
+
+test('device ids and macro names with capitals match in any case', async () => {
+    const { harness, main } = await startIntegration({
+        config: {
+            speakers: [
+                { id: 'LivingRoom', name: 'Living Room', ip: '192.168.1.100', zone: 'main' },
+                { id: 'kitchen', name: 'Kitchen', ip: '192.168.1.100', zone: 'zone2' }
+            ],
+            macros: { MovieNight: { device: 'LivingRoom', steps: [{ action: 'volume', value: 30 }] } }
+        }
+    });
+
+    await harness.sendAction('livingroom volume 25');
+    assert.equal(main.volume, 25);
+
+    await harness.sendAction('LIVINGROOM off');
+    assert.equal(main.power, 'standby');
+
+    await harness.sendAction('macro movienight');
+    assert.ok(harness.logged('✅ Macro "MovieNight" finished'));
+    assert.equal(main.volume, 30);
+});
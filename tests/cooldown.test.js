@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+// Default playback cooldown
+const PLAYBACK_COOLDOWN_MS = 2500;
+
+/**
+ * Start with the living room streaming Spotify
+ * @param {Object} options - Extra startIntegration options
+ * @returns {Promise<Object>} - startIntegration result
+ */
+function startStreaming(options = {}) {
+    return startIntegration(Object.assign({
+        zones: { main: { input: 'spotify' }, zone2: { input: 'hdmi1' } },
+        netusb: { input: 'spotify', playback: 'play' }
+    }, options));
+}
+
+test('a playback command blocks volume changes on the same receiver', async () => {
+    const { harness, main, zone2 } = await startStreaming();
+
+    await harness.sendAction('playback next');
+    await harness.sendAction('livingroom volume up');
+    await harness.sendAction('kitchen volume up');
+
+    assert.equal(main.volume, 40);
+    assert.equal(zone2.volume, 40);
+    assert.ok(harness.logged(/⏳ Volume up on Living Room blocked - playback cooldown after Playback Control .*\(3s remaining\)/));
+    assert.ok(harness.logged('⏳ Volume up on Kitchen blocked'));
+});
+
+test('volume changes work again once the cooldown is over', async () => {
+    const { harness, main } = await startStreaming();
+
+    await harness.sendAction('playback next');
+    await harness.advance(PLAYBACK_COOLDOWN_MS);
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(main.volume, 56);
+});
+
+test('a playback command blocks the next one', async () => {
+    const { harness, receiver } = await startStreaming();
+
+    await harness.sendAction('playback next');
+    await harness.sendAction('playback next');
+
+    assert.equal(receiver.requestsTo('netusb/setPlayback').length, 1);
+    assert.ok(harness.logged('⏳ Playback command on Living Room blocked'));
+});
+
+test('a blocked Twist goes back to the real volume', async () => {
+    const { harness, main } = await startStreaming();
+
+    await harness.sendAction('playback next');
+    await harness.twist('livingroom', 0.9);
+
+    assert.equal(main.volume, 40);
+    assert.equal(harness.flicApp.devices.livingroom.volume, 40 / 161);
+});
+
+test('power commands are blocked per zone', async () => {
+    const { harness, main, zone2 } = await startIntegration();
+
+    await harness.sendAction('livingroom off');
+    await harness.sendAction('livingroom on');
+    await harness.sendAction('kitchen off');
+
+    assert.equal(main.power, 'standby');
+    assert.equal(zone2.power, 'standby');
+    assert.ok(harness.logged('⏳ Power command on Living Room blocked - power cooldown after Living Room (2s remaining)'));
+});
+
+test('speakers can override the cooldown rules', async () => {
+    const { harness, main } = await startStreaming({
+        speakers: { playback: { cooldowns: { playback: { ms: 4000, scope: 'zone', blocks: ['playback'] } } } }
+    });
+
+    await harness.sendAction('playback next');
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(main.volume, 56);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration, RECEIVER_IP } = require('./harness/fixtures');
+
+// discovery.listenMs: how long a search collects SSDP answers
+const LISTEN_MS = 3000;
+
+// Time limit of a device description request
+const DESCRIPTION_TIMEOUT_MS = 5000;
+
+/**
+ * Run one network discovery against the fake SSDP responder
+ * @param {Object} harness - Integration harness
+ * @param {number} ms - Time to let pass while it runs
+ * @returns {Promise} - Resolves when the discovery has finished
+ */
+async function discover(harness, ms = LISTEN_MS) {
+    const running = harness.require('hub/discovery').runNetworkDiscovery();
+    await harness.advance(ms);
+    await running;
+    await harness.settle();
+}
+
+/**
+ * Read the speakers stored in the hub datastore
+ * @param {Object} harness - Integration harness
+ * @returns {Object[]} - Stored speakers
+ */
+function storedSpeakers(harness) {
+    return JSON.parse(harness.datastore.values['yamaha-config']).speakers;
+}
+
+test('speakers follow their receiver to a new address and the address is stored', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.ip = '192.168.1.150';
+
+    await discover(harness);
+
+    assert.ok(harness.logged('🔍 Network discovery found 1 Yamaha device(s)'));
+    assert.ok(harness.logged(`🔁 Living Room moved from ${RECEIVER_IP} to 192.168.1.150`));
+    assert.equal(harness.evaluate("YAMAHA_CONFIG.speakers.find(s => s.id === 'livingroom').ip"), '192.168.1.150');
+    const stored = storedSpeakers(harness);
+    assert.deepEqual(stored.map(speaker => speaker.ip), ['192.168.1.150', '192.168.1.150', '192.168.1.150']);
+});
+
+test('zones found on the network are not added with discovery.addZones off', async () => {
+    const livingroom = { id: 'livingroom', ip: RECEIVER_IP, name: 'Living Room', zone: 'main' };
+    const { harness } = await startIntegration({ config: { speakers: [livingroom], discovery: { addZones: false } } });
+
+    await discover(harness);
+
+    assert.equal(harness.evaluate("YAMAHA_CONFIG.speakers.map(s => s.id).join(',')"), 'livingroom');
+    assert.equal(harness.flicApp.devices.rxa2azone2, undefined);
+});
+
+test('zones found on the network get a virtual device and are stored', async () => {
+    const livingroom = { id: 'livingroom', ip: RECEIVER_IP, name: 'Living Room', zone: 'main' };
+    const { harness } = await startIntegration({
+        zones: { main: {}, zone2: { name: 'Patio' } },
+        config: { speakers: [livingroom] }
+    });
+
+    await discover(harness);
+
+    assert.ok(harness.logged(`➕ Added speaker "rxa2azone2" (Patio, zone2 zone at ${RECEIVER_IP})`));
+    assert.ok(harness.flicApp.devices.rxa2azone2);
+    assert.deepEqual(storedSpeakers(harness).map(speaker => speaker.id), ['livingroom', 'rxa2azone2']);
+});
+
+test('a device description that does not arrive is aborted', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('desc.xml', { hang: true });
+
+    await discover(harness, LISTEN_MS + DESCRIPTION_TIMEOUT_MS);
+
+    assert.deepEqual(harness.http.aborted, [receiver.descriptionUrl()]);
+    assert.ok(harness.logged('🔍 Network discovery found 0 Yamaha device(s)'));
+});
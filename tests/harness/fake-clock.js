@@ -0,0 +1,100 @@
+// Manual clock for the integration under test: timers only fire when a test advances time,
+// and Date / Date.now() report the clock's time
+
+/**
+ * Create a manual clock
+ * @param {number} start - Start time in ms since the epoch
+ * @returns {Object} - { now(), setTimeout, clearTimeout, setInterval, clearInterval, Date, pendingTimers(), advance(ms, settle) }
+ */
+function createFakeClock(start = Date.UTC(2026, 0, 5, 12, 0, 0)) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    /**
+     * Register a timer
+     * @param {Function} callback - Timer callback
+     * @param {number} ms - Delay
+     * @param {number} interval - Repeat interval, or 0 for a one-shot timer
+     * @param {Array} args - Callback arguments
+     * @returns {number} - Timer id
+     */
+    const addTimer = (callback, ms, interval, args) => {
+        const id = nextId++;
+        timers.set(id, { callback, args, at: now + Math.max(0, ms || 0), interval });
+        return id;
+    };
+
+    /**
+     * Date that starts at the clock's time when constructed without arguments
+     */
+    class FakeDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return now;
+        }
+    }
+
+    return {
+        now: () => now,
+        setTimeout: (callback, ms, ...args) => addTimer(callback, ms, 0, args),
+        clearTimeout: id => timers.delete(id),
+        setInterval: (callback, ms, ...args) => addTimer(callback, ms, Math.max(1, ms || 0), args),
+        clearInterval: id => timers.delete(id),
+        Date: FakeDate,
+
+        /**
+         * Count the timers waiting to fire
+         * @returns {number} - Pending timers
+         */
+        pendingTimers: () => timers.size,
+
+        /**
+         * Move the clock forward, firing due timers in order
+         * @param {number} ms - Time to advance
+         * @param {Function} settle - Awaited after each timer so the work it starts can finish
+         * @returns {Promise} - Resolves once the clock reached the new time
+         */
+        async advance(ms, settle = async () => {}) {
+            const target = now + ms;
+
+            // Let work already in flight register its timers first
+            await settle();
+
+            while (true) {
+                let dueId = null;
+                let due = null;
+                timers.forEach((timer, id) => {
+                    if (timer.at <= target && (!due || timer.at < due.at)) {
+                        dueId = id;
+                        due = timer;
+                    }
+                });
+                if (!due) {
+                    break;
+                }
+
+                now = due.at;
+                if (due.interval) {
+                    due.at += due.interval;
+                } else {
+                    timers.delete(dueId);
+                }
+                due.callback(...due.args);
+                await settle();
+            }
+
+            now = target;
+            await settle();
+        }
+    };
+}
+
+module.exports = { createFakeClock };
@@ -0,0 +1,305 @@
+// Stand-ins for the Flic Hub SDK modules the integration requires
+
+const { parseYxcUrl } = require('./fake-receiver');
+
+/**
+ * Create a fake flicapp module that records virtual device calls and lets tests emit events
+ * @returns {Object} - flicapp module plus { devices, calls, emit(event, ...args) }
+ */
+function createFakeFlicApp() {
+    const listeners = {};
+    const flicApp = {
+        // Last values per virtual device id
+        devices: {},
+        // Every call in order: { method, id, type, values }
+        calls: [],
+
+        on(event, listener) {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+
+        createVirtualDevice(id, type, values) {
+            flicApp.calls.push({ method: 'createVirtualDevice', id, type, values });
+            flicApp.devices[id] = Object.assign({ type: type }, values);
+        },
+
+        virtualDeviceUpdateState(type, id, values) {
+            flicApp.calls.push({ method: 'virtualDeviceUpdateState', id, type, values });
+            flicApp.devices[id] = Object.assign(flicApp.devices[id] || { type: type }, values);
+        },
+
+        removeVirtualDevice(id) {
+            flicApp.calls.push({ method: 'removeVirtualDevice', id });
+            delete flicApp.devices[id];
+        },
+
+        /**
+         * Emit a flicapp event to the integration
+         * @param {string} event - 'actionMessage' or 'virtualDeviceUpdate'
+         * @param {...*} args - Event arguments
+         */
+        emit(event, ...args) {
+            (listeners[event] || []).forEach(listener => listener(...args));
+        },
+
+        /**
+         * Get the recorded state updates of a virtual device
+         * @param {string} id - Virtual device id
+         * @returns {Object[]} - Values passed to virtualDeviceUpdateState
+         */
+        updatesFor(id) {
+            return flicApp.calls
+                .filter(call => call.method === 'virtualDeviceUpdateState' && call.id === id)
+                .map(call => call.values);
+        }
+    };
+    return flicApp;
+}
+
+/**
+ * Create a fake http module that routes makeRequest to fake receivers by host
+ * Replies arrive on a later turn of the event loop, like real network replies
+ * @param {Object[]} receivers - Fake receivers (see createFakeReceiver)
+ * @returns {Object} - http module plus { pending(), aborted (URLs of aborted requests) }
+ */
+function createFakeHttp(receivers) {
+    let pending = 0;
+    const aborted = [];
+
+    return {
+        aborted: aborted,
+
+        /**
+         * Count requests that have not been answered yet (excluding requests left without a reply)
+         * @returns {number} - Requests in flight
+         */
+        pending: () => pending,
+
+        makeRequest(options, callback) {
+            const { host, endpoint, params } = parseYxcUrl(options.url);
+            const receiver = receivers.find(r => r.ip === host);
+            const request = {
+                method: options.method || 'GET',
+                endpoint: endpoint,
+                params: params,
+                body: options.content ? JSON.parse(options.content) : null
+            };
+            let abortedRequest = false;
+
+            const reply = receiver ? receiver.handle(request) : { networkError: 'connect ECONNREFUSED' };
+            if (reply) {
+                pending++;
+                setImmediate(() => {
+                    pending--;
+                    if (abortedRequest) {
+                        return;
+                    }
+                    if (reply.networkError) {
+                        callback(reply.networkError);
+                    } else {
+                        callback(null, { statusCode: reply.statusCode, headers: {}, content: reply.content });
+                    }
+                });
+            }
+
+            return {
+                abort() {
+                    abortedRequest = true;
+                    aborted.push(options.url);
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Create a fake datastore module backed by an object of stored strings
+ * @param {Object} initial - Stored values by key
+ * @returns {Object} - datastore module plus { values }
+ */
+function createFakeDatastore(initial = {}) {
+    const values = Object.assign({}, initial);
+    return {
+        values: values,
+
+        get(key, callback) {
+            setImmediate(() => callback(null, values[key] !== undefined ? values[key] : null));
+        },
+
+        put(key, value, callback) {
+            values[key] = value;
+            setImmediate(() => callback && callback(null));
+        }
+    };
+}
+
+/**
+ * Create a fake dgram module with an SSDP responder: every receiver that is online answers an
+ * M-SEARCH with the LOCATION of its device description. Sockets receive nothing else unless a
+ * test delivers a message
+ * @param {Object[]} receivers - Fake receivers (see createFakeReceiver)
+ * @returns {Object} - dgram module plus { sockets, deliver(message, address) }
+ */
+function createFakeDgram(receivers = []) {
+    /**
+     * Answer an SSDP search on a later turn of the event loop, once per receiver that is online
+     * @param {Object} socket - Socket that sent the M-SEARCH
+     */
+    const answerSsdpSearch = socket => {
+        receivers.filter(receiver => !receiver.offline).forEach(receiver => {
+            const answer = [
+                'HTTP/1.1 200 OK',
+                'CACHE-CONTROL: max-age=1800',
+                'EXT:',
+                `LOCATION: ${receiver.descriptionUrl()}`,
+                'SERVER: Linux/3.0, UPnP/1.0, Yamaha-Network-Module/1.0',
+                'ST: urn:schemas-upnp-org:device:MediaRenderer:1',
+                `USN: uuid:${receiver.deviceId}::urn:schemas-upnp-org:device:MediaRenderer:1`,
+                '',
+                ''
+            ].join('\r\n');
+            setImmediate(() => {
+                if (!socket.closed) {
+                    socket.emit('message', Buffer.from(answer), { address: receiver.ip, port: 1900 });
+                }
+            });
+        });
+    };
+
+    const dgram = {
+        sockets: [],
+
+        createSocket(type) {
+            const listeners = {};
+            const socket = {
+                type: type,
+                sent: [],
+                on(event, listener) {
+                    listeners[event] = listener;
+                },
+                bind() {},
+                addMembership() {},
+                setBroadcast() {},
+                send(message, port, address) {
+                    socket.sent.push({ message: String(message), port, address });
+                    if (port === 1900 && String(message).startsWith('M-SEARCH')) {
+                        answerSsdpSearch(socket);
+                    }
+                },
+                close() {
+                    socket.closed = true;
+                },
+                emit(event, ...args) {
+                    if (listeners[event]) {
+                        listeners[event](...args);
+                    }
+                }
+            };
+            dgram.sockets.push(socket);
+            return socket;
+        },
+
+        /**
+         * Deliver a UDP message (e.g. a YXC event) to every open socket
+         * @param {Object|string} message - Message; objects are sent as JSON
+         * @param {string} address - Sender address
+         */
+        deliver(message, address) {
+            const data = Buffer.from(typeof message === 'string' ? message : JSON.stringify(message));
+            dgram.sockets
+                .filter(socket => !socket.closed)
+                .forEach(socket => socket.emit('message', data, { address: address, port: 41100 }));
+        }
+    };
+    return dgram;
+}
+
+/**
+ * Create a fake buttons module
+ * @returns {Object} - buttons module plus { emit(event, data) }
+ */
+function createFakeButtons() {
+    const listeners = {};
+    return {
+        on(event, listener) {
+            listeners[event] = listener;
+        },
+
+        getButtons() {
+            return [];
+        },
+
+        emit(event, data) {
+            if (listeners[event]) {
+                listeners[event](data);
+            }
+        }
+    };
+}
+
+/**
+ * Create a fake net module whose servers only get connections a test opens
+ * @returns {Object} - net module plus { servers, connect(data, port) }
+ */
+function createFakeNet() {
+    const net = {
+        servers: [],
+
+        createServer(connectionListener) {
+            const server = {
+                port: null,
+                on() {},
+                listen(port) {
+                    server.port = port;
+                },
+                connectionListener: connectionListener
+            };
+            net.servers.push(server);
+            return server;
+        },
+
+        /**
+         * Open a connection to a listening server and send data
+         * @param {string|Buffer} data - Raw request
+         * @param {number} port - Server port (optional, the first listening server by default)
+         * @returns {Object} - Client end: { written (response text so far), ended }
+         */
+        connect(data, port) {
+            const server = net.servers.find(candidate => candidate.port !== null && (port === undefined || candidate.port === port));
+            if (!server) {
+                throw new Error(`No server listening${port === undefined ? '' : ` on port ${port}`}`);
+            }
+            const listeners = {};
+            const client = { written: '', ended: false };
+            const socket = {
+                on(event, listener) {
+                    listeners[event] = listener;
+                },
+                write(text) {
+                    client.written += text;
+                },
+                end() {
+                    client.ended = true;
+                },
+                destroy() {
+                    client.ended = true;
+                }
+            };
+            server.connectionListener(socket);
+            if (listeners.data) {
+                listeners.data(Buffer.from(data));
+            }
+            return client;
+        }
+    };
+    return net;
+}
+
+module.exports = {
+    createFakeFlicApp,
+    createFakeHttp,
+    createFakeDatastore,
+    createFakeDgram,
+    createFakeButtons,
+    createFakeNet
+};
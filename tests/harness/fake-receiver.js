@@ -0,0 +1,379 @@
+// In-memory YXC receiver: zone, netusb and feature state behind the YamahaExtendedControl API,
+// with scriptable failures (response codes, HTTP errors, dropped connections, no reply)
+
+const API_PREFIX = '/YamahaExtendedControl/v1/';
+
+// Where the receiver's UPnP device description is served (the LOCATION of its SSDP answers)
+const DESCRIPTION_PORT = 49154;
+const DESCRIPTION_PATH = '/MediaRenderer/desc.xml';
+
+const DEFAULT_INPUTS = ['hdmi1', 'hdmi2', 'tuner', 'spotify', 'net_radio', 'bluetooth'];
+
+// Inputs that report their play info through netusb
+const NETUSB_INPUTS = ['spotify', 'net_radio', 'bluetooth', 'airplay', 'server', 'usb'];
+
+const ZONE_FUNCTIONS = ['power', 'sleep', 'volume', 'mute', 'sound_program', 'scene'];
+
+const SOUND_PROGRAMS = ['standard', 'straight', '2ch_stereo', 'movie', 'music'];
+
+/**
+ * Create the state of one zone
+ * @param {Object} options - Initial status fields and { name, min, max, step, inputs }
+ * @returns {Object} - Zone with getStatus fields and its volume range
+ */
+function createZone(options) {
+    return {
+        name: options.name,
+        range: { min: options.min || 0, max: options.max !== undefined ? options.max : 161, step: options.step || 1 },
+        inputs: options.inputs || DEFAULT_INPUTS,
+        status: {
+            power: options.power || 'on',
+            sleep: 0,
+            volume: options.volume !== undefined ? options.volume : 40,
+            mute: options.mute === true,
+            max_volume: options.max !== undefined ? options.max : 161,
+            input: options.input || 'hdmi1',
+            sound_program: options.soundProgram || 'standard'
+        }
+    };
+}
+
+/**
+ * Create a fake receiver
+ * @param {Object} options - { ip, modelName, deviceId, zones: { main: {...}, zone2: {...} }, netusb: {...} | false }
+ * @returns {Object} - Receiver with its state, request log and failure scripting
+ */
+function createFakeReceiver(options = {}) {
+    const zoneOptions = options.zones || { main: {} };
+    const zones = {};
+    Object.keys(zoneOptions).forEach(zoneId => {
+        zones[zoneId] = createZone(zoneOptions[zoneId]);
+    });
+
+    const netusb = options.netusb === false ? null : Object.assign({
+        input: 'spotify',
+        playback: 'stop',
+        repeat: 'off',
+        shuffle: 'off',
+        play_time: 0,
+        total_time: 0,
+        artist: '',
+        album: '',
+        track: '',
+        albumart_url: ''
+    }, options.netusb || {});
+
+    // One-shot replies that replace the next answer to an endpoint
+    const scripted = [];
+
+    // Clock that runs the sleep timers (see useClock), and the running timer per zone
+    let clock = null;
+    const sleepTimers = {};
+
+    const receiver = {
+        ip: options.ip || '192.168.1.100',
+        modelName: options.modelName || 'RX-A2A',
+        deviceId: options.deviceId || 'AC44F2000001',
+        zones: zones,
+        netusb: netusb,
+        offline: false,
+        requests: [],
+
+        /**
+         * Run sleep timers on a clock: a zone goes to standby when its timer runs out
+         * @param {Object} timerClock - Clock with setTimeout and clearTimeout (see createFakeClock)
+         */
+        useClock(timerClock) {
+            clock = timerClock;
+        },
+
+        /**
+         * Get the URL of the receiver's UPnP device description
+         * @returns {string} - Description URL
+         */
+        descriptionUrl() {
+            return `http://${receiver.ip}:${DESCRIPTION_PORT}${DESCRIPTION_PATH}`;
+        },
+
+        /**
+         * Script the next answer to an endpoint (matched by suffix, e.g. 'main/getStatus' or 'getStatus')
+         * @param {string} endpoint - Endpoint suffix
+         * @param {Object} reply - { responseCode } | { statusCode (null sends none) } | { content } | { networkError } | { hang: true }
+         * @param {number} times - How many requests get this reply
+         */
+        failNext(endpoint, reply, times = 1) {
+            for (let i = 0; i < times; i++) {
+                scripted.push({ endpoint, reply });
+            }
+        },
+
+        /**
+         * Get the requests sent to an endpoint
+         * @param {string} endpoint - Endpoint suffix, e.g. 'main/setVolume'
+         * @returns {Object[]} - { method, endpoint, params, body }
+         */
+        requestsTo(endpoint) {
+            return receiver.requests.filter(request => request.endpoint.endsWith(endpoint));
+        },
+
+        /**
+         * Answer a request
+         * @param {Object} request - { method, endpoint, params, body }
+         * @returns {Object|null} - { statusCode, content } | { networkError }, or null for no reply
+         */
+        handle(request) {
+            receiver.requests.push(request);
+
+            if (receiver.offline) {
+                return { networkError: 'connect EHOSTUNREACH' };
+            }
+
+            const scriptIndex = scripted.findIndex(entry => request.endpoint.endsWith(entry.endpoint));
+            if (scriptIndex !== -1) {
+                const reply = scripted.splice(scriptIndex, 1)[0].reply;
+                if (reply.hang) {
+                    return null;
+                }
+                if (reply.networkError) {
+                    return { networkError: reply.networkError };
+                }
+                if (reply.statusCode !== undefined || reply.content !== undefined) {
+                    return { statusCode: reply.statusCode !== undefined ? reply.statusCode : 200, content: reply.content !== undefined ? reply.content : '' };
+                }
+                return json({ response_code: reply.responseCode });
+            }
+
+            if (request.endpoint === DESCRIPTION_PATH) {
+                return { statusCode: 200, content: describe() };
+            }
+            return json(answer(request));
+        }
+    };
+
+    /**
+     * Build the UPnP device description, with the Yamaha Extended Control service
+     * @returns {string} - Description XML
+     */
+    function describe() {
+        return '<?xml version="1.0"?>\n' +
+            '<root xmlns="urn:schemas-upnp-org:device-1-0" xmlns:yamaha="urn:schemas-yamaha-com:device-1-0">' +
+            `<device><friendlyName>${receiver.modelName}</friendlyName><manufacturer>Yamaha Corporation</manufacturer></device>` +
+            '<yamaha:X_device><yamaha:X_yxcControlURL>/YamahaExtendedControl/v1/</yamaha:X_yxcControlURL></yamaha:X_device>' +
+            '</root>';
+    }
+
+    /**
+     * Build an HTTP reply with a JSON body
+     * @param {Object} body - Reply body
+     * @returns {Object} - { statusCode, content }
+     */
+    function json(body) {
+        return { statusCode: 200, content: JSON.stringify(body) };
+    }
+
+    /**
+     * Get the YXC getFeatures reply for the receiver
+     * @returns {Object} - Features
+     */
+    function getFeatures() {
+        const inputIds = [...new Set([].concat(...Object.keys(zones).map(zoneId => zones[zoneId].inputs)))];
+        const features = {
+            response_code: 0,
+            system: {
+                func_list: ['wired_lan', 'network_standby'],
+                zone_num: Object.keys(zones).length,
+                input_list: inputIds.map(id => ({
+                    id: id,
+                    distribution_enable: true,
+                    rename_enable: true,
+                    account_enable: false,
+                    play_info_type: NETUSB_INPUTS.includes(id) ? 'netusb' : (id === 'tuner' ? 'tuner' : 'none')
+                }))
+            },
+            zone: Object.keys(zones).map(zoneId => ({
+                id: zoneId,
+                func_list: ZONE_FUNCTIONS,
+                input_list: zones[zoneId].inputs,
+                sound_program_list: SOUND_PROGRAMS,
+                scene_num: 8,
+                range_step: [
+                    { id: 'volume', min: zones[zoneId].range.min, max: zones[zoneId].range.max, step: zones[zoneId].range.step }
+                ]
+            })),
+            distribution: { version: 2.0, server_zone_list: Object.keys(zones), client_max: 9 }
+        };
+        if (netusb) {
+            features.netusb = { func_list: ['recent_info', 'play_queue', 'mc_playlist'], preset: { num: 40 } };
+        }
+        return features;
+    }
+
+    /**
+     * Start (or with sleep 0, cancel) a zone's sleep timer, if the receiver has a clock
+     * @param {Object} zone - Zone state
+     */
+    function startSleepTimer(zone) {
+        if (!clock) {
+            return;
+        }
+        const zoneId = Object.keys(zones).find(id => zones[id] === zone);
+        if (sleepTimers[zoneId]) {
+            clock.clearTimeout(sleepTimers[zoneId]);
+            delete sleepTimers[zoneId];
+        }
+        if (zone.status.sleep > 0) {
+            sleepTimers[zoneId] = clock.setTimeout(() => {
+                delete sleepTimers[zoneId];
+                zone.status.sleep = 0;
+                zone.status.power = 'standby';
+            }, zone.status.sleep * 60 * 1000);
+        }
+    }
+
+    /**
+     * Answer a zone request
+     * @param {Object} zone - Zone state
+     * @param {string} func - YXC function, e.g. setVolume
+     * @param {Object} params - Query parameters
+     * @returns {Object} - Reply body
+     */
+    function answerZone(zone, func, params) {
+        const status = zone.status;
+        switch (func) {
+            case 'getStatus':
+                return Object.assign({ response_code: 0 }, status);
+            case 'setPower':
+                if (params.power === 'toggle') {
+                    status.power = status.power === 'on' ? 'standby' : 'on';
+                } else if (params.power === 'on' || params.power === 'standby') {
+                    status.power = params.power;
+                } else {
+                    return { response_code: 4 };
+                }
+                return { response_code: 0 };
+            case 'setVolume': {
+                let volume = Number(params.volume);
+                if (params.volume === 'up' || params.volume === 'down') {
+                    const step = Number(params.step) || zone.range.step;
+                    volume = status.volume + (params.volume === 'up' ? step : -step);
+                    volume = Math.max(zone.range.min, Math.min(zone.range.max, volume));
+                }
+                if (!Number.isInteger(volume) || volume < zone.range.min || volume > zone.range.max) {
+                    return { response_code: 4 };
+                }
+                status.volume = volume;
+                return { response_code: 0 };
+            }
+            case 'setMute':
+                status.mute = params.enable === 'true';
+                return { response_code: 0 };
+            case 'setInput':
+                if (!zone.inputs.includes(params.input)) {
+                    return { response_code: 4 };
+                }
+                status.input = params.input;
+                return { response_code: 0 };
+            case 'setSleep':
+                status.sleep = Number(params.sleep);
+                startSleepTimer(zone);
+                return { response_code: 0 };
+            case 'setSoundProgram':
+                if (!SOUND_PROGRAMS.includes(params.program)) {
+                    return { response_code: 4 };
+                }
+                status.sound_program = params.program;
+                return { response_code: 0 };
+            case 'recallScene':
+                return { response_code: 0 };
+            default:
+                return { response_code: 3 };
+        }
+    }
+
+    /**
+     * Answer a netusb request
+     * @param {string} func - YXC function
+     * @param {Object} params - Query parameters
+     * @returns {Object} - Reply body
+     */
+    function answerNetusb(func, params) {
+        if (!netusb) {
+            return { response_code: 3 };
+        }
+        switch (func) {
+            case 'getPlayInfo':
+                return Object.assign({ response_code: 0 }, netusb);
+            case 'setPlayback':
+                if (params.playback === 'play_pause') {
+                    netusb.playback = netusb.playback === 'play' ? 'pause' : 'play';
+                } else if (params.playback === 'play' || params.playback === 'pause' || params.playback === 'stop') {
+                    netusb.playback = params.playback;
+                } else if (params.playback !== 'next' && params.playback !== 'previous') {
+                    return { response_code: 4 };
+                }
+                return { response_code: 0 };
+            case 'getPresetInfo':
+                return { response_code: 0, preset_info: [], func_list: [] };
+            case 'recallPreset':
+                return { response_code: 0 };
+            default:
+                return { response_code: 3 };
+        }
+    }
+
+    /**
+     * Answer a request from the receiver's state
+     * @param {Object} request - { endpoint, params }
+     * @returns {Object} - Reply body
+     */
+    function answer(request) {
+        const [area, func] = request.endpoint.split('/');
+        if (zones[area]) {
+            return answerZone(zones[area], func, request.params);
+        }
+        switch (area) {
+            case 'system':
+                if (func === 'getDeviceInfo') {
+                    return { response_code: 0, model_name: receiver.modelName, device_id: receiver.deviceId, system_version: 2.0, api_version: 2.09 };
+                }
+                if (func === 'getFeatures') {
+                    return getFeatures();
+                }
+                if (func === 'getNameText') {
+                    return { response_code: 0, zone_list: Object.keys(zones).map(zoneId => ({ id: zoneId, text: zones[zoneId].name || zoneId })) };
+                }
+                return { response_code: 3 };
+            case 'netusb':
+                return answerNetusb(func, request.params);
+            case 'dist':
+                if (func === 'getDistributionInfo') {
+                    return { response_code: 0, group_id: '00000000000000000000000000000000', group_name: '', role: 'none', client_list: [] };
+                }
+                return { response_code: 0 };
+            default:
+                return { response_code: 3 };
+        }
+    }
+
+    return receiver;
+}
+
+/**
+ * Split a request URL into the YXC endpoint and its parameters
+ * @param {string} url - Request URL
+ * @returns {Object} - { host, endpoint (e.g. 'main/setVolume'), params }
+ */
+function parseYxcUrl(url) {
+    const parsed = new URL(url);
+    const params = {};
+    parsed.searchParams.forEach((value, key) => {
+        params[key] = value;
+    });
+    return {
+        host: parsed.hostname,
+        endpoint: parsed.pathname.startsWith(API_PREFIX) ? parsed.pathname.slice(API_PREFIX.length) : parsed.pathname,
+        params: params
+    };
+}
+
+module.exports = { createFakeReceiver, parseYxcUrl };
@@ -0,0 +1,37 @@
+// Common setup: one receiver with main, zone2 and netusb, and speakers for both zones and playback
+
+const { loadIntegration, createFakeReceiver } = require('./load-integration');
+
+const RECEIVER_IP = '192.168.1.100';
+
+/**
+ * Start the integration against one fake receiver
+ * @param {Object} options - { zones, netusb (receiver state), speakers (extra fields per speaker id), config, startTime }
+ * @returns {Promise<Object>} - { harness, receiver, main, zone2 } (main/zone2 are the zones' status objects)
+ */
+async function startIntegration(options = {}) {
+    const receiver = createFakeReceiver({
+        ip: RECEIVER_IP,
+        zones: options.zones || { main: {}, zone2: {} },
+        netusb: options.netusb
+    });
+    const speakerOptions = options.speakers || {};
+    const speakers = [
+        { id: 'livingroom', ip: RECEIVER_IP, name: 'Living Room', zone: 'main' },
+        { id: 'kitchen', ip: RECEIVER_IP, name: 'Kitchen', zone: 'zone2' },
+        { id: 'playback', ip: RECEIVER_IP, name: 'Playback Control', type: 'playback' }
+    ]
+        .filter(speaker => speaker.zone === undefined || receiver.zones[speaker.zone])
+        .map(speaker => Object.assign(speaker, speakerOptions[speaker.id] || {}));
+
+    const config = Object.assign({ speakers: speakers }, options.config || {});
+    const harness = await loadIntegration({ receivers: [receiver], config: config, startTime: options.startTime });
+    return {
+        harness,
+        receiver,
+        main: receiver.zones.main && receiver.zones.main.status,
+        zone2: receiver.zones.zone2 && receiver.zones.zone2.status
+    };
+}
+
+module.exports = { startIntegration, RECEIVER_IP };
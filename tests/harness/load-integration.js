@@ -0,0 +1,296 @@
+// Runs the integration's modules from src/ in a sandbox with fake hub modules, a fake receiver network
+// and a manual clock
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { resolveModule } = require('../../scripts/build');
+const { createFakeClock } = require('./fake-clock');
+const { createFakeReceiver } = require('./fake-receiver');
+const {
+    createFakeFlicApp,
+    createFakeHttp,
+    createFakeDatastore,
+    createFakeDgram,
+    createFakeButtons,
+    createFakeNet
+} = require('./fake-hub-modules');
+
+const SOURCE_DIR = path.join(__dirname, '..', '..', 'src');
+
+// Applied to every run: no SSDP scans, no event subscriptions and no HTTP server, and none of the
+// example speakers, groups, macros, schedules or button bindings from the script
+const TEST_CONFIG = {
+    discovery: { enabled: false },
+    events: { enabled: false },
+    httpServer: { enabled: false },
+    speakers: [],
+    groups: {},
+    macros: {},
+    schedules: [],
+    buttonBindings: {}
+};
+
+// Configuration content that a test replaces as a whole instead of merging into the configured examples
+const REPLACED_KEYS = ['speakers', 'groups', 'macros', 'schedules', 'buttonBindings'];
+
+// Real-time limit for the integration's own startup
+const STARTUP_TIMEOUT_MS = 5000;
+
+/**
+ * Merge configuration overrides into a configuration object (objects merge, everything else replaces)
+ * Runs inside the sandbox, so it must not use anything from this module
+ * @param {Object} target - Configuration to change
+ * @param {Object} overrides - Values to apply
+ * @param {string[]} replacedKeys - Keys that are replaced even if they hold objects
+ * @returns {Object} - target
+ */
+function mergeConfig(target, overrides, replacedKeys = []) {
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        const current = target[key];
+        if (!replacedKeys.includes(key) && value && typeof value === 'object' && !Array.isArray(value) &&
+            current && typeof current === 'object' && !Array.isArray(current)) {
+            mergeConfig(current, value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * Create a require for modules run in a sandbox: src/ files load inside it (once each, like Node's
+ * require), hub module names return the fakes
+ * @param {Object} context - vm context
+ * @param {Object} hubModules - Fake hub modules by name
+ * @returns {Function} - require(file) for an absolute path in src/, with the loaded modules' exports in
+ *                       its `loaded()`
+ */
+function createSandboxRequire(context, hubModules) {
+    const cache = {};
+
+    const load = file => {
+        if (cache[file]) {
+            return cache[file].exports;
+        }
+        const module = cache[file] = { exports: {} };
+        const wrapper = `(function (module, exports, require) {${fs.readFileSync(file, 'utf8')}\n})`;
+        const factory = vm.runInContext(wrapper, context, { filename: file });
+        factory(module, module.exports, request => {
+            const resolved = resolveModule(file, request);
+            if (resolved) {
+                return load(resolved);
+            }
+            if (hubModules[request]) {
+                return hubModules[request];
+            }
+            throw new Error(`Cannot find module '${request}'`);
+        });
+        return module.exports;
+    };
+    load.loaded = () => Object.keys(cache).map(file => cache[file].exports);
+    return load;
+}
+
+/**
+ * Format console arguments like console.log does for strings and errors
+ * @param {*} value - Logged value
+ * @returns {string} - Text
+ */
+function formatLogValue(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value && typeof value.message === 'string' && typeof value.name === 'string') {
+        return `${value.name}: ${value.message}`;
+    }
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+/**
+ * Load the integration against fake receivers and wait until it has started
+ * @param {Object} options - { receivers, config (merged into YAMAHA_CONFIG), datastore (stored strings by key), startTime (ms) }
+ * @returns {Promise<Object>} - Harness (see the returned object)
+ */
+async function loadIntegration(options = {}) {
+    const receivers = options.receivers || [createFakeReceiver()];
+    const clock = createFakeClock(options.startTime);
+    receivers.forEach(receiver => receiver.useClock(clock));
+    const flicApp = createFakeFlicApp();
+    const http = createFakeHttp(receivers);
+    const datastore = createFakeDatastore(options.datastore);
+    const dgram = createFakeDgram(receivers);
+    const buttons = createFakeButtons();
+    const net = createFakeNet();
+    const modules = { flicapp: flicApp, http, datastore, dgram, buttons, net };
+    const logs = [];
+
+    const record = (...args) => {
+        const line = args.map(formatLogValue).join(' ');
+        logs.push(line);
+        if (process.env.YAMAHA_TEST_LOG) {
+            console.log(line);
+        }
+    };
+
+    const context = vm.createContext({
+        console: { log: record, error: record, warn: record, info: record },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        Date: clock.Date,
+        Buffer: Buffer
+    });
+    const load = createSandboxRequire(context, modules);
+
+    /**
+     * Load a module from src/ inside the sandbox
+     * @param {string} name - Path below src/, e.g. 'hub/device-state'
+     * @returns {Object} - Its exports
+     */
+    const requireSource = name => load(require.resolve(path.join(SOURCE_DIR, name)));
+
+    // The configuration is changed before any other module loads, like a user's edits would be
+    const overrides = mergeConfig(JSON.parse(JSON.stringify(TEST_CONFIG)), options.config || {}, REPLACED_KEYS);
+    const applyConfig = vm.runInContext(`(${mergeConfig.toString()})`, context);
+    const parseInSandbox = vm.runInContext('JSON.parse', context);
+    applyConfig(requireSource('config').YAMAHA_CONFIG, parseInSandbox(JSON.stringify(overrides)), parseInSandbox(JSON.stringify(REPLACED_KEYS)));
+    const evaluateInScope = vm.runInContext('(function (scope, code) { with (scope) { return eval(code); } })', context);
+    // Started like src/main.js does
+    const started = requireSource('hub/integration').initializeYamahaIntegration().catch(error => {
+        record('❌ Yamaha Speaker Integration could not start:', error.message);
+    });
+
+    /**
+     * Let requests, replies and promise chains run until nothing is in flight
+     * @returns {Promise} - Resolves when the integration is idle
+     */
+    const settle = async () => {
+        for (let idleTurns = 0, turns = 0; idleTurns < 3 && turns < 10000; turns++) {
+            await new Promise(resolve => setImmediate(resolve));
+            idleTurns = http.pending() === 0 ? idleTurns + 1 : 0;
+        }
+    };
+
+    let startupTimer = null;
+    const startupTimeout = new Promise((resolve, reject) => {
+        startupTimer = setTimeout(() => reject(new Error('The integration did not finish starting (waiting on a timer?)')), STARTUP_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([started, startupTimeout]);
+    } finally {
+        clearTimeout(startupTimer);
+    }
+    await settle();
+    if (logs.some(line => line.includes('could not start'))) {
+        throw new Error(`The integration did not start:\n${logs.filter(line => line.startsWith('❌')).join('\n')}`);
+    }
+
+    const harness = {
+        flicApp,
+        http,
+        datastore,
+        dgram,
+        buttons,
+        net,
+        clock,
+        receivers,
+        receiver: receivers[0],
+        logs,
+        settle,
+
+        /**
+         * Get a module of the running integration (functions, state, YAMAHA_CONFIG)
+         * @param {string} name - Path below src/, e.g. 'hub/device-state'
+         * @returns {Object} - Its exports
+         */
+        require: requireSource,
+
+        /**
+         * Evaluate code with every loaded module's exports in scope (functions, state, YAMAHA_CONFIG)
+         * @param {string} code - Expression
+         * @returns {*} - Result
+         */
+        evaluate: code => evaluateInScope(Object.assign({}, ...load.loaded()), code),
+
+        /**
+         * Advance the manual clock, running the timers that fall due
+         * @param {number} ms - Milliseconds
+         * @returns {Promise} - Resolves when the integration is idle again
+         */
+        advance: ms => clock.advance(ms, settle),
+
+        /**
+         * Send an action message as the Flic app would
+         * @param {string} message - Action message
+         * @returns {Promise} - Resolves when the command has finished
+         */
+        async sendAction(message) {
+            flicApp.emit('actionMessage', message);
+            await settle();
+        },
+
+        /**
+         * Turn a Flic Twist bound to a virtual Speaker device
+         * @param {string} deviceId - Virtual device id
+         * @param {number} volume - New Twist position (0-1)
+         * @returns {Promise} - Resolves when the update has been handled
+         */
+        async twist(deviceId, volume) {
+            flicApp.emit('virtualDeviceUpdate', { dimmableType: 'Speaker', virtualDeviceId: deviceId }, { volume: volume });
+            await settle();
+        },
+
+        /**
+         * Send a request to the integration's HTTP server (httpServer.enabled must be set)
+         * @param {string} method - HTTP method
+         * @param {string} target - Path with query string
+         * @param {Object} options - { body (objects are sent as JSON), headers }
+         * @returns {Promise<Object>} - { status, headers, body (parsed JSON) }
+         */
+        async httpRequest(method, target, options = {}) {
+            const body = options.body === undefined ? '' : typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+            const headers = Object.assign(
+                typeof options.body === 'object' ? { 'Content-Type': 'application/json' } : {},
+                { 'Content-Length': Buffer.byteLength(body) },
+                options.headers || {});
+            const head = Object.keys(headers).map(name => `${name}: ${headers[name]}`).join('\r\n');
+            const client = net.connect(`${method} ${target} HTTP/1.1\r\nHost: hub\r\n${head}\r\n\r\n${body}`);
+            await settle();
+            if (!client.ended) {
+                throw new Error(`No response to ${method} ${target}`);
+            }
+
+            const headerEnd = client.written.indexOf('\r\n\r\n');
+            const lines = client.written.slice(0, headerEnd).split('\r\n');
+            const responseHeaders = {};
+            lines.slice(1).forEach(line => {
+                const separator = line.indexOf(':');
+                responseHeaders[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+            });
+            return {
+                status: Number(lines[0].split(' ')[1]),
+                headers: responseHeaders,
+                body: JSON.parse(client.written.slice(headerEnd + 4))
+            };
+        },
+
+        /**
+         * Check whether a log line matching a pattern was written
+         * @param {RegExp|string} pattern - Pattern or substring
+         * @returns {boolean} - True if a line matches
+         */
+        logged(pattern) {
+            return logs.some(line => typeof pattern === 'string' ? line.includes(pattern) : pattern.test(line));
+        }
+    };
+    return harness;
+}
+
+module.exports = { loadIntegration, createFakeReceiver };
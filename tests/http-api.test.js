@@ -0,0 +1,283 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+const TOKEN = 'test-secret';
+
+/**
+ * Start the integration with its HTTP server
+ * @param {Object} options - startIntegration options; config.httpServer is merged over the test server settings
+ * @returns {Promise<Object>} - As startIntegration
+ */
+function startWithHttp(options = {}) {
+    const config = Object.assign({}, options.config);
+    config.httpServer = Object.assign({ enabled: true, token: TOKEN }, config.httpServer);
+    return startIntegration(Object.assign({}, options, { config: config }));
+}
+
+/**
+ * Send an authorized request
+ * @param {Object} harness - Integration harness
+ * @param {string} method - HTTP method
+ * @param {string} target - Path with query string
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+function request(harness, method, target, body) {
+    return harness.httpRequest(method, target, {
+        body: body === undefined && method === 'POST' ? {} : body,
+        headers: { Authorization: `Bearer ${TOKEN}` }
+    });
+}
+
+test('the status endpoint reports a zone', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'GET', '/status/livingroom');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, 'livingroom');
+    assert.equal(response.body.online, true);
+});
+
+test('a malformed query string is a bad request', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'GET', '/zones?x=%E0');
+
+    assert.equal(response.status, 400);
+});
+
+test('a malformed path is a bad request', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'GET', '/zones/%E0');
+
+    assert.equal(response.status, 400);
+});
+
+test('the HTTP API does not start without a token', async () => {
+    const { harness } = await startWithHttp({ config: { httpServer: { token: '' } } });
+
+    assert.equal(harness.net.servers.length, 0);
+    assert.ok(harness.logged('httpServer.token is not set'));
+});
+
+test('requests without the token are refused', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const missing = await harness.httpRequest('POST', '/zones/livingroom/volume', { body: { volume: 20 } });
+    const wrong = await harness.httpRequest('POST', '/zones/livingroom/volume', {
+        body: { volume: 20 },
+        headers: { Authorization: 'Bearer guess' }
+    });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(main.volume, 40);
+});
+
+test('the token is only accepted in the Authorization header', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const response = await harness.httpRequest('POST', `/zones/livingroom/volume?token=${TOKEN}`, { body: { volume: 20 } });
+
+    assert.equal(response.status, 401);
+    assert.equal(main.volume, 40);
+});
+
+test('responses do not allow cross-origin requests', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'GET', '/zones');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['access-control-allow-origin'], undefined);
+});
+
+test('a body that is not JSON is refused', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const plain = await harness.httpRequest('POST', '/zones/livingroom/volume', {
+        body: '{"volume": 20}',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'text/plain' }
+    });
+    const broken = await harness.httpRequest('POST', '/zones/livingroom/volume', {
+        body: '{"volume": ',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' }
+    });
+
+    assert.equal(plain.status, 415);
+    assert.equal(broken.status, 400);
+    assert.equal(main.volume, 40);
+});
+
+test('a chunked body is decoded after its chunks are joined', async () => {
+    const { harness, main } = await startWithHttp({
+        config: { macros: { Küche: { device: 'livingroom', steps: [{ action: 'volume', value: 20 }] } } }
+    });
+    const body = Buffer.from(JSON.stringify({ command: 'macro Küche' }));
+    // Split the body inside the two bytes of "ü"
+    const split = body.indexOf('ü') + 1;
+    const chunk = data => Buffer.concat([Buffer.from(`${data.length.toString(16)}\r\n`), data, Buffer.from('\r\n')]);
+
+    const client = harness.net.connect(Buffer.concat([
+        Buffer.from(`POST /commands HTTP/1.1\r\nAuthorization: Bearer ${TOKEN}\r\nContent-Type: application/json\r\nTransfer-Encoding: chunked\r\n\r\n`),
+        chunk(body.slice(0, split)),
+        chunk(body.slice(split)),
+        Buffer.from('0\r\n\r\n')
+    ]));
+    await harness.settle();
+
+    assert.ok(client.written.startsWith('HTTP/1.1 200'), client.written);
+    assert.equal(main.volume, 20);
+});
+
+test('a zone route changes the zone and answers with its state', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const response = await request(harness, 'POST', '/zones/livingroom/volume', { volume: 25 });
+
+    assert.equal(response.status, 200);
+    assert.equal(main.volume, 25);
+    assert.equal(response.body.volume, 25);
+});
+
+test('unknown zones are not found', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'POST', '/zones/garage/power', { power: 'on' });
+
+    assert.equal(response.status, 404);
+    assert.match(response.body.error, /garage/);
+});
+
+test('a command blocked by a cooldown is a conflict', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const first = await request(harness, 'POST', '/zones/livingroom/power', { power: 'off' });
+    const second = await request(harness, 'POST', '/zones/livingroom/power', { power: 'on' });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /cooldown/);
+    assert.equal(main.power, 'standby');
+});
+
+test('a volume step held at the volume limit is a conflict', async () => {
+    const { harness } = await startWithHttp({
+        zones: { main: { volume: 60 }, zone2: {} },
+        speakers: { livingroom: { maxVolume: 60 } }
+    });
+
+    const response = await request(harness, 'POST', '/zones/livingroom/volume', { action: 'up' });
+
+    assert.equal(response.status, 409);
+    assert.match(response.body.error, /maximum volume/);
+});
+
+test('a command the receiver rejects is a bad gateway', async () => {
+    const { harness, receiver } = await startWithHttp();
+    receiver.failNext('main/setVolume', { statusCode: 500 });
+
+    const response = await request(harness, 'POST', '/zones/livingroom/volume', { volume: 25 });
+
+    assert.equal(response.status, 502);
+});
+
+test('config commands are not available over HTTP', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'POST', '/commands', { command: 'config remove livingroom' });
+
+    assert.equal(response.status, 403);
+    assert.equal(harness.evaluate("YAMAHA_CONFIG.speakers.some(s => s.id === 'livingroom')"), true);
+});
+
+test('a sound program the receiver rejects is a bad gateway', async () => {
+    const { harness, receiver } = await startWithHttp();
+    receiver.failNext('main/setSoundProgram', { statusCode: 500 });
+
+    const response = await request(harness, 'POST', '/commands', { command: 'livingroom program movie' });
+
+    assert.equal(response.status, 502);
+});
+
+test('a playback command blocked by a cooldown is a conflict', async () => {
+    const { harness } = await startWithHttp({
+        zones: { main: { input: 'spotify' }, zone2: {} },
+        netusb: { input: 'spotify', playback: 'play' }
+    });
+
+    const first = await request(harness, 'POST', '/commands', { command: 'playback next' });
+    const second = await request(harness, 'POST', '/commands', { command: 'playback next' });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /cooldown/);
+});
+
+test('a group command that fails on one member is a bad gateway', async () => {
+    const { harness, receiver, main } = await startWithHttp({
+        zones: { main: { power: 'standby' }, zone2: { power: 'standby' } },
+        config: { groups: { downstairs: ['livingroom', 'kitchen'] } }
+    });
+    receiver.failNext('zone2/setPower', { statusCode: 500 });
+
+    const response = await request(harness, 'POST', '/commands', { command: 'downstairs on' });
+
+    assert.equal(response.status, 502);
+    assert.equal(main.power, 'on');
+});
+
+test('a fade the receiver rejects is a bad gateway', async () => {
+    const { harness, receiver } = await startWithHttp();
+    receiver.failNext('main/setVolume', { statusCode: 500 });
+
+    const response = await request(harness, 'POST', '/commands', { command: 'livingroom fade 20 0' });
+
+    assert.equal(response.status, 502);
+});
+
+test('a macro that stops at a failed step is a bad gateway', async () => {
+    const { harness, receiver } = await startWithHttp({
+        config: { macros: { quiet: { device: 'livingroom', steps: [{ action: 'volume', value: 20 }] } } }
+    });
+    receiver.failNext('main/setVolume', { statusCode: 500 });
+
+    const response = await request(harness, 'POST', '/commands', { command: 'macro quiet' });
+
+    assert.equal(response.status, 502);
+});
+
+test('an argument a handler refuses is a bad request', async () => {
+    const { harness } = await startWithHttp();
+
+    const response = await request(harness, 'POST', '/commands', { command: 'livingroom program karaoke' });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /unknown sound program/);
+});
+
+test('a fade command answers once the fade has started', async () => {
+    const { harness, main } = await startWithHttp();
+
+    const response = await request(harness, 'POST', '/commands', { command: 'livingroom fade 20 600' });
+
+    assert.equal(response.status, 200);
+    assert.ok(main.volume > 20);
+
+    await harness.advance(600 * 1000);
+    assert.equal(main.volume, 20);
+});
+
+test('macro names with capitals match in any case', async () => {
+    const { harness } = await startWithHttp({
+        config: { macros: { MovieNight: { device: 'livingroom', steps: [{ action: 'volume', value: 30 }] } } }
+    });
+
+    const response = await request(harness, 'POST', '/macros/MovieNight');
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.macro, 'MovieNight');
+});
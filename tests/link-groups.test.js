@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadIntegration, createFakeReceiver } = require('./harness/load-integration');
+
+/**
+ * Start the integration against three receivers: livingroom and kitchen share one, bedroom and
+ * office have their own
+ * @returns {Promise<Object>} - { harness, receivers: { livingroom, bedroom, office } }
+ */
+async function startWithThreeDevices() {
+    const livingroom = createFakeReceiver({ ip: '192.168.1.100', zones: { main: {}, zone2: {} } });
+    const bedroom = createFakeReceiver({ ip: '192.168.1.101', zones: { main: {} } });
+    const office = createFakeReceiver({ ip: '192.168.1.102', zones: { main: {} } });
+    const harness = await loadIntegration({
+        receivers: [livingroom, bedroom, office],
+        config: {
+            speakers: [
+                { id: 'livingroom', ip: '192.168.1.100', name: 'Living Room', zone: 'main' },
+                { id: 'kitchen', ip: '192.168.1.100', name: 'Kitchen', zone: 'zone2' },
+                { id: 'bedroom', ip: '192.168.1.101', name: 'Bedroom', zone: 'main' },
+                { id: 'office', ip: '192.168.1.102', name: 'Office', zone: 'main' }
+            ]
+        }
+    });
+    return { harness, receivers: { livingroom, bedroom, office } };
+}
+
+test('joining a zone links it and records the group', async () => {
+    const { harness, receivers } = await startWithThreeDevices();
+
+    await harness.sendAction('bedroom join kitchen');
+
+    const group = harness.require('hub/link-group-state').linkGroups['192.168.1.100'];
+    assert.equal(group.serverZone, 'zone2');
+    assert.equal(group.clients.map(client => client.ip).join(','), '192.168.1.101');
+    assert.equal(receivers.bedroom.requestsTo('dist/setClientInfo')[0].body.server_ip_address, '192.168.1.100');
+});
+
+test('a device that shares another zone ends that group before it joins one', async () => {
+    const { harness, receivers } = await startWithThreeDevices();
+    await harness.sendAction('bedroom join kitchen');
+    await harness.sendAction('office join kitchen');
+
+    await harness.sendAction('livingroom join bedroom');
+
+    const linkGroups = harness.require('hub/link-group-state').linkGroups;
+    assert.equal(linkGroups['192.168.1.100'], undefined);
+    assert.equal(linkGroups['192.168.1.101'].clients.map(client => `${client.ip} ${client.zone}`).join(','), '192.168.1.100 main');
+    assert.equal(receivers.office.requestsTo('dist/setClientInfo').pop().body.group_id, '');
+    assert.ok(receivers.livingroom.requestsTo('dist/stopDistribution').length > 0);
+});
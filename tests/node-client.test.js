@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createYxcClient, nodeHttp, readDevice, deviceSupports, getZoneEndpoint } = require('../src');
+const { createFakeReceiver, parseYxcUrl } = require('./harness/fake-receiver');
+
+/**
+ * Serve a fake receiver over real HTTP on a free local port
+ * @param {Object} t - Test context (the server is closed when the test ends)
+ * @returns {Promise<Object>} - { receiver, host ('127.0.0.1:port', used as the device IP) }
+ */
+async function serveReceiver(t) {
+    const receiver = createFakeReceiver({ ip: '127.0.0.1', zones: { main: {}, zone2: {} } });
+    const server = http.createServer((request, response) => {
+        const { endpoint, params } = parseYxcUrl(`http://127.0.0.1${request.url}`);
+        const reply = receiver.handle({ method: request.method, endpoint: endpoint, params: params, body: null });
+        if (!reply) {
+            // Scripted to never answer
+            return;
+        }
+        if (reply.networkError) {
+            request.socket.destroy();
+            return;
+        }
+        response.writeHead(reply.statusCode, { 'Content-Type': 'application/json' });
+        response.end(reply.content);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return { receiver, host: `127.0.0.1:${server.address().port}` };
+}
+
+test('readDevice reads a receiver\'s zones and features over HTTP', async t => {
+    const { host } = await serveReceiver(t);
+    const client = createYxcClient({ http: nodeHttp });
+
+    const device = await readDevice(client.request, host);
+
+    assert.equal(device.discovered, true);
+    assert.equal(device.modelName, 'RX-A2A');
+    assert.deepEqual(Object.keys(device.zones), ['main', 'zone2']);
+    assert.equal(device.netusb.presetCount, 40);
+    assert.equal(deviceSupports(device, 'main', 'volume'), true);
+    assert.equal(deviceSupports(device, 'main', 'tone'), false);
+});
+
+test('requests change the receiver and turn response codes into named errors', async t => {
+    const { receiver, host } = await serveReceiver(t);
+    const client = createYxcClient({ http: nodeHttp });
+
+    await client.request(host, getZoneEndpoint('main', 'volume'), { volume: 25 });
+    assert.equal(receiver.zones.main.status.volume, 25);
+
+    receiver.failNext('main/setVolume', { responseCode: 4 });
+    await assert.rejects(client.request(host, getZoneEndpoint('main', 'volume'), { volume: 30 }), { name: 'YxcInvalidParameterError' });
+    assert.equal(receiver.zones.main.status.volume, 25);
+});
+
+test('a receiver that does not answer times out with the configured limit', async t => {
+    const { receiver, host } = await serveReceiver(t);
+    const client = createYxcClient({ http: nodeHttp, config: { client: { timeoutMs: 100, retries: 0 } } });
+
+    receiver.failNext('main/getStatus', { hang: true });
+    await assert.rejects(client.request(host, getZoneEndpoint('main', 'status')), { name: 'YxcTimeoutError' });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+// Long enough for a rotation to settle and for the double-twist window to pass
+const GESTURE_MS = 1000;
+
+/**
+ * Start with the living room streaming Spotify
+ * @param {string} playback - netusb playback state
+ * @returns {Promise<Object>} - startIntegration result
+ */
+function startStreaming(playback) {
+    return startIntegration({
+        zones: { main: { input: 'spotify' }, zone2: { input: 'hdmi1' } },
+        netusb: { input: 'spotify', playback: playback, artist: 'Artist', track: 'Track' }
+    });
+}
+
+/**
+ * Get the playback commands the receiver received
+ * @param {Object} receiver - Fake receiver
+ * @returns {string[]} - setPlayback values
+ */
+function playbackCommands(receiver) {
+    return receiver.requestsTo('netusb/setPlayback').map(request => request.params.playback);
+}
+
+test('the playback Twist is centred again after every update', async () => {
+    const { harness } = await startStreaming('play');
+
+    await harness.twist('playback', 0.7);
+    await harness.twist('playback', 0.55);
+
+    assert.deepEqual(harness.flicApp.updatesFor('playback').slice(-2).map(values => values.volume), [0.5, 0.5]);
+    assert.equal(harness.flicApp.devices.playback.volume, 0.5);
+});
+
+test('twisting right resumes a paused stream', async () => {
+    const { harness, receiver } = await startStreaming('pause');
+
+    await harness.twist('playback', 0.7);
+    await harness.advance(GESTURE_MS);
+
+    assert.deepEqual(playbackCommands(receiver), ['play']);
+    assert.ok(harness.logged('▶️ Living Room playback resumed'));
+});
+
+test('twisting right skips ahead in a playing stream', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    await harness.twist('playback', 0.7);
+    await harness.advance(GESTURE_MS);
+
+    assert.deepEqual(playbackCommands(receiver), ['next']);
+});
+
+test('twisting left pauses, twisting far left goes back a track', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    await harness.twist('playback', 0.3);
+    await harness.advance(GESTURE_MS);
+    assert.deepEqual(playbackCommands(receiver), ['pause']);
+
+    // Past the playback cooldown
+    await harness.advance(3000);
+    await harness.twist('playback', 0.1);
+    await harness.advance(GESTURE_MS);
+    assert.deepEqual(playbackCommands(receiver), ['pause', 'previous']);
+});
+
+test('rotations add up until the Twist rests', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    // Two small turns, each below the gesture threshold, within settleMs
+    await harness.twist('playback', 0.44);
+    await harness.advance(100);
+    await harness.twist('playback', 0.44);
+    await harness.advance(GESTURE_MS);
+
+    assert.deepEqual(playbackCommands(receiver), ['pause']);
+});
+
+test('a small rotation does nothing', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    await harness.twist('playback', 0.55);
+    await harness.advance(GESTURE_MS);
+
+    assert.deepEqual(playbackCommands(receiver), []);
+});
+
+test('two twists in a row stop playback', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    await harness.twist('playback', 0.7);
+    await harness.advance(400);
+    await harness.twist('playback', 0.7);
+    await harness.advance(GESTURE_MS);
+
+    assert.deepEqual(playbackCommands(receiver), ['stop']);
+});
+
+test('press toggles play and pause', async () => {
+    const { harness, receiver } = await startStreaming('play');
+
+    await harness.sendAction('playback press');
+    await harness.advance(3000);
+    await harness.sendAction('playback press');
+
+    assert.deepEqual(playbackCommands(receiver), ['pause', 'play']);
+});
+
+test('playback follows the zone that is streaming', async () => {
+    const { harness, receiver, main, zone2 } = await startStreaming('play');
+    main.input = 'hdmi1';
+    zone2.input = 'spotify';
+    harness.evaluate("applyZoneStatus('192.168.1.100', 'main', { input: 'hdmi1' })");
+    harness.evaluate("applyZoneStatus('192.168.1.100', 'zone2', { input: 'spotify' })");
+
+    await harness.sendAction('playback next');
+
+    assert.deepEqual(playbackCommands(receiver), ['next']);
+    assert.ok(harness.logged('⏭️ Kitchen skipped to next track'));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+// Past the power cooldown
+const POWER_COOLDOWN_MS = 2000;
+
+test('mute toggles on and off', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom mute');
+    assert.equal(main.mute, true);
+    assert.ok(harness.logged('✅ Living Room muted'));
+
+    await harness.sendAction('livingroom mute');
+    assert.equal(main.mute, false);
+    assert.ok(harness.logged('✅ Living Room unmuted'));
+});
+
+test('a muted zone shows its Twist at zero', async () => {
+    const { harness } = await startIntegration();
+
+    await harness.sendAction('livingroom mute');
+
+    assert.equal(harness.flicApp.devices.livingroom.volume, 0);
+});
+
+test('soft mute ramps the volume down, mutes and puts the level back for unmuting', async () => {
+    const { harness, receiver, main } = await startIntegration({ speakers: { livingroom: { softMute: true } } });
+
+    await harness.sendAction('livingroom mute');
+    await harness.advance(2000);
+
+    assert.equal(main.mute, true);
+    assert.equal(main.volume, 40);
+    const volumes = receiver.requestsTo('main/setVolume').map(request => Number(request.params.volume));
+    const ramp = volumes.slice(0, -1);
+    assert.ok(ramp.length > 1, 'expected several volume steps');
+    assert.ok(ramp.every((volume, index) => index === 0 || volume < ramp[index - 1]), `not ramping down: ${volumes}`);
+    assert.equal(ramp[ramp.length - 1], 0);
+});
+
+test('power toggles between on and standby', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom power');
+    assert.equal(main.power, 'standby');
+    assert.ok(harness.logged('✅ Living Room turned off'));
+
+    await harness.advance(POWER_COOLDOWN_MS);
+    await harness.sendAction('livingroom power');
+    assert.equal(main.power, 'on');
+    assert.ok(harness.logged('✅ Living Room turned on'));
+});
+
+test('on and off set the power state directly', async () => {
+    const { harness, main } = await startIntegration({ zones: { main: { power: 'standby' }, zone2: {} } });
+
+    await harness.sendAction('livingroom on');
+    assert.equal(main.power, 'on');
+
+    await harness.advance(POWER_COOLDOWN_MS);
+    await harness.sendAction('livingroom off');
+    assert.equal(main.power, 'standby');
+});
+
+test('switching a zone on brings it to its power-on volume', async () => {
+    const { harness, main } = await startIntegration({
+        zones: { main: { power: 'standby', volume: 80 }, zone2: {} },
+        speakers: { livingroom: { powerOn: { volume: 30 } } }
+    });
+
+    await harness.sendAction('livingroom on');
+    await harness.advance(1000);
+
+    assert.equal(main.power, 'on');
+    assert.equal(main.volume, 30);
+    assert.ok(harness.logged('🔆 Living Room switched on at volume 80, setting to 30'));
+});
+
+test('a zone that is already on at startup is brought to its power-on volume', async () => {
+    const { harness, main } = await startIntegration({
+        zones: { main: { volume: 80 }, zone2: {} },
+        speakers: { livingroom: { powerOn: { volume: 30 } } }
+    });
+
+    await harness.advance(1000);
+
+    assert.equal(main.volume, 30);
+    assert.ok(harness.logged('🔆 Living Room switched on at volume 80, setting to 30'));
+});
+
+test('a zone in standby shows its Twist at zero', async () => {
+    const { harness } = await startIntegration();
+    assert.equal(harness.flicApp.devices.livingroom.volume, 40 / 161);
+
+    await harness.sendAction('livingroom power');
+
+    assert.equal(harness.flicApp.devices.livingroom.volume, 0);
+});
+
+test('power only changes the addressed zone', async () => {
+    const { harness, main, zone2 } = await startIntegration();
+
+    await harness.sendAction('kitchen off');
+
+    assert.equal(zone2.power, 'standby');
+    assert.equal(main.power, 'on');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+const KITCHEN_OFF = { name: 'kitchen-off', time: '23:00', action: 'kitchen off' };
+
+test('the integration starts with schedules configured', async () => {
+    const { harness } = await startIntegration({ config: { schedules: [KITCHEN_OFF] } });
+
+    assert.ok(harness.logged('⏰ 1 schedule(s) active'));
+});
+
+test('config changes are validated against the configured schedules', async () => {
+    const { harness } = await startIntegration({ config: { schedules: [KITCHEN_OFF] } });
+
+    await harness.sendAction('config set kitchen name Cuisine');
+
+    assert.ok(harness.logged('✅ kitchen name set to Cuisine'));
+    assert.equal(harness.evaluate("YAMAHA_CONFIG.speakers.find(s => s.id === 'kitchen').name"), 'Cuisine');
+});
+
+/**
+ * Create a scheduler on a clock the test sets
+ * @param {Object} harness - Integration harness
+ * @returns {Object} - { scheduler, runs (action messages), setTime(hours, minutes, daysLater) }
+ */
+function createTestScheduler(harness) {
+    let current = new Date(2026, 0, 5, 12, 0);
+    const runs = [];
+    const scheduler = harness.require('hub/scheduler').createScheduler({
+        now: () => current,
+        run: actionMessage => runs.push(actionMessage)
+    });
+    return {
+        scheduler,
+        runs,
+        setTime: (hours, minutes, daysLater = 0) => {
+            current = new Date(2026, 0, 5 + daysLater, hours, minutes);
+        }
+    };
+}
+
+test('a schedule runs once when its time comes', async () => {
+    const { harness } = await startIntegration({ config: { schedules: [KITCHEN_OFF] } });
+    const { scheduler, runs, setTime } = createTestScheduler(harness);
+
+    setTime(22, 59);
+    assert.equal((await scheduler.tick()).join(','), '');
+    setTime(23, 0);
+    assert.equal((await scheduler.tick()).join(','), 'kitchen-off');
+    setTime(23, 5);
+    assert.equal((await scheduler.tick()).join(','), '');
+
+    assert.equal(runs.join(','), 'kitchen off');
+});
+
+test('a schedule runs again the next day', async () => {
+    const { harness } = await startIntegration({ config: { schedules: [KITCHEN_OFF] } });
+    const { scheduler, runs, setTime } = createTestScheduler(harness);
+
+    setTime(23, 0);
+    await scheduler.tick();
+    setTime(12, 0, 1);
+    assert.equal((await scheduler.tick()).join(','), '');
+    setTime(23, 0, 1);
+    assert.equal((await scheduler.tick()).join(','), 'kitchen-off');
+
+    assert.equal(runs.length, 2);
+});
+
+test('a scheduled action runs on the hub clock', async () => {
+    const { harness, zone2 } = await startIntegration({
+        config: { schedules: [KITCHEN_OFF] },
+        startTime: new Date(2026, 0, 5, 22, 59).getTime()
+    });
+
+    await harness.advance(30 * 1000);
+    assert.equal(zone2.power, 'on');
+    await harness.advance(60 * 1000);
+    assert.equal(zone2.power, 'standby');
+});
+
+test('a sleep timer switches the zone off when it runs out', async () => {
+    const { harness, zone2 } = await startIntegration({
+        config: { schedules: [{ name: 'kitchen-sleep', time: '23:00', action: 'kitchen sleep 30' }] },
+        startTime: new Date(2026, 0, 5, 22, 59).getTime()
+    });
+
+    await harness.advance(60 * 1000);
+    assert.equal(zone2.sleep, 30);
+    await harness.advance(29 * 60 * 1000);
+    assert.equal(zone2.power, 'on');
+    await harness.advance(60 * 1000);
+    assert.equal(zone2.power, 'standby');
+});
+
+test('a cancelled sleep timer leaves the zone on', async () => {
+    const { harness, zone2 } = await startIntegration();
+
+    await harness.sendAction('kitchen sleep 30');
+    await harness.advance(10 * 60 * 1000);
+    await harness.sendAction('kitchen sleep off');
+    await harness.advance(30 * 60 * 1000);
+
+    assert.equal(zone2.sleep, 0);
+    assert.equal(zone2.power, 'on');
+});
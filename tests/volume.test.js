@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration } = require('./harness/fixtures');
+
+test('volume up steps by a tenth of the zone range', async () => {
+    const { harness, main } = await startIntegration({ zones: { main: { volume: 40 } } });
+
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(main.volume, 56);
+});
+
+test('volume up clamps at the top of the range', async () => {
+    const { harness, main, receiver } = await startIntegration({ zones: { main: { volume: 155 } } });
+
+    await harness.sendAction('livingroom volume up');
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(main.volume, 161);
+    assert.deepEqual(receiver.requestsTo('main/setVolume').map(request => request.params.volume), ['161', '161']);
+});
+
+test('volume down clamps at the bottom of the range', async () => {
+    const { harness, main } = await startIntegration({ zones: { main: { volume: 5 } } });
+
+    await harness.sendAction('livingroom volume down');
+
+    assert.equal(main.volume, 0);
+});
+
+test('volume up stops at the speaker maximum volume', async () => {
+    const { harness, main } = await startIntegration({
+        zones: { main: { volume: 50 } },
+        speakers: { livingroom: { maxVolume: 60 } }
+    });
+
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(main.volume, 60);
+    assert.ok(harness.logged('🌙 Living Room held at 60 (maximum volume)'));
+});
+
+test('a Twist sets the native volume for its position', async () => {
+    const { harness, main } = await startIntegration({ zones: { main: { volume: 40, max: 100 } } });
+
+    await harness.twist('livingroom', 0.25);
+
+    assert.equal(main.volume, 25);
+});
+
+test('a Twist past the maximum volume snaps back to the limited level', async () => {
+    const { harness, main } = await startIntegration({
+        zones: { main: { volume: 40, max: 100 } },
+        speakers: { livingroom: { maxVolume: 60 } }
+    });
+
+    await harness.twist('livingroom', 1);
+
+    assert.equal(main.volume, 60);
+    const updates = harness.flicApp.updatesFor('livingroom');
+    assert.equal(updates[updates.length - 1].volume, 0.6);
+});
+
+test('volume levels and relative changes are clamped like volume up/down', async () => {
+    const { harness, main } = await startIntegration({ zones: { main: { volume: 40 } } });
+
+    await harness.sendAction('livingroom volume 200');
+    assert.equal(main.volume, 161);
+
+    await harness.sendAction('livingroom volume -11');
+    assert.equal(main.volume, 150);
+
+    await harness.sendAction('livingroom volume +50');
+    assert.equal(main.volume, 161);
+});
+
+test('the virtual device follows volume changes', async () => {
+    const { harness } = await startIntegration({ zones: { main: { volume: 40, max: 100 } } });
+    assert.equal(harness.flicApp.devices.livingroom.volume, 0.4);
+
+    await harness.sendAction('livingroom volume up');
+
+    assert.equal(harness.flicApp.devices.livingroom.volume, 0.5);
+});
+
+test('quiet hours given to a speaker after startup lower it when they start', async () => {
+    const { harness, zone2 } = await startIntegration({
+        zones: { main: {}, zone2: { volume: 60 } },
+        startTime: new Date(2026, 0, 5, 20, 59).getTime()
+    });
+
+    harness.evaluate(`YAMAHA_CONFIG.speakers.find(s => s.id === 'kitchen').quietHours =
+        { from: '21:00', to: '07:00', maxVolume: 30, lowerAtStart: true }`);
+    await harness.advance(30 * 1000);
+    assert.equal(zone2.volume, 60);
+
+    await harness.advance(60 * 1000);
+    assert.equal(zone2.volume, 30);
+    assert.ok(harness.logged('🌙 Quiet hours started: lowering Kitchen from 60 to 30'));
+});
+
+test('a fade over 0 seconds sets the level at once', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom fade 20 0');
+
+    assert.equal(main.volume, 20);
+});
+
+test('a fade without seconds shows the fade usage', async () => {
+    const { harness, main } = await startIntegration();
+
+    await harness.sendAction('livingroom fade 20');
+
+    assert.ok(harness.logged('fade {level} {seconds}'));
+    assert.equal(main.volume, 40);
+});
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIntegration, RECEIVER_IP } = require('./harness/fixtures');
+
+const STATUS = '/YamahaExtendedControl/v1/main/getStatus';
+const SET_VOLUME = '/YamahaExtendedControl/v1/main/setVolume';
+
+/**
+ * Start a yxcRequest inside the integration
+ * @param {Object} harness - Integration harness
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} options - yxcRequest options that can be written as JSON (coalesceKey, body, ...)
+ * @returns {Promise<Object>} - The request's promise
+ */
+function request(harness, endpoint, params = null, options = {}) {
+    return harness.evaluate(`yxcRequest(${JSON.stringify(RECEIVER_IP)}, ${JSON.stringify(endpoint)}, ${JSON.stringify(params)}, ${JSON.stringify(options)})`);
+}
+
+/**
+ * Wait for a request's outcome while the clock moves on
+ * @param {Object} harness - Integration harness
+ * @param {Promise} promise - Request promise
+ * @param {number} ms - Time to advance
+ * @returns {Promise<Object>} - { value } or { error }
+ */
+async function outcomeAfter(harness, promise, ms) {
+    const outcome = promise.then(value => ({ value }), error => ({ error }));
+    await harness.advance(ms);
+    return outcome;
+}
+
+test('response codes map to named errors', async () => {
+    const { harness, receiver } = await startIntegration();
+    const expected = { 3: 'YxcNotSupportedError', 4: 'YxcInvalidParameterError', 5: 'YxcGuardedError', 2: 'YxcResponseError' };
+
+    for (const code of Object.keys(expected)) {
+        receiver.failNext('main/setVolume', { responseCode: Number(code) });
+        const { error } = await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 0);
+        assert.equal(error.name, expected[code]);
+        assert.equal(error.code, Number(code));
+    }
+});
+
+test('get requests are retried with backoff after a server error', async () => {
+    const { harness, receiver } = await startIntegration();
+    const before = receiver.requestsTo('main/getStatus').length;
+    receiver.failNext('main/getStatus', { statusCode: 500 }, 2);
+
+    const promise = request(harness, STATUS);
+    await harness.settle();
+    assert.equal(receiver.requestsTo('main/getStatus').length - before, 1);
+
+    await harness.advance(300);
+    assert.equal(receiver.requestsTo('main/getStatus').length - before, 2);
+
+    const { value } = await outcomeAfter(harness, promise, 600);
+    assert.equal(receiver.requestsTo('main/getStatus').length - before, 3);
+    assert.equal(value.volume, 40);
+});
+
+test('set requests are not retried', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/setVolume', { statusCode: 503 });
+
+    const { error } = await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 5000);
+
+    assert.equal(error.name, 'YxcHttpError');
+    assert.equal(error.statusCode, 503);
+    assert.equal(receiver.requestsTo('main/setVolume').length, 1);
+});
+
+test('client errors are not retried', async () => {
+    const { harness, receiver } = await startIntegration();
+    const before = receiver.requestsTo('main/getStatus').length;
+    receiver.failNext('main/getStatus', { statusCode: 404 });
+
+    const { error } = await outcomeAfter(harness, request(harness, STATUS), 5000);
+
+    assert.equal(error.name, 'YxcHttpError');
+    assert.equal(receiver.requestsTo('main/getStatus').length - before, 1);
+});
+
+test('a reply that is not JSON is an invalid response', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/setVolume', { content: '<html>busy</html>' });
+
+    const { error } = await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 0);
+
+    assert.equal(error.name, 'YxcInvalidResponseError');
+});
+
+test('a reply without a status code is an invalid response', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/setVolume', { statusCode: null, content: '{"response_code":0}' });
+
+    const { error } = await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 0);
+
+    assert.equal(error.name, 'YxcInvalidResponseError');
+});
+
+test('a request without a reply times out', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/setVolume', { hang: true });
+
+    const promise = request(harness, SET_VOLUME, { volume: 50 });
+    const early = await Promise.race([promise.then(() => 'settled', () => 'settled'), harness.advance(4999).then(() => 'pending')]);
+    assert.equal(early, 'pending');
+
+    const { error } = await outcomeAfter(harness, promise, 1);
+    assert.equal(error.name, 'YxcTimeoutError');
+    assert.equal(receiver.requestsTo('main/setVolume').length, 1);
+});
+
+test('a request that times out is aborted', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/setVolume', { hang: true });
+
+    await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 5000);
+
+    assert.equal(harness.http.aborted.filter(url => url.includes('/main/setVolume')).length, 1);
+});
+
+test('requests to one device are sent one at a time', async () => {
+    const { harness, receiver, main } = await startIntegration();
+    receiver.failNext('main/setVolume', { hang: true });
+
+    const first = request(harness, SET_VOLUME, { volume: 50 });
+    const second = request(harness, SET_VOLUME, { volume: 60 });
+    await harness.advance(4000);
+    assert.equal(receiver.requestsTo('main/setVolume').length, 1);
+
+    const { error } = await outcomeAfter(harness, first, 1000);
+    const { value } = await outcomeAfter(harness, second, 0);
+    assert.equal(error.name, 'YxcTimeoutError');
+    assert.equal(value.response_code, 0);
+    assert.equal(receiver.requestsTo('main/setVolume').length, 2);
+    assert.equal(main.volume, 60);
+});
+
+test('queued requests with the same coalesce key only send the latest one', async () => {
+    const { harness, receiver, main } = await startIntegration();
+    receiver.failNext('main/getStatus', { hang: true });
+
+    const running = request(harness, STATUS, null, { retries: 0 });
+    const queued = [30, 35, 45].map(volume => request(harness, SET_VOLUME, { volume: volume }, { coalesceKey: 'main volume' }));
+    await outcomeAfter(harness, running, 5000);
+
+    const outcomes = await Promise.all(queued.map(promise => outcomeAfter(harness, promise, 0)));
+    assert.ok(outcomes.every(outcome => outcome.value && outcome.value.response_code === 0));
+    assert.equal(receiver.requestsTo('main/setVolume').map(sent => sent.params.volume).join(','), '45');
+    assert.equal(main.volume, 45);
+});
+
+test('a request with a body is sent as a JSON POST', async () => {
+    const { harness, receiver } = await startIntegration();
+
+    await outcomeAfter(harness, request(harness, '/YamahaExtendedControl/v1/dist/setServerInfo', null, {
+        body: { group_id: 'abc', zone: 'main', type: 'add', client_list: ['192.168.1.101'] }
+    }), 0);
+
+    const sent = receiver.requestsTo('dist/setServerInfo')[0];
+    assert.equal(sent.method, 'POST');
+    assert.equal(sent.body.group_id, 'abc');
+    assert.equal(sent.body.client_list.join(','), '192.168.1.101');
+});
+
+test('a device that keeps failing is marked offline until a probe succeeds', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.offline = true;
+
+    const first = await outcomeAfter(harness, request(harness, STATUS), 1000);
+    assert.equal(first.error.name, 'YxcNetworkError');
+    assert.ok(harness.logged(`📴 ${RECEIVER_IP} marked offline after 3 failed requests`));
+
+    const sent = receiver.requests.length;
+    const second = await outcomeAfter(harness, request(harness, STATUS), 0);
+    assert.equal(second.error.name, 'YxcOfflineError');
+    assert.equal(receiver.requests.length, sent);
+
+    receiver.offline = false;
+    await harness.advance(30000);
+    const third = await outcomeAfter(harness, request(harness, STATUS), 0);
+    assert.equal(third.value.power, 'on');
+    assert.ok(harness.logged(`📶 ${RECEIVER_IP} is back online`));
+});
+
+test('cancelling a token rejects its running request', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/getStatus', { hang: true });
+
+    const pending = harness.evaluate(`(() => {
+        const token = createCancelToken();
+        return { token, promise: yxcRequest(${JSON.stringify(RECEIVER_IP)}, ${JSON.stringify(STATUS)}, null, { signal: token }) };
+    })()`);
+    await harness.settle();
+    pending.token.cancel();
+
+    const { error } = await outcomeAfter(harness, pending.promise, 0);
+    assert.equal(error.name, 'YxcCancelledError');
+});
+
+test('other requests to the device go ahead while a retry waits', async () => {
+    const { harness, receiver, main } = await startIntegration();
+    receiver.failNext('main/getStatus', { statusCode: 500 });
+
+    const status = request(harness, STATUS);
+    await harness.settle();
+    const volume = await outcomeAfter(harness, request(harness, SET_VOLUME, { volume: 50 }), 100);
+    assert.equal(volume.error, undefined);
+    assert.equal(main.volume, 50);
+
+    const { value } = await outcomeAfter(harness, status, 200);
+    assert.equal(value.volume, 50);
+});
+
+test('cancelling a token rejects its queued request at once', async () => {
+    const { harness, receiver } = await startIntegration();
+    receiver.failNext('main/getStatus', { hang: true });
+
+    const running = request(harness, STATUS);
+    const queued = harness.evaluate(`(() => {
+        const token = createCancelToken();
+        return { token, promise: yxcRequest(${JSON.stringify(RECEIVER_IP)}, ${JSON.stringify(SET_VOLUME)}, { volume: 50 }, { signal: token }) };
+    })()`);
+    await harness.settle();
+    queued.token.cancel();
+
+    const { error } = await outcomeAfter(harness, queued.promise, 0);
+    assert.equal(error.name, 'YxcCancelledError');
+
+    await outcomeAfter(harness, running, 20000);
+    assert.equal(receiver.requestsTo('main/setVolume').length, 0);
+});
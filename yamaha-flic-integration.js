@@ -1,19 +1,35 @@
 // Yamaha Speaker Integration with Flic App Module
-// This script integrates Yamaha speakers using the YXC (Yamaha Extended Control) API
-// with Flic buttons and Twist controllers for volume control
-
-const flicApp = require('flicapp');
-const http = require('http');
-
-console.log('Yamaha Speaker Integration Started');
+// Built by scripts/build.js from the modules in src/ - change those and run `npm run build`.
+// The speaker configuration (YAMAHA_CONFIG) comes first, in the src/config.js part.
 
-// ============================================================================
-// YAMAHA YXC API CONFIGURATION
-// ============================================================================
+const bundledModules = {
+// ---- src/config.js ----
+"config.js": [function (module, exports, require) {
+// Yamaha speaker configuration: the speakers, groups and Twist modes, and every setting of the
+// integration. A configuration stored in the hub datastore replaces parts of it (see hub/config-loader.js)
 
 // Yamaha speaker configuration
 const YAMAHA_CONFIG = {
     // Update these with your Yamaha speaker's IP address and zones
+    // Each speaker can optionally tune how the Twist's 0-1 range maps onto the zone's volume steps:
+    //   volume: {
+    //       curve: 'db',   // 'linear' (default) or 'db' (spread the Twist evenly between dbFloor and the cap)
+    //       dbFloor: -60,  // Quietest audible level in dB for the 'db' curve
+    //       cap: 120,      // Highest native volume step the Twist can reach (defaults to the zone maximum)
+    //       step: 5        // Native steps per "volume up/down" (defaults to 10% of the range)
+    //   }
+    // A speaker with mode: 'input' turns its Twist into a source selector for its zone
+    // (each detent selects the next input the zone supports), e.g.
+    //   { id: 'id1sources', ip: 'RECEIVER1_IP_ADDRESS', name: 'Sources', zone: 'main', mode: 'input' }
+    // mode: 'program' selects sound programs the same way; mode: 'bass', 'treble', 'dialogue' or
+    // 'subwoofer' turns the Twist into that level across the range the zone reports
+    // zone is any zone id the receiver reports in system/getFeatures (main, zone2, zone3, zone4).
+    // maxVolume (native steps) limits every volume command for a zone, and
+    //   quietHours: { from: '21:00', to: '07:00', maxVolume: 40, lowerAtStart: true, fadeSeconds: 30 }
+    // sets a lower limit during those hours (lowerAtStart turns a louder zone down when they begin).
+    // Playback devices (type: 'playback') control the zone that is playing a netusb input
+    // (streaming, net radio, USB, ...). Add target: '{speaker-id}' to always control one zone,
+    // and gestures: { ... } to override playbackGestures for that device
     speakers: [
         { 
             id: 'id1main', 
@@ -31,839 +47,7397 @@ const YAMAHA_CONFIG = {
             id: 'playback', 
             ip: 'RECEIVER1_IP_ADDRESS', 
             name: 'Playback Control',
-            zone: 'playback'
+            type: 'playback'
         }
     ],
-    // YXC API endpoints for different zones
-    endpoints: {
+    // Fallback volume ranges per zone (native volume steps), used until a device's
+    // own ranges have been discovered through system/getFeatures; other zones fall back to 0-100
+    volumeRanges: {
         main: {
-            volume: '/YamahaExtendedControl/v1/main/setVolume',
-            status: '/YamahaExtendedControl/v1/main/getStatus',
-            power: '/YamahaExtendedControl/v1/main/setPower',
-            mute: '/YamahaExtendedControl/v1/main/setMute'
+            min: 0,    // Default fallback
+            max: 100,  // Default fallback
+            step: 1    // Default fallback
         },
         zone2: {
-            volume: '/YamahaExtendedControl/v1/zone2/setVolume',
-            status: '/YamahaExtendedControl/v1/zone2/getStatus',
-            power: '/YamahaExtendedControl/v1/zone2/setPower',
-            mute: '/YamahaExtendedControl/v1/zone2/setMute'
-        },
-        playback: {
-            // Playback control uses netusb endpoints
-            volume: '/YamahaExtendedControl/v1/netusb/setPlayback',
-            status: '/YamahaExtendedControl/v1/netusb/getPlayInfo',
-            power: '/YamahaExtendedControl/v1/netusb/setPlayback',
-            mute: '/YamahaExtendedControl/v1/netusb/setPlayback'
+            min: 0,    // Default fallback
+            max: 100,  // Default fallback
+            step: 1    // Default fallback
         }
     },
-    // Volume ranges will be discovered dynamically per zone
-    volumeRanges: {
-        main: {
-            min: -80,  // Default fallback
-            max: -10   // Default fallback
-        },
-        zone2: {
-            min: -80,  // Default fallback
-            max: -10   // Default fallback
-        },
-        playback: {
-            min: 0,    // Playback control uses 0-1 range
-            max: 1     // Playback control uses 0-1 range
+    // Real-time state sync using YXC event notifications (UDP push)
+    events: {
+        enabled: true,
+        appName: 'MusicCast/1.0(FlicHub)',
+        port: 41100,                   // Local UDP port the receivers push events to
+        renewIntervalMs: 5 * 60 * 1000, // Receivers stop pushing 10 minutes after the last subscribed request
+        pollIntervalMs: 30 * 1000,     // Fallback getStatus polling interval
+        eventTimeoutMs: 60 * 1000      // Poll a receiver when no event arrived for this long
+    },
+    // Automatic network discovery of MusicCast/YXC devices (SSDP)
+    // Speakers can be pinned to a device with deviceId (device_id from getDeviceInfo, e.g. 'AC44F2123456');
+    // they follow that device when DHCP gives it a new IP address
+    discovery: {
+        enabled: true,
+        intervalMs: 10 * 60 * 1000,    // Periodic re-scan interval
+        listenMs: 3000,                // How long to collect M-SEARCH responses
+        addZones: true,                // Create (and store) speaker entries for discovered zones that are not configured
+        ssdpAddress: '239.255.255.250',
+        ssdpPort: 1900,
+        searchTarget: 'urn:schemas-upnp-org:device:MediaRenderer:1'
+    },
+    // Named sequences of steps, run with the action message "macro {name}" or from a button binding.
+    // Steps: power (on/off), input, volume (native steps), mute (true/false), scene, preset,
+    // tuner-preset (with optional band), and wait ({ ms } or { until: { power: 'on', ... } }).
+    // Each step waits until the receiver reports the new state before the next one starts.
+    macros: {
+        'movie-night': {
+            device: 'id1zone2',  // Default device for steps without their own device
+            steps: [
+                { action: 'power', value: 'on' },
+                { action: 'input', value: 'hdmi1' },
+                { action: 'wait', until: { power: 'on' } },
+                { action: 'volume', value: 30 },
+                { action: 'preset', value: 2 }
+            ]
         }
+    },
+    // Twist gestures of playback devices. Actions: play, pause (only while playing), toggle,
+    // stop, next, previous, resume-or-next (resume when paused, next track when playing) or none
+    playbackGestures: {
+        threshold: 0.1,              // Minimum rotation for a gesture
+        farThreshold: 0.35,          // Rotations to the left past this use twistLeftFar
+        settleMs: 300,               // Rotation ends when the Twist rests this long
+        doubleTwistMs: 600,          // Wait this long for a second rotation (0 = no double twist)
+        twistRight: 'resume-or-next',
+        twistLeft: 'pause',
+        twistLeftFar: 'previous',
+        doubleTwist: 'stop',
+        press: 'toggle'              // Action message "{playback-id} press" (assign it to the Twist's push)
+    },
+    // Zone groups: each group is its own virtual Speaker device (id = group id) whose Twist moves
+    // every member by the same amount, and "{group-id} on|off|power|mute" fans out to all members.
+    // Write a group as a member list or as { name, members }, e.g.
+    //   downstairs: ['id1main', 'id1zone2']
+    groups: {},
+    // MusicCast Link groups ("{device-id} join {device-id}", "{device-id} leave", "all party")
+    link: {
+        groupVolume: true            // The group server's Twist sets the volume of every member
+    },
+    // Cooldowns per command class: a command blocks the classes in `blocks` for `ms`
+    // within its scope ('zone', 'receiver' or 'global'). Speakers can override a class with
+    // their own cooldowns, e.g. cooldowns: { playback: { ms: 4000, scope: 'zone' } }
+    cooldowns: {
+        playback: { ms: 2500, scope: 'receiver', blocks: ['playback', 'volume'] },
+        volume: { ms: 0, scope: 'zone', blocks: [] },
+        power: { ms: 2000, scope: 'zone', blocks: ['power'] }
+    },
+    macroStepTimeoutMs: 15000,   // Give up on a step if the receiver does not reach the state in time
+    // Local schedules for things the receivers cannot do themselves. Each runs an action message
+    // at a 24-hour hub time on days: 'daily' (default), 'weekdays', 'weekends' or a list like ['sat', 'sun'], e.g.
+    //   { name: 'zone2-off', time: '23:00', days: 'weekdays', action: 'id1zone2 off' }
+    //   { name: 'wake-up', time: '07:00', action: 'macro wake-up' }
+    schedules: [],
+    scheduler: {
+        checkIntervalMs: 30 * 1000,  // How often the schedules are checked
+        catchUpMinutes: 10           // Run a schedule that was due this recently, e.g. during a restart
+    },
+    // Flic buttons that send action messages (e.g. macros), keyed by button bdaddr
+    buttonBindings: {
+        // '80:e4:da:00:00:00': { click: 'macro movie-night', doubleClick: 'id1zone2 mute', hold: 'id1zone2 off' }
+    },
+    // HTTP client behaviour
+    client: {
+        timeoutMs: 5000,             // Abort a request after this long
+        retries: 2,                  // Extra attempts for idempotent get* requests
+        retryDelayMs: 300,           // Backoff before the first retry (doubles for each further retry)
+        offlineAfterFailures: 3,     // Consecutive failed requests before a device is marked offline
+        offlineRetryMs: 30 * 1000    // How often an offline device is probed again
+    },
+    // Configuration and last-known state in the hub datastore. A stored configuration
+    // (speakers, groups, cooldowns, playbackGestures, macros, buttonBindings, schedules) replaces the values
+    // in this file; these values are the defaults until something is stored
+    persistence: {
+        enabled: true,
+        configKey: 'yamaha-config',
+        stateKey: 'yamaha-state',      // Last volumes and discovered capabilities
+        scheduleKey: 'yamaha-schedule', // Last run of every schedule
+        stateSaveDelayMs: 10 * 1000    // Collect state changes for this long before writing
+    },
+    // Volume fades ("{device-id} fade {level} {seconds}", power-on ramps and soft mute).
+    // Speakers can set powerOn: { volume: 25, maxVolume: 40, fadeSeconds: 5 } to start at (or below)
+    // a volume after being switched on, and softMute: true/false to override softMute
+    fades: {
+        stepMs: 250,                 // Time between volume writes of a fade
+        softMute: false,             // Ramp the volume down before muting and up after unmuting
+        softMuteSeconds: 1.5         // Duration of the soft mute ramps
+    },
+    // Small JSON HTTP server on the hub for dashboards and home automation (needs the hub's net module):
+    //   GET  /status, /status/{id}      now playing, power, volume and input
+    //   GET  /zones, /zones/{id}        power, volume, mute and input
+    //   POST /zones/{id}/volume         { "volume": 35 } or { "action": "up" | "down" }
+    //   POST /zones/{id}/power          { "power": "on" | "off" | "toggle" }
+    //   POST /zones/{id}/mute           toggle mute
+    //   POST /macros/{name}             start a macro
+    //   POST /commands                  { "command": "livingroom input hdmi1" } (any action message)
+    // Commands run through the action-message dispatcher, so cooldowns and volume limits apply.
+    // The server only starts with a token; requests must send "Authorization: Bearer {token}"
+    // and POST bodies must be application/json. "config" commands are refused
+    httpServer: {
+        enabled: false,
+        port: 8080,
+        token: ''                    // Shared secret, required
+    },
+    // Requests to one device are queued; pending volume writes collapse to the latest value
+    requestQueue: {
+        maxConcurrent: 1             // Concurrent HTTP requests per device IP
     }
 };
 
-// ============================================================================
-// YAMAHA API FUNCTIONS
-// ============================================================================
+module.exports = { YAMAHA_CONFIG };
+}, {}],
+
+// ---- src/hub/storage.js ----
+"hub/storage.js": [function (module, exports, require) {
+// JSON values in the hub datastore
+
+const datastore = require('datastore');
 
 /**
- * Send HTTP request to Yamaha speaker
- * @param {string} ip - Speaker IP address
- * @param {string} endpoint - API endpoint
- * @param {Object} data - Request data
- * @param {string} zone - Zone type (main or zone2)
- * @returns {Promise} - Response promise
+ * Read a JSON value from the hub datastore
+ * @param {string} key - Datastore key
+ * @returns {Promise<*>} - Parsed value, or null if the key is empty
  */
-function sendYamahaRequest(ip, endpoint, data, zone = 'main') {
-    let url = `http://${ip}${endpoint}`;
-    if (data) {
-        const params = [];
-        if (data.volume !== undefined) params.push(`volume=${encodeURIComponent(data.volume)}`);
-        if (data.power !== undefined) params.push(`power=${encodeURIComponent(data.power)}`);
-        if (data.mute !== undefined) params.push(`mute=${encodeURIComponent(data.mute)}`);
-        if (data.enable !== undefined) params.push(`enable=${encodeURIComponent(data.enable)}`);
-        if (data.playback !== undefined) params.push(`playback=${encodeURIComponent(data.playback)}`);
-        if (params.length > 0) url += '?' + params.join('&');
-    }
-    
-    //console.log(`🌐 HTTP ${data?.volume ? 'volume' : 'status'} request: ${url}`);
-    
+function readDatastore(key) {
     return new Promise((resolve, reject) => {
-        const requestOptions = {
-            url: url,
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': 'Flic-Hub-Studio/1.0'
+        datastore.get(key, (error, value) => {
+            if (error) {
+                reject(new Error(`Datastore read of ${key} failed: ${error}`));
+                return;
             }
-        };
-        
-        const timeoutId = setTimeout(() => {
-            reject(new Error('Request timeout'));
-        }, 5000);
-        
-        http.makeRequest(requestOptions, (error, result) => {
-            clearTimeout(timeoutId);
-            
+            if (value === null || value === undefined || value === '') {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(value));
+            } catch (parseError) {
+                reject(new Error(`Datastore value of ${key} is not valid JSON`));
+            }
+        });
+    });
+}
+
+/**
+ * Write a JSON value to the hub datastore
+ * @param {string} key - Datastore key
+ * @param {*} value - Value to store
+ * @returns {Promise} - Resolves when the value is stored
+ */
+function writeDatastore(key, value) {
+    return new Promise((resolve, reject) => {
+        datastore.put(key, JSON.stringify(value), error => {
             if (error) {
-                reject(new Error(`HTTP request failed: ${error}`));
+                reject(new Error(`Datastore write of ${key} failed: ${error}`));
             } else {
-                const responseData = result || {};
-                const statusCode = responseData.statusCode || responseData.status || 200;
-                const content = responseData.content || responseData.body || responseData.data || '';
-                
-                resolve({ 
-                    success: true, 
-                    data: { 
-                        status: statusCode, 
-                        body: content,
-                        headers: responseData.headers || {},
-                        statusMessage: responseData.statusMessage || 'OK'
-                    } 
-                });
+                resolve();
             }
         });
     });
 }
 
+module.exports = { readDatastore, writeDatastore };
+}, {}],
+
+// ---- src/hub/runtime-state.js ----
+"hub/runtime-state.js": [function (module, exports, require) {
+// Last known zone states and discovered device capabilities, shared by the hub modules and saved
+// to the datastore so a restart does not begin from nothing
 
+const { YAMAHA_CONFIG } = require('../config');
+const { writeDatastore } = require('./storage');
+
+// Per-device capabilities keyed by IP address, built from getDeviceInfo and getFeatures
+const deviceRegistry = {};
+
+// Last known state per speaker id (power, volume, mute, input, playback),
+// fed by our own commands, YXC events and fallback polling
+const speakerStates = {};
+
+let stateSaveTimer = null;
 
 /**
- * Set volume for a specific Yamaha speaker
- * @param {string} speakerId - Speaker identifier
- * @param {number} volume - Volume level (0-100)
- * @returns {Promise} - Response promise
+ * Store last-known zone states and discovered capabilities (debounced)
  */
-async function setYamahaVolume(speakerId, volume) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
-    if (!speaker) {
-        throw new Error(`Speaker ${speakerId} not found`);
+function scheduleStateSave() {
+    if (!YAMAHA_CONFIG.persistence.enabled || stateSaveTimer) {
+        return;
     }
-    
-    const volumeValue = Math.round(volume);
+    stateSaveTimer = setTimeout(() => {
+        stateSaveTimer = null;
+        saveRuntimeState();
+    }, YAMAHA_CONFIG.persistence.stateSaveDelayMs);
+}
+
+/**
+ * Store last-known zone states and discovered capabilities now
+ * @returns {Promise} - Resolves when stored (errors are logged)
+ */
+async function saveRuntimeState() {
+    const states = {};
+    Object.keys(speakerStates).forEach(speakerId => {
+        const state = speakerStates[speakerId];
+        states[speakerId] = { power: state.power, volume: state.volume, mute: state.mute, input: state.input };
+    });
+    const capabilities = {};
+    Object.keys(deviceRegistry)
+        .filter(ip => deviceRegistry[ip].discovered)
+        .forEach(ip => {
+            capabilities[ip] = deviceRegistry[ip];
+        });
     
     try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].volume, {
-            volume: volumeValue
-        }, speaker.zone);
-        
-        if (response.success) {
-            // Get actual volume from device and update virtual device state
-            await getCurrentVolumeAndUpdate(speaker);
-            
-            return response;
-        } else {
-            throw new Error(`Failed to set volume for ${speaker.name}`);
-        }
+        await writeDatastore(YAMAHA_CONFIG.persistence.stateKey, { states: states, capabilities: capabilities });
     } catch (error) {
-        console.error(`❌ Error setting volume for ${speaker.name}:`, error);
-        throw error;
+        console.error('❌ Could not save state:', error.message);
     }
 }
 
+module.exports = { deviceRegistry, speakerStates, scheduleStateSave };
+}, {"../config":"config.js","./storage":"hub/storage.js"}],
 
+// ---- src/devices/model.js ----
+"devices/model.js": [function (module, exports, require) {
+// Device model: what the integration knows about a MusicCast/YXC device (identity, zones with their
+// functions, inputs, sound programs, scenes and volume ranges, and netusb, tuner and distribution
+// support), built from system/getDeviceInfo and system/getFeatures replies
 
 /**
- * Set power state for a specific Yamaha speaker
- * @param {string} speakerId - Speaker identifier
- * @param {boolean} powerOn - True to turn on, false to turn off
- * @returns {Promise} - Response promise
+ * Create the entry of a device that has not been discovered yet
+ * @param {string} ip - Device IP address
+ * @returns {Object} - Device entry (discovered: false)
  */
-async function setYamahaPower(speakerId, powerOn) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
-    if (!speaker) {
-        throw new Error(`Speaker ${speakerId} not found`);
-    }
-    
-    const powerState = powerOn ? 'on' : 'standby';
-    console.log(`Setting power for ${speaker.name} (${speaker.zone} zone) to ${powerState}`);
-    
-    try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].power, {
-            power: powerState
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`Successfully set power for ${speaker.name}`);
-            return response;
-        } else {
-            throw new Error(`Failed to set power for ${speaker.name}`);
+function createDeviceEntry(ip) {
+    return {
+        ip: ip,
+        discovered: false,
+        modelName: null,
+        deviceId: null,
+        zones: {},
+        netusb: null,
+        tuner: null,
+        distribution: null,
+        systemInputs: []
+    };
+}
+
+/**
+ * Store a device's identity from its system/getDeviceInfo reply
+ * @param {Object} device - Device entry
+ * @param {Object} deviceInfo - getDeviceInfo reply
+ * @returns {Object} - device
+ */
+function applyDeviceInfo(device, deviceInfo) {
+    device.modelName = deviceInfo.model_name || null;
+    device.deviceId = deviceInfo.device_id || null;
+    return device;
+}
+
+/**
+ * Parse a zone entry from system/getFeatures into its capabilities
+ * @param {Object} zone - Zone entry from getFeatures
+ * @returns {Object} - Zone capabilities
+ */
+function parseZoneFeatures(zone) {
+    const rangeSteps = {};
+    (zone.range_step || []).forEach(item => {
+        rangeSteps[item.id] = { min: item.min, max: item.max, step: item.step || 1 };
+    });
+
+    let volumeRange = null;
+    if (rangeSteps.volume && rangeSteps.volume.min !== undefined && rangeSteps.volume.max !== undefined) {
+        // The 'volume' entry is the native step range setVolume expects
+        volumeRange = Object.assign({}, rangeSteps.volume);
+
+        // The matching dB range (if reported) enables dB-aware curves
+        const dbRange = rangeSteps.actual_volume_db;
+        if (dbRange && dbRange.min !== undefined && dbRange.max !== undefined) {
+            volumeRange.dbMin = dbRange.min;
+            volumeRange.dbMax = dbRange.max;
         }
-    } catch (error) {
-        console.error(`Error setting power for ${speaker.name}:`, error);
-        throw error;
     }
+
+    return {
+        funcList: zone.func_list || [],
+        inputs: zone.input_list || [],
+        soundPrograms: zone.sound_program_list || [],
+        sceneCount: zone.scene_num || 0,
+        rangeSteps: rangeSteps,
+        volumeRange: volumeRange
+    };
 }
 
 /**
- * Set mute state for a specific Yamaha speaker
- * @param {string} speakerId - Speaker identifier
- * @param {boolean} muted - True to mute, false to unmute
- * @returns {Promise} - Response promise
+ * Store a device's capabilities from its system/getFeatures reply
+ * @param {Object} device - Device entry
+ * @param {Object} featuresData - getFeatures reply
+ * @returns {Object} - device (discovered once it reported at least one zone)
  */
-async function setYamahaMute(speakerId, muted) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
-    if (!speaker) {
-        throw new Error(`Speaker ${speakerId} not found`);
+function applyDeviceFeatures(device, featuresData) {
+    (featuresData.zone || []).forEach(zone => {
+        device.zones[zone.id] = parseZoneFeatures(zone);
+    });
+    if (featuresData.netusb) {
+        device.netusb = {
+            funcList: featuresData.netusb.func_list || [],
+            presetCount: featuresData.netusb.preset ? featuresData.netusb.preset.num : 0
+        };
     }
-    
-    const muteState = muted ? 'true' : 'false';
-    console.log(`Setting mute for ${speaker.name} (${speaker.zone} zone) to ${muteState}`);
-    
-    try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].mute, {
-            mute: muteState
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`Successfully set mute for ${speaker.name}`);
-            return response;
-        } else {
-            throw new Error(`Failed to set mute for ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`Error setting mute for ${speaker.name}:`, error);
-        throw error;
+    if (featuresData.tuner) {
+        device.tuner = featuresData.tuner;
+    }
+    if (featuresData.distribution) {
+        device.distribution = featuresData.distribution;
     }
+    if (featuresData.system && Array.isArray(featuresData.system.input_list)) {
+        device.systemInputs = featuresData.system.input_list;
+    }
+    device.discovered = Object.keys(device.zones).length > 0;
+    return device;
 }
 
 /**
- * Discover volume ranges from Yamaha device for all zones
- * @param {string} ip - Device IP address
- * @returns {Promise<Object>} - Volume ranges object per zone
+ * Check whether a discovered device supports a function on one of its zones
+ * @param {Object} device - Discovered device entry
+ * @param {string} zone - Zone id (main, zone2, ...)
+ * @param {string} func - Function name from getFeatures (volume, mute, power, scene, netusb, tuner, link, ...)
+ * @returns {boolean} - True if the device reported the function
  */
-async function discoverVolumeRanges(ip) {
-    try {
-        const response = await sendYamahaRequest(ip, '/YamahaExtendedControl/v1/system/getFeatures', null, 'main');
-        
-        if (response.success && response.data.body) {
-            const featuresData = JSON.parse(response.data.body);
-            const discoveredRanges = {};
-            
-            // Look for volume ranges in each zone's range_step array
-            if (featuresData.zone && Array.isArray(featuresData.zone)) {
-                for (const zone of featuresData.zone) {
-                    if (zone.range_step && Array.isArray(zone.range_step)) {
-                        // Find the actual_volume_numeric entry for this zone (percentage format)
-                        const volumeRange = zone.range_step.find(item => item.id === 'actual_volume_numeric');
-                        if (volumeRange && volumeRange.min !== undefined && volumeRange.max !== undefined) {
-                            discoveredRanges[zone.id] = {
-                                min: volumeRange.min,
-                                max: volumeRange.max
-                            };
-                        }
-                    }
-                }
-            }
-            
-            if (Object.keys(discoveredRanges).length > 0) {
-                return discoveredRanges;
-            }
-        }
-    } catch (error) {
-        console.error('❌ Error discovering volume ranges:', error);
+function deviceSupports(device, zone, func) {
+    if (func === 'netusb') {
+        return device.netusb !== null;
+    }
+    if (func === 'tuner') {
+        return device.tuner !== null;
+    }
+    if (func === 'link') {
+        return device.distribution !== null;
     }
     
-    // Return default ranges if discovery fails
-    return YAMAHA_CONFIG.volumeRanges;
+    const zoneFeatures = device.zones[zone];
+    return !!zoneFeatures && (zoneFeatures.funcList.includes(func) || (func === 'scene' && zoneFeatures.sceneCount > 0));
 }
 
+/**
+ * Read a device's identity and capabilities
+ * @param {Function} request - YXC request function, e.g. the request of createYxcClient
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Device entry; rejects if the device does not answer
+ */
+async function readDevice(request, ip) {
+    const device = createDeviceEntry(ip);
+    applyDeviceInfo(device, await request(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo'));
+    applyDeviceFeatures(device, await request(ip, '/YamahaExtendedControl/v1/system/getFeatures'));
+    return device;
+}
 
+module.exports = {
+    createDeviceEntry,
+    applyDeviceInfo,
+    parseZoneFeatures,
+    applyDeviceFeatures,
+    deviceSupports,
+    readDevice
+};
+}, {}],
 
+// ---- src/yxc/errors.js ----
+"yxc/errors.js": [function (module, exports, require) {
+// Errors of failed YXC requests: one class per kind of failure, so callers can tell a timeout
+// from a refused parameter without parsing messages
 
+// Meaning of the response_code field in YXC replies (0 = OK)
+const YXC_RESPONSE_CODES = {
+    1: 'Initializing',
+    2: 'Internal error',
+    3: 'Not supported',           // "Invalid request": the API does not exist on this device
+    4: 'Invalid parameter',
+    5: 'Guarded',                 // Not possible in the current state (e.g. zone in standby)
+    6: 'Time out',
+    99: 'Firmware updating',
+    100: 'Streaming service access error',
+    101: 'Streaming service error',
+    102: 'Wrong user name',
+    103: 'Wrong password',
+    104: 'Account expired',
+    105: 'Account disconnected',
+    106: 'Account limit reached',
+    107: 'Server maintenance',
+    108: 'Invalid account',
+    109: 'License error',
+    110: 'Read only mode',
+    111: 'Max stations',
+    112: 'Access denied'
+};
 
-// ============================================================================
-// FLIC APP MODULE INTEGRATION
-// ============================================================================
+/**
+ * Base class for failed YXC requests
+ */
+class YxcError extends Error {
+    constructor(message, ip, endpoint) {
+        super(message);
+        this.name = 'YxcError';
+        this.ip = ip;
+        this.endpoint = endpoint;
+        this.retryable = false;
+    }
+}
 
-// Track last playback command timestamp for cooldown
-let lastPlaybackCommandTime = 0;
-const PLAYBACK_COOLDOWN_MS = 2500; // 2.5 seconds
+/**
+ * The device did not answer in time (the request is aborted)
+ */
+class YxcTimeoutError extends YxcError {
+    constructor(ip, endpoint, timeoutMs) {
+        super(`Request to ${ip} timed out after ${timeoutMs}ms`, ip, endpoint);
+        this.name = 'YxcTimeoutError';
+        this.retryable = true;
+    }
+}
 
-// Handle action messages from Flic app
-flicApp.on('actionMessage', (message) => {
-    console.log('Received action message:', message);
-    
-    // Parse device-specific commands: "{device-id} {action}"
-    const parts = message.toLowerCase().split(' ');
-    if (parts.length >= 2) {
-        const deviceId = parts[0];
-        const action = parts.slice(1).join(' ');
-        
-        // Find the speaker by device ID
-        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-        if (!speaker) {
-            console.log(`Unknown device: ${deviceId}`);
-            return;
-        }
-        
-        // Handle device-specific actions
-        switch (action) {
-            case 'volume up':
-                handleDeviceVolumeUp(deviceId);
-                break;
-            case 'volume down':
-                handleDeviceVolumeDown(deviceId);
-                break;
-            case 'mute':
-                handleDeviceMuteToggle(deviceId);
-                break;
-            case 'power':
-                handleDevicePowerToggle(deviceId);
-                break;
-            case 'on':
-                handleDevicePowerOn(deviceId);
-                break;
-            case 'off':
-                handleDevicePowerOff(deviceId);
-                break;
-            default:
-                console.log(`Unknown action for device ${deviceId}: ${action}`);
-                break;
-        }
-    } else {
-        console.log('Invalid action message format. Expected: "{device-id} {action}"');
+/**
+ * The request could not be sent or no response was received
+ */
+class YxcNetworkError extends YxcError {
+    constructor(ip, endpoint, cause) {
+        super(`HTTP request to ${ip} failed: ${cause}`, ip, endpoint);
+        this.name = 'YxcNetworkError';
+        this.retryable = true;
     }
-});
+}
 
-// Handle virtual device updates from Flic Twist controllers
-flicApp.on('virtualDeviceUpdate', (metaData, values) => {
-    if (metaData.dimmableType === 'Speaker') {
-        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === metaData.virtualDeviceId);
-        if (speaker && speaker.zone === 'playback') {
-            handlePlaybackDeviceUpdate(metaData.virtualDeviceId, values);
-        } else {
-            handleYamahaSpeakerUpdate(metaData.virtualDeviceId, values);
-        }
+/**
+ * The device answered with a non-2xx HTTP status
+ */
+class YxcHttpError extends YxcError {
+    constructor(ip, endpoint, statusCode) {
+        super(`${ip} answered HTTP ${statusCode}`, ip, endpoint);
+        this.name = 'YxcHttpError';
+        this.statusCode = statusCode;
+        this.retryable = statusCode >= 500;
     }
-});
+}
 
-// ============================================================================
-// ACTION HANDLERS
-// ============================================================================
+/**
+ * The device answered with something that is not YXC JSON
+ */
+class YxcInvalidResponseError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`${ip} returned an invalid response`, ip, endpoint);
+        this.name = 'YxcInvalidResponseError';
+    }
+}
 
-let currentVolume = 50; // Default volume level
-let mainZoneVolume = 50; // Main zone volume level
-let zone2Volume = 50; // Zone 2 volume level
+/**
+ * The device answered with a non-zero response_code
+ */
+class YxcResponseError extends YxcError {
+    constructor(ip, endpoint, code) {
+        super(`${YXC_RESPONSE_CODES[code] || 'Unknown error'} (response_code ${code})`, ip, endpoint);
+        this.name = 'YxcResponseError';
+        this.code = code;
+        // Initializing and device-side time outs are worth another try
+        this.retryable = code === 1 || code === 6;
+    }
+}
 
 /**
- * Handle volume up for specific device
+ * response_code 3: the device does not support this request
  */
-async function handleDeviceVolumeUp(deviceId) {
-    // Check playback command cooldown before allowing volume changes
-    const currentTime = Date.now();
-    const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-    
-    if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-        const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-        console.log(`⏳ Volume up command ignored - playback cooldown active (${remainingCooldown}s remaining)`);
-        return;
+class YxcNotSupportedError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcNotSupportedError';
     }
-    
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-    if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+}
+
+/**
+ * response_code 4: a parameter is out of range or unknown
+ */
+class YxcInvalidParameterError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcInvalidParameterError';
     }
-    
-    try {
-        // Get current volume
-        const statusResponse = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (statusResponse.success) {
-            const statusData = JSON.parse(statusResponse.data.body);
-            const currentVolume = statusData.volume;
-            const newVolume = Math.min(100, currentVolume + 10);
-            
-            await setYamahaVolume(deviceId, newVolume);
-        } else {
-            console.error(`❌ Failed to get current volume for ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error increasing volume for ${speaker.name}:`, error);
+}
+
+/**
+ * response_code 5: the request is not possible in the device's current state
+ */
+class YxcGuardedError extends YxcResponseError {
+    constructor(ip, endpoint, code) {
+        super(ip, endpoint, code);
+        this.name = 'YxcGuardedError';
     }
 }
 
 /**
- * Handle volume down for specific device
+ * The request was cancelled by the caller
  */
-async function handleDeviceVolumeDown(deviceId) {
-    // Check playback command cooldown before allowing volume changes
-    const currentTime = Date.now();
-    const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-    
-    if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-        const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-        console.log(`⏳ Volume down command ignored - playback cooldown active (${remainingCooldown}s remaining)`);
-        return;
+class YxcCancelledError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`Request to ${ip} was cancelled`, ip, endpoint);
+        this.name = 'YxcCancelledError';
     }
-    
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-    if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+}
+
+/**
+ * The device is marked offline after repeated failures
+ */
+class YxcOfflineError extends YxcError {
+    constructor(ip, endpoint) {
+        super(`${ip} is offline`, ip, endpoint);
+        this.name = 'YxcOfflineError';
     }
-    
-    try {
-        // Get current volume
-        const statusResponse = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (statusResponse.success) {
-            const statusData = JSON.parse(statusResponse.data.body);
-            const currentVolume = statusData.volume;
-            const newVolume = Math.max(0, currentVolume - 10);
-            
-            await setYamahaVolume(deviceId, newVolume);
-        } else {
-            console.error(`❌ Failed to get current volume for ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error decreasing volume for ${speaker.name}:`, error);
+}
+
+/**
+ * Create the error for a non-zero YXC response_code
+ * @param {string} ip - Device IP address
+ * @param {string} endpoint - API endpoint
+ * @param {number} code - response_code from the reply
+ * @returns {YxcResponseError} - Named error for the code
+ */
+function createYxcResponseError(ip, endpoint, code) {
+    switch (code) {
+        case 3:
+            return new YxcNotSupportedError(ip, endpoint, code);
+        case 4:
+            return new YxcInvalidParameterError(ip, endpoint, code);
+        case 5:
+            return new YxcGuardedError(ip, endpoint, code);
+        default:
+            return new YxcResponseError(ip, endpoint, code);
     }
 }
 
+module.exports = {
+    YXC_RESPONSE_CODES,
+    YxcError,
+    YxcTimeoutError,
+    YxcNetworkError,
+    YxcHttpError,
+    YxcInvalidResponseError,
+    YxcResponseError,
+    YxcNotSupportedError,
+    YxcInvalidParameterError,
+    YxcGuardedError,
+    YxcCancelledError,
+    YxcOfflineError,
+    createYxcResponseError
+};
+}, {}],
+
+// ---- src/yxc/client.js ----
+"yxc/client.js": [function (module, exports, require) {
+// YXC (Yamaha Extended Control) HTTP client: a request queue per device, retries with backoff,
+// timeouts, cancellation and offline tracking. It needs nothing from the Flic Hub; give it the hub's
+// http module, or ./node-http to use it from plain Node
+
+const {
+    YxcTimeoutError,
+    YxcNetworkError,
+    YxcHttpError,
+    YxcInvalidResponseError,
+    YxcResponseError,
+    YxcCancelledError,
+    YxcOfflineError,
+    createYxcResponseError
+} = require('./errors');
+
+// Settings for whatever the client configuration leaves out (see YAMAHA_CONFIG for their meaning)
+const DEFAULT_SETTINGS = {
+    client: {
+        timeoutMs: 5000,
+        retries: 2,
+        retryDelayMs: 300,
+        offlineAfterFailures: 3,
+        offlineRetryMs: 30 * 1000
+    },
+    requestQueue: {
+        maxConcurrent: 1
+    },
+    // Event subscription headers are only sent when enabled
+    events: {
+        enabled: false,
+        appName: 'MusicCast/1.0(FlicHub)',
+        port: 41100
+    }
+};
+
+/**
+ * Create a token that cancels pending and running requests it is passed to
+ * @returns {Object} - { cancelled, cancel(), onCancel(listener) }
+ */
+function createCancelToken() {
+    const listeners = [];
+    const token = {
+        cancelled: false,
+        cancel() {
+            if (token.cancelled) {
+                return;
+            }
+            token.cancelled = true;
+            listeners.splice(0).forEach(listener => listener());
+        },
+        onCancel(listener) {
+            if (token.cancelled) {
+                listener();
+                return () => {};
+            }
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+    };
+    return token;
+}
+
+/**
+ * Wait for a given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise} - Resolves after the delay
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a YXC client with its own request queues and device health
+ * @param {Object} options - { http (module with makeRequest), config ({ client, requestQueue, events }, read on every request) }
+ * @returns {Object} - { request(ip, endpoint, params, options), isDeviceOnline(ip) }
+ */
+function createYxcClient(options) {
+    const http = options.http;
+    const config = options.config || {};
+    
+    /**
+     * Get a section of the client configuration
+     * @param {string} section - client, requestQueue or events
+     * @returns {Object} - Configured values over the defaults
+     */
+    function getSettings(section) {
+        return Object.assign({}, DEFAULT_SETTINGS[section], config[section]);
+    }
+    
+    // Consecutive connection failures and offline state per device IP
+    const deviceHealth = {};
+    
+    /**
+     * Get the health record of a device
+     * @param {string} ip - Device IP address
+     * @returns {Object} - { failures, offline, lastAttempt }
+     */
+    function getDeviceHealth(ip) {
+        return deviceHealth[ip] || (deviceHealth[ip] = { failures: 0, offline: false, lastAttempt: 0 });
+    }
+    
+    /**
+     * Check whether a device is reachable (not marked offline)
+     * @param {string} ip - Device IP address
+     * @returns {boolean} - True unless the device is marked offline
+     */
+    function isDeviceOnline(ip) {
+        return !getDeviceHealth(ip).offline;
+    }
+    
+    /**
+     * Record that a device answered (any YXC reply counts, even an error code)
+     * @param {string} ip - Device IP address
+     */
+    function recordDeviceReachable(ip) {
+        const health = getDeviceHealth(ip);
+        if (health.offline) {
+            console.log(`📶 ${ip} is back online`);
+        }
+        health.failures = 0;
+        health.offline = false;
+    }
+    
+    /**
+     * Record a connection failure and mark the device offline after too many in a row
+     * @param {string} ip - Device IP address
+     * @param {Error} error - The failure
+     */
+    function recordDeviceFailure(ip, error) {
+        const health = getDeviceHealth(ip);
+        health.failures++;
+        if (!health.offline && health.failures >= getSettings('client').offlineAfterFailures) {
+            health.offline = true;
+            console.error(`📴 ${ip} marked offline after ${health.failures} failed requests (${error.message})`);
+        }
+    }
+    
+    // Request queue per device IP: { active, pending: [{ coalesceKey, waiters: [{ run, resolve, reject, removeCancelListener }] }] }
+    const requestQueues = {};
+    
+    /**
+     * Start queued requests for a device while it has free request slots
+     * @param {string} ip - Device IP address
+     */
+    function processRequestQueue(ip) {
+        const queue = requestQueues[ip];
+        
+        while (queue.active < getSettings('requestQueue').maxConcurrent && queue.pending.length > 0) {
+            const job = queue.pending.shift();
+            queue.active++;
+            
+            // Once running, a request is cancelled through its own signal (see performYxcRequest)
+            job.waiters.forEach(waiter => waiter.removeCancelListener());
+            const run = job.waiters[job.waiters.length - 1].run;
+            Promise.resolve()
+                .then(() => run())
+                .then(result => job.waiters.forEach(waiter => waiter.resolve(result)),
+                    error => job.waiters.forEach(waiter => waiter.reject(error)))
+                .then(() => {
+                    queue.active--;
+                    processRequestQueue(ip);
+                });
+        }
+    }
+    
+    /**
+     * Queue a request for a device
+     * A pending request with the same coalesce key is replaced, so only the latest value is sent;
+     * its callers are settled with the result of the request that replaced it.
+     * Cancelling the signal of a request that is still waiting rejects it right away.
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint (for the cancel error)
+     * @param {Function} run - Starts the request and returns its promise
+     * @param {Object} options - { coalesceKey (optional key identifying interchangeable requests), signal }
+     * @returns {Promise} - Result of the request
+     */
+    function enqueueDeviceRequest(ip, endpoint, run, options = {}) {
+        const queue = requestQueues[ip] || (requestQueues[ip] = { active: 0, pending: [] });
+        const coalesceKey = options.coalesceKey;
+        
+        return new Promise((resolve, reject) => {
+            if (options.signal && options.signal.cancelled) {
+                reject(new YxcCancelledError(ip, endpoint));
+                return;
+            }
+            
+            const waiter = { run: run, resolve: resolve, reject: reject, removeCancelListener: () => {} };
+            let job = coalesceKey ? queue.pending.find(pendingJob => pendingJob.coalesceKey === coalesceKey) : null;
+            if (job) {
+                job.waiters.push(waiter);
+            } else {
+                job = { coalesceKey: coalesceKey, waiters: [waiter] };
+                queue.pending.push(job);
+            }
+            
+            if (options.signal) {
+                waiter.removeCancelListener = options.signal.onCancel(() => {
+                    job.waiters.splice(job.waiters.indexOf(waiter), 1);
+                    if (job.waiters.length === 0) {
+                        queue.pending.splice(queue.pending.indexOf(job), 1);
+                    }
+                    reject(new YxcCancelledError(ip, endpoint));
+                });
+            }
+            processRequestQueue(ip);
+        });
+    }
+    
+    /**
+     * Build the URL for a YXC request
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters (undefined values are skipped)
+     * @returns {string} - Request URL
+     */
+    function buildYxcUrl(ip, endpoint, params) {
+        let url = `http://${ip}${endpoint}`;
+        if (params) {
+            // Every defined field becomes a query parameter (volume, power, enable, input, ...)
+            const query = Object.keys(params)
+                .filter(key => params[key] !== undefined)
+                .map(key => `${key}=${encodeURIComponent(params[key])}`);
+            if (query.length > 0) url += '?' + query.join('&');
+        }
+        return url;
+    }
+    
+    /**
+     * Send one HTTP request and parse the YXC reply
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {string} url - Full request URL
+     * @param {Object} signal - Optional cancel token
+     * @param {Object} payload - JSON body; sends a POST instead of a GET
+     * @returns {Promise<Object>} - Parsed reply with response_code 0
+     */
+    function performYxcRequest(ip, endpoint, url, signal, payload) {
+        const headers = {
+            'Content-Type': payload ? 'application/json' : 'application/x-www-form-urlencoded',
+            'User-Agent': 'Flic-Hub-Studio/1.0'
+        };
+        
+        // Every request carrying these headers (re)subscribes us to the device's event push
+        const events = getSettings('events');
+        if (events.enabled) {
+            headers['X-AppName'] = events.appName;
+            headers['X-AppPort'] = String(events.port);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const timeoutMs = getSettings('client').timeoutMs;
+            let request = null;
+            let settled = false;
+            let removeCancelListener = () => {};
+            
+            const abort = () => {
+                if (request && typeof request.abort === 'function') {
+                    try {
+                        request.abort();
+                    } catch (error) {
+                        // Request already finished
+                    }
+                }
+            };
+            
+            // Settle once; late callbacks after a timeout or cancel are ignored
+            const finish = (error, body) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timeoutId);
+                removeCancelListener();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(body);
+                }
+            };
+            
+            const timeoutId = setTimeout(() => {
+                abort();
+                finish(new YxcTimeoutError(ip, endpoint, timeoutMs));
+            }, timeoutMs);
+            
+            if (signal) {
+                removeCancelListener = signal.onCancel(() => {
+                    abort();
+                    finish(new YxcCancelledError(ip, endpoint));
+                });
+            }
+            if (settled) {
+                return;
+            }
+            
+            const requestOptions = { url: url, method: 'GET', headers: headers };
+            if (payload) {
+                requestOptions.method = 'POST';
+                requestOptions.content = JSON.stringify(payload);
+            }
+            
+            request = http.makeRequest(requestOptions, (error, result) => {
+                if (error) {
+                    finish(new YxcNetworkError(ip, endpoint, error));
+                    return;
+                }
+                
+                const responseData = result || {};
+                const statusCode = responseData.statusCode !== undefined ? responseData.statusCode : responseData.status;
+                if (typeof statusCode !== 'number') {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                if (statusCode < 200 || statusCode >= 300) {
+                    finish(new YxcHttpError(ip, endpoint, statusCode));
+                    return;
+                }
+                
+                let body;
+                try {
+                    body = JSON.parse(responseData.content || responseData.body || responseData.data || '');
+                } catch (parseError) {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                if (!body || typeof body !== 'object') {
+                    finish(new YxcInvalidResponseError(ip, endpoint));
+                    return;
+                }
+                
+                if (body.response_code !== undefined && body.response_code !== 0) {
+                    finish(createYxcResponseError(ip, endpoint, body.response_code));
+                    return;
+                }
+                finish(null, body);
+            });
+        });
+    }
+    
+    /**
+     * Send a request to a YXC device and return its parsed JSON reply
+     * Requests are queued per device; get* requests are idempotent and retried with backoff.
+     * Each attempt is queued on its own, so a backoff does not hold up the device's other requests.
+     * Devices that keep failing are marked offline and fail fast until the next probe is due.
+     * @param {string} ip - Device IP address
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @param {Object} options - { coalesceKey, signal, retries, withRequest, body (JSON, sent as POST) }
+     * @returns {Promise<Object>} - Parsed reply ({ body, params } with withRequest)
+     */
+    async function yxcRequest(ip, endpoint, params = null, options = {}) {
+        const clientConfig = getSettings('client');
+        const url = buildYxcUrl(ip, endpoint, params);
+        const idempotent = !options.body && /\/get[A-Z][^/]*$/.test(endpoint);
+        const maxRetries = options.retries !== undefined ? options.retries : (idempotent ? clientConfig.retries : 0);
+        const signal = options.signal;
+        
+        //console.log(`🌐 HTTP request: ${url}`);
+        
+        const attemptRequest = async () => {
+            if (signal && signal.cancelled) {
+                throw new YxcCancelledError(ip, endpoint);
+            }
+            
+            // Offline devices only get a probe request every offlineRetryMs
+            const health = getDeviceHealth(ip);
+            if (health.offline && Date.now() - health.lastAttempt < clientConfig.offlineRetryMs) {
+                throw new YxcOfflineError(ip, endpoint);
+            }
+            health.lastAttempt = Date.now();
+            
+            try {
+                const body = await performYxcRequest(ip, endpoint, url, signal, options.body);
+                recordDeviceReachable(ip);
+                return { body: body, params: params };
+            } catch (error) {
+                if (error instanceof YxcResponseError) {
+                    recordDeviceReachable(ip);
+                } else if (!(error instanceof YxcCancelledError)) {
+                    recordDeviceFailure(ip, error);
+                }
+                throw error;
+            }
+        };
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await enqueueDeviceRequest(ip, endpoint, attemptRequest, { coalesceKey: options.coalesceKey, signal: signal });
+                return options.withRequest ? result : result.body;
+            } catch (error) {
+                if (!error.retryable || attempt >= maxRetries || getDeviceHealth(ip).offline) {
+                    throw error;
+                }
+            }
+            await delay(clientConfig.retryDelayMs * Math.pow(2, attempt));
+        }
+    }
+    
+    return {
+        request: yxcRequest,
+        isDeviceOnline: isDeviceOnline
+    };
+}
+
+module.exports = {
+    createCancelToken,
+    delay,
+    createYxcClient
+};
+}, {"./errors":"yxc/errors.js"}],
+
+// ---- src/hub/yxc-client.js ----
+"hub/yxc-client.js": [function (module, exports, require) {
+// The hub's YXC client, configured from YAMAHA_CONFIG (client, requestQueue and events)
+
+const http = require('http');
+const { YAMAHA_CONFIG } = require('../config');
+const { createYxcClient } = require('../yxc/client');
+
+// Every module sends through this one client, so they share its request queues and offline tracking
+const yxcClient = createYxcClient({ http: http, config: YAMAHA_CONFIG });
+
+module.exports = {
+    yxcRequest: yxcClient.request,
+    isDeviceOnline: yxcClient.isDeviceOnline
+};
+}, {"../config":"config.js","../yxc/client":"yxc/client.js"}],
+
+// ---- src/hub/device-registry.js ----
+"hub/device-registry.js": [function (module, exports, require) {
+// Capabilities of the configured devices (getDeviceInfo and getFeatures) and the checks commands
+// run against them before anything is sent
+
+const { YAMAHA_CONFIG } = require('../config');
+const {
+    createDeviceEntry,
+    applyDeviceInfo,
+    applyDeviceFeatures,
+    deviceSupports
+} = require('../devices/model');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, scheduleStateSave } = require('./runtime-state');
+
+/**
+ * Check whether a configured device is a playback device rather than a zone
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for type: 'playback'
+ */
+function isPlaybackDevice(speaker) {
+    return speaker.type === 'playback';
+}
+
+/**
+ * Get the inputs a speaker's zone supports
+ * @param {Object} speaker - Speaker configuration
+ * @returns {string[]} - Input ids from the zone's input_list (empty if unknown)
+ */
+function getZoneInputs(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    return zone ? zone.inputs : [];
+}
+
+/**
+ * Get the distinct device IP addresses in the configuration
+ * @returns {string[]} - Device IP addresses
+ */
+function getDeviceIps() {
+    return [...new Set(YAMAHA_CONFIG.speakers.map(s => s.ip))];
+}
+
+/**
+ * Discover a device's identity and capabilities and store them in the registry
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Registry entry (with discovered: false if the device did not answer)
+ */
+async function discoverDevice(ip) {
+    const device = createDeviceEntry(ip);
+
+    try {
+        applyDeviceInfo(device, await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo'));
+
+        // Remember which device each speaker lives on so it can be found again if its IP changes
+        if (device.deviceId) {
+            YAMAHA_CONFIG.speakers
+                .filter(s => s.ip === ip && !s.deviceId)
+                .forEach(s => { s.deviceId = device.deviceId; });
+        }
+
+        applyDeviceFeatures(device, await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getFeatures'));
+    } catch (error) {
+        console.error(`❌ Error discovering device features for ${ip}:`, error);
+    }
+
+    // Keep capabilities restored from the datastore while the device cannot be reached
+    const restored = deviceRegistry[ip];
+    if (!device.discovered && restored && restored.restored) {
+        console.log(`⚠️ Could not discover features for ${ip}, using saved capabilities`);
+        return restored;
+    }
+
+    deviceRegistry[ip] = device;
+
+    if (device.discovered) {
+        scheduleStateSave();
+        const extras = device.netusb ? ', netusb' : '';
+        console.log(`🔎 ${device.modelName || 'Yamaha device'} at ${ip}: zones ${Object.keys(device.zones).join(', ')}${extras}`);
+    } else {
+        console.log(`⚠️ Could not discover features for ${ip}, using default capabilities`);
+    }
+
+    return device;
+}
+
+/**
+ * Discover every configured device and report speakers whose zone the device does not have
+ */
+async function discoverAllDevices() {
+    for (const ip of getDeviceIps()) {
+        await discoverDevice(ip);
+    }
+
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const device = deviceRegistry[speaker.ip];
+        if (!isPlaybackDevice(speaker) && device && device.discovered && !device.zones[speaker.zone]) {
+            console.log(`⚠️ ${speaker.name}: ${device.modelName || speaker.ip} has no zone "${speaker.zone}"`);
+        }
+    });
+}
+
+/**
+ * Get the discovered capabilities of a speaker's zone
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object|null} - Zone capabilities, or null if unknown
+ */
+function getZoneCapabilities(speaker) {
+    const device = deviceRegistry[speaker.ip];
+    if (!device || !device.discovered) {
+        return null;
+    }
+    return device.zones[speaker.zone] || null;
+}
+
+/**
+ * Check whether a speaker supports a YXC function, logging a clear message if it does not
+ * Devices that could not be discovered are assumed to support everything
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} func - Function name from getFeatures (volume, mute, power, scene, netusb, tuner, ...)
+ * @returns {boolean} - True if the command may be sent
+ */
+function checkSupported(speaker, func) {
+    if (isPlaybackDevice(speaker) && !['netusb', 'link'].includes(func)) {
+        console.log(`🚫 ${speaker.name}: ${func} is not available on a playback device`);
+        return false;
+    }
+    
+    const device = deviceRegistry[speaker.ip];
+    if (!device || !device.discovered) {
+        return true;
+    }
+
+    const supported = deviceSupports(device, speaker.zone, func);
+    if (!supported) {
+        const model = device.modelName || 'device';
+        console.log(`🚫 ${speaker.name}: ${func} is not supported by ${model} at ${speaker.ip} (${speaker.zone} zone)`);
+    }
+    return supported;
+}
+
+// Inputs that play through netusb, used when a device did not report play_info_type
+const NETUSB_INPUTS = ['net_radio', 'server', 'usb', 'spotify', 'airplay', 'bluetooth', 'deezer',
+    'tidal', 'qobuz', 'pandora', 'napster', 'juke', 'amazon_music', 'alexa', 'mc_link'];
+
+/**
+ * Check whether an input is played through the netusb (network/USB) player
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} input - Input id
+ * @returns {boolean} - True for netusb inputs
+ */
+function isNetusbInput(speaker, input) {
+    const device = deviceRegistry[speaker.ip];
+    const inputInfo = device && device.systemInputs.find(entry => entry.id === input);
+    if (inputInfo && inputInfo.play_info_type) {
+        return inputInfo.play_info_type === 'netusb';
+    }
+    return NETUSB_INPUTS.includes(input);
+}
+
+module.exports = {
+    isPlaybackDevice,
+    getZoneInputs,
+    getDeviceIps,
+    discoverDevice,
+    discoverAllDevices,
+    getZoneCapabilities,
+    checkSupported,
+    isNetusbInput
+};
+}, {"../config":"config.js","../devices/model":"devices/model.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js"}],
+
+// ---- src/yxc/zones.js ----
+"yxc/zones.js": [function (module, exports, require) {
+// Zone ids and the endpoints of zone functions in the YXC API
+
+// Zone functions and their YXC API names; every zone (main, zone2, zone3, ...) has the same set
+const ZONE_FUNCTIONS = {
+    volume: 'setVolume',
+    status: 'getStatus',
+    power: 'setPower',
+    mute: 'setMute',
+    input: 'setInput',
+    scene: 'recallScene',
+    sleep: 'setSleep',
+    program: 'setSoundProgram',
+    tone: 'setToneControl',
+    dialogue: 'setDialogueLevel',
+    subwoofer: 'setSubwooferVolume',
+    pureDirect: 'setPureDirect',
+    enhancer: 'setEnhancer',
+    extraBass: 'setExtraBass'
+};
+
+/**
+ * Check whether a name is a YXC zone id
+ * @param {string} zone - Zone id from the configuration, getFeatures or an event
+ * @returns {boolean} - True for main, zone2, zone3, ...
+ */
+function isZoneId(zone) {
+    return typeof zone === 'string' && /^(main|zone[2-9])$/.test(zone);
+}
+
+/**
+ * Build the endpoint of a zone function
+ * @param {string} zone - Zone id
+ * @param {string} func - Key of ZONE_FUNCTIONS
+ * @returns {string} - API endpoint
+ * @throws {Error} - For playback devices and other entries without a zone
+ */
+function getZoneEndpoint(zone, func) {
+    if (!isZoneId(zone)) {
+        throw new Error(`${func} needs a zone, got "${zone}"`);
+    }
+    return `/YamahaExtendedControl/v1/${zone}/${ZONE_FUNCTIONS[func]}`;
+}
+
+module.exports = { ZONE_FUNCTIONS, isZoneId, getZoneEndpoint };
+}, {}],
+
+// ---- src/hub/schedule-times.js ----
+"hub/schedule-times.js": [function (module, exports, require) {
+// Times of day and days of the week, as used by schedules and quiet hours
+
+// Day indexes (Date.getDay()) for the days a schedule runs on
+const SCHEDULE_DAYS = {
+    sun: [0], mon: [1], tue: [2], wed: [3], thu: [4], fri: [5], sat: [6],
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+/**
+ * Parse a schedule time
+ * @param {string} time - 24-hour time, e.g. '07:00' or '23:30'
+ * @returns {Object|null} - { hours, minutes }, or null if the time is invalid
+ */
+function parseScheduleTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time : '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Get the days a schedule runs on
+ * @param {string|string[]} days - 'daily' (default), 'weekdays', 'weekends', a day or a list of days ('mon', ...)
+ * @returns {number[]|null} - Day indexes, or null if a day is unknown
+ */
+function getScheduleDays(days) {
+    const names = days === undefined ? ['daily'] : [].concat(days);
+    const indexes = [];
+    for (const name of names) {
+        if (!SCHEDULE_DAYS[name]) {
+            return null;
+        }
+        SCHEDULE_DAYS[name].forEach(index => {
+            if (!indexes.includes(index)) {
+                indexes.push(index);
+            }
+        });
+    }
+    return indexes;
+}
+
+module.exports = { parseScheduleTime, getScheduleDays };
+}, {}],
+
+// ---- src/hub/volume-limits.js ----
+"hub/volume-limits.js": [function (module, exports, require) {
+// Per-zone maximum volume and quiet-hours caps
+
+const { parseScheduleTime } = require('./schedule-times');
+
+/**
+ * Check whether a quiet-hours window is active
+ * @param {Object} quietHours - { from: 'HH:MM', to: 'HH:MM' }; a window may run past midnight
+ * @param {Date} now - Current time
+ * @returns {boolean} - True between from (inclusive) and to (exclusive)
+ */
+function isQuietHours(quietHours, now) {
+    const from = parseScheduleTime(quietHours.from);
+    const to = parseScheduleTime(quietHours.to);
+    if (!from || !to) {
+        return false;
+    }
+    
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const start = from.hours * 60 + from.minutes;
+    const end = to.hours * 60 + to.minutes;
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Get the volume limit that applies to a speaker right now
+ * @param {Object} speaker - Speaker configuration
+ * @param {Date} now - Current time (defaults to the hub clock)
+ * @returns {Object|null} - { volume, reason } with the lower of maxVolume and an active quiet-hours cap
+ */
+function getVolumeLimit(speaker, now = new Date()) {
+    let limit = null;
+    if (typeof speaker.maxVolume === 'number') {
+        limit = { volume: speaker.maxVolume, reason: 'maximum volume' };
+    }
+    
+    const quietHours = speaker.quietHours;
+    if (quietHours && typeof quietHours.maxVolume === 'number' && isQuietHours(quietHours, now) &&
+        (!limit || quietHours.maxVolume < limit.volume)) {
+        limit = { volume: quietHours.maxVolume, reason: `quiet hours ${quietHours.from}-${quietHours.to}` };
+    }
+    return limit;
+}
+
+/**
+ * Log that a volume request was held back by the speaker's volume limit
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} requested - Requested native volume
+ * @param {number} allowed - Native volume after clamping
+ * @returns {string|null} - The message if the limit held the request back
+ */
+function logVolumeLimit(speaker, requested, allowed) {
+    const limit = getVolumeLimit(speaker);
+    if (limit && requested > allowed && allowed >= limit.volume) {
+        const message = `${speaker.name} held at ${allowed} (${limit.reason})`;
+        console.log(`🌙 ${message}`);
+        return message;
+    }
+    return null;
+}
+
+module.exports = { isQuietHours, getVolumeLimit, logVolumeLimit };
+}, {"./schedule-times":"hub/schedule-times.js"}],
+
+// ---- src/hub/volume-mapping.js ----
+"hub/volume-mapping.js": [function (module, exports, require) {
+// Mapping between the Twist's 0-1 range and a zone's native volume steps (linear or dB curves)
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneCapabilities } = require('./device-registry');
+const { getVolumeLimit } = require('./volume-limits');
+
+// Speakers we already warned about a 'db' curve without a dB range
+const dbCurveWarnings = new Set();
+
+/**
+ * Get the native volume range for a speaker's zone
+ * Uses the range discovered for that device, falling back to the configured defaults
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { min, max, step, dbMin?, dbMax? }
+ */
+function getVolumeRange(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    if (zone && zone.volumeRange) {
+        return zone.volumeRange;
+    }
+    return YAMAHA_CONFIG.volumeRanges[speaker.zone] || { min: 0, max: 100, step: 1 };
+}
+
+/**
+ * Get the volume mapping options for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - Mapping options ({ curve, dbFloor, cap, step })
+ */
+function getVolumeOptions(speaker) {
+    return speaker.volume || {};
+}
+
+/**
+ * Get the highest native volume step the Twist may reach for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {number} - User cap, limited to the zone's range
+ */
+function getVolumeCap(speaker) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeOptions(speaker).cap;
+    if (cap === undefined) {
+        return range.max;
+    }
+    return Math.max(range.min, Math.min(range.max, cap));
+}
+
+/**
+ * Clamp a native volume to the speaker's range/cap and volume limit, and round it to the zone's step size
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} nativeVolume - Native volume value
+ * @returns {number} - Valid native volume step
+ */
+function clampNativeVolume(speaker, nativeVolume) {
+    const range = getVolumeRange(speaker);
+    const step = range.step || 1;
+    const snapped = range.min + Math.round((nativeVolume - range.min) / step) * step;
+    const limit = getVolumeLimit(speaker);
+    const highest = limit ? Math.min(getVolumeCap(speaker), limit.volume) : getVolumeCap(speaker);
+    return Math.max(range.min, Math.min(highest, snapped));
+}
+
+/**
+ * Check whether a speaker uses the dB-aware curve (and the zone reports a dB range)
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for the 'db' curve
+ */
+function usesDbCurve(speaker) {
+    if (getVolumeOptions(speaker).curve !== 'db') {
+        return false;
+    }
+
+    const range = getVolumeRange(speaker);
+    if (range.dbMin === undefined || range.dbMax === undefined) {
+        if (!dbCurveWarnings.has(speaker.id)) {
+            dbCurveWarnings.add(speaker.id);
+            console.log(`⚠️ ${speaker.name} does not report a dB range, using the linear volume curve`);
+        }
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Convert a native volume step to dB (steps are linear in dB on YXC devices)
+ * @param {Object} range - Zone volume range including dbMin/dbMax
+ * @param {number} nativeVolume - Native volume step
+ * @returns {number} - Volume in dB
+ */
+function nativeVolumeToDb(range, nativeVolume) {
+    return range.dbMin + (nativeVolume - range.min) * (range.dbMax - range.dbMin) / (range.max - range.min);
+}
+
+/**
+ * Convert a dB value to a (fractional) native volume step
+ * @param {Object} range - Zone volume range including dbMin/dbMax
+ * @param {number} db - Volume in dB
+ * @returns {number} - Native volume step
+ */
+function dbToNativeVolume(range, db) {
+    return range.min + (db - range.dbMin) * (range.max - range.min) / (range.dbMax - range.dbMin);
+}
+
+/**
+ * Get the dB level the 'db' curve starts at for a speaker (never above the cap)
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} capDb - The speaker's cap in dB
+ * @returns {number} - Floor in dB
+ */
+function getDbFloor(speaker, capDb) {
+    const dbFloor = getVolumeOptions(speaker).dbFloor;
+    return Math.min(dbFloor !== undefined ? dbFloor : -60, capDb);
+}
+
+/**
+ * Map a Twist value (0-1) to a native volume step for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} value - Virtual device volume (0-1)
+ * @returns {number} - Native volume step
+ */
+function volumeToNative(speaker, value) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeCap(speaker);
+    const position = Math.max(0, Math.min(1, value));
+
+    if (usesDbCurve(speaker)) {
+        // Bottom of the Twist stays silent, the rest is spread evenly in dB from the floor up to the cap
+        if (position === 0) {
+            return range.min;
+        }
+        const capDb = nativeVolumeToDb(range, cap);
+        const floorDb = getDbFloor(speaker, capDb);
+        return clampNativeVolume(speaker, dbToNativeVolume(range, floorDb + (capDb - floorDb) * position));
+    }
+
+    return clampNativeVolume(speaker, range.min + (cap - range.min) * position);
+}
+
+/**
+ * Map a native volume step to a Twist value (0-1) for a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @param {number} nativeVolume - Native volume step reported by the device
+ * @returns {number} - Virtual device volume (0-1)
+ */
+function nativeToVolume(speaker, nativeVolume) {
+    const range = getVolumeRange(speaker);
+    const cap = getVolumeCap(speaker);
+    if (cap <= range.min || nativeVolume <= range.min) {
+        return 0;
+    }
+
+    let position;
+    if (usesDbCurve(speaker)) {
+        const capDb = nativeVolumeToDb(range, cap);
+        const floorDb = getDbFloor(speaker, capDb);
+        position = capDb === floorDb ? 1 : (nativeVolumeToDb(range, nativeVolume) - floorDb) / (capDb - floorDb);
+    } else {
+        position = (nativeVolume - range.min) / (cap - range.min);
+    }
+    return Math.max(0, Math.min(1, position));
+}
+
+/**
+ * Get the native step size for "volume up/down" on a speaker
+ * @param {Object} speaker - Speaker configuration
+ * @returns {number} - Native volume steps per press
+ */
+function getVolumeStepSize(speaker) {
+    const range = getVolumeRange(speaker);
+    const configuredStep = getVolumeOptions(speaker).step;
+    if (configuredStep !== undefined) {
+        return configuredStep;
+    }
+    // Default to 10% of the zone's range, rounded to whole device steps
+    const step = range.step || 1;
+    return Math.max(step, Math.round((range.max - range.min) / 10 / step) * step);
+}
+
+module.exports = {
+    getVolumeRange,
+    clampNativeVolume,
+    volumeToNative,
+    nativeToVolume,
+    getVolumeStepSize
+};
+}, {"../config":"config.js","./device-registry":"hub/device-registry.js","./volume-limits":"hub/volume-limits.js"}],
+
+// ---- src/hub/link-group-state.js ----
+"hub/link-group-state.js": [function (module, exports, require) {
+// MusicCast Link groups as last reported by the devices, and the membership and group level
+// derived from them
+
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { nativeToVolume } = require('./volume-mapping');
+
+const DIST_API = '/YamahaExtendedControl/v1/dist';
+
+// Active MusicCast Link groups keyed by server IP: { groupId, serverIp, serverZone, clients: [{ ip, zone }] }
+const linkGroups = {};
+
+/**
+ * Find the speaker configured for a zone of a device
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id
+ * @returns {Object|null} - Speaker configuration
+ */
+function findZoneSpeaker(ip, zone) {
+    return YAMAHA_CONFIG.speakers.find(s => s.ip === ip && s.zone === zone && !s.mode) || null;
+}
+
+/**
+ * Find the group a zone belongs to, as server or as client
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id
+ * @returns {Object|null} - { group, role: 'server' | 'client' }, or null if the zone is not linked
+ */
+function getLinkMembership(ip, zone) {
+    const ownGroup = linkGroups[ip];
+    if (ownGroup && ownGroup.serverZone === zone) {
+        return { group: ownGroup, role: 'server' };
+    }
+    for (const group of Object.values(linkGroups)) {
+        if (group.clients.some(client => client.ip === ip && client.zone === zone)) {
+            return { group: group, role: 'client' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the speakers of a group, server first
+ * @param {Object} group - Link group
+ * @returns {Object[]} - Speaker configurations (unconfigured members are left out)
+ */
+function getLinkGroupSpeakers(group) {
+    return [{ ip: group.serverIp, zone: group.serverZone }].concat(group.clients)
+        .map(member => findZoneSpeaker(member.ip, member.zone))
+        .filter(speaker => speaker);
+}
+
+/**
+ * Check whether a speaker's Twist controls the volume of its whole group
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - True for the server zone of a group when link.groupVolume is on
+ */
+function controlsGroupVolume(speaker) {
+    const group = linkGroups[speaker.ip];
+    return YAMAHA_CONFIG.link.groupVolume && !!group && group.serverZone === speaker.zone;
+}
+
+/**
+ * Get the level of a group's Twist: the loudest member's position
+ * @param {Object} group - Link group
+ * @returns {number|null} - Virtual device volume (0-1), or null while member volumes are unknown
+ */
+function getGroupLevel(group) {
+    const levels = getLinkGroupSpeakers(group)
+        .filter(speaker => speakerStates[speaker.id] && speakerStates[speaker.id].volume !== undefined)
+        .map(speaker => nativeToVolume(speaker, speakerStates[speaker.id].volume));
+    return levels.length > 0 ? Math.max.apply(null, levels) : null;
+}
+
+module.exports = {
+    DIST_API,
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    getLinkGroupSpeakers,
+    controlsGroupVolume,
+    getGroupLevel
+};
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./volume-mapping":"hub/volume-mapping.js"}],
+
+// ---- src/hub/sound-settings.js ----
+"hub/sound-settings.js": [function (module, exports, require) {
+// Sound levels, switches and programs a zone offers, and the Twist positions that show them
+
+const { getZoneCapabilities } = require('./device-registry');
+
+// Adjustable sound levels: getFeatures function, range_step id, getStatus field and the
+// fallback range used until the zone's own range is known
+const SOUND_LEVELS = {
+    bass: {
+        label: 'Bass',
+        func: 'tone_control',
+        endpoint: 'tone',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.tone_control ? status.tone_control.bass : undefined,
+        params: value => ({ mode: 'manual', bass: value })
+    },
+    treble: {
+        label: 'Treble',
+        func: 'tone_control',
+        endpoint: 'tone',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.tone_control ? status.tone_control.treble : undefined,
+        params: value => ({ mode: 'manual', treble: value })
+    },
+    dialogue: {
+        label: 'Dialogue level',
+        func: 'dialogue_level',
+        endpoint: 'dialogue',
+        fallbackRange: { min: 0, max: 3, step: 1 },
+        read: status => status.dialogue_level,
+        params: value => ({ value: value })
+    },
+    subwoofer: {
+        label: 'Subwoofer volume',
+        func: 'subwoofer_volume',
+        endpoint: 'subwoofer',
+        fallbackRange: { min: -12, max: 12, step: 1 },
+        read: status => status.subwoofer_volume,
+        params: value => ({ volume: value })
+    }
+};
+
+// On/off sound switches: getFeatures function and getStatus field
+const SOUND_SWITCHES = {
+    puredirect: { label: 'Pure Direct', func: 'pure_direct', endpoint: 'pureDirect', field: 'pure_direct' },
+    enhancer: { label: 'Enhancer', func: 'enhancer', endpoint: 'enhancer', field: 'enhancer' },
+    extrabass: { label: 'Extra Bass', func: 'extra_bass', endpoint: 'extraBass', field: 'extra_bass' }
+};
+
+/**
+ * Get the range a zone accepts for a sound level
+ * The tone_control range_step entry covers bass and treble
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @returns {Object} - { min, max, step }
+ */
+function getSoundLevelRange(speaker, setting) {
+    const level = SOUND_LEVELS[setting];
+    const zone = getZoneCapabilities(speaker);
+    const range = zone && (zone.rangeSteps[setting] || zone.rangeSteps[level.func]);
+    if (range && range.min !== undefined && range.max !== undefined) {
+        return range;
+    }
+    return level.fallbackRange;
+}
+
+/**
+ * Round a sound level to the zone's step and keep it inside the zone's range
+ * @param {Object} range - { min, max, step }
+ * @param {number} value - Requested level
+ * @returns {number} - Level the zone accepts
+ */
+function fitSoundLevel(range, value) {
+    const steps = Math.round((value - range.min) / range.step);
+    const fitted = range.min + steps * range.step;
+    return Math.max(range.min, Math.min(range.max, Number(fitted.toFixed(2))));
+}
+
+/**
+ * Get the sound programs a speaker's zone supports
+ * @param {Object} speaker - Speaker configuration
+ * @returns {string[]} - Program ids from the zone's sound_program_list (empty if unknown)
+ */
+function getZoneSoundPrograms(speaker) {
+    const zone = getZoneCapabilities(speaker);
+    return zone ? zone.soundPrograms : [];
+}
+
+/**
+ * Get the Twist position of a sound control (mode: 'program' or a SOUND_LEVELS key)
+ * Programs are segments like a source selector; levels span their range from left to right
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} state - Cached speaker state
+ * @returns {number} - Position between 0 and 1
+ */
+function getSoundPosition(speaker, state) {
+    if (speaker.mode === 'program') {
+        const programs = getZoneSoundPrograms(speaker);
+        const index = programs.indexOf(state.sound_program);
+        return index === -1 ? 0 : (index + 0.5) / programs.length;
+    }
+    
+    const range = getSoundLevelRange(speaker, speaker.mode);
+    const value = SOUND_LEVELS[speaker.mode].read(state);
+    if (value === undefined || range.max === range.min) {
+        return 0;
+    }
+    return (value - range.min) / (range.max - range.min);
+}
+
+module.exports = {
+    SOUND_LEVELS,
+    SOUND_SWITCHES,
+    getSoundLevelRange,
+    fitSoundLevel,
+    getZoneSoundPrograms,
+    getSoundPosition
+};
+}, {"./device-registry":"hub/device-registry.js"}],
+
+// ---- src/hub/zone-group-levels.js ----
+"hub/zone-group-levels.js": [function (module, exports, require) {
+// Zone group members and the level shown on a zone group's Twist
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice } = require('./device-registry');
+const { nativeToVolume } = require('./volume-mapping');
+
+/**
+ * Get a zone group from the configuration
+ * Groups are written as a member list or as { name, members }
+ * @param {string} groupId - Group identifier
+ * @returns {Object|null} - { id, name, members: [speaker configurations] }
+ */
+function getZoneGroup(groupId) {
+    const definition = YAMAHA_CONFIG.groups[groupId];
+    if (!definition) {
+        return null;
+    }
+    
+    const memberIds = Array.isArray(definition) ? definition : definition.members || [];
+    return {
+        id: groupId,
+        name: (!Array.isArray(definition) && definition.name) || groupId,
+        members: memberIds
+            .map(memberId => YAMAHA_CONFIG.speakers.find(s => s.id === memberId))
+            .filter(speaker => speaker && !isPlaybackDevice(speaker) && !speaker.mode)
+    };
+}
+
+/**
+ * Get the zone groups a speaker belongs to
+ * @param {string} speakerId - Speaker identifier
+ * @returns {Object[]} - Zone groups
+ */
+function getSpeakerZoneGroups(speakerId) {
+    return Object.keys(YAMAHA_CONFIG.groups)
+        .map(getZoneGroup)
+        .filter(group => group.members.some(member => member.id === speakerId));
+}
+
+/**
+ * Get the level of a group's Twist: the average Twist position of its members
+ * @param {Object} group - Zone group
+ * @returns {number|null} - Virtual device volume (0-1), or null while member volumes are unknown
+ */
+function getZoneGroupLevel(group) {
+    const levels = group.members
+        .filter(member => speakerStates[member.id] && speakerStates[member.id].volume !== undefined)
+        .map(member => nativeToVolume(member, speakerStates[member.id].volume));
+    if (levels.length === 0) {
+        return null;
+    }
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+}
+
+/**
+ * Push a group's level to its virtual device
+ * @param {Object} group - Zone group
+ */
+function refreshZoneGroupTwist(group) {
+    const level = getZoneGroupLevel(group);
+    if (level !== null) {
+        flicApp.virtualDeviceUpdateState('Speaker', group.id, { volume: level });
+    }
+}
+
+/**
+ * Push the level of every group a speaker belongs to
+ * @param {string} speakerId - Speaker identifier
+ */
+function refreshZoneGroupTwists(speakerId) {
+    getSpeakerZoneGroups(speakerId).forEach(refreshZoneGroupTwist);
+}
+
+module.exports = { getZoneGroup, getZoneGroupLevel, refreshZoneGroupTwist, refreshZoneGroupTwists };
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js"}],
+
+// ---- src/hub/device-state.js ----
+"hub/device-state.js": [function (module, exports, require) {
+// Last known state per speaker and the virtual devices that show it
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { delay } = require('../yxc/client');
+const { yxcRequest } = require('./yxc-client');
+const { readDatastore } = require('./storage');
+const { deviceRegistry, speakerStates, scheduleStateSave } = require('./runtime-state');
+const { isPlaybackDevice, getZoneInputs } = require('./device-registry');
+const { nativeToVolume } = require('./volume-mapping');
+const {
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    controlsGroupVolume,
+    getGroupLevel
+} = require('./link-group-state');
+const { getSoundPosition } = require('./sound-settings');
+const { refreshZoneGroupTwists } = require('./zone-group-levels');
+
+/**
+ * Get the Twist position that represents an input on a source selector
+ * The Twist range is split into one segment per input; an input sits in the middle of its segment
+ * @param {Object} speaker - Speaker configuration (mode: 'input')
+ * @param {string} input - Input id
+ * @returns {number} - Virtual device volume (0-1)
+ */
+function getInputPosition(speaker, input) {
+    const inputs = getZoneInputs(speaker);
+    const index = inputs.indexOf(input);
+    if (index === -1) {
+        return 0;
+    }
+    return (index + 0.5) / inputs.length;
+}
+
+/**
+ * Convert a speaker's known state into virtual device values
+ * A muted or standby zone is reported as silent so the Twist matches what you hear
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} state - Cached speaker state
+ * @returns {Object} - Values for flicApp.virtualDeviceUpdateState
+ */
+function getVirtualDeviceValues(speaker, state) {
+    if (speaker.mode === 'input') {
+        return { volume: getInputPosition(speaker, state.input) };
+    }
+    if (speaker.mode) {
+        return { volume: getSoundPosition(speaker, state) };
+    }
+    if (state.power === 'standby' || state.mute === true) {
+        return { volume: 0 };
+    }
+    if (controlsGroupVolume(speaker)) {
+        const groupLevel = getGroupLevel(linkGroups[speaker.ip]);
+        if (groupLevel !== null) {
+            return { volume: groupLevel };
+        }
+    }
+    return { volume: nativeToVolume(speaker, state.volume) };
+}
+
+// getStatus fields kept per zone
+const ZONE_STATE_KEYS = ['power', 'volume', 'mute', 'input', 'sound_program', 'tone_control', 'dialogue_level',
+    'subwoofer_volume', 'pure_direct', 'enhancer', 'extra_bass'];
+
+// Functions called with the speaker configuration when its zone is seen switched on
+const zonePowerOnListeners = [];
+
+/**
+ * Run a function whenever a zone changes to on, including the first status of a zone that is
+ * already on (zones in a Twist mode excluded)
+ * @param {Function} listener - Called with the speaker configuration
+ */
+function onZonePowerOn(listener) {
+    zonePowerOnListeners.push(listener);
+}
+
+/**
+ * Merge a (partial) zone status into the cached state of the speakers on that zone
+ * and push changes to their virtual devices
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id (main, zone2, ...)
+ * @param {Object} status - getStatus response or event payload for the zone
+ * @param {boolean} force - Push the state even if nothing changed
+ */
+function applyZoneStatus(ip, zone, status, force = false) {
+    const zoneSpeakers = YAMAHA_CONFIG.speakers.filter(s => s.ip === ip && s.zone === zone);
+    zoneSpeakers.forEach(speaker => {
+        const state = speakerStates[speaker.id] || (speakerStates[speaker.id] = {});
+        const previousPower = state.power;
+        let changed = false;
+
+        ZONE_STATE_KEYS.forEach(key => {
+            // tone_control is an object ({ mode, bass, treble }); compare it by content
+            if (status[key] !== undefined && JSON.stringify(state[key]) !== JSON.stringify(status[key])) {
+                state[key] = status[key];
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            scheduleStateSave();
+        }
+        if (previousPower !== 'on' && state.power === 'on' && !speaker.mode) {
+            zonePowerOnListeners.forEach(listener => listener(speaker));
+        }
+        if ((changed || force) && state.volume !== undefined) {
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+            refreshZoneGroupTwists(speaker.id);
+        }
+    });
+
+    // A linked client's volume moves the level shown on its group's Twist
+    const membership = status.volume !== undefined && getLinkMembership(ip, zone);
+    if (membership && membership.role === 'client' && YAMAHA_CONFIG.link.groupVolume) {
+        const server = findZoneSpeaker(membership.group.serverIp, membership.group.serverZone);
+        if (server) {
+            refreshGroupTwist(server);
+        }
+    }
+}
+
+/**
+ * Get the receiver a playback device reports the playback state of
+ * @param {Object} speaker - Playback device configuration
+ * @returns {string} - Device IP address (the target's receiver if the device has a target)
+ */
+function getPlaybackIp(speaker) {
+    const target = speaker.target && YAMAHA_CONFIG.speakers.find(s => s.id === speaker.target);
+    return target ? target.ip : speaker.ip;
+}
+
+/**
+ * Record the netusb playback state for the playback devices on a receiver
+ * @param {string} ip - Device IP address
+ * @param {string} playback - Playback state ('play', 'pause', 'stop', ...)
+ */
+function applyPlaybackStatus(ip, playback) {
+    if (playback === undefined) {
+        return;
+    }
+
+    const playbackSpeakers = YAMAHA_CONFIG.speakers.filter(s => isPlaybackDevice(s) && getPlaybackIp(s) === ip);
+    playbackSpeakers.forEach(speaker => {
+        const state = speakerStates[speaker.id] || (speakerStates[speaker.id] = {});
+        if (state.playback !== playback) {
+            state.playback = playback;
+            // Playback devices always rest at the center position
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, {
+                volume: 0.5
+            });
+        }
+    });
+}
+
+/**
+ * Get current volume from Yamaha device and update virtual device state
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<number>} - Current volume in native volume steps
+ */
+async function getCurrentVolumeAndUpdate(speaker) {
+    // Skip playback devices as they don't have volume
+    if (isPlaybackDevice(speaker)) {
+        return null;
+    }
+    
+    try {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+
+        // Update cached state and virtual device state
+        applyZoneStatus(speaker.ip, speaker.zone, statusData, true);
+
+        return statusData.volume;
+    } catch (error) {
+        console.error(`❌ Error getting current volume for ${speaker.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Initialize virtual device states with current Yamaha volumes
+ */
+async function initializeVirtualDeviceStates() {
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (isPlaybackDevice(speaker)) {
+            // Create virtual playback device for playback control
+            flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+                volume: 0.5
+            });
+        } else if (speaker.mode) {
+            // Create virtual source selector or sound control and point it at the current setting
+            flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+                volume: 0
+            });
+            await getCurrentVolumeAndUpdate(speaker);
+        } else {
+            // Get current volume for regular speakers
+            await getCurrentVolumeAndUpdate(speaker);
+        }
+    }
+}
+
+/**
+ * Push the group level to the Twist of a group's server zone
+ * @param {Object} server - Speaker configuration of the server zone
+ */
+function refreshGroupTwist(server) {
+    const state = speakerStates[server.id];
+    if (state && state.volume !== undefined) {
+        flicApp.virtualDeviceUpdateState('Speaker', server.id, getVirtualDeviceValues(server, state));
+    }
+}
+
+/**
+ * Poll a speaker's zone status until it matches the expected values
+ * @param {Object} speaker - Speaker configuration
+ * @param {Object} expected - Expected status fields, e.g. { power: 'on' }
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise} - Resolves when the state is reached, rejects on timeout
+ */
+async function waitForZoneState(speaker, expected, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    const keys = Object.keys(expected);
+    
+    while (true) {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        applyZoneStatus(speaker.ip, speaker.zone, statusData);
+        if (keys.every(key => statusData[key] === expected[key])) {
+            return;
+        }
+        
+        if (Date.now() >= deadline) {
+            const expectedText = keys.map(key => `${key}=${expected[key]}`).join(', ');
+            throw new Error(`${speaker.name} did not report ${expectedText} within ${timeoutMs / 1000}s`);
+        }
+        await delay(500);
+    }
+}
+
+/**
+ * Restore last-known zone states and capabilities, so virtual devices start with sensible
+ * values and volume ranges are right before the receivers answer
+ */
+async function restoreRuntimeState() {
+    if (!YAMAHA_CONFIG.persistence.enabled) {
+        return;
+    }
+    
+    let saved;
+    try {
+        saved = await readDatastore(YAMAHA_CONFIG.persistence.stateKey);
+    } catch (error) {
+        console.error('❌ Could not restore state:', error.message);
+        return;
+    }
+    if (!saved) {
+        return;
+    }
+    
+    Object.keys(saved.capabilities || {}).forEach(ip => {
+        if (!deviceRegistry[ip]) {
+            deviceRegistry[ip] = Object.assign(saved.capabilities[ip], { restored: true });
+        }
+    });
+    
+    let restoredCount = 0;
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const state = saved.states && saved.states[speaker.id];
+        if (!state || speakerStates[speaker.id] || isPlaybackDevice(speaker)) {
+            return;
+        }
+        speakerStates[speaker.id] = Object.assign({}, state);
+        if (state.volume !== undefined) {
+            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+            restoredCount++;
+        }
+    });
+    console.log(`💾 Restored ${restoredCount} zone state(s) and ${Object.keys(saved.capabilities || {}).length} device(s) from the hub datastore`);
+}
+
+module.exports = {
+    getInputPosition,
+    getVirtualDeviceValues,
+    onZonePowerOn,
+    applyZoneStatus,
+    applyPlaybackStatus,
+    getCurrentVolumeAndUpdate,
+    initializeVirtualDeviceStates,
+    refreshGroupTwist,
+    waitForZoneState,
+    restoreRuntimeState
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","../yxc/client":"yxc/client.js","./yxc-client":"hub/yxc-client.js","./storage":"hub/storage.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js","./link-group-state":"hub/link-group-state.js","./sound-settings":"hub/sound-settings.js","./zone-group-levels":"hub/zone-group-levels.js"}],
+
+// ---- src/hub/zone-commands.js ----
+"hub/zone-commands.js": [function (module, exports, require) {
+// Zone commands sent to the receivers: volume, power, mute, input, scenes, sleep timer and presets
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { getZoneInputs, getZoneCapabilities, checkSupported } = require('./device-registry');
+const { clampNativeVolume } = require('./volume-mapping');
+const { applyZoneStatus } = require('./device-state');
+
+/**
+ * Set volume for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} volume - Volume level in the zone's native volume steps
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaVolume(speakerId, volume) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'volume')) {
+        throw new Error(`${speaker.name} does not support volume control`);
+    }
+    
+    // Range, cap, maxVolume and quiet hours; the confirmed write moves the Twist to the limited level
+    const volumeValue = clampNativeVolume(speaker, volume);
+    
+    try {
+        // Pending volume writes for this zone collapse to the latest value
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'volume'), {
+            volume: volumeValue
+        }, { coalesceKey: `volume:${speaker.zone}`, withRequest: true });
+        
+        // The successful write confirms the volume; no need to read the status back.
+        // If our write was collapsed into a newer one, that caller refreshes the Twist
+        const writtenVolume = response.params.volume;
+        applyZoneStatus(speaker.ip, speaker.zone, { volume: writtenVolume }, writtenVolume === volumeValue);
+        
+        return response.body;
+    } catch (error) {
+        console.error(`❌ Error setting volume for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Set power state for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {boolean} powerOn - True to turn on, false to turn off
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaPower(speakerId, powerOn) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'power')) {
+        throw new Error(`${speaker.name} does not support power control`);
+    }
+    
+    const powerState = powerOn ? 'on' : 'standby';
+    console.log(`Setting power for ${speaker.name} (${speaker.zone} zone) to ${powerState}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: powerState
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: powerState });
+        console.log(`Successfully set power for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting power for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Set mute state for a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {boolean} muted - True to mute, false to unmute
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaMute(speakerId, muted) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'mute')) {
+        throw new Error(`${speaker.name} does not support mute control`);
+    }
+    
+    const muteState = muted ? 'true' : 'false';
+    console.log(`Setting mute for ${speaker.name} (${speaker.zone} zone) to ${muteState}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'mute'), {
+            enable: muteState
+        });
+        
+        console.log(`Successfully set mute for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting mute for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Switch the input of a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} input - Input id (hdmi1, spotify, tuner, bluetooth, ...)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaInput(speakerId, input) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const inputs = getZoneInputs(speaker);
+    if (inputs.length > 0 && !inputs.includes(input)) {
+        console.log(`🚫 ${speaker.name}: unknown input "${input}" (available: ${inputs.join(', ')})`);
+        throw new Error(`${speaker.name} does not support input ${input}`);
+    }
+    
+    console.log(`Setting input for ${speaker.name} (${speaker.zone} zone) to ${input}`);
+    
+    try {
+        const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'input'), {
+            input: input
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { input: input });
+        console.log(`Successfully set input for ${speaker.name}`);
+        return response;
+    } catch (error) {
+        console.error(`Error setting input for ${speaker.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Recall a scene on a specific Yamaha speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Scene number (1-based)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallYamahaScene(speakerId, num) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'scene')) {
+        throw new Error(`${speaker.name} does not support scenes`);
+    }
+    
+    const zone = getZoneCapabilities(speaker);
+    if (zone && zone.sceneCount > 0 && num > zone.sceneCount) {
+        throw new Error(`${speaker.name} only has ${zone.sceneCount} scenes`);
+    }
+    
+    console.log(`Recalling scene ${num} on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'scene'), {
+        num: num
+    });
+}
+
+// Sleep timer values setSleep accepts (minutes, 0 = off)
+const SLEEP_MINUTES = [0, 30, 60, 90, 120];
+
+/**
+ * Set the sleep timer of a specific Yamaha speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} minutes - One of SLEEP_MINUTES
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSleep(speakerId, minutes) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!SLEEP_MINUTES.includes(minutes)) {
+        throw new Error(`Invalid sleep time ${minutes} (expected ${SLEEP_MINUTES.join(', ')})`);
+    }
+    if (!checkSupported(speaker, 'sleep')) {
+        throw new Error(`${speaker.name} does not support a sleep timer`);
+    }
+    
+    console.log(`Setting sleep timer for ${speaker.name} (${speaker.zone} zone) to ${minutes === 0 ? 'off' : `${minutes} minutes`}`);
+    
+    return yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'sleep'), {
+        sleep: minutes
+    });
+}
+
+// Net/USB preset names per device IP, cached from netusb/getPresetInfo
+const netusbPresetNames = {};
+
+/**
+ * Get the net/USB preset list of a device
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object[]>} - Presets as { num, input, name }, empty slots excluded
+ */
+async function getNetusbPresets(ip) {
+    const presetData = await yxcRequest(ip, '/YamahaExtendedControl/v1/netusb/getPresetInfo');
+    const presets = (presetData.preset_info || [])
+        .map((preset, index) => ({ num: index + 1, input: preset.input, name: preset.text }))
+        .filter(preset => preset.input && preset.input !== 'unknown');
+    
+    netusbPresetNames[ip] = {};
+    presets.forEach(preset => {
+        netusbPresetNames[ip][preset.num] = preset.name;
+    });
+    return presets;
+}
+
+/**
+ * Get the name of a net/USB preset for logging (fetched once per device)
+ * @param {string} ip - Device IP address
+ * @param {number} num - Preset number
+ * @returns {Promise<string|null>} - Preset name, or null if unknown
+ */
+async function getNetusbPresetName(ip, num) {
+    try {
+        if (!netusbPresetNames[ip]) {
+            await getNetusbPresets(ip);
+        }
+        return netusbPresetNames[ip][num] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Recall a net/USB preset (streaming favourites, net radio, ...) on a speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Preset number (1-based)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallNetusbPreset(speakerId, num) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'netusb')) {
+        throw new Error(`${speaker.name} does not support net/USB presets`);
+    }
+    
+    const device = deviceRegistry[speaker.ip];
+    if (device && device.netusb && device.netusb.presetCount > 0 && num > device.netusb.presetCount) {
+        throw new Error(`${speaker.name} only has ${device.netusb.presetCount} presets`);
+    }
+    
+    const presetName = await getNetusbPresetName(speaker.ip, num);
+    console.log(`Recalling preset ${num}${presetName ? ` (${presetName})` : ''} on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/recallPreset', {
+        zone: speaker.zone,
+        num: num
+    });
+}
+
+/**
+ * Get the tuner band to use for preset commands
+ * Tuners with a common preset list use band 'common'; others default to FM
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} band - Requested band (am, fm, dab) or undefined
+ * @returns {string} - Band parameter for the tuner API
+ */
+function getTunerPresetBand(speaker, band) {
+    const device = deviceRegistry[speaker.ip];
+    const tuner = device && device.tuner;
+    if (tuner && tuner.preset && tuner.preset.type === 'common') {
+        return 'common';
+    }
+    return band || 'fm';
+}
+
+/**
+ * Get the tuner preset list of a device
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} band - Requested band (am, fm, dab) or undefined
+ * @returns {Promise<Object[]>} - Presets as { num, band, name }, empty slots excluded
+ */
+async function getTunerPresets(speaker, band) {
+    const presetData = await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/tuner/getPresetInfo', {
+        band: getTunerPresetBand(speaker, band)
+    });
+    return (presetData.preset_info || [])
+        .map((preset, index) => ({ num: index + 1, band: preset.band, name: formatTunerFrequency(preset) }))
+        .filter(preset => preset.band && preset.band !== 'unknown' && preset.name);
+}
+
+/**
+ * Format a tuner preset for logging (FM in MHz, AM in kHz, DAB by station id)
+ * @param {Object} preset - Entry from tuner/getPresetInfo
+ * @returns {string} - Human readable preset
+ */
+function formatTunerFrequency(preset) {
+    if (!preset.number) {
+        return '';
+    }
+    if (preset.band === 'fm') {
+        return `FM ${(preset.number / 1000).toFixed(2)} MHz`;
+    }
+    if (preset.band === 'am') {
+        return `AM ${preset.number} kHz`;
+    }
+    return `${String(preset.band).toUpperCase()} ${preset.number}`;
+}
+
+/**
+ * Recall a tuner preset on a speaker's zone
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} num - Preset number (1-based)
+ * @param {string} band - Band (am, fm, dab); ignored on tuners with a common preset list
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function recallTunerPreset(speakerId, num, band) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'tuner')) {
+        throw new Error(`${speaker.name} does not have a tuner`);
+    }
+    
+    const presetBand = getTunerPresetBand(speaker, band);
+    console.log(`Recalling tuner preset ${num} (${presetBand}) on ${speaker.name} (${speaker.zone} zone)`);
+    
+    return yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/tuner/recallPreset', {
+        zone: speaker.zone,
+        band: presetBand,
+        num: num
+    });
+}
+
+module.exports = {
+    setYamahaVolume,
+    setYamahaPower,
+    setYamahaMute,
+    setYamahaInput,
+    recallYamahaScene,
+    SLEEP_MINUTES,
+    setYamahaSleep,
+    netusbPresetNames,
+    getNetusbPresets,
+    recallNetusbPreset,
+    getTunerPresets,
+    recallTunerPreset
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js","./device-state":"hub/device-state.js"}],
+
+// ---- src/hub/fades.js ----
+"hub/fades.js": [function (module, exports, require) {
+// Volume fades: ramps, power-on volume and soft mute
+
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { createCancelToken, delay } = require('../yxc/client');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const { getVolumeRange, clampNativeVolume } = require('./volume-mapping');
+const { onZonePowerOn, applyZoneStatus, waitForZoneState } = require('./device-state');
+const { setYamahaVolume, setYamahaMute } = require('./zone-commands');
+
+// Cancel token of the fade running on each speaker id
+const activeFades = {};
+
+/**
+ * Stop the fade running on a speaker, if any; the volume stays where the fade was
+ * @param {string} speakerId - Speaker identifier
+ * @returns {boolean} - True if a fade was cancelled
+ */
+function cancelFade(speakerId) {
+    const token = activeFades[speakerId];
+    if (!token) {
+        return false;
+    }
+    token.cancel();
+    delete activeFades[speakerId];
+    console.log(`⏹️ Fade on ${speakerId} cancelled`);
+    return true;
+}
+
+/**
+ * Get the last known native volume of a zone, reading the status if it is not known yet
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<number>} - Native volume
+ */
+async function getKnownVolume(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    if (state.volume !== undefined) {
+        return state.volume;
+    }
+    const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+    applyZoneStatus(speaker.ip, speaker.zone, statusData);
+    return statusData.volume;
+}
+
+/**
+ * Ramp a speaker's volume to a target over a number of seconds
+ * A running fade on the same speaker is replaced; volume writes are only sent when the native step changes
+ * @param {string} speakerId - Speaker identifier
+ * @param {number} target - Target volume in the zone's native volume steps
+ * @param {number} seconds - Duration of the fade
+ * @param {Function} onStarted - Called once the first step has been sent (optional)
+ * @returns {Promise<boolean>} - True if the fade reached the target, false if it was cancelled
+ */
+async function fadeYamahaVolume(speakerId, target, seconds, onStarted = () => {}) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'volume')) {
+        throw new Error(`${speaker.name} does not support volume control`);
+    }
+    
+    cancelFade(speakerId);
+    const token = createCancelToken();
+    activeFades[speakerId] = token;
+    
+    try {
+        const start = await getKnownVolume(speaker);
+        const targetVolume = clampNativeVolume(speaker, target);
+        const stepMs = YAMAHA_CONFIG.fades.stepMs;
+        const steps = Math.max(1, Math.round(seconds * 1000 / stepMs));
+        let lastVolume = start;
+        
+        for (let step = 1; step <= steps; step++) {
+            if (token.cancelled) {
+                return false;
+            }
+            const volume = clampNativeVolume(speaker, start + (targetVolume - start) * step / steps);
+            if (volume !== lastVolume) {
+                await setYamahaVolume(speakerId, volume);
+                lastVolume = volume;
+            }
+            if (step === 1) {
+                onStarted();
+            }
+            if (step < steps) {
+                await delay(stepMs);
+            }
+        }
+        return !token.cancelled;
+    } finally {
+        if (activeFades[speakerId] === token) {
+            delete activeFades[speakerId];
+        }
+    }
+}
+
+/**
+ * Bring a zone that was just switched on to its configured power-on volume
+ * (speaker.powerOn: { volume, maxVolume, fadeSeconds })
+ * @param {Object} speaker - Speaker configuration
+ */
+async function applyPowerOnVolume(speaker) {
+    const powerOn = speaker.powerOn;
+    if (!powerOn) {
+        return;
+    }
+    
+    try {
+        // setVolume is refused while the zone is still starting up
+        await waitForZoneState(speaker, { power: 'on' }, YAMAHA_CONFIG.macroStepTimeoutMs);
+        
+        const current = await getKnownVolume(speaker);
+        let target = powerOn.volume !== undefined ? powerOn.volume : current;
+        if (powerOn.maxVolume !== undefined) {
+            target = Math.min(target, powerOn.maxVolume);
+        }
+        if (target === current) {
+            return;
+        }
+        
+        console.log(`🔆 ${speaker.name} switched on at volume ${current}, ${powerOn.fadeSeconds ? 'fading' : 'setting'} to ${target}`);
+        if (powerOn.fadeSeconds) {
+            await setYamahaVolume(speaker.id, getVolumeRange(speaker).min);
+            await fadeYamahaVolume(speaker.id, target, powerOn.fadeSeconds);
+        } else {
+            cancelFade(speaker.id);
+            await setYamahaVolume(speaker.id, target);
+        }
+    } catch (error) {
+        console.error(`❌ Error applying the power-on volume of ${speaker.name}:`, error);
+    }
+}
+
+// Zones switched on from standby go to their configured power-on volume
+onZonePowerOn(applyPowerOnVolume);
+
+/**
+ * Check whether a speaker ramps its volume around mute changes
+ * @param {Object} speaker - Speaker configuration
+ * @returns {boolean} - speaker.softMute, or fades.softMute if the speaker does not set it
+ */
+function usesSoftMute(speaker) {
+    return speaker.softMute !== undefined ? speaker.softMute === true : YAMAHA_CONFIG.fades.softMute;
+}
+
+/**
+ * Mute or unmute a zone, ramping the volume down before muting and back up after unmuting if soft mute is on
+ * The volume is restored while the zone is muted, so unmuting with the remote returns to the same level
+ * @param {Object} speaker - Speaker configuration
+ * @param {boolean} muted - True to mute, false to unmute
+ * @returns {Promise<boolean>} - False if a soft mute ramp was cancelled before the mute changed
+ */
+async function setZoneMute(speaker, muted) {
+    cancelFade(speaker.id);
+    if (!usesSoftMute(speaker) || !checkSupported(speaker, 'volume')) {
+        await setYamahaMute(speaker.id, muted);
+        applyZoneStatus(speaker.ip, speaker.zone, { mute: muted });
+        return true;
+    }
+    
+    const seconds = YAMAHA_CONFIG.fades.softMuteSeconds;
+    const minVolume = getVolumeRange(speaker).min;
+    const volume = await getKnownVolume(speaker);
+    
+    if (muted) {
+        if (!await fadeYamahaVolume(speaker.id, minVolume, seconds)) {
+            return false;
+        }
+        await setYamahaMute(speaker.id, true);
+        applyZoneStatus(speaker.ip, speaker.zone, { mute: true });
+        await setYamahaVolume(speaker.id, volume);
+        return true;
+    }
+    
+    await setYamahaVolume(speaker.id, minVolume);
+    await setYamahaMute(speaker.id, false);
+    applyZoneStatus(speaker.ip, speaker.zone, { mute: false });
+    await fadeYamahaVolume(speaker.id, volume, seconds);
+    return true;
+}
+
+/**
+ * Parse the arguments of "fade {level} {seconds}"
+ * @param {string} levelValue - Native volume level (a whole number)
+ * @param {string} secondsValue - Duration in seconds (0 sets the level at once)
+ * @returns {Object|null} - { level, seconds }, or null if either is invalid
+ */
+function parseFadeArgs(levelValue, secondsValue) {
+    const seconds = Number(secondsValue);
+    if (!/^\d+$/.test(levelValue) || secondsValue === '' || !Number.isFinite(seconds) || seconds < 0) {
+        return null;
+    }
+    return { level: Number(levelValue), seconds: seconds };
+}
+
+/**
+ * Handle "{device-id} fade {level} {seconds}"
+ * Resolves once the first step has been sent, so callers (the HTTP API) do not wait for a fade that
+ * can run for minutes; a failure after that is only logged
+ * @param {string} deviceId - Device identifier
+ * @param {string} levelValue - Target volume in native volume steps
+ * @param {string} secondsValue - Duration in seconds
+ */
+async function handleDeviceFade(deviceId, levelValue, secondsValue) {
+    const fade = parseFadeArgs(levelValue, secondsValue);
+    if (!fade) {
+        const message = `Invalid fade for device ${deviceId}: expected "fade {level} {seconds}"`;
+        console.log(message);
+        return { error: message };
+    }
+    const target = fade.level;
+    const seconds = fade.seconds;
+    
+    console.log(`🎚️ Fading ${deviceId} to ${target} over ${seconds}s`);
+    return new Promise(resolve => {
+        let started = false;
+        fadeYamahaVolume(deviceId, target, seconds, () => {
+            started = true;
+            resolve();
+        }).then(finished => {
+            if (finished) {
+                console.log(`✅ ${deviceId} faded to ${target}`);
+            }
+            resolve();
+        }, error => {
+            console.error(`❌ Error fading ${deviceId}:`, error);
+            if (!started) {
+                resolve({ failed: error });
+            }
+        });
+    });
+}
+
+module.exports = { cancelFade, fadeYamahaVolume, setZoneMute, parseFadeArgs, handleDeviceFade };
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","../yxc/client":"yxc/client.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js"}],
+
+// ---- src/hub/now-playing.js ----
+"hub/now-playing.js": [function (module, exports, require) {
+// Net/USB play info per receiver and the nowplaying command
+
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { isNetusbInput } = require('./device-registry');
+const { applyPlaybackStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+
+/**
+ * Fetch netusb play info from a device and record its track and playback state
+ * @param {string} ip - Device IP address
+ */
+async function refreshPlaybackStatus(ip) {
+    try {
+        const playInfo = await yxcRequest(ip, '/YamahaExtendedControl/v1/netusb/getPlayInfo');
+        applyPlayInfo(ip, playInfo);
+    } catch (error) {
+        console.error(`❌ Error refreshing playback status for ${ip}:`, error);
+    }
+}
+
+// Net/USB player state per device IP, from netusb/getPlayInfo and play_time events
+const nowPlaying = {};
+
+/**
+ * Record netusb play info for a device and pass the playback state on to its playback devices
+ * @param {string} ip - Device IP address
+ * @param {Object} playInfo - getPlayInfo response
+ */
+function applyPlayInfo(ip, playInfo) {
+    nowPlaying[ip] = {
+        input: playInfo.input || null,
+        playback: playInfo.playback || null,
+        artist: playInfo.artist || '',
+        album: playInfo.album || '',
+        track: playInfo.track || '',
+        playTime: playInfo.play_time !== undefined ? playInfo.play_time : null,
+        totalTime: playInfo.total_time !== undefined ? playInfo.total_time : null,
+        shuffle: playInfo.shuffle || null,
+        repeat: playInfo.repeat || null,
+        albumArtUrl: playInfo.albumart_url ? `http://${ip}${playInfo.albumart_url}` : null,
+        updatedAt: Date.now()
+    };
+    applyPlaybackStatus(ip, playInfo.playback);
+}
+
+/**
+ * Build the now-playing view of a zone: its status plus the receiver's track if the zone plays a netusb input
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { id, name, zone, power, volume, mute, input, playback, artist, album, track, ... }
+ */
+function getZoneNowPlaying(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    const entry = {
+        id: speaker.id,
+        name: speaker.name,
+        zone: speaker.zone,
+        power: state.power || null,
+        volume: state.volume !== undefined ? state.volume : null,
+        mute: state.mute !== undefined ? state.mute : null,
+        input: state.input || null,
+        playback: null
+    };
+    
+    const player = nowPlaying[speaker.ip];
+    if (state.power === 'on' && player && state.input && isNetusbInput(speaker, state.input) && player.input === state.input) {
+        ['playback', 'artist', 'album', 'track', 'playTime', 'totalTime', 'shuffle', 'repeat', 'albumArtUrl'].forEach(key => {
+            entry[key] = player[key];
+        });
+    }
+    return entry;
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} - Formatted time
+ */
+function formatPlayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+}
+
+/**
+ * Describe a zone's now-playing view in one log line
+ * @param {Object} entry - getZoneNowPlaying result
+ * @returns {string} - Description
+ */
+function describeNowPlaying(entry) {
+    if (entry.power !== 'on') {
+        return `📴 ${entry.name}: ${entry.power === null ? 'unknown' : 'off'}`;
+    }
+    if (!entry.playback) {
+        return `🎵 ${entry.name}: ${entry.input || 'unknown input'} (no track information)`;
+    }
+    
+    const title = [entry.artist, entry.track].filter(part => part).join(' - ') || 'Unknown track';
+    const details = [entry.input];
+    if (entry.playTime !== null && entry.playTime >= 0) {
+        details.push(entry.totalTime > 0
+            ? `${formatPlayTime(entry.playTime)}/${formatPlayTime(entry.totalTime)}`
+            : formatPlayTime(entry.playTime));
+    }
+    if (entry.shuffle) details.push(`shuffle ${entry.shuffle}`);
+    if (entry.repeat) details.push(`repeat ${entry.repeat}`);
+    
+    return `🎵 ${entry.name}: ${title}${entry.album ? ` (${entry.album})` : ''} [${details.join(', ')}] ${entry.playback}`;
+}
+
+/**
+ * Handle "{device-id} nowplaying": refresh the zone and its receiver's player and log what is playing
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDeviceNowPlaying(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    await getCurrentVolumeAndUpdate(speaker);
+    if (!deviceRegistry[speaker.ip] || deviceRegistry[speaker.ip].netusb !== null) {
+        await refreshPlaybackStatus(speaker.ip);
+    }
+    console.log(describeNowPlaying(getZoneNowPlaying(speaker)));
+}
+
+module.exports = {
+    refreshPlaybackStatus,
+    nowPlaying,
+    applyPlayInfo,
+    getZoneNowPlaying,
+    handleDeviceNowPlaying
+};
+}, {"../config":"config.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./device-state":"hub/device-state.js"}],
+
+// ---- src/hub/macros.js ----
+"hub/macros.js": [function (module, exports, require) {
+// Macros: named sequences of zone commands
+
+const { YAMAHA_CONFIG } = require('../config');
+const { delay } = require('../yxc/client');
+const { clampNativeVolume } = require('./volume-mapping');
+const { waitForZoneState } = require('./device-state');
+const {
+    setYamahaVolume,
+    setYamahaPower,
+    setYamahaMute,
+    setYamahaInput,
+    recallYamahaScene,
+    recallNetusbPreset,
+    recallTunerPreset
+} = require('./zone-commands');
+const { cancelFade } = require('./fades');
+
+// Macros run one at a time so chained commands never race each other
+let macroQueue = Promise.resolve();
+
+/**
+ * Run a single macro step and wait for the receiver to confirm it
+ * @param {Object} step - Step definition
+ * @param {Object} speaker - Speaker the step targets
+ */
+async function runMacroStep(step, speaker) {
+    const timeoutMs = YAMAHA_CONFIG.macroStepTimeoutMs;
+    
+    switch (step.action) {
+        case 'power': {
+            const powerOn = step.value === 'on' || step.value === true;
+            await setYamahaPower(speaker.id, powerOn);
+            await waitForZoneState(speaker, { power: powerOn ? 'on' : 'standby' }, timeoutMs);
+            break;
+        }
+        case 'input':
+            await setYamahaInput(speaker.id, step.value);
+            await waitForZoneState(speaker, { input: step.value }, timeoutMs);
+            break;
+        case 'volume':
+            cancelFade(speaker.id);
+            await setYamahaVolume(speaker.id, step.value);
+            await waitForZoneState(speaker, { volume: clampNativeVolume(speaker, step.value) }, timeoutMs);
+            break;
+        case 'mute': {
+            const muted = step.value === true || step.value === 'true' || step.value === 'on';
+            cancelFade(speaker.id);
+            await setYamahaMute(speaker.id, muted);
+            await waitForZoneState(speaker, { mute: muted }, timeoutMs);
+            break;
+        }
+        case 'scene':
+            await recallYamahaScene(speaker.id, step.value);
+            break;
+        case 'preset':
+            await recallNetusbPreset(speaker.id, step.value);
+            break;
+        case 'tuner-preset':
+            await recallTunerPreset(speaker.id, step.value, step.band);
+            break;
+        case 'wait':
+            if (step.until) {
+                await waitForZoneState(speaker, step.until, step.timeoutMs || timeoutMs);
+            } else {
+                await delay(step.ms || 0);
+            }
+            break;
+        default:
+            throw new Error(`Unknown macro action "${step.action}"`);
+    }
+}
+
+/**
+ * Describe a macro step for log messages
+ * @param {Object} step - Step definition
+ * @param {string} deviceId - Device the step targets
+ * @returns {string} - Description, e.g. "input hdmi1 on id1zone2"
+ */
+function describeMacroStep(step, deviceId) {
+    if (step.action === 'wait') {
+        const condition = step.until
+            ? Object.keys(step.until).map(key => `${key}=${step.until[key]}`).join(', ')
+            : `${step.ms || 0}ms`;
+        return `wait for ${condition} on ${deviceId}`;
+    }
+    return `${step.action} ${step.value} on ${deviceId}`;
+}
+
+/**
+ * Run the steps of a macro in order, stopping at the first failure
+ * @param {string} name - Macro name
+ * @param {Object} macro - Macro definition ({ device, steps })
+ * @returns {Promise<Object|undefined>} - { failed: error } if a step failed
+ */
+async function executeMacro(name, macro) {
+    console.log(`🎬 Running macro "${name}"`);
+    const steps = macro.steps || [];
+    
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        const deviceId = step.device || macro.device;
+        const description = describeMacroStep(step, deviceId);
+        
+        try {
+            const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+            if (!speaker) {
+                throw new Error(`Speaker ${deviceId} not found`);
+            }
+            await runMacroStep(step, speaker);
+            console.log(`  ✓ Step ${index + 1}/${steps.length}: ${description}`);
+        } catch (error) {
+            console.error(`❌ Macro "${name}" stopped at step ${index + 1}/${steps.length} (${description}): ${error.message}`);
+            return { failed: error };
+        }
+    }
+    
+    console.log(`✅ Macro "${name}" finished`);
+}
+
+/**
+ * Queue a macro by name
+ * @param {string} name - Macro name from YAMAHA_CONFIG.macros
+ * @returns {Promise<Object|undefined>} - Nothing once the macro ran to completion, { failed: error } if
+ *                                        a step failed, or { error: message } for an unknown macro
+ */
+function runMacro(name) {
+    const macro = YAMAHA_CONFIG.macros[name];
+    if (!macro) {
+        const message = `Unknown macro: ${name} (available: ${Object.keys(YAMAHA_CONFIG.macros).join(', ') || 'none'})`;
+        console.log(message);
+        return Promise.resolve({ error: message });
+    }
+    
+    const run = macroQueue.then(() => executeMacro(name, macro));
+    macroQueue = run.catch(() => null);
+    return run;
+}
+
+module.exports = { runMacro };
+}, {"../config":"config.js","../yxc/client":"yxc/client.js","./volume-mapping":"hub/volume-mapping.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./fades":"hub/fades.js"}],
+
+// ---- src/hub/cooldowns.js ----
+"hub/cooldowns.js": [function (module, exports, require) {
+// Cooldown policy: how soon a speaker accepts another command of the same class
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { getVirtualDeviceValues, getCurrentVolumeAndUpdate } = require('./device-state');
+
+/**
+ * Get the cooldown rule a speaker uses for a command class
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} commandClass - playback, volume or power
+ * @returns {Object} - { ms, scope, blocks }
+ */
+function getCooldownRule(speaker, commandClass) {
+    const defaults = YAMAHA_CONFIG.cooldowns[commandClass];
+    const own = speaker.cooldowns && speaker.cooldowns[commandClass];
+    return Object.assign({ ms: 0, scope: 'receiver', blocks: [] }, defaults || {}, own || {});
+}
+
+/**
+ * Check whether a cooldown scope covers a zone
+ * @param {string} scope - global, receiver or zone
+ * @param {Object} entry - Recorded command
+ * @param {Object} target - Speaker configuration of the zone to check
+ * @returns {boolean} - True if the recorded command's cooldown applies to the zone
+ */
+function cooldownScopeMatches(scope, entry, target) {
+    switch (scope) {
+        case 'global':
+            return true;
+        case 'zone':
+            return entry.target.ip === target.ip && entry.target.zone === target.zone;
+        default:
+            return entry.target.ip === target.ip;
+    }
+}
+
+/**
+ * Create a cooldown policy
+ * Every executed command is recorded with its class; its rule (YAMAHA_CONFIG.cooldowns, overridden
+ * by the speaker's own cooldowns) decides which command classes it blocks, for how long, and where
+ * @returns {Object} - { check(source, commandClass, target), record(source, commandClass, target), clear() }
+ */
+function createCooldownPolicy() {
+    let recent = [];
+    
+    const prune = now => {
+        recent = recent.filter(entry => now - entry.time < entry.rule.ms);
+    };
+    
+    return {
+        /**
+         * Check whether a command may run now
+         * @param {Object} source - Speaker (or playback device) issuing the command
+         * @param {string} commandClass - playback, volume or power
+         * @param {Object} target - Zone the command acts on (defaults to source)
+         * @returns {Object|null} - null if allowed, otherwise { reason, remainingMs }
+         */
+        check(source, commandClass, target = source) {
+            const now = Date.now();
+            prune(now);
+            
+            const blocking = recent
+                .filter(entry => entry.rule.blocks.includes(commandClass) && cooldownScopeMatches(entry.rule.scope, entry, target))
+                .sort((a, b) => (b.time + b.rule.ms) - (a.time + a.rule.ms))[0];
+            if (!blocking) {
+                return null;
+            }
+            
+            const remainingMs = blocking.time + blocking.rule.ms - now;
+            const where = blocking.rule.scope === 'global' || blocking.target === blocking.source ? ''
+                : ` on ${blocking.rule.scope === 'zone' ? blocking.target.name : blocking.target.ip}`;
+            return {
+                reason: `${blocking.commandClass} cooldown after ${blocking.source.name}${where} (${Math.ceil(remainingMs / 1000)}s remaining)`,
+                remainingMs: remainingMs
+            };
+        },
+        
+        /**
+         * Record an executed command
+         * @param {Object} source - Speaker (or playback device) that issued the command; its rule applies
+         * @param {string} commandClass - playback, volume or power
+         * @param {Object} target - Zone the command acted on (defaults to source)
+         */
+        record(source, commandClass, target = source) {
+            const rule = getCooldownRule(source, commandClass);
+            if (rule.ms > 0 && rule.blocks.length > 0) {
+                recent.push({ commandClass, source, target, rule, time: Date.now() });
+            }
+        },
+        
+        /**
+         * Forget all recorded commands
+         */
+        clear() {
+            recent = [];
+        }
+    };
+}
+
+const cooldownPolicy = createCooldownPolicy();
+
+/**
+ * Check the cooldown policy and log the reason when a command is blocked
+ * @param {Object} source - Speaker (or playback device) issuing the command
+ * @param {string} commandClass - playback, volume or power
+ * @param {string} description - Command for the log, e.g. "Volume change"
+ * @param {Object} target - Zone the command acts on (defaults to source)
+ * @returns {string|null} - Why the command is blocked, or null if it may run
+ */
+function getCooldownBlock(source, commandClass, description, target = source) {
+    const blocked = cooldownPolicy.check(source, commandClass, target);
+    if (!blocked) {
+        return null;
+    }
+    const message = `${description} on ${target.name} blocked - ${blocked.reason}`;
+    console.log(`⏳ ${message}`);
+    return message;
+}
+
+/**
+ * Check the cooldown policy and log the reason when a command is blocked
+ * @param {Object} source - Speaker (or playback device) issuing the command
+ * @param {string} commandClass - playback, volume or power
+ * @param {string} description - Command for the log, e.g. "Volume change"
+ * @param {Object} target - Zone the command acts on (defaults to source)
+ * @returns {boolean} - True if the command may run
+ */
+function passesCooldown(source, commandClass, description, target = source) {
+    return getCooldownBlock(source, commandClass, description, target) === null;
+}
+
+/**
+ * Move a volume Twist back to the zone's real volume after a blocked update
+ * @param {Object} speaker - Speaker configuration
+ */
+function restoreTwistPosition(speaker) {
+    const state = speakerStates[speaker.id];
+    if (state && state.volume !== undefined) {
+        flicApp.virtualDeviceUpdateState('Speaker', speaker.id, getVirtualDeviceValues(speaker, state));
+    } else {
+        getCurrentVolumeAndUpdate(speaker);
+    }
+}
+
+module.exports = { cooldownPolicy, getCooldownBlock, passesCooldown, restoreTwistPosition };
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./device-state":"hub/device-state.js"}],
+
+// ---- src/hub/playback.js ----
+"hub/playback.js": [function (module, exports, require) {
+// Playback devices: play, pause and skip commands, Twist gestures and the zone that is streaming
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice, checkSupported, isNetusbInput } = require('./device-registry');
+const { applyPlaybackStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+const { cooldownPolicy, getCooldownBlock } = require('./cooldowns');
+const { applyPlayInfo } = require('./now-playing');
+
+/**
+ * Get playback status from Yamaha device
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Promise<string>} - Playback status ('play', 'pause', 'stop', or 'unknown')
+ */
+async function getPlaybackStatus(speaker) {
+    try {
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        // Check if device is powered on first
+        if (statusData.power !== 'on') {
+            return 'off';
+        }
+        
+        // Try to get playback status from netusb info
+        const netusbData = await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/getPlayInfo');
+        applyPlayInfo(speaker.ip, netusbData);
+        return netusbData.playback || 'unknown';
+    } catch (error) {
+        console.error(`❌ Error getting playback status for ${speaker.name}:`, error);
+        return 'unknown';
+    }
+}
+
+// Playback state a device reports after a setPlayback command (next/previous keep playing)
+const PLAYBACK_RESULT_STATES = {
+    play: 'play',
+    pause: 'pause',
+    stop: 'stop'
+};
+
+// Log lines for executed playback actions
+const PLAYBACK_ACTION_LOGS = {
+    play: '▶️ {name} playback resumed',
+    pause: '⏸️ {name} playback paused',
+    stop: '⏹️ {name} playback stopped',
+    next: '⏭️ {name} skipped to next track',
+    previous: '⏮️ {name} went back to previous track'
+};
+
+/**
+ * Send a netusb playback command to a device
+ * @param {Object} speaker - Speaker whose device plays the stream
+ * @param {string} playback - setPlayback value (play, pause, stop, next, previous)
+ * Uses: /netusb/setPlayback?playback={playback}
+ */
+async function sendPlaybackCommand(speaker, playback) {
+    await yxcRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/setPlayback', {
+        playback: playback
+    });
+    applyPlaybackStatus(speaker.ip, PLAYBACK_RESULT_STATES[playback]);
+}
+
+/**
+ * Find the zone a playback device controls
+ * A playback device with target: '{speaker-id}' always drives that zone; otherwise it follows
+ * the zone that is on and playing a netusb input (zones on its own receiver first)
+ * @param {Object} playbackSpeaker - Playback device configuration
+ * @returns {Promise<Object|null>} - Speaker configuration of the zone, or null if none found
+ */
+async function resolvePlaybackTarget(playbackSpeaker) {
+    if (playbackSpeaker.target) {
+        const target = YAMAHA_CONFIG.speakers.find(s => s.id === playbackSpeaker.target);
+        if (!target) {
+            console.error(`❌ ${playbackSpeaker.name}: target ${playbackSpeaker.target} not found`);
+        }
+        return target || null;
+    }
+    
+    const streamingZone = await findStreamingZone(playbackSpeaker.ip);
+    if (streamingZone) {
+        return streamingZone;
+    }
+    
+    // Nothing is streaming: fall back to the first zone on the playback device's receiver
+    return getAudioSpeakers(playbackSpeaker.ip)[0] || null;
+}
+
+/**
+ * Get the speakers that control a zone's audio (no playback devices or source selectors)
+ * @param {string} preferredIp - Speakers on this receiver come first
+ * @returns {Object[]} - Speaker configurations
+ */
+function getAudioSpeakers(preferredIp) {
+    return YAMAHA_CONFIG.speakers
+        .filter(s => !isPlaybackDevice(s) && !s.mode)
+        .sort((a, b) => (b.ip === preferredIp) - (a.ip === preferredIp));
+}
+
+/**
+ * Find a zone that is on and playing a netusb input
+ * @param {string} preferredIp - Zones on this receiver are checked first
+ * @returns {Promise<Object|null>} - Speaker configuration of the zone, or null if nothing is streaming
+ */
+async function findStreamingZone(preferredIp) {
+    for (const candidate of getAudioSpeakers(preferredIp)) {
+        if (!speakerStates[candidate.id] || speakerStates[candidate.id].input === undefined) {
+            await getCurrentVolumeAndUpdate(candidate);
+        }
+        const state = speakerStates[candidate.id] || {};
+        if (state.power === 'on' && isNetusbInput(candidate, state.input)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the playback gesture settings of a playback device (defaults merged with its own gestures)
+ * @param {Object} speaker - Playback device configuration
+ * @returns {Object} - Gesture settings
+ */
+function getPlaybackGestures(speaker) {
+    return Object.assign({}, YAMAHA_CONFIG.playbackGestures, speaker.gestures || {});
+}
+
+/**
+ * Run a playback action on the zone a playback device controls
+ * Resolves like the zone handlers in handlers.js: to nothing once the action has run (or had nothing
+ * to do), to { blocked: reason }, to { failed: error } or to { error: message } (see dispatchCommand)
+ * @param {Object} playbackSpeaker - Playback device configuration
+ * @param {string} action - play, pause, toggle, stop, next, previous or resume-or-next
+ * @returns {Promise<Object|undefined>} - Outcome if the action did not run
+ */
+async function runPlaybackAction(playbackSpeaker, action) {
+    if (!action || action === 'none') {
+        return;
+    }
+    
+    const target = await resolvePlaybackTarget(playbackSpeaker);
+    if (!target) {
+        const message = `${playbackSpeaker.name}: no zone to control`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    if (!checkSupported(target, 'netusb')) {
+        return { blocked: `${target.name} does not support netusb` };
+    }
+    const blocked = getCooldownBlock(playbackSpeaker, 'playback', 'Playback command', target);
+    if (blocked) {
+        return { blocked: blocked };
+    }
+    
+    try {
+        let playback = action;
+        if (action === 'toggle' || action === 'resume-or-next' || action === 'pause') {
+            const playbackStatus = await getPlaybackStatus(target);
+            if (action === 'toggle') {
+                playback = playbackStatus === 'play' ? 'pause' : 'play';
+            } else if (action === 'resume-or-next') {
+                // Resume a paused stream, skip ahead in a playing one
+                playback = playbackStatus === 'play' ? 'next' : (playbackStatus === 'pause' ? 'play' : null);
+            } else if (playbackStatus !== 'play') {
+                playback = null;
+            }
+        }
+        if (!playback) {
+            return;
+        }
+        if (!PLAYBACK_ACTION_LOGS[playback]) {
+            const message = `Unknown playback action for ${playbackSpeaker.id}: ${action}`;
+            console.log(message);
+            return { error: message };
+        }
+        
+        await sendPlaybackCommand(target, playback);
+        cooldownPolicy.record(playbackSpeaker, 'playback', target);
+        console.log(PLAYBACK_ACTION_LOGS[playback].replace('{name}', target.name));
+    } catch (error) {
+        console.error(`❌ Error running playback action ${action} on ${target.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Map a finished Twist rotation to its configured playback action
+ * @param {Object} gestures - Gesture settings
+ * @param {number} rotation - Total rotation away from the center (-0.5 to 0.5 per update)
+ * @returns {string|null} - Playback action
+ */
+function getTwistAction(gestures, rotation) {
+    if (rotation > 0) {
+        return gestures.twistRight;
+    }
+    return -rotation >= gestures.farThreshold ? gestures.twistLeftFar : gestures.twistLeft;
+}
+
+// Twist rotations in progress and gestures waiting for a possible second twist, per playback device
+const playbackGestureStates = {};
+
+/**
+ * Handle a completed Twist rotation: wait briefly for a second rotation (double twist),
+ * then run the matching action
+ * @param {Object} speaker - Playback device configuration
+ */
+function finishPlaybackTwist(speaker) {
+    const gestureState = playbackGestureStates[speaker.id];
+    const gestures = getPlaybackGestures(speaker);
+    const rotation = gestureState.rotation;
+    gestureState.rotation = 0;
+    gestureState.settleTimer = null;
+    
+    if (Math.abs(rotation) <= gestures.threshold) {
+        return;
+    }
+    
+    if (gestureState.pendingTimer) {
+        clearTimeout(gestureState.pendingTimer);
+        gestureState.pendingTimer = null;
+        runPlaybackAction(speaker, gestures.doubleTwist);
+        return;
+    }
+    
+    if (!gestures.doubleTwistMs || !gestures.doubleTwist || gestures.doubleTwist === 'none') {
+        runPlaybackAction(speaker, getTwistAction(gestures, rotation));
+        return;
+    }
+    
+    gestureState.pendingTimer = setTimeout(() => {
+        gestureState.pendingTimer = null;
+        runPlaybackAction(speaker, getTwistAction(gestures, rotation));
+    }, gestures.doubleTwistMs);
+}
+
+/**
+ * Handle playback device updates for playback control
+ * Updates are collected into one rotation until the Twist rests for settleMs;
+ * the total rotation then picks the gesture (see playbackGestures)
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+function handlePlaybackDeviceUpdate(deviceId, values) {
+    // Find the speaker configuration for this device
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || !isPlaybackDevice(speaker) || values.volume === undefined) {
+        return;
+    }
+    
+    const gestureState = playbackGestureStates[deviceId] ||
+        (playbackGestureStates[deviceId] = { rotation: 0, settleTimer: null, pendingTimer: null });
+    const volumeChange = values.volume - 0.5; // 0.5 is the center position
+    
+    gestureState.rotation += volumeChange;
+    clearTimeout(gestureState.settleTimer);
+    gestureState.settleTimer = setTimeout(() => finishPlaybackTwist(speaker), getPlaybackGestures(speaker).settleMs);
+    
+    // Reset playback device to center position
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: 0.5
+    });
+}
+
+module.exports = {
+    resolvePlaybackTarget,
+    getAudioSpeakers,
+    findStreamingZone,
+    getPlaybackGestures,
+    runPlaybackAction,
+    playbackGestureStates,
+    handlePlaybackDeviceUpdate
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./device-state":"hub/device-state.js","./cooldowns":"hub/cooldowns.js","./now-playing":"hub/now-playing.js"}],
+
+// ---- src/hub/link-groups.js ----
+"hub/link-groups.js": [function (module, exports, require) {
+// MusicCast Link groups (distribution): join, leave, party mode and group volume
+
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { getDeviceIps, checkSupported } = require('./device-registry');
+const { volumeToNative, nativeToVolume } = require('./volume-mapping');
+const {
+    DIST_API,
+    linkGroups,
+    findZoneSpeaker,
+    getLinkMembership,
+    getLinkGroupSpeakers,
+    getGroupLevel
+} = require('./link-group-state');
+const { getCurrentVolumeAndUpdate, refreshGroupTwist } = require('./device-state');
+const { setYamahaVolume } = require('./zone-commands');
+const { getAudioSpeakers, findStreamingZone } = require('./playback');
+
+/**
+ * Generate a MusicCast Link group id (32 hex characters)
+ * @returns {string} - Group id
+ */
+function generateGroupId() {
+    let groupId = '';
+    for (let i = 0; i < 32; i++) {
+        groupId += Math.floor(Math.random() * 16).toString(16);
+    }
+    return groupId;
+}
+
+/**
+ * Log the members of a group
+ * @param {Object} group - Link group
+ */
+function logLinkGroup(group) {
+    const server = findZoneSpeaker(group.serverIp, group.serverZone);
+    const serverName = server ? server.name : `${group.serverIp} (${group.serverZone})`;
+    const clientNames = group.clients.map(client => {
+        const speaker = findZoneSpeaker(client.ip, client.zone);
+        return speaker ? speaker.name : client.ip;
+    });
+    console.log(`🔗 ${serverName} group: ${clientNames.join(', ')}`);
+}
+
+/**
+ * Record the new state of a group, log it and refresh the group's Twist
+ * @param {string} serverIp - Server device IP address
+ * @param {Object|null} group - Link group, or null if the group ended
+ */
+function setLinkGroup(serverIp, group) {
+    const previous = linkGroups[serverIp];
+    if (group && group.clients.length > 0) {
+        linkGroups[serverIp] = group;
+        logLinkGroup(group);
+    } else if (previous) {
+        delete linkGroups[serverIp];
+        const server = findZoneSpeaker(serverIp, previous.serverZone);
+        console.log(`🔗 ${server ? server.name : serverIp} group ended`);
+    }
+    
+    const serverZone = (group || previous || {}).serverZone;
+    const server = serverZone && findZoneSpeaker(serverIp, serverZone);
+    if (server) {
+        refreshGroupTwist(server);
+    }
+}
+
+/**
+ * Read a device's distribution state and update the group it serves
+ * @param {string} ip - Device IP address
+ */
+async function refreshLinkGroup(ip) {
+    try {
+        const info = await yxcRequest(ip, `${DIST_API}/getDistributionInfo`);
+        const previous = linkGroups[ip];
+        
+        if (info.role !== 'server' || !Array.isArray(info.client_list) || info.client_list.length === 0) {
+            if (previous) {
+                setLinkGroup(ip, null);
+            }
+            return;
+        }
+        
+        // Client zones are not reported; keep the ones we linked, otherwise assume the main zone
+        const clients = info.client_list.map(client => {
+            const known = previous && previous.clients.find(c => c.ip === client.ip_address);
+            return { ip: client.ip_address, zone: known ? known.zone : 'main' };
+        });
+        const group = {
+            groupId: info.group_id,
+            serverIp: ip,
+            serverZone: info.server_zone || (previous ? previous.serverZone : 'main'),
+            clients: clients
+        };
+        
+        if (!previous || JSON.stringify(previous) !== JSON.stringify(group)) {
+            setLinkGroup(ip, group);
+        }
+    } catch (error) {
+        console.error(`❌ Error reading MusicCast Link state for ${ip}:`, error);
+    }
+}
+
+/**
+ * Read the distribution state of every device
+ */
+async function refreshAllLinkGroups() {
+    for (const ip of getDeviceIps()) {
+        if (deviceRegistry[ip] && deviceRegistry[ip].discovered && !deviceRegistry[ip].distribution) {
+            continue;
+        }
+        await refreshLinkGroup(ip);
+    }
+}
+
+/**
+ * Link a client zone to a server zone so it plays the same audio
+ * @param {string} clientId - Speaker that joins
+ * @param {string} serverId - Speaker whose audio is shared
+ */
+async function joinLinkGroup(clientId, serverId) {
+    const client = YAMAHA_CONFIG.speakers.find(s => s.id === clientId);
+    const server = YAMAHA_CONFIG.speakers.find(s => s.id === serverId);
+    if (!client || !server) {
+        throw new Error(`Speaker ${!client ? clientId : serverId} not found`);
+    }
+    if (client.ip === server.ip) {
+        throw new Error(`${client.name} and ${server.name} are zones of the same device`);
+    }
+    if (!checkSupported(client, 'link') || !checkSupported(server, 'link')) {
+        throw new Error(`MusicCast Link is not supported by ${client.name} or ${server.name}`);
+    }
+    
+    const existing = linkGroups[server.ip];
+    if (existing && existing.serverZone !== server.zone) {
+        throw new Error(`${server.ip} already shares its ${existing.serverZone} zone`);
+    }
+    
+    // A zone can only be in one group: leave the old one first
+    const membership = getLinkMembership(client.ip, client.zone);
+    if (membership && membership.group === existing && membership.role === 'client') {
+        console.log(`🔗 ${client.name} is already linked to ${server.name}`);
+        return;
+    }
+    if (membership) {
+        await leaveLinkGroup(clientId);
+    }
+    // A device that shares another of its zones cannot also be a client: end that group
+    if (linkGroups[client.ip]) {
+        console.log(`Ending the group ${client.ip} shares`);
+        await dissolveLinkGroup(linkGroups[client.ip]);
+    }
+    const serverMembership = getLinkMembership(server.ip, server.zone);
+    if (serverMembership && serverMembership.role === 'client') {
+        await leaveLinkGroup(serverId);
+    }
+    
+    const groupId = existing ? existing.groupId : generateGroupId();
+    console.log(`Linking ${client.name} to ${server.name}`);
+    
+    await yxcRequest(client.ip, `${DIST_API}/setClientInfo`, null, {
+        body: { group_id: groupId, zone: [client.zone], server_ip_address: server.ip }
+    });
+    await yxcRequest(server.ip, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: groupId, zone: server.zone, type: 'add', client_list: [client.ip] }
+    });
+    await yxcRequest(server.ip, `${DIST_API}/startDistribution`, { num: 0 });
+    
+    setLinkGroup(server.ip, {
+        groupId: groupId,
+        serverIp: server.ip,
+        serverZone: server.zone,
+        clients: (existing ? existing.clients : []).concat([{ ip: client.ip, zone: client.zone }])
+    });
+}
+
+/**
+ * End a group: unlink every client and stop distributing
+ * @param {Object} group - Link group
+ */
+async function dissolveLinkGroup(group) {
+    for (const client of group.clients) {
+        try {
+            await yxcRequest(client.ip, `${DIST_API}/setClientInfo`, null, {
+                body: { group_id: '', zone: [client.zone] }
+            });
+        } catch (error) {
+            console.error(`❌ Error unlinking ${client.ip}:`, error);
+        }
+    }
+    await yxcRequest(group.serverIp, `${DIST_API}/stopDistribution`);
+    await yxcRequest(group.serverIp, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: '', zone: group.serverZone }
+    });
+    setLinkGroup(group.serverIp, null);
+}
+
+/**
+ * Take a zone out of its group (ends the group if the zone is its server)
+ * @param {string} speakerId - Speaker that leaves
+ */
+async function leaveLinkGroup(speakerId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const membership = getLinkMembership(speaker.ip, speaker.zone);
+    if (!membership) {
+        console.log(`🔗 ${speaker.name} is not linked`);
+        return;
+    }
+    
+    const group = membership.group;
+    if (membership.role === 'server') {
+        console.log(`Ending the group of ${speaker.name}`);
+        await dissolveLinkGroup(group);
+        return;
+    }
+    
+    console.log(`Unlinking ${speaker.name}`);
+    await yxcRequest(speaker.ip, `${DIST_API}/setClientInfo`, null, {
+        body: { group_id: '', zone: [speaker.zone] }
+    });
+    
+    const clients = group.clients.filter(client => !(client.ip === speaker.ip && client.zone === speaker.zone));
+    if (clients.length === 0) {
+        await dissolveLinkGroup(Object.assign({}, group, { clients: [] }));
+        return;
+    }
+    
+    await yxcRequest(group.serverIp, `${DIST_API}/setServerInfo`, null, {
+        body: { group_id: group.groupId, zone: group.serverZone, type: 'remove', client_list: [speaker.ip] }
+    });
+    await yxcRequest(group.serverIp, `${DIST_API}/startDistribution`, { num: 0 });
+    setLinkGroup(group.serverIp, Object.assign({}, group, { clients: clients }));
+}
+
+/**
+ * Party mode: link one zone of every other device to the zone that is streaming
+ * (or the first configured zone if nothing is)
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a device could not be linked,
+ *                                        { blocked: reason } if there is no zone to share
+ */
+async function startPartyMode() {
+    const server = await findStreamingZone() || getAudioSpeakers()[0];
+    if (!server) {
+        console.log('🚫 No zone to share');
+        return { blocked: 'No zone to share' };
+    }
+    
+    console.log(`🎉 Party mode: sharing ${server.name}`);
+    const linkedIps = [server.ip];
+    let failure = null;
+    for (const speaker of getAudioSpeakers()) {
+        if (linkedIps.includes(speaker.ip)) {
+            continue;
+        }
+        linkedIps.push(speaker.ip);
+        
+        try {
+            await joinLinkGroup(speaker.id, server.id);
+        } catch (error) {
+            console.error(`❌ Could not link ${speaker.name}:`, error);
+            failure = failure || error;
+        }
+    }
+    return failure ? { failed: failure } : undefined;
+}
+
+/**
+ * End every group
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a group could not be ended
+ */
+async function stopPartyMode() {
+    const groups = Object.values(linkGroups);
+    if (groups.length === 0) {
+        console.log('🔗 No MusicCast Link groups active');
+        return;
+    }
+    let failure = null;
+    for (const group of groups) {
+        try {
+            await dissolveLinkGroup(group);
+        } catch (error) {
+            console.error(`❌ Error ending the group of ${group.serverIp}:`, error);
+            failure = failure || error;
+        }
+    }
+    return failure ? { failed: failure } : undefined;
+}
+
+/**
+ * Set the volume of a whole group from one Twist
+ * Members keep their volumes relative to each other: the loudest member moves to the new
+ * level and the others are scaled by the same factor
+ * @param {Object} server - Speaker configuration of the server zone
+ * @param {number} level - Virtual device volume (0-1)
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first one) if a member's volume was not set
+ */
+async function setGroupVolume(server, level) {
+    const group = linkGroups[server.ip];
+    const members = getLinkGroupSpeakers(group).filter(speaker => checkSupported(speaker, 'volume'));
+    
+    for (const member of members) {
+        if (!speakerStates[member.id] || speakerStates[member.id].volume === undefined) {
+            await getCurrentVolumeAndUpdate(member);
+        }
+    }
+    
+    const currentLevel = getGroupLevel(group) || 0;
+    const results = await Promise.all(members.map(member => {
+        const state = speakerStates[member.id] || {};
+        const memberLevel = state.volume !== undefined ? nativeToVolume(member, state.volume) : currentLevel;
+        const newLevel = currentLevel > 0 ? Math.min(1, memberLevel * level / currentLevel) : level;
+        return setYamahaVolume(member.id, volumeToNative(member, newLevel))
+            .then(() => null, error => ({ speaker: member, error: error }));
+    }));
+    
+    const failures = results.filter(result => result);
+    if (failures.length > 0) {
+        console.error(`❌ Group volume not set on ${failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ')}`);
+        return { failed: failures[0].error };
+    }
+}
+
+module.exports = {
+    refreshLinkGroup,
+    refreshAllLinkGroups,
+    joinLinkGroup,
+    leaveLinkGroup,
+    startPartyMode,
+    stopPartyMode,
+    setGroupVolume
+};
+}, {"../config":"config.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js","./link-group-state":"hub/link-group-state.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./playback":"hub/playback.js"}],
+
+// ---- src/hub/handlers.js ----
+"hub/handlers.js": [function (module, exports, require) {
+// Zone commands from action messages and the Twists of speakers and input selectors
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { getZoneInputs, checkSupported } = require('./device-registry');
+const { logVolumeLimit } = require('./volume-limits');
+const { clampNativeVolume, volumeToNative, nativeToVolume, getVolumeStepSize } = require('./volume-mapping');
+const { controlsGroupVolume } = require('./link-group-state');
+const { getInputPosition, applyZoneStatus } = require('./device-state');
+const {
+    setYamahaVolume,
+    setYamahaInput,
+    recallYamahaScene,
+    SLEEP_MINUTES,
+    setYamahaSleep,
+    getNetusbPresets,
+    recallNetusbPreset,
+    getTunerPresets,
+    recallTunerPreset
+} = require('./zone-commands');
+const { cancelFade, setZoneMute } = require('./fades');
+const { cooldownPolicy, getCooldownBlock, passesCooldown, restoreTwistPosition } = require('./cooldowns');
+const { joinLinkGroup, leaveLinkGroup, setGroupVolume } = require('./link-groups');
+
+/**
+ * Check that a zone command may run: the zone supports the function and no cooldown blocks it
+ * @param {Object} speaker - Speaker configuration
+ * @param {string} func - YXC function (volume, power, mute, ...)
+ * @param {string} commandClass - Cooldown class (volume, power), or undefined for none
+ * @param {string} description - Command for the cooldown log, e.g. "Volume up"
+ * @returns {Object|null} - null if it may run, otherwise the handler result { blocked: reason }
+ */
+function checkZoneCommand(speaker, func, commandClass, description) {
+    if (!checkSupported(speaker, func)) {
+        return { blocked: `${speaker.name} does not support ${func}` };
+    }
+    const blocked = commandClass ? getCooldownBlock(speaker, commandClass, description) : null;
+    return blocked ? { blocked: blocked } : null;
+}
+
+// Zone command handlers resolve to nothing once the command has run, to { blocked: reason } if a
+// cooldown, volume limit or missing feature kept it from running, to { failed: error } if the
+// receiver request failed, or to { error: message } if an argument is invalid (see dispatchCommand)
+
+/**
+ * Handle volume up for specific device
+ */
+async function handleDeviceVolumeUp(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume up');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current volume
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const currentVolume = statusData.volume;
+        const newVolume = clampNativeVolume(speaker, currentVolume + getVolumeStepSize(speaker));
+        const held = logVolumeLimit(speaker, currentVolume + getVolumeStepSize(speaker), newVolume);
+        if (held && newVolume === currentVolume) {
+            return { blocked: held };
+        }
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+    } catch (error) {
+        console.error(`❌ Error increasing volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle volume down for specific device
+ */
+async function handleDeviceVolumeDown(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume down');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current volume
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const currentVolume = statusData.volume;
+        const newVolume = clampNativeVolume(speaker, currentVolume - getVolumeStepSize(speaker));
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+    } catch (error) {
+        console.error(`❌ Error decreasing volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle a volume level or relative volume change for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {Object} level - { value, relative } in native steps (see parseCommandNumber); clamped to the zone's range and limits
+ */
+async function handleDeviceVolumeSet(deviceId, level) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'volume', 'volume', 'Volume change');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        let requested = level.value;
+        let currentVolume = (speakerStates[speaker.id] || {}).volume;
+        if (level.relative) {
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            currentVolume = statusData.volume;
+            requested += currentVolume;
+        }
+        const newVolume = clampNativeVolume(speaker, requested);
+        const held = logVolumeLimit(speaker, requested, newVolume);
+        if (held && newVolume === currentVolume) {
+            return { blocked: held };
+        }
+        
+        await setYamahaVolume(deviceId, newVolume);
+        cooldownPolicy.record(speaker, 'volume');
+        console.log(`✅ ${speaker.name} volume set to ${newVolume}`);
+    } catch (error) {
+        console.error(`❌ Error setting volume for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle mute toggle for specific device
+ */
+async function handleDeviceMuteToggle(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'mute');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current mute status
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const isCurrentlyMuted = statusData.mute;
+        
+        // Toggle mute status (ramped if soft mute is on)
+        const newMuteState = !isCurrentlyMuted;
+        if (!await setZoneMute(speaker, newMuteState)) {
+            return;
+        }
+        
+        console.log(`✅ ${speaker.name} ${newMuteState ? 'muted' : 'unmuted'}`);
+    } catch (error) {
+        console.error(`❌ Error toggling mute for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power toggle for specific device
+ */
+async function handleDevicePowerToggle(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        // Get current power status
+        const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+        const isCurrentlyOn = statusData.power === 'on';
+        
+        // Toggle power status
+        const newPowerState = isCurrentlyOn ? 'standby' : 'on';
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: newPowerState
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: newPowerState });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned ${newPowerState === 'on' ? 'on' : 'off'}`);
+    } catch (error) {
+        console.error(`❌ Error toggling power for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power on for specific device
+ */
+async function handleDevicePowerOn(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: 'on'
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: 'on' });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned on`);
+    } catch (error) {
+        console.error(`❌ Error turning on ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle power off for specific device
+ */
+async function handleDevicePowerOff(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const refused = checkZoneCommand(speaker, 'power', 'power', 'Power command');
+    if (refused) {
+        return refused;
+    }
+    
+    try {
+        await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'power'), {
+            power: 'standby'
+        });
+        
+        applyZoneStatus(speaker.ip, speaker.zone, { power: 'standby' });
+        cooldownPolicy.record(speaker, 'power');
+        console.log(`✅ ${speaker.name} turned off`);
+    } catch (error) {
+        console.error(`❌ Error turning off ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle input selection for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} input - Input id, or 'next' / 'previous' to cycle through the zone's inputs
+ */
+async function handleDeviceInput(deviceId, input) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        let targetInput = input;
+        if (input === 'next' || input === 'previous') {
+            const inputs = getZoneInputs(speaker);
+            if (inputs.length === 0) {
+                const message = `${speaker.name}: input list unknown, cannot cycle inputs`;
+                console.log(`🚫 ${message}`);
+                return { blocked: message };
+            }
+            
+            // Get current input
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            const currentIndex = inputs.indexOf(statusData.input);
+            const offset = input === 'next' ? 1 : -1;
+            const newIndex = currentIndex === -1 ? 0 : (currentIndex + offset + inputs.length) % inputs.length;
+            targetInput = inputs[newIndex];
+        }
+        
+        await setYamahaInput(deviceId, targetInput);
+        console.log(`✅ ${speaker.name} switched to ${targetInput}`);
+    } catch (error) {
+        console.error(`❌ Error switching input for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle sleep timer for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Minutes (30, 60, 90, 120) or off
+ */
+async function handleDeviceSleep(deviceId, value) {
+    const minutes = value === 'off' ? 0 : Number(value);
+    if (!SLEEP_MINUTES.includes(minutes)) {
+        const message = `Invalid sleep time for device ${deviceId}: ${value} (expected 30, 60, 90, 120 or off)`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await setYamahaSleep(deviceId, minutes);
+        console.log(`💤 ${deviceId} sleep timer ${minutes === 0 ? 'off' : `set to ${minutes} minutes`}`);
+    } catch (error) {
+        console.error(`❌ Error setting sleep timer on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Parse a 1-based number argument (scene, preset)
+ * @param {string} value - Argument from the action message
+ * @returns {number|null} - Number, or null if it is not a positive integer
+ */
+function parsePositiveInteger(value) {
+    const num = Number(value);
+    return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+/**
+ * Handle scene recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Scene number argument
+ */
+async function handleDeviceScene(deviceId, value) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid scene number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallYamahaScene(deviceId, num);
+        console.log(`✅ ${deviceId} recalled scene ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling scene ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle net/USB preset recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Preset number argument
+ */
+async function handleDevicePreset(deviceId, value) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid preset number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallNetusbPreset(deviceId, num);
+        console.log(`✅ ${deviceId} recalled preset ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling preset ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Log the net/USB preset list of a device
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDevicePresetList(deviceId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        return;
+    }
+    if (!checkSupported(speaker, 'netusb')) {
+        return { blocked: `${speaker.name} does not support netusb` };
+    }
+    
+    try {
+        const presets = await getNetusbPresets(speaker.ip);
+        console.log(`📻 Presets on ${speaker.name}:`);
+        presets.forEach(preset => console.log(`  ${preset.num}. ${preset.name} (${preset.input})`));
+        if (presets.length === 0) {
+            console.log('  (no presets stored)');
+        }
+    } catch (error) {
+        console.error(`❌ Error getting presets for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle tuner preset recall for specific device
+ * @param {string} deviceId - Device identifier
+ * @param {string} value - Preset number argument
+ * @param {string} band - Optional band (am, fm, dab)
+ */
+async function handleDeviceTunerPreset(deviceId, value, band) {
+    const num = parsePositiveInteger(value);
+    if (num === null) {
+        const message = `Invalid tuner preset number for device ${deviceId}: ${value}`;
+        console.log(message);
+        return { error: message };
+    }
+    
+    try {
+        await recallTunerPreset(deviceId, num, band);
+        console.log(`✅ ${deviceId} recalled tuner preset ${num}`);
+    } catch (error) {
+        console.error(`❌ Error recalling tuner preset ${num} on ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Log the tuner preset list of a device
+ * @param {string} deviceId - Device identifier
+ * @param {string} band - Optional band (am, fm, dab)
+ */
+async function handleDeviceTunerPresetList(deviceId, band) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        return;
+    }
+    if (!checkSupported(speaker, 'tuner')) {
+        return { blocked: `${speaker.name} does not support tuner` };
+    }
+    
+    try {
+        const presets = await getTunerPresets(speaker, band);
+        console.log(`📻 Tuner presets on ${speaker.name}:`);
+        presets.forEach(preset => console.log(`  ${preset.num}. ${preset.name}`));
+        if (presets.length === 0) {
+            console.log('  (no presets stored)');
+        }
+    } catch (error) {
+        console.error(`❌ Error getting tuner presets for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} join {server-device-id}": play the server zone's audio on this zone
+ * @param {string} deviceId - Device identifier
+ * @param {string} serverId - Device identifier of the zone to follow
+ */
+async function handleDeviceJoin(deviceId, serverId) {
+    try {
+        await joinLinkGroup(deviceId, serverId);
+    } catch (error) {
+        console.error(`❌ Error linking ${deviceId} to ${serverId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} leave": unlink the zone (ends its group if it is the server)
+ * @param {string} deviceId - Device identifier
+ */
+async function handleDeviceLeave(deviceId) {
+    try {
+        await leaveLinkGroup(deviceId);
+    } catch (error) {
+        console.error(`❌ Error unlinking ${deviceId}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle source selector updates: each detent into another segment selects that input
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+async function handleInputDeviceUpdate(deviceId, values) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || values.volume === undefined) {
+        return;
+    }
+    
+    const inputs = getZoneInputs(speaker);
+    if (inputs.length === 0) {
+        console.log(`🚫 ${speaker.name}: input list unknown, cannot select sources`);
+        return;
+    }
+    
+    const index = Math.min(inputs.length - 1, Math.floor(Math.max(0, values.volume) * inputs.length));
+    const state = speakerStates[speaker.id] || {};
+    if (inputs[index] === state.input) {
+        return;
+    }
+    
+    try {
+        await setYamahaInput(deviceId, inputs[index]);
+    } catch (error) {
+        console.error(`❌ Failed to select source on ${deviceId}:`, error);
+    }
+    
+    // Snap the Twist to the middle of the selected input's segment
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: getInputPosition(speaker, (speakerStates[speaker.id] || {}).input)
+    });
+}
+
+async function handleYamahaSpeakerUpdate(deviceId, values) {
+    if (values.volume !== undefined) {
+        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+        if (!speaker || !checkSupported(speaker, 'volume')) {
+            return;
+        }
+        
+        // A blocked update snaps the Twist back to the zone's real volume
+        if (!passesCooldown(speaker, 'volume', 'Volume change')) {
+            restoreTwistPosition(speaker);
+            return;
+        }
+        cancelFade(speaker.id);
+        
+        // The server zone of a MusicCast Link group sets the volume of the whole group
+        if (controlsGroupVolume(speaker)) {
+            await setGroupVolume(speaker, values.volume);
+            cooldownPolicy.record(speaker, 'volume');
+            return;
+        }
+        const nativeVolume = volumeToNative(speaker, values.volume);
+        if (nativeToVolume(speaker, nativeVolume) < values.volume - 0.01) {
+            logVolumeLimit(speaker, Infinity, nativeVolume);
+        }
+        
+        try {
+            await setYamahaVolume(deviceId, nativeVolume);
+            cooldownPolicy.record(speaker, 'volume');
+        } catch (error) {
+            console.error(`❌ Failed to update Yamaha speaker ${deviceId}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    handleDeviceVolumeUp,
+    handleDeviceVolumeDown,
+    handleDeviceVolumeSet,
+    handleDeviceMuteToggle,
+    handleDevicePowerToggle,
+    handleDevicePowerOn,
+    handleDevicePowerOff,
+    handleDeviceInput,
+    handleDeviceSleep,
+    parsePositiveInteger,
+    handleDeviceScene,
+    handleDevicePreset,
+    handleDevicePresetList,
+    handleDeviceTunerPreset,
+    handleDeviceTunerPresetList,
+    handleDeviceJoin,
+    handleDeviceLeave,
+    handleInputDeviceUpdate,
+    handleYamahaSpeakerUpdate
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-limits":"hub/volume-limits.js","./volume-mapping":"hub/volume-mapping.js","./link-group-state":"hub/link-group-state.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./fades":"hub/fades.js","./cooldowns":"hub/cooldowns.js","./link-groups":"hub/link-groups.js"}],
+
+// ---- src/hub/sound.js ----
+"hub/sound.js": [function (module, exports, require) {
+// Sound settings (sound program, tone, dialogue, pure direct, enhancer, ...) and sound-mode Twists
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { getZoneEndpoint } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const {
+    SOUND_LEVELS,
+    SOUND_SWITCHES,
+    getSoundLevelRange,
+    fitSoundLevel,
+    getZoneSoundPrograms,
+    getSoundPosition
+} = require('./sound-settings');
+const { applyZoneStatus } = require('./device-state');
+
+/**
+ * Set a sound level (bass, treble, dialogue level, subwoofer volume) on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @param {number} value - Requested level (rounded to the zone's step and range)
+ * @returns {Promise<number>} - Level that was set
+ */
+async function setYamahaSoundLevel(speakerId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const level = SOUND_LEVELS[setting];
+    if (!checkSupported(speaker, level.func)) {
+        throw new Error(`${speaker.name} does not support ${level.label.toLowerCase()}`);
+    }
+    
+    const fitted = fitSoundLevel(getSoundLevelRange(speaker, setting), value);
+    await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, level.endpoint), level.params(fitted),
+        { coalesceKey: `${setting}:${speaker.zone}` });
+    
+    const state = speakerStates[speaker.id] || {};
+    const status = {};
+    if (level.func === 'tone_control') {
+        status.tone_control = Object.assign({}, state.tone_control, { mode: 'manual', [setting]: fitted });
+    } else {
+        status[level.func] = fitted;
+    }
+    applyZoneStatus(speaker.ip, speaker.zone, status);
+    
+    console.log(`🎚️ ${level.label} of ${speaker.name} set to ${fitted}`);
+    return fitted;
+}
+
+/**
+ * Switch a sound setting (Pure Direct, Enhancer, Extra Bass) on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} setting - Key of SOUND_SWITCHES
+ * @param {boolean} enable - New state
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSoundSwitch(speakerId, setting, enable) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    
+    const soundSwitch = SOUND_SWITCHES[setting];
+    if (!checkSupported(speaker, soundSwitch.func)) {
+        throw new Error(`${speaker.name} does not support ${soundSwitch.label}`);
+    }
+    
+    const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, soundSwitch.endpoint), {
+        enable: enable.toString()
+    });
+    applyZoneStatus(speaker.ip, speaker.zone, { [soundSwitch.field]: enable });
+    
+    console.log(`🎚️ ${soundSwitch.label} ${enable ? 'on' : 'off'} for ${speaker.name}`);
+    return response;
+}
+
+/**
+ * Select a sound program on a specific Yamaha speaker
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} program - Program id (straight, movie, music, ...)
+ * @returns {Promise<Object>} - Parsed YXC reply
+ */
+async function setYamahaSoundProgram(speakerId, program) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        throw new Error(`Speaker ${speakerId} not found`);
+    }
+    if (!checkSupported(speaker, 'sound_program')) {
+        throw new Error(`${speaker.name} does not support sound programs`);
+    }
+    
+    const programs = getZoneSoundPrograms(speaker);
+    if (programs.length > 0 && !programs.includes(program)) {
+        console.log(`🚫 ${speaker.name}: unknown sound program "${program}" (available: ${programs.join(', ')})`);
+        throw new Error(`${speaker.name} does not support sound program ${program}`);
+    }
+    
+    const response = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'program'), {
+        program: program
+    });
+    applyZoneStatus(speaker.ip, speaker.zone, { sound_program: program });
+    
+    console.log(`🎚️ ${speaker.name} sound program set to ${program}`);
+    return response;
+}
+
+/**
+ * Get a speaker's zone status, from the cache if it holds the field, otherwise from the device
+ * @param {Object} speaker - Speaker configuration
+ * @param {Function} read - Reads the wanted value from a status
+ * @returns {Promise<*>} - The value (undefined if the zone does not report it)
+ */
+async function readZoneValue(speaker, read) {
+    const cached = read(speakerStates[speaker.id] || {});
+    if (cached !== undefined) {
+        return cached;
+    }
+    const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+    applyZoneStatus(speaker.ip, speaker.zone, statusData);
+    return read(statusData);
+}
+
+// Like the zone handlers in handlers.js, the sound handlers resolve to nothing once the command has
+// run, to { blocked: reason }, to { failed: error } or to { error: message } (see dispatchCommand)
+
+/**
+ * Handle "{device-id} {bass|treble|dialogue|subwoofer} {n|up|down}"
+ * @param {string} deviceId - Device identifier
+ * @param {string} setting - Key of SOUND_LEVELS
+ * @param {string} value - Level, or up / down to move one step
+ */
+async function handleDeviceSoundLevel(deviceId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const level = SOUND_LEVELS[setting];
+    if (!checkSupported(speaker, level.func)) {
+        return { blocked: `${speaker.name} does not support ${level.label.toLowerCase()}` };
+    }
+    
+    try {
+        let target = Number(value);
+        if (value === 'up' || value === 'down') {
+            const range = getSoundLevelRange(speaker, setting);
+            const current = await readZoneValue(speaker, level.read);
+            target = (current === undefined ? range.min : current) + (value === 'up' ? range.step : -range.step);
+        } else if (value === '' || !Number.isFinite(target)) {
+            const message = `Invalid ${level.label.toLowerCase()} for device ${deviceId}: ${value}`;
+            console.log(message);
+            return { error: message };
+        }
+        
+        await setYamahaSoundLevel(deviceId, setting, target);
+    } catch (error) {
+        console.error(`❌ Error setting ${level.label.toLowerCase()} for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} {puredirect|enhancer|extrabass} [on|off]" (no argument toggles)
+ * @param {string} deviceId - Device identifier
+ * @param {string} setting - Key of SOUND_SWITCHES
+ * @param {string} value - on, off or undefined
+ */
+async function handleDeviceSoundSwitch(deviceId, setting, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const soundSwitch = SOUND_SWITCHES[setting];
+    if (!checkSupported(speaker, soundSwitch.func)) {
+        return { blocked: `${speaker.name} does not support ${soundSwitch.label}` };
+    }
+    
+    try {
+        let enable = value === 'on';
+        if (value === undefined) {
+            // Toggle from the zone's current state
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            enable = !statusData[soundSwitch.field];
+        }
+        
+        await setYamahaSoundSwitch(deviceId, setting, enable);
+    } catch (error) {
+        console.error(`❌ Error switching ${soundSwitch.label} for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle "{device-id} program {name|next|previous}"
+ * @param {string} deviceId - Device identifier
+ * @param {string} program - Program id, or 'next' / 'previous' to cycle through the zone's programs
+ */
+async function handleDeviceSoundProgram(deviceId, program) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    if (!checkSupported(speaker, 'sound_program')) {
+        return { blocked: `${speaker.name} does not support sound programs` };
+    }
+    
+    const programs = getZoneSoundPrograms(speaker);
+    const cycle = program === 'next' || program === 'previous';
+    if (cycle && programs.length === 0) {
+        const message = `${speaker.name}: sound program list unknown, cannot cycle programs`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    if (!cycle && programs.length > 0 && !programs.includes(program)) {
+        const message = `${speaker.name}: unknown sound program "${program}" (available: ${programs.join(', ')})`;
+        console.log(`🚫 ${message}`);
+        return { error: message };
+    }
+    
+    try {
+        let targetProgram = program;
+        if (cycle) {
+            const statusData = await yxcRequest(speaker.ip, getZoneEndpoint(speaker.zone, 'status'));
+            const currentIndex = programs.indexOf(statusData.sound_program);
+            const offset = program === 'next' ? 1 : -1;
+            const newIndex = currentIndex === -1 ? 0 : (currentIndex + offset + programs.length) % programs.length;
+            targetProgram = programs[newIndex];
+        }
+        
+        await setYamahaSoundProgram(deviceId, targetProgram);
+    } catch (error) {
+        console.error(`❌ Error selecting sound program for ${speaker.name}:`, error);
+        return { failed: error };
+    }
+}
+
+/**
+ * Handle Twist updates of a sound control
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+async function handleSoundDeviceUpdate(deviceId, values) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+    if (!speaker || values.volume === undefined) {
+        return;
+    }
+    const position = Math.max(0, Math.min(1, values.volume));
+    const state = speakerStates[speaker.id] || {};
+    
+    try {
+        if (speaker.mode === 'program') {
+            const programs = getZoneSoundPrograms(speaker);
+            if (programs.length === 0) {
+                console.log(`🚫 ${speaker.name}: sound program list unknown, cannot select programs`);
+                return;
+            }
+            const program = programs[Math.min(programs.length - 1, Math.floor(position * programs.length))];
+            if (program !== state.sound_program) {
+                await setYamahaSoundProgram(deviceId, program);
+            }
+        } else {
+            const range = getSoundLevelRange(speaker, speaker.mode);
+            const value = fitSoundLevel(range, range.min + position * (range.max - range.min));
+            if (value !== SOUND_LEVELS[speaker.mode].read(state)) {
+                await setYamahaSoundLevel(deviceId, speaker.mode, value);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Failed to update ${deviceId}:`, error);
+    }
+    
+    // Snap the Twist to the selected program or level
+    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
+        volume: getSoundPosition(speaker, speakerStates[speaker.id] || {})
+    });
+}
+
+module.exports = {
+    handleDeviceSoundLevel,
+    handleDeviceSoundSwitch,
+    handleDeviceSoundProgram,
+    handleSoundDeviceUpdate
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./sound-settings":"hub/sound-settings.js","./device-state":"hub/device-state.js"}],
+
+// ---- src/hub/zone-groups.js ----
+"hub/zone-groups.js": [function (module, exports, require) {
+// Zone groups: commands and Twist turns fanned out to every member
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { checkSupported } = require('./device-registry');
+const { volumeToNative, nativeToVolume } = require('./volume-mapping');
+const { getZoneGroup, getZoneGroupLevel, refreshZoneGroupTwist } = require('./zone-group-levels');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { setYamahaVolume, setYamahaPower } = require('./zone-commands');
+const { cancelFade, setZoneMute } = require('./fades');
+const { cooldownPolicy, getCooldownBlock } = require('./cooldowns');
+
+/**
+ * Run a command on every member of a group in parallel and report the members that failed
+ * @param {Object} group - Zone group
+ * @param {string} description - Result for the log, e.g. "turned on"
+ * @param {Function} command - Called with each member; returns a promise
+ * @returns {Promise<Object|undefined>} - { failed: error } (the first member's error) if any member failed
+ */
+async function fanOutToZoneGroup(group, description, command) {
+    const results = await Promise.all(group.members.map(member =>
+        Promise.resolve()
+            .then(() => command(member))
+            .then(() => null, error => ({ speaker: member, error: error }))
+    ));
+    
+    const failures = results.filter(result => result);
+    if (failures.length === 0) {
+        console.log(`✅ ${group.name} ${description}`);
+    } else if (failures.length < group.members.length) {
+        const details = failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ');
+        console.log(`⚠️ ${group.name} ${description} on ${group.members.length - failures.length} of ${group.members.length} zones (failed: ${details})`);
+    } else {
+        const details = failures.map(failure => `${failure.speaker.name}: ${failure.error.message}`).join('; ');
+        console.error(`❌ ${group.name} not ${description} (${details})`);
+    }
+    return failures.length > 0 ? { failed: failures[0].error } : undefined;
+}
+
+/**
+ * Handle group Twist updates: move every member by the same amount, keeping their offsets
+ * Each member is clamped to its own range; members in a cooldown keep their volume
+ * @param {string} groupId - Group identifier (virtual device ID)
+ * @param {Object} values - Values from Flic Twist
+ * @returns {Promise<Object|undefined>} - { failed: error } if a member failed, { blocked: reason } if every member was held back
+ */
+async function handleZoneGroupUpdate(groupId, values) {
+    const group = getZoneGroup(groupId);
+    if (!group || values.volume === undefined) {
+        return;
+    }
+    group.members.forEach(member => cancelFade(member.id));
+    
+    for (const member of group.members) {
+        if (!speakerStates[member.id] || speakerStates[member.id].volume === undefined) {
+            await getCurrentVolumeAndUpdate(member);
+        }
+    }
+    
+    const currentLevel = getZoneGroupLevel(group);
+    const change = currentLevel === null ? 0 : values.volume - currentLevel;
+    const blocks = [];
+    const members = group.members.filter(member => {
+        if (!checkSupported(member, 'volume')) {
+            blocks.push(`${member.name} does not support volume`);
+            return false;
+        }
+        const blocked = getCooldownBlock(member, 'volume', 'Volume change');
+        if (blocked) {
+            blocks.push(blocked);
+        }
+        return !blocked;
+    });
+    
+    const failures = await Promise.all(members.map(member => {
+        const state = speakerStates[member.id] || {};
+        const memberLevel = state.volume !== undefined ? nativeToVolume(member, state.volume) : values.volume;
+        const level = Math.max(0, Math.min(1, memberLevel + change));
+        return setYamahaVolume(member.id, volumeToNative(member, level))
+            .then(() => {
+                cooldownPolicy.record(member, 'volume');
+                return null;
+            }, error => {
+                console.error(`❌ Group volume not set on ${member.name}:`, error);
+                return error;
+            });
+    }));
+    
+    // Snap the group Twist to the level the members actually reached
+    refreshZoneGroupTwist(group);
+    
+    const failure = failures.find(error => error);
+    if (failure) {
+        return { failed: failure };
+    }
+    return members.length === 0 && blocks.length > 0 ? { blocked: blocks.join('; ') } : undefined;
+}
+
+/**
+ * Handle group action messages: "{group-id} on|off|power|mute|volume up|volume down"
+ * Resolves like the zone handlers in handlers.js; a member that failed makes the whole command { failed }
+ * @param {string} groupId - Group identifier
+ * @param {string} action - Action from the message
+ * @returns {Promise<Object|undefined>} - Outcome if the command did not run on every member
+ */
+async function handleZoneGroupAction(groupId, action) {
+    const group = getZoneGroup(groupId);
+    if (group.members.length === 0) {
+        const message = `Group ${groupId} has no configured members`;
+        console.log(`🚫 ${message}`);
+        return { blocked: message };
+    }
+    group.members.forEach(member => cancelFade(member.id));
+    
+    switch (action) {
+        case 'on':
+            return fanOutToZoneGroup(group, 'turned on', member => setYamahaPower(member.id, true));
+        case 'off':
+            return fanOutToZoneGroup(group, 'turned off', member => setYamahaPower(member.id, false));
+        case 'power': {
+            // Turn the group on unless every member is already on
+            const allOn = group.members.every(member => (speakerStates[member.id] || {}).power === 'on');
+            return fanOutToZoneGroup(group, allOn ? 'turned off' : 'turned on', member => setYamahaPower(member.id, !allOn));
+        }
+        case 'mute': {
+            // Mute the group unless every member is already muted
+            const allMuted = group.members.every(member => (speakerStates[member.id] || {}).mute === true);
+            return fanOutToZoneGroup(group, allMuted ? 'unmuted' : 'muted', member => setZoneMute(member, !allMuted));
+        }
+        case 'volume up':
+        case 'volume down': {
+            const level = getZoneGroupLevel(group);
+            const stepSize = 0.1 * (action === 'volume up' ? 1 : -1);
+            return handleZoneGroupUpdate(groupId, { volume: Math.max(0, Math.min(1, (level || 0) + stepSize)) });
+        }
+        default: {
+            const message = `Unknown action for group ${groupId}: ${action}`;
+            console.log(message);
+            return { error: message };
+        }
+    }
+}
+
+/**
+ * Create the virtual devices of all zone groups
+ */
+async function initializeZoneGroupDevices() {
+    for (const groupId of Object.keys(YAMAHA_CONFIG.groups)) {
+        const group = getZoneGroup(groupId);
+        if (YAMAHA_CONFIG.speakers.some(s => s.id === groupId)) {
+            console.error(`❌ Group ${groupId} has the same id as a speaker and is ignored`);
+            continue;
+        }
+        
+        const definition = YAMAHA_CONFIG.groups[groupId];
+        const memberIds = Array.isArray(definition) ? definition : definition.members || [];
+        memberIds
+            .filter(memberId => !group.members.some(member => member.id === memberId))
+            .forEach(memberId => console.log(`⚠️ Group ${groupId}: ${memberId} is not a speaker with a volume`));
+        
+        flicApp.createVirtualDevice(groupId, 'Speaker', {
+            volume: getZoneGroupLevel(group) || 0
+        });
+        console.log(`👥 Group ${group.name}: ${group.members.map(member => member.name).join(', ') || '(no configured members)'}`);
+    }
+}
+
+module.exports = { handleZoneGroupUpdate, handleZoneGroupAction, initializeZoneGroupDevices };
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-mapping":"hub/volume-mapping.js","./zone-group-levels":"hub/zone-group-levels.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./fades":"hub/fades.js","./cooldowns":"hub/cooldowns.js"}],
+
+// ---- src/hub/config-commands.js ----
+"hub/config-commands.js": [function (module, exports, require) {
+// "config ..." action messages: show and change the configuration while the hub runs
+
+const flicApp = require('flicapp');
+const { YAMAHA_CONFIG } = require('../config');
+const { deviceRegistry, speakerStates } = require('./runtime-state');
+const { isPlaybackDevice, discoverDevice, discoverAllDevices } = require('./device-registry');
+const { linkGroups } = require('./link-group-state');
+const { getZoneGroup } = require('./zone-group-levels');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { netusbPresetNames } = require('./zone-commands');
+const { runNetworkDiscovery } = require('./discovery');
+const { playbackGestureStates } = require('./playback');
+const { refreshAllLinkGroups } = require('./link-groups');
+const {
+    PERSISTED_CONFIG_KEYS,
+    findConfiguredName,
+    validateYamahaConfig,
+    getPersistedConfig,
+    saveYamahaConfig
+} = require('./config-loader');
+
+/**
+ * Log the configured speakers and groups
+ */
+function listConfig() {
+    console.log('📋 Speakers:');
+    YAMAHA_CONFIG.speakers.forEach(speaker => {
+        const extras = [speaker.mode === 'input' ? 'source selector' : (speaker.mode ? `${speaker.mode} control` : null), speaker.target ? `target ${speaker.target}` : null]
+            .filter(extra => extra);
+        console.log(`  ${speaker.id}: ${speaker.name} (${isPlaybackDevice(speaker) ? 'playback' : speaker.zone} at ${speaker.ip}${extras.length > 0 ? ', ' + extras.join(', ') : ''})`);
+    });
+    
+    const groupIds = Object.keys(YAMAHA_CONFIG.groups);
+    if (groupIds.length > 0) {
+        console.log('📋 Groups:');
+        groupIds.forEach(groupId => {
+            const group = getZoneGroup(groupId);
+            console.log(`  ${groupId}: ${group.members.map(member => member.id).join(', ')}`);
+        });
+    }
+    if (YAMAHA_CONFIG.schedules.length > 0) {
+        console.log('📋 Schedules:');
+        YAMAHA_CONFIG.schedules.forEach(schedule => {
+            const days = [].concat(schedule.days || 'daily').join(', ');
+            console.log(`  ${schedule.name}: ${schedule.time} ${days} - ${schedule.action}${schedule.enabled === false ? ' (disabled)' : ''}`);
+        });
+    }
+}
+
+/**
+ * Validate and apply a configuration change, then store it
+ * @param {Function} change - Receives a copy of the persisted configuration to modify;
+ *                            may return an error message to refuse the change
+ * @returns {Promise<string|null>} - Why the change was refused, or null if it was applied
+ */
+async function applyConfigChange(change) {
+    const candidate = JSON.parse(JSON.stringify(getPersistedConfig()));
+    const refusal = change(candidate);
+    if (refusal) {
+        console.error(`❌ ${refusal}`);
+        return refusal;
+    }
+    
+    const errors = validateYamahaConfig(candidate);
+    if (errors.length > 0) {
+        console.error('❌ Configuration not changed:');
+        errors.forEach(error => console.error(`   - ${error}`));
+        return `Configuration not changed: ${errors.join('; ')}`;
+    }
+    
+    PERSISTED_CONFIG_KEYS.forEach(key => {
+        YAMAHA_CONFIG[key] = candidate[key];
+    });
+    
+    try {
+        await saveYamahaConfig();
+    } catch (error) {
+        console.error('❌ Configuration changed but not saved:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Forget a device's capabilities and caches when no speaker uses its address any more
+ * @param {string} ip - Device IP address
+ */
+function forgetUnusedDevice(ip) {
+    if (YAMAHA_CONFIG.speakers.some(s => s.ip === ip)) {
+        return;
+    }
+    delete deviceRegistry[ip];
+    delete netusbPresetNames[ip];
+    delete linkGroups[ip];
+}
+
+/**
+ * Create the virtual device of a new speaker and load its state
+ * @param {Object} speaker - Speaker configuration
+ */
+async function startSpeaker(speaker) {
+    if (!deviceRegistry[speaker.ip] || !deviceRegistry[speaker.ip].discovered) {
+        await discoverDevice(speaker.ip);
+    }
+    
+    flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+        volume: isPlaybackDevice(speaker) ? 0.5 : 0
+    });
+    if (!isPlaybackDevice(speaker)) {
+        await getCurrentVolumeAndUpdate(speaker);
+    }
+}
+
+/**
+ * Handle "config set {id} ip {addr}" and "config set {id} name {name}"
+ * @param {string} speakerId - Speaker identifier
+ * @param {string} field - ip or name
+ * @param {string} value - New value
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function setSpeakerConfig(speakerId, field, value) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        console.error(`❌ Unknown speaker: ${speakerId}`);
+        return { error: `Unknown speaker: ${speakerId}` };
+    }
+    const oldIp = speaker.ip;
+    
+    const refusal = await applyConfigChange(config => {
+        const entry = config.speakers.find(s => s.id === speakerId);
+        if (field === 'ip') {
+            entry.ip = value;
+            // The pinned device id belongs to the old address
+            delete entry.deviceId;
+        } else if (field === 'name') {
+            entry.name = value;
+        } else {
+            return `Unknown setting "${field}" (expected ip, name)`;
+        }
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    console.log(`✅ ${speakerId} ${field} set to ${value}`);
+    if (field === 'ip' && value !== oldIp) {
+        forgetUnusedDevice(oldIp);
+        delete speakerStates[speakerId];
+        await startSpeaker(YAMAHA_CONFIG.speakers.find(s => s.id === speakerId));
+    }
+}
+
+/**
+ * Handle "config add {id} {ip} {zone} {name}"
+ * @param {string} speakerId - New speaker identifier
+ * @param {string} ip - Device IP address
+ * @param {string} zone - Zone id, or playback for a playback device
+ * @param {string} name - Display name
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function addSpeakerConfig(speakerId, ip, zone, name) {
+    const speaker = { id: speakerId, ip: ip, name: name || speakerId };
+    if (zone === 'playback') {
+        speaker.type = 'playback';
+    } else {
+        speaker.zone = zone;
+    }
+    
+    const refusal = await applyConfigChange(config => {
+        config.speakers.push(speaker);
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    console.log(`➕ Added speaker "${speakerId}" (${speaker.name}, ${zone === 'playback' ? 'playback device' : zone + ' zone'} at ${ip})`);
+    await startSpeaker(YAMAHA_CONFIG.speakers.find(s => s.id === speakerId));
+}
+
+/**
+ * Handle "config remove {id}": drop the speaker, its state and its group memberships
+ * @param {string} speakerId - Speaker identifier
+ * @returns {Promise<Object|undefined>} - { error: message } if the change was refused
+ */
+async function removeSpeakerConfig(speakerId) {
+    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+    if (!speaker) {
+        console.error(`❌ Unknown speaker: ${speakerId}`);
+        return { error: `Unknown speaker: ${speakerId}` };
+    }
+    
+    const refusal = await applyConfigChange(config => {
+        config.speakers = config.speakers.filter(s => s.id !== speakerId);
+        Object.keys(config.groups).forEach(groupId => {
+            const definition = config.groups[groupId];
+            if (Array.isArray(definition)) {
+                config.groups[groupId] = definition.filter(memberId => memberId !== speakerId);
+            } else if (definition && Array.isArray(definition.members)) {
+                definition.members = definition.members.filter(memberId => memberId !== speakerId);
+            }
+        });
+        return null;
+    });
+    if (refusal) {
+        return { error: refusal };
+    }
+    
+    delete speakerStates[speakerId];
+    delete playbackGestureStates[speakerId];
+    forgetUnusedDevice(speaker.ip);
+    
+    // Older hub firmware cannot delete virtual devices; the device then just stops responding
+    if (typeof flicApp.removeVirtualDevice === 'function') {
+        flicApp.removeVirtualDevice(speakerId);
+    }
+    console.log(`➖ Removed speaker "${speakerId}" (${speaker.name}); delete its virtual device in the Flic app if it is still listed`);
+}
+
+/**
+ * Handle "config rediscover": query every device's features again and refresh all zones
+ */
+async function rediscoverDevices() {
+    console.log('🔎 Rediscovering devices...');
+    Object.keys(netusbPresetNames).forEach(ip => delete netusbPresetNames[ip]);
+    
+    await discoverAllDevices();
+    if (YAMAHA_CONFIG.discovery.enabled) {
+        await runNetworkDiscovery();
+    }
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (!isPlaybackDevice(speaker)) {
+            await getCurrentVolumeAndUpdate(speaker);
+        }
+    }
+    await refreshAllLinkGroups();
+}
+
+/**
+ * Handle a "config ..." action message
+ * Resolves like the zone handlers in handlers.js (see dispatchCommand)
+ * @param {string[]} args - Words after "config" in their original case
+ * @returns {Promise<Object|undefined>} - { error: message } for a refused or unknown command,
+ *                                        { failed: error } if the change failed
+ */
+async function handleConfigCommand(args) {
+    const command = (args[0] || '').toLowerCase();
+    // Existing speakers are found regardless of case; new ones keep the id as written
+    const speakerId = args.length > 1 ? findConfiguredName(args[1], YAMAHA_CONFIG.speakers.map(s => s.id)) || args[1] : null;
+    let task = null;
+    
+    if (command === 'list' && args.length === 1) {
+        listConfig();
+        return;
+    } else if (command === 'set' && args.length >= 4) {
+        // "config set {id} ip {addr}" / "config set {id} name {name}"
+        task = setSpeakerConfig(speakerId, args[2].toLowerCase(), args.slice(3).join(' '));
+    } else if (command === 'add' && args.length >= 4) {
+        // "config add {id} {ip} {zone} {name}"
+        task = addSpeakerConfig(args[1], args[2], args[3].toLowerCase(), args.slice(4).join(' '));
+    } else if (command === 'remove' && args.length === 2) {
+        // "config remove {id}"
+        task = removeSpeakerConfig(speakerId);
+    } else if (command === 'rediscover' && args.length === 1) {
+        task = rediscoverDevices();
+    } else {
+        const message = 'Unknown config command. Expected: config list | config set {id} ip {addr} | config add {id} {ip} {zone} {name} | config remove {id} | config rediscover';
+        console.log(message);
+        return { error: message };
+    }
+    
+    return task.catch(error => {
+        console.error('❌ Config command failed:', error);
+        return { failed: error };
+    });
+}
+
+module.exports = { handleConfigCommand };
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./link-group-state":"hub/link-group-state.js","./zone-group-levels":"hub/zone-group-levels.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./discovery":"hub/discovery.js","./playback":"hub/playback.js","./link-groups":"hub/link-groups.js","./config-loader":"hub/config-loader.js"}],
+
+// ---- src/hub/dispatcher.js ----
+"hub/dispatcher.js": [function (module, exports, require) {
+// Command dispatcher: parses action messages against the command registry and runs them
+
+const { YAMAHA_CONFIG } = require('../config');
+const { isPlaybackDevice } = require('./device-registry');
+const { findConfiguredName } = require('./config-loader');
+const { SLEEP_MINUTES } = require('./zone-commands');
+const { cancelFade, parseFadeArgs, handleDeviceFade } = require('./fades');
+const { handleDeviceNowPlaying } = require('./now-playing');
+const { runMacro } = require('./macros');
+const { resolvePlaybackTarget, getPlaybackGestures, runPlaybackAction } = require('./playback');
+const { startPartyMode, stopPartyMode } = require('./link-groups');
+const {
+    handleDeviceVolumeUp,
+    handleDeviceVolumeDown,
+    handleDeviceVolumeSet,
+    handleDeviceMuteToggle,
+    handleDevicePowerToggle,
+    handleDevicePowerOn,
+    handleDevicePowerOff,
+    handleDeviceInput,
+    handleDeviceSleep,
+    parsePositiveInteger,
+    handleDeviceScene,
+    handleDevicePreset,
+    handleDevicePresetList,
+    handleDeviceTunerPreset,
+    handleDeviceTunerPresetList,
+    handleDeviceJoin,
+    handleDeviceLeave
+} = require('./handlers');
+const { handleDeviceSoundLevel, handleDeviceSoundSwitch, handleDeviceSoundProgram } = require('./sound');
+const { handleZoneGroupAction } = require('./zone-groups');
+const { handleConfigCommand } = require('./config-commands');
+
+// Action-message commands. Each entry handles one or more verbs:
+//   usage / description / example   help text (see getCommandHelp)
+//   args: [min, max]                number of arguments after the verb
+//   validate(args, kind)            error message for bad arguments, or null
+//   zone / group / playback (target, args, verb)   handler per kind of target
+//   all (args, verb)                handler for the bare "all" target ("all party")
+//   global (args, verb, rawArgs)    handler for commands without a target ("macro x")
+//   cancelsFade                     the command takes over from a running volume fade
+//   keepCase                        pass arguments in their original case (rawArgs)
+const COMMANDS = [
+    {
+        verbs: ['volume'],
+        usage: 'up|down|{n}|+{n}|-{n}',
+        description: 'Step the volume, set a native level or change it by n steps (groups: up|down)',
+        example: 'livingroom volume +5',
+        args: [1, 1],
+        cancelsFade: true,
+        validate: (args, kind) => {
+            if (args[0] === 'up' || args[0] === 'down') {
+                return null;
+            }
+            if (kind === 'group') {
+                return 'Groups take "volume up" or "volume down"';
+            }
+            return parseCommandNumber(args[0]) ? null : `Invalid volume: ${args[0]} (expected up, down, {n}, +{n} or -{n})`;
+        },
+        zone: (target, args) => {
+            if (args[0] === 'up') {
+                return handleDeviceVolumeUp(target.id);
+            }
+            if (args[0] === 'down') {
+                return handleDeviceVolumeDown(target.id);
+            }
+            return handleDeviceVolumeSet(target.id, parseCommandNumber(args[0]));
+        },
+        group: (target, args) => handleZoneGroupAction(target.id, `volume ${args[0]}`)
+    },
+    {
+        verbs: ['mute'],
+        description: 'Toggle mute',
+        example: 'livingroom mute',
+        cancelsFade: true,
+        zone: target => handleDeviceMuteToggle(target.id),
+        group: target => handleZoneGroupAction(target.id, 'mute')
+    },
+    {
+        verbs: ['power'],
+        description: 'Toggle power on/off',
+        example: 'livingroom power',
+        cancelsFade: true,
+        zone: target => handleDevicePowerToggle(target.id),
+        group: target => handleZoneGroupAction(target.id, 'power')
+    },
+    {
+        verbs: ['on'],
+        description: 'Turn on',
+        example: 'livingroom,kitchen on',
+        cancelsFade: true,
+        zone: target => handleDevicePowerOn(target.id),
+        group: target => handleZoneGroupAction(target.id, 'on')
+    },
+    {
+        verbs: ['off'],
+        description: 'Turn off',
+        example: 'all off',
+        cancelsFade: true,
+        zone: target => handleDevicePowerOff(target.id),
+        group: target => handleZoneGroupAction(target.id, 'off')
+    },
+    {
+        verbs: ['input'],
+        usage: '{name}|next|previous',
+        description: 'Switch input, or cycle through the zone\'s inputs',
+        example: 'livingroom input hdmi1',
+        args: [1, 1],
+        zone: (target, args) => handleDeviceInput(target.id, args[0])
+    },
+    {
+        verbs: ['scene'],
+        usage: '{n}',
+        description: 'Recall a scene',
+        example: 'livingroom scene 2',
+        args: [1, 1],
+        validate: args => parsePositiveInteger(args[0]) === null ? `Invalid scene number: ${args[0]}` : null,
+        zone: (target, args) => handleDeviceScene(target.id, args[0])
+    },
+    {
+        verbs: ['preset'],
+        usage: '{n}',
+        description: 'Recall a net/USB preset',
+        example: 'livingroom preset 3',
+        args: [1, 1],
+        validate: args => parsePositiveInteger(args[0]) === null ? `Invalid preset number: ${args[0]}` : null,
+        zone: (target, args) => handleDevicePreset(target.id, args[0])
+    },
+    {
+        verbs: ['presets'],
+        description: 'Log the net/USB preset list',
+        example: 'livingroom presets',
+        zone: target => handleDevicePresetList(target.id)
+    },
+    {
+        verbs: ['tuner'],
+        usage: 'preset [band] {n} | presets [band]',
+        description: 'Recall a tuner preset, or log the tuner preset list',
+        example: 'livingroom tuner preset fm 5',
+        args: [1, 3],
+        validate: args => {
+            if (args[0] === 'preset' && (args.length === 2 || args.length === 3)) {
+                return parsePositiveInteger(args[args.length - 1]) === null ? `Invalid preset number: ${args[args.length - 1]}` : null;
+            }
+            if (args[0] === 'presets' && args.length <= 2) {
+                return null;
+            }
+            return 'Expected "tuner preset [band] {n}" or "tuner presets [band]"';
+        },
+        zone: (target, args) => args[0] === 'preset'
+            ? handleDeviceTunerPreset(target.id, args[args.length - 1], args.length === 3 ? args[1] : undefined)
+            : handleDeviceTunerPresetList(target.id, args[1])
+    },
+    {
+        verbs: ['nowplaying'],
+        description: 'Log what the zone is playing',
+        example: 'livingroom nowplaying',
+        zone: target => handleDeviceNowPlaying(target.id),
+        playback: target => resolvePlaybackTarget(target.speaker).then(zone => {
+            if (zone) {
+                return handleDeviceNowPlaying(zone.id);
+            }
+            const message = `${target.speaker.name}: no zone to report on`;
+            console.log(`🚫 ${message}`);
+            return { blocked: message };
+        })
+    },
+    {
+        verbs: ['fade'],
+        usage: '{level} {seconds}',
+        description: 'Ramp the volume to a native volume level',
+        example: 'livingroom fade 15 600',
+        args: [2, 2],
+        validate: args => parseFadeArgs(args[0], args[1])
+            ? null : `Invalid fade: ${args.join(' ')} (expected a native volume level and a number of seconds)`,
+        zone: (target, args) => handleDeviceFade(target.id, args[0], args[1])
+    },
+    {
+        verbs: ['sleep'],
+        usage: '30|60|90|120|off',
+        description: 'Set the zone\'s sleep timer',
+        example: 'bedroom sleep 60',
+        args: [1, 1],
+        validate: args => args[0] === 'off' || SLEEP_MINUTES.includes(Number(args[0]))
+            ? null : `Invalid sleep time: ${args[0]} (expected 30, 60, 90, 120 or off)`,
+        zone: (target, args) => handleDeviceSleep(target.id, args[0])
+    },
+    {
+        verbs: ['program'],
+        usage: '{name}|next|previous',
+        description: 'Select a sound program',
+        example: 'livingroom program next',
+        args: [1, 1],
+        zone: (target, args) => handleDeviceSoundProgram(target.id, args[0])
+    },
+    {
+        verbs: ['bass', 'treble', 'dialogue', 'subwoofer'],
+        usage: '{n}|up|down',
+        description: 'Set a sound level',
+        example: 'livingroom dialogue up',
+        args: [1, 1],
+        validate: args => args[0] === 'up' || args[0] === 'down' || /^[+-]?\d+(\.\d+)?$/.test(args[0])
+            ? null : `Invalid level: ${args[0]} (expected a number, up or down)`,
+        zone: (target, args, verb) => handleDeviceSoundLevel(target.id, verb, args[0])
+    },
+    {
+        verbs: ['puredirect', 'enhancer', 'extrabass'],
+        usage: '[on|off]',
+        description: 'Switch a sound setting, or toggle it',
+        example: 'livingroom puredirect',
+        args: [0, 1],
+        validate: args => args.length === 0 || args[0] === 'on' || args[0] === 'off' ? null : `Expected on or off, not ${args[0]}`,
+        zone: (target, args, verb) => handleDeviceSoundSwitch(target.id, verb, args[0])
+    },
+    {
+        verbs: ['join'],
+        usage: '{device-id}',
+        description: 'Play another zone\'s audio via MusicCast Link',
+        example: 'kitchen join livingroom',
+        args: [1, 1],
+        validate: args => findZoneId(args[0])
+            ? null : `Unknown device: ${args[0]}${formatSuggestion(args[0], getAllZones().map(s => s.id))}`,
+        zone: (target, args) => handleDeviceJoin(target.id, findZoneId(args[0]))
+    },
+    {
+        verbs: ['leave'],
+        description: 'Leave the MusicCast Link group',
+        example: 'kitchen leave',
+        zone: target => handleDeviceLeave(target.id)
+    },
+    {
+        verbs: ['play', 'pause', 'toggle', 'stop', 'next', 'previous'],
+        description: 'Control playback on the zone the playback device drives',
+        example: 'playback previous',
+        playback: (target, args, verb) => runPlaybackAction(target.speaker, verb)
+    },
+    {
+        verbs: ['press'],
+        description: 'Run the playback device\'s press action',
+        example: 'playback press',
+        playback: target => runPlaybackAction(target.speaker, getPlaybackGestures(target.speaker).press)
+    },
+    {
+        verbs: ['party'],
+        usage: '[off]',
+        description: 'Link every device to the zone that is streaming, or end all groups',
+        example: 'all party',
+        args: [0, 1],
+        validate: args => args.length === 0 || args[0] === 'off' ? null : `Expected "all party" or "all party off"`,
+        all: args => args[0] === 'off' ? stopPartyMode() : startPartyMode()
+    },
+    {
+        verbs: ['macro'],
+        usage: '{name}',
+        description: 'Run a macro from the configuration',
+        example: 'macro movie-night',
+        args: [1, 1],
+        validate: args => findMacroName(args[0])
+            ? null : `Unknown macro: ${args[0]}${formatSuggestion(args[0], Object.keys(YAMAHA_CONFIG.macros))}`,
+        global: args => runMacro(findMacroName(args[0]) || args[0])
+    },
+    {
+        verbs: ['config'],
+        usage: 'list | set {id} ip {addr} | add {id} {ip} {zone} {name} | remove {id} | rediscover',
+        description: 'Show or change speakers (stored in the hub datastore)',
+        example: 'config set livingroom ip 192.168.1.50',
+        args: [1, Infinity],
+        keepCase: true,
+        global: (args, verb, rawArgs) => handleConfigCommand(rawArgs)
+    },
+    {
+        verbs: ['help'],
+        description: 'Log this list of action messages',
+        example: 'help',
+        global: () => logCommandHelp()
+    }
+];
+
+// Placeholders for the targets a command takes, for the help text
+const COMMAND_TARGET_LABELS = {
+    zone: '{device-id}',
+    group: '{group-id}',
+    playback: '{playback-id}',
+    all: 'all'
+};
+
+/**
+ * Find the command for a verb
+ * @param {string} verb - First word after the targets
+ * @returns {Object|null} - Command definition
+ */
+function findCommand(verb) {
+    return COMMANDS.find(command => command.verbs.includes(verb)) || null;
+}
+
+/**
+ * Get every zone "all" stands for (no playback devices or Twist modes)
+ * @returns {Object[]} - Speaker configurations
+ */
+function getAllZones() {
+    return YAMAHA_CONFIG.speakers.filter(speaker => !isPlaybackDevice(speaker) && !speaker.mode);
+}
+
+/**
+ * Find the configured id of a zone that can share its audio (no playback device), regardless of case
+ * @param {string} id - Id as written
+ * @returns {string|null} - Configured id
+ */
+function findZoneId(id) {
+    return findConfiguredName(id, YAMAHA_CONFIG.speakers.filter(s => !isPlaybackDevice(s)).map(s => s.id));
+}
+
+/**
+ * Find the configured name of a macro, regardless of case
+ * @param {string} name - Name as written
+ * @returns {string|null} - Configured name
+ */
+function findMacroName(name) {
+    return findConfiguredName(name, Object.keys(YAMAHA_CONFIG.macros));
+}
+
+/**
+ * Parse a numeric command argument: "35" is a level, "+5" and "-5" are relative
+ * @param {string} value - Argument
+ * @returns {Object|null} - { value, relative }, or null if it is not a whole number
+ */
+function parseCommandNumber(value) {
+    if (!/^[+-]?\d+$/.test(value)) {
+        return null;
+    }
+    return { value: Number(value), relative: value[0] === '+' || value[0] === '-' };
+}
+
+/**
+ * Count the single-character edits between two words (Levenshtein distance)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Edit distance
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Suggest the closest known word for a typo
+ * @param {string} word - Unknown word
+ * @param {string[]} candidates - Known words
+ * @returns {string} - ' (did you mean "x"?)', or '' if nothing is close
+ */
+function formatSuggestion(word, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = getEditDistance(word, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    
+    // Allow one edit for short words, two for longer ones
+    const allowed = word.length <= 4 ? 1 : 2;
+    return best !== null && bestDistance <= allowed ? ` (did you mean "${best}"?)` : '';
+}
+
+/**
+ * Resolve the target part of an action message
+ * Ids are matched regardless of case; targets carry the configured id
+ * @param {string} spec - Device id, group id, "all", or a comma-separated list of them
+ * @returns {Object} - { targets: [{ kind, id, speaker? }] } or { error }
+ */
+function resolveCommandTargets(spec) {
+    const targets = [];
+    const add = target => {
+        if (!targets.some(existing => existing.id === target.id)) {
+            targets.push(target);
+        }
+    };
+    
+    for (const id of spec.split(',').filter(part => part)) {
+        const speakerId = findConfiguredName(id, YAMAHA_CONFIG.speakers.map(s => s.id));
+        const speaker = speakerId && YAMAHA_CONFIG.speakers.find(s => s.id === speakerId);
+        const groupId = findConfiguredName(id, Object.keys(YAMAHA_CONFIG.groups));
+        if (id.toLowerCase() === 'all') {
+            getAllZones().forEach(zone => add({ kind: 'zone', id: zone.id, speaker: zone }));
+        } else if (speaker) {
+            add({ kind: isPlaybackDevice(speaker) ? 'playback' : 'zone', id: speaker.id, speaker: speaker });
+        } else if (groupId) {
+            add({ kind: 'group', id: groupId });
+        } else {
+            const known = ['all', ...YAMAHA_CONFIG.speakers.map(s => s.id), ...Object.keys(YAMAHA_CONFIG.groups)];
+            return { error: `Unknown device: ${id}${formatSuggestion(id, known)}` };
+        }
+    }
+    
+    if (targets.length === 0) {
+        return { error: `No devices in "${spec}"` };
+    }
+    return { targets };
+}
+
+/**
+ * Check the arguments of a command
+ * @param {Object} command - Command definition
+ * @param {string} verb - Verb as written
+ * @param {string[]} args - Arguments
+ * @param {string[]} kinds - Kinds of the targets (none for global commands)
+ * @returns {string|null} - Error message, or null if the arguments are fine
+ */
+function validateCommandArgs(command, verb, args, kinds) {
+    const [min, max] = command.args || [0, 0];
+    if (args.length < min || args.length > max) {
+        return `Usage: "${formatCommandUsage(command, verb)}"`;
+    }
+    if (!command.validate) {
+        return null;
+    }
+    for (const kind of kinds.length > 0 ? kinds : [null]) {
+        const error = command.validate(args, kind);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an action message into a command
+ * Grammar: "{targets} {verb} [args...]", where targets is a device id, a group id, "all" or a
+ * comma-separated list of them ("livingroom,kitchen off"); "macro", "config" and "help" take no targets.
+ * Verbs and keyword arguments are lowercased; device ids, group ids and macro names are looked up
+ * regardless of case and handed on in their configured spelling
+ * @param {string} message - Action message, e.g. "livingroom volume +5"
+ * @returns {Object} - { command, verb, targets, args, rawArgs }, or { error } if the message is not valid
+ */
+function parseCommand(message) {
+    const words = message.trim().split(/\s+/).filter(word => word);
+    if (words.length === 0) {
+        return { error: 'Empty action message' };
+    }
+    const lowered = words.map(word => word.toLowerCase());
+    
+    // Commands without targets: "macro {name}", "config ...", "help"
+    const globalCommand = findCommand(lowered[0]);
+    if (globalCommand && globalCommand.global && !findConfiguredName(words[0], YAMAHA_CONFIG.speakers.map(s => s.id))) {
+        const args = lowered.slice(1);
+        const error = validateCommandArgs(globalCommand, lowered[0], args, []);
+        return error ? { error } : { command: globalCommand, verb: lowered[0], targets: [], args, rawArgs: words.slice(1) };
+    }
+    
+    if (words.length < 2) {
+        return { error: `Invalid action message format. Expected: "{device-id} {command} [arguments]"${formatSuggestion(lowered[0], COMMANDS.filter(c => c.global).map(c => c.verbs[0]))}` };
+    }
+    
+    const resolved = resolveCommandTargets(words[0]);
+    if (resolved.error) {
+        return { error: resolved.error };
+    }
+    
+    const verb = lowered[1];
+    const command = findCommand(verb);
+    if (!command) {
+        const verbs = COMMANDS
+            .filter(c => resolved.targets.some(target => c[target.kind]))
+            .reduce((all, c) => all.concat(c.verbs), []);
+        return { error: `Unknown command: ${verb}${formatSuggestion(verb, verbs)}` };
+    }
+    
+    // "all" on its own addresses the whole system for commands such as "all party"
+    let targets = resolved.targets;
+    if (command.all) {
+        if (lowered[0] !== 'all') {
+            return { error: `"${verb}" only works as "all ${verb}"` };
+        }
+        targets = [{ kind: 'all', id: 'all' }];
+    }
+    
+    const unsupported = targets.find(target => !command[target.kind]);
+    if (unsupported) {
+        const kinds = Object.keys(COMMAND_TARGET_LABELS).filter(kind => command[kind]);
+        return { error: `"${verb}" does not work on ${unsupported.id} (it takes ${kinds.map(kind => COMMAND_TARGET_LABELS[kind]).join(' or ') || 'no device'})` };
+    }
+    
+    const args = lowered.slice(2);
+    const kinds = [...new Set(targets.map(target => target.kind))];
+    const error = validateCommandArgs(command, verb, args, kinds);
+    if (error) {
+        return { error };
+    }
+    return { command, verb, targets, args, rawArgs: words.slice(2) };
+}
+
+/**
+ * Combine handler results into the result of a command
+ * Handlers report a command that did not run (see handlers.js); a failure outweighs a block,
+ * and a block outweighs an invalid argument
+ * @param {Array} results - Handler results, one per target
+ * @returns {Object} - Result as returned by dispatchCommand
+ */
+function getCommandResult(results) {
+    const outcomes = results.filter(result => result && typeof result === 'object');
+    const failed = outcomes.find(result => result.failed);
+    if (failed) {
+        return { ok: false, failed: failed.failed };
+    }
+    const blocked = outcomes.find(result => result.blocked);
+    if (blocked) {
+        return { ok: false, blocked: blocked.blocked };
+    }
+    const invalid = outcomes.find(result => result.error);
+    if (invalid) {
+        return { ok: false, invalid: invalid.error };
+    }
+    return { ok: true };
+}
+
+/**
+ * Run a command in action-message form
+ * Action messages, button bindings, schedules and the HTTP API all come through here, so they
+ * share the same validation, cooldowns and volume limits. Several targets run in parallel
+ * @param {string} message - Command, e.g. "livingroom volume up"
+ * @returns {Promise<Object>} - { ok: true } once the command has run, { ok: false, error } if it was not
+ *                              understood, { ok: false, invalid } if a handler refused an argument,
+ *                              { ok: false, blocked } if a cooldown, volume limit or missing feature kept
+ *                              it from running, or { ok: false, failed } if a receiver request failed
+ *                              (the last three already logged)
+ */
+async function dispatchCommand(message) {
+    const parsed = parseCommand(message);
+    if (parsed.error) {
+        return { ok: false, error: parsed.error };
+    }
+    
+    const { command, verb, targets } = parsed;
+    const args = command.keepCase ? parsed.rawArgs : parsed.args;
+    if (command.global) {
+        const result = await Promise.resolve(command.global(args, verb, parsed.rawArgs)).catch(error => {
+            console.error(`❌ ${verb} failed:`, error);
+            return { failed: error };
+        });
+        return getCommandResult([result]);
+    }
+    
+    const results = await Promise.all(targets.map(target => {
+        if (target.kind === 'all') {
+            return command.all(args, verb);
+        }
+        
+        // A new volume, mute or power command takes over from a running fade
+        if (command.cancelsFade && target.kind === 'zone') {
+            cancelFade(target.id);
+        }
+        return Promise.resolve(command[target.kind](target, args, verb)).catch(error => {
+            console.error(`❌ ${target.id} ${verb} failed:`, error);
+            return { failed: error };
+        });
+    }));
+    return getCommandResult(results);
+}
+
+/**
+ * Format the usage of a command for the help text and usage errors
+ * @param {Object} command - Command definition
+ * @param {string} verb - Verb to show (defaults to all verbs of the command)
+ * @returns {string} - e.g. "{device-id|group-id} volume up|down|{n}|+{n}|-{n}"
+ */
+function formatCommandUsage(command, verb) {
+    const kinds = Object.keys(COMMAND_TARGET_LABELS).filter(kind => command[kind]);
+    const target = kinds.length > 1
+        ? `{${kinds.map(kind => COMMAND_TARGET_LABELS[kind].replace(/[{}]/g, '')).join('|')}}`
+        : kinds.map(kind => COMMAND_TARGET_LABELS[kind]).join('');
+    return [target, verb || command.verbs.join('|'), command.usage].filter(part => part).join(' ');
+}
+
+/**
+ * Build the help text from the command registry
+ * @returns {string[]} - One line per command
+ */
+function getCommandHelp() {
+    return COMMANDS.map(command =>
+        `- "${formatCommandUsage(command)}" - ${command.description} (e.g., "${command.example}")`);
+}
+
+/**
+ * Log the action messages the dispatcher understands
+ */
+function logCommandHelp() {
+    console.log('Action messages (targets can be combined: "livingroom,kitchen off"; "all off" runs on every zone):');
+    getCommandHelp().forEach(line => console.log(line));
+}
+
+module.exports = { getAllZones, findCommand, dispatchCommand, logCommandHelp };
+}, {"../config":"config.js","./device-registry":"hub/device-registry.js","./config-loader":"hub/config-loader.js","./zone-commands":"hub/zone-commands.js","./fades":"hub/fades.js","./now-playing":"hub/now-playing.js","./macros":"hub/macros.js","./playback":"hub/playback.js","./link-groups":"hub/link-groups.js","./handlers":"hub/handlers.js","./sound":"hub/sound.js","./zone-groups":"hub/zone-groups.js","./config-commands":"hub/config-commands.js"}],
+
+// ---- src/hub/config-loader.js ----
+"hub/config-loader.js": [function (module, exports, require) {
+// Configuration and runtime state in the hub datastore: validation, loading and saving
+
+const { YAMAHA_CONFIG } = require('../config');
+const { isZoneId } = require('../yxc/zones');
+const { readDatastore, writeDatastore } = require('./storage');
+const { parseScheduleTime, getScheduleDays } = require('./schedule-times');
+const { SOUND_LEVELS } = require('./sound-settings');
+
+// Configuration keys stored in the datastore; everything else always comes from YAMAHA_CONFIG
+const PERSISTED_CONFIG_KEYS = ['speakers', 'groups', 'cooldowns', 'playbackGestures', 'macros', 'buttonBindings', 'schedules'];
+
+const COOLDOWN_SCOPES = ['zone', 'receiver', 'global'];
+
+const COMMAND_CLASSES = ['playback', 'volume', 'power'];
+
+const DEVICE_TYPES = ['playback'];
+
+const TWIST_MODES = ['input', 'program'].concat(Object.keys(SOUND_LEVELS));
+
+/**
+ * Find a configured id or name regardless of case
+ * Action messages match speaker ids, group ids and macro names case-insensitively, so "LivingRoom"
+ * finds a speaker configured as "livingRoom"
+ * @param {string} name - Id or name as written
+ * @param {string[]} names - Configured ids or names
+ * @returns {string|null} - The configured spelling, or null if there is none
+ */
+function findConfiguredName(name, names) {
+    const lowered = String(name).toLowerCase();
+    return names.find(candidate => candidate.toLowerCase() === lowered) || null;
+}
+
+/**
+ * Convert speakers written as the old pseudo-zone (zone: 'playback') to playback devices
+ * @param {Object} config - Configuration with the persisted keys
+ */
+function migrateSpeakerConfig(config) {
+    (Array.isArray(config.speakers) ? config.speakers : []).forEach(speaker => {
+        if (speaker && speaker.zone === 'playback' && speaker.type === undefined) {
+            speaker.type = 'playback';
+            delete speaker.zone;
+        }
+    });
+}
+
+/**
+ * Validate a configuration
+ * @param {Object} config - Configuration with the persisted keys
+ * @returns {string[]} - Error messages (empty if the configuration is valid)
+ */
+function validateYamahaConfig(config) {
+    // Required here rather than at the top: the dispatcher reaches this module through the config commands
+    const { findCommand } = require('./dispatcher');
+    const errors = [];
+    
+    if (!Array.isArray(config.speakers)) {
+        return ['speakers must be a list'];
+    }
+    
+    const speakerIds = [];
+    config.speakers.forEach((speaker, index) => {
+        const label = `Speaker #${index + 1}${speaker && speaker.id ? ` (${speaker.id})` : ''}`;
+        if (!speaker || typeof speaker.id !== 'string' || speaker.id.length === 0) {
+            errors.push(`${label}: missing id`);
+            return;
+        }
+        if (speaker.id.includes(' ')) {
+            errors.push(`${label}: ids cannot contain spaces`);
+        }
+        if (findConfiguredName(speaker.id, speakerIds)) {
+            errors.push(`${label}: duplicate id "${speaker.id}"`);
+        }
+        speakerIds.push(speaker.id);
+        
+        if (typeof speaker.ip !== 'string' || speaker.ip.length === 0) {
+            errors.push(`${label}: missing ip`);
+        }
+        if (speaker.type !== undefined && !DEVICE_TYPES.includes(speaker.type)) {
+            errors.push(`${label}: unknown type "${speaker.type}" (expected ${DEVICE_TYPES.join(', ')})`);
+        } else if (speaker.type === undefined && !isZoneId(speaker.zone)) {
+            errors.push(`${label}: unknown zone "${speaker.zone}" (expected main, zone2, zone3, ...)`);
+        }
+        if (speaker.mode !== undefined && !TWIST_MODES.includes(speaker.mode)) {
+            errors.push(`${label}: unknown mode "${speaker.mode}" (expected ${TWIST_MODES.join(', ')})`);
+        }
+        if (speaker.volume && speaker.volume.curve !== undefined && !['linear', 'db'].includes(speaker.volume.curve)) {
+            errors.push(`${label}: unknown volume curve "${speaker.volume.curve}" (expected linear, db)`);
+        }
+        if (speaker.cooldowns) {
+            validateCooldowns(speaker.cooldowns, `${label} cooldowns`, errors);
+        }
+        if (speaker.powerOn) {
+            ['volume', 'maxVolume', 'fadeSeconds']
+                .filter(key => speaker.powerOn[key] !== undefined && !(typeof speaker.powerOn[key] === 'number' && speaker.powerOn[key] >= 0))
+                .forEach(key => errors.push(`${label}: powerOn.${key} must be a number of at least 0`));
+        }
+        if (speaker.softMute !== undefined && typeof speaker.softMute !== 'boolean') {
+            errors.push(`${label}: softMute must be true or false`);
+        }
+        if (speaker.maxVolume !== undefined && typeof speaker.maxVolume !== 'number') {
+            errors.push(`${label}: maxVolume must be a number`);
+        }
+        if (speaker.quietHours) {
+            if (!parseScheduleTime(speaker.quietHours.from) || !parseScheduleTime(speaker.quietHours.to)) {
+                errors.push(`${label}: quietHours needs from and to times (HH:MM)`);
+            }
+            if (typeof speaker.quietHours.maxVolume !== 'number') {
+                errors.push(`${label}: quietHours.maxVolume must be a number`);
+            }
+        }
+    });
+    
+    config.speakers.forEach(speaker => {
+        if (speaker && speaker.target !== undefined && !speakerIds.includes(speaker.target)) {
+            errors.push(`Speaker ${speaker.id}: unknown target "${speaker.target}"`);
+        }
+    });
+    
+    Object.keys(config.groups || {}).forEach(groupId => {
+        const definition = config.groups[groupId];
+        const memberIds = Array.isArray(definition) ? definition : (definition && definition.members);
+        if (findConfiguredName(groupId, speakerIds)) {
+            errors.push(`Group ${groupId}: id is already used by a speaker`);
+        }
+        if (!Array.isArray(memberIds)) {
+            errors.push(`Group ${groupId}: members must be a list of speaker ids`);
+            return;
+        }
+        memberIds
+            .filter(memberId => !speakerIds.includes(memberId))
+            .forEach(memberId => errors.push(`Group ${groupId}: unknown member "${memberId}"`));
+    });
+    
+    validateCooldowns(config.cooldowns || {}, 'cooldowns', errors);
+    
+    Object.keys(config.macros || {}).forEach(name => {
+        const macro = config.macros[name];
+        const devices = [macro.device].concat((macro.steps || []).map(step => step.device));
+        devices
+            .filter(deviceId => deviceId !== undefined && !speakerIds.includes(deviceId))
+            .forEach(deviceId => errors.push(`Macro ${name}: unknown device "${deviceId}"`));
+    });
+    
+    const scheduleNames = [];
+    (config.schedules || []).forEach((schedule, index) => {
+        const label = `Schedule ${schedule && schedule.name ? schedule.name : `#${index + 1}`}`;
+        if (!schedule || typeof schedule.name !== 'string' || schedule.name.length === 0) {
+            errors.push(`${label}: missing name`);
+            return;
+        }
+        if (scheduleNames.includes(schedule.name)) {
+            errors.push(`${label}: duplicate name`);
+        }
+        scheduleNames.push(schedule.name);
+        
+        if (!parseScheduleTime(schedule.time)) {
+            errors.push(`${label}: invalid time "${schedule.time}" (expected HH:MM)`);
+        }
+        if (!getScheduleDays(schedule.days)) {
+            errors.push(`${label}: unknown days ${JSON.stringify(schedule.days)} (expected daily, weekdays, weekends or mon-sun)`);
+        }
+        if (typeof schedule.action !== 'string' || schedule.action.trim().length === 0) {
+            errors.push(`${label}: missing action`);
+            return;
+        }
+        const words = schedule.action.trim().split(/\s+/);
+        const globalCommand = findCommand(words[0].toLowerCase());
+        if (words[0].toLowerCase() === 'macro' && !findConfiguredName(words[1] || '', Object.keys(config.macros || {}))) {
+            errors.push(`${label}: unknown macro "${words[1]}"`);
+        } else if (!globalCommand || !globalCommand.global) {
+            const targetIds = speakerIds.concat(Object.keys(config.groups || {}));
+            const unknown = words[0].split(',').filter(id => id.toLowerCase() !== 'all' && !findConfiguredName(id, targetIds));
+            if (unknown.length > 0) {
+                errors.push(`${label}: unknown device "${unknown[0]}"`);
+            } else if (!findCommand((words[1] || '').toLowerCase())) {
+                errors.push(`${label}: unknown command "${words[1] || ''}"`);
+            }
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Validate cooldown rules
+ * @param {Object} cooldowns - Rules per command class
+ * @param {string} label - Prefix for error messages
+ * @param {string[]} errors - Error messages to add to
+ */
+function validateCooldowns(cooldowns, label, errors) {
+    Object.keys(cooldowns).forEach(commandClass => {
+        const rule = cooldowns[commandClass] || {};
+        if (!COMMAND_CLASSES.includes(commandClass)) {
+            errors.push(`${label}: unknown command class "${commandClass}" (expected ${COMMAND_CLASSES.join(', ')})`);
+        }
+        if (rule.scope !== undefined && !COOLDOWN_SCOPES.includes(rule.scope)) {
+            errors.push(`${label}.${commandClass}: unknown scope "${rule.scope}" (expected ${COOLDOWN_SCOPES.join(', ')})`);
+        }
+        if (rule.ms !== undefined && !(typeof rule.ms === 'number' && rule.ms >= 0)) {
+            errors.push(`${label}.${commandClass}: ms must be a number of milliseconds`);
+        }
+        (rule.blocks || [])
+            .filter(blocked => !COMMAND_CLASSES.includes(blocked))
+            .forEach(blocked => errors.push(`${label}.${commandClass}: cannot block unknown command class "${blocked}"`));
+    });
+}
+
+/**
+ * Get the persisted part of the active configuration
+ * @returns {Object} - Configuration values keyed by PERSISTED_CONFIG_KEYS
+ */
+function getPersistedConfig() {
+    const config = {};
+    PERSISTED_CONFIG_KEYS.forEach(key => {
+        config[key] = YAMAHA_CONFIG[key];
+    });
+    return config;
+}
+
+/**
+ * Load the configuration: stored values replace the in-file defaults if they are valid
+ * @returns {Promise} - Rejects if the in-file configuration itself is invalid
+ */
+async function loadYamahaConfig() {
+    console.log('Loading Yamaha configuration...');
+    
+    if (YAMAHA_CONFIG.persistence.enabled) {
+        try {
+            const stored = await readDatastore(YAMAHA_CONFIG.persistence.configKey);
+            if (stored) {
+                const candidate = Object.assign(getPersistedConfig(), stored);
+                migrateSpeakerConfig(candidate);
+                const errors = validateYamahaConfig(candidate);
+                if (errors.length === 0) {
+                    PERSISTED_CONFIG_KEYS.forEach(key => {
+                        YAMAHA_CONFIG[key] = candidate[key];
+                    });
+                    console.log('💾 Loaded configuration from the hub datastore');
+                } else {
+                    console.error('❌ Stored configuration is invalid, using the configuration in the script:');
+                    errors.forEach(error => console.error(`   - ${error}`));
+                }
+            }
+        } catch (error) {
+            console.error('❌ Could not load the stored configuration:', error.message);
+        }
+    }
+    
+    migrateSpeakerConfig(YAMAHA_CONFIG);
+    const errors = validateYamahaConfig(YAMAHA_CONFIG);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ Configuration error: ${error}`));
+        throw new Error(`Invalid configuration (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    }
+    
+    console.log('Configured speakers:', YAMAHA_CONFIG.speakers.map(s => s.name));
+}
+
+/**
+ * Store the active configuration in the hub datastore
+ * @returns {Promise} - Resolves when stored
+ */
+async function saveYamahaConfig() {
+    if (!YAMAHA_CONFIG.persistence.enabled) {
+        return;
+    }
+    await writeDatastore(YAMAHA_CONFIG.persistence.configKey, getPersistedConfig());
+    console.log('💾 Configuration saved to the hub datastore');
+}
+
+module.exports = {
+    PERSISTED_CONFIG_KEYS,
+    findConfiguredName,
+    validateYamahaConfig,
+    getPersistedConfig,
+    loadYamahaConfig,
+    saveYamahaConfig
+};
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./storage":"hub/storage.js","./schedule-times":"hub/schedule-times.js","./sound-settings":"hub/sound-settings.js","./dispatcher":"hub/dispatcher.js"}],
+
+// ---- src/hub/discovery.js ----
+"hub/discovery.js": [function (module, exports, require) {
+// Network discovery of MusicCast/YXC devices (SSDP)
+
+const flicApp = require('flicapp');
+const http = require('http');
+const dgram = require('dgram');
+const { YAMAHA_CONFIG } = require('../config');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { isPlaybackDevice, discoverDevice } = require('./device-registry');
+const { getCurrentVolumeAndUpdate } = require('./device-state');
+const { saveYamahaConfig } = require('./config-loader');
+
+/**
+ * Fetch a URL with a plain GET request (used for UPnP device descriptions)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} - Response body
+ */
+function fetchUrl(url) {
+    return new Promise((resolve, reject) => {
+        let request = null;
+        const timeoutId = setTimeout(() => {
+            // Stop the request rather than leaving it running on the hub
+            if (request && typeof request.abort === 'function') {
+                request.abort();
+            }
+            reject(new Error('Request timeout'));
+        }, 5000);
+
+        request = http.makeRequest({ url: url, method: 'GET' }, (error, result) => {
+            clearTimeout(timeoutId);
+
+            if (error) {
+                reject(new Error(`HTTP request failed: ${error}`));
+            } else {
+                const responseData = result || {};
+                resolve(responseData.content || responseData.body || responseData.data || '');
+            }
+        });
+    });
+}
+
+/**
+ * Parse the headers of an SSDP response
+ * @param {string} message - Raw SSDP response
+ * @returns {Object} - Header values keyed by lower-case header name
+ */
+function parseSsdpHeaders(message) {
+    const headers = {};
+    message.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+/**
+ * Send an SSDP M-SEARCH and collect the description URLs of the devices that answer
+ * @returns {Promise<string[]>} - Distinct LOCATION URLs
+ */
+function searchSsdpLocations() {
+    const discoveryConfig = YAMAHA_CONFIG.discovery;
+    const request = [
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${discoveryConfig.ssdpAddress}:${discoveryConfig.ssdpPort}`,
+        'MAN: "ssdp:discover"',
+        `MX: ${Math.max(1, Math.floor(discoveryConfig.listenMs / 1000) - 1)}`,
+        `ST: ${discoveryConfig.searchTarget}`,
+        '',
+        ''
+    ].join('\r\n');
+
+    return new Promise((resolve) => {
+        const locations = new Set();
+        let socket;
+
+        try {
+            socket = dgram.createSocket('udp4');
+            socket.on('message', (message) => {
+                const headers = parseSsdpHeaders(message.toString());
+                if (headers.location) {
+                    locations.add(headers.location);
+                }
+            });
+            socket.on('error', (error) => {
+                console.error('❌ SSDP discovery error:', error);
+            });
+            socket.send(request, discoveryConfig.ssdpPort, discoveryConfig.ssdpAddress);
+        } catch (error) {
+            console.error('❌ Could not send SSDP search:', error);
+            resolve([]);
+            return;
+        }
+
+        setTimeout(() => {
+            try {
+                socket.close();
+            } catch (error) {
+                // Socket already closed
+            }
+            resolve([...locations]);
+        }, discoveryConfig.listenMs);
+    });
+}
+
+/**
+ * Check a UPnP device description for the Yamaha Extended Control service
+ * @param {string} location - Description URL from the SSDP response
+ * @returns {Promise<string|null>} - Device IP address if it is a YXC device
+ */
+async function resolveYxcLocation(location) {
+    const hostMatch = location.match(/^https?:\/\/([^:/]+)/i);
+    if (!hostMatch) {
+        return null;
+    }
+
+    try {
+        const description = await fetchUrl(location);
+        return description.includes('X_yxcControlURL') ? hostMatch[1] : null;
+    } catch (error) {
+        console.error(`❌ Error reading device description ${location}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Create a speaker id that is not in use yet, e.g. 'rxv6amain'
+ * @param {Object} device - Registry entry
+ * @param {string} zone - Zone id
+ * @returns {string} - Unique speaker id
+ */
+function generateSpeakerId(device, zone) {
+    const model = (device.modelName || 'yamaha').toLowerCase().replace(/[^a-z0-9]/g, '');
+    let id = `${model}${zone}`;
+    if (YAMAHA_CONFIG.speakers.some(s => s.id === id) && device.deviceId) {
+        id = `${model}${device.deviceId.slice(-4).toLowerCase()}${zone}`;
+    }
+    let suffix = 2;
+    const baseId = id;
+    while (YAMAHA_CONFIG.speakers.some(s => s.id === id)) {
+        id = `${baseId}${suffix++}`;
+    }
+    return id;
+}
+
+/**
+ * Get the zone names the user gave a device in the MusicCast app
+ * @param {string} ip - Device IP address
+ * @returns {Promise<Object>} - Zone names keyed by zone id
+ */
+async function getZoneNames(ip) {
+    const zoneNames = {};
+    try {
+        const nameText = await yxcRequest(ip, '/YamahaExtendedControl/v1/system/getNameText');
+        (nameText.zone_list || []).forEach(zone => {
+            zoneNames[zone.id] = zone.text;
+        });
+    } catch (error) {
+        console.error(`❌ Error reading zone names for ${ip}:`, error);
+    }
+    return zoneNames;
+}
+
+/**
+ * Store the speakers after discovery changed them, so new addresses and zones survive a restart
+ */
+async function saveDiscoveredSpeakers() {
+    try {
+        await saveYamahaConfig();
+    } catch (error) {
+        console.error('❌ Could not save the discovered speakers:', error.message);
+    }
+}
+
+/**
+ * Update configured speakers for a discovered device: follow IP changes and add missing zones
+ * @param {Object} device - Registry entry of a discovered device
+ */
+async function reconcileDiscoveredDevice(device) {
+    if (!device.discovered) {
+        return;
+    }
+
+    // Re-resolve configured speakers whose device came back on a different address
+    const movedSpeakers = device.deviceId
+        ? YAMAHA_CONFIG.speakers.filter(s => s.deviceId === device.deviceId && s.ip !== device.ip)
+        : [];
+    if (movedSpeakers.length > 0) {
+        movedSpeakers.forEach(speaker => {
+            console.log(`🔁 ${speaker.name} moved from ${speaker.ip} to ${device.ip}`);
+            const oldIp = speaker.ip;
+            speaker.ip = device.ip;
+            if (!YAMAHA_CONFIG.speakers.some(s => s.ip === oldIp)) {
+                delete deviceRegistry[oldIp];
+            }
+            if (!isPlaybackDevice(speaker)) {
+                getCurrentVolumeAndUpdate(speaker);
+            }
+        });
+        await saveDiscoveredSpeakers();
+    }
+
+    if (!YAMAHA_CONFIG.discovery.addZones) {
+        return;
+    }
+
+    const missingZones = Object.keys(device.zones).filter(zone =>
+        !YAMAHA_CONFIG.speakers.some(s => s.ip === device.ip && s.zone === zone));
+    if (missingZones.length === 0) {
+        return;
+    }
+
+    const zoneNames = await getZoneNames(device.ip);
+    for (const zone of missingZones) {
+        const speaker = {
+            id: generateSpeakerId(device, zone),
+            ip: device.ip,
+            name: zoneNames[zone] || `${device.modelName || 'Yamaha'} ${zone}`,
+            zone: zone,
+            deviceId: device.deviceId
+        };
+        YAMAHA_CONFIG.speakers.push(speaker);
+        console.log(`➕ Added speaker "${speaker.id}" (${speaker.name}, ${zone} zone at ${device.ip})`);
+
+        flicApp.createVirtualDevice(speaker.id, 'Speaker', {
+            volume: 0
+        });
+        await getCurrentVolumeAndUpdate(speaker);
+    }
+    await saveDiscoveredSpeakers();
+}
+
+/**
+ * Find YXC devices on the network, refresh their capabilities and update the speaker list
+ */
+async function runNetworkDiscovery() {
+    const locations = await searchSsdpLocations();
+    const foundIps = new Set();
+
+    for (const location of locations) {
+        const ip = await resolveYxcLocation(location);
+        if (ip) {
+            foundIps.add(ip);
+        }
+    }
+
+    console.log(`🔍 Network discovery found ${foundIps.size} Yamaha device(s)`);
+
+    for (const ip of foundIps) {
+        const known = deviceRegistry[ip];
+        const device = known && known.discovered ? known : await discoverDevice(ip);
+        await reconcileDiscoveredDevice(device);
+    }
+}
+
+/**
+ * Run network discovery now and then periodically
+ */
+async function startNetworkDiscovery() {
+    const discoveryConfig = YAMAHA_CONFIG.discovery;
+    if (!discoveryConfig.enabled) {
+        return;
+    }
+
+    await runNetworkDiscovery();
+
+    setInterval(() => {
+        runNetworkDiscovery().catch(error => {
+            console.error('❌ Error during network discovery:', error);
+        });
+    }, discoveryConfig.intervalMs);
+}
+
+module.exports = { runNetworkDiscovery, startNetworkDiscovery };
+}, {"../config":"config.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./device-state":"hub/device-state.js","./config-loader":"hub/config-loader.js"}],
+
+// ---- src/hub/quiet-hours.js ----
+"hub/quiet-hours.js": [function (module, exports, require) {
+// Lowers zones that are above their cap when their quiet hours start
+
+const { YAMAHA_CONFIG } = require('../config');
+const { speakerStates } = require('./runtime-state');
+const { isPlaybackDevice } = require('./device-registry');
+const { isQuietHours, getVolumeLimit } = require('./volume-limits');
+const { setYamahaVolume } = require('./zone-commands');
+const { cancelFade, fadeYamahaVolume } = require('./fades');
+
+// Speaker ids whose quiet hours were active at the last check
+const activeQuietHours = new Set();
+
+/**
+ * Lower zones that are above their cap when their quiet hours start (quietHours.lowerAtStart)
+ * @param {Date} now - Current time (defaults to the hub clock)
+ */
+async function checkQuietHours(now = new Date()) {
+    for (const speaker of YAMAHA_CONFIG.speakers) {
+        if (!speaker.quietHours || isPlaybackDevice(speaker) || speaker.mode) {
+            continue;
+        }
+        
+        const active = isQuietHours(speaker.quietHours, now);
+        const started = active && !activeQuietHours.has(speaker.id);
+        if (active) {
+            activeQuietHours.add(speaker.id);
+        } else {
+            activeQuietHours.delete(speaker.id);
+        }
+        
+        const state = speakerStates[speaker.id] || {};
+        if (!started || !speaker.quietHours.lowerAtStart || state.power !== 'on' || state.volume === undefined) {
+            continue;
+        }
+        const limit = getVolumeLimit(speaker, now);
+        if (!limit || state.volume <= limit.volume) {
+            continue;
+        }
+        
+        console.log(`🌙 Quiet hours started: lowering ${speaker.name} from ${state.volume} to ${limit.volume}`);
+        try {
+            if (speaker.quietHours.fadeSeconds) {
+                await fadeYamahaVolume(speaker.id, limit.volume, speaker.quietHours.fadeSeconds);
+            } else {
+                cancelFade(speaker.id);
+                await setYamahaVolume(speaker.id, limit.volume);
+            }
+        } catch (error) {
+            console.error(`❌ Error lowering ${speaker.name} for quiet hours:`, error);
+        }
+    }
+}
+
+/**
+ * Check quiet hours now and then with the scheduler interval
+ * The interval always runs, so quiet hours given to a speaker after startup are checked too
+ */
+function startQuietHours() {
+    setInterval(() => {
+        checkQuietHours().catch(error => console.error('❌ Error checking quiet hours:', error));
+    }, YAMAHA_CONFIG.scheduler.checkIntervalMs);
+    checkQuietHours().catch(error => console.error('❌ Error checking quiet hours:', error));
+}
+
+module.exports = { startQuietHours };
+}, {"../config":"config.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./volume-limits":"hub/volume-limits.js","./zone-commands":"hub/zone-commands.js","./fades":"hub/fades.js"}],
+
+// ---- src/hub/flic-adapter.js ----
+"hub/flic-adapter.js": [function (module, exports, require) {
+// Flic app module integration: action messages, virtual device updates and button bindings
+
+const flicApp = require('flicapp');
+const buttons = require('buttons');
+const { YAMAHA_CONFIG } = require('../config');
+const { isPlaybackDevice } = require('./device-registry');
+const { handlePlaybackDeviceUpdate } = require('./playback');
+const { handleInputDeviceUpdate, handleYamahaSpeakerUpdate } = require('./handlers');
+const { handleSoundDeviceUpdate } = require('./sound');
+const { handleZoneGroupUpdate } = require('./zone-groups');
+const { dispatchCommand } = require('./dispatcher');
+
+/**
+ * Handle an action message from the Flic app (or a button binding)
+ * @param {string} message - Action message, e.g. "livingroom volume up"
+ */
+function handleActionMessage(message) {
+    console.log('Received action message:', message);
+    
+    dispatchCommand(message).then(result => {
+        // Invalid, blocked and failed commands were logged where they happened
+        if (!result.ok && result.error) {
+            console.log(result.error);
+        }
+    }).catch(error => {
+        console.error(`❌ Error handling action message "${message}":`, error);
+    });
+}
+
+// Handle action messages from Flic app
+flicApp.on('actionMessage', handleActionMessage);
+
+// Handle virtual device updates from Flic Twist controllers
+flicApp.on('virtualDeviceUpdate', (metaData, values) => {
+    if (metaData.dimmableType === 'Speaker') {
+        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === metaData.virtualDeviceId);
+        if (!speaker && YAMAHA_CONFIG.groups[metaData.virtualDeviceId]) {
+            handleZoneGroupUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && isPlaybackDevice(speaker)) {
+            handlePlaybackDeviceUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && speaker.mode === 'input') {
+            handleInputDeviceUpdate(metaData.virtualDeviceId, values);
+        } else if (speaker && speaker.mode) {
+            handleSoundDeviceUpdate(metaData.virtualDeviceId, values);
+        } else {
+            handleYamahaSpeakerUpdate(metaData.virtualDeviceId, values);
+        }
+    }
+});
+
+/**
+ * Send the action messages bound to Flic buttons in YAMAHA_CONFIG.buttonBindings
+ */
+function startButtonBindings() {
+    if (Object.keys(YAMAHA_CONFIG.buttonBindings).length === 0) {
+        return;
+    }
+    
+    buttons.on('buttonSingleOrDoubleClickOrHold', (event) => {
+        const binding = YAMAHA_CONFIG.buttonBindings[event.bdaddr];
+        if (!binding) {
+            return;
+        }
+        
+        let message;
+        if (event.isSingleClick) {
+            message = binding.click;
+        } else if (event.isDoubleClick) {
+            message = binding.doubleClick;
+        } else if (event.isHold) {
+            message = binding.hold;
+        }
+        
+        if (message) {
+            handleActionMessage(message);
+        }
+    });
+}
+
+module.exports = { handleActionMessage, startButtonBindings };
+}, {"../config":"config.js","./device-registry":"hub/device-registry.js","./playback":"hub/playback.js","./handlers":"hub/handlers.js","./sound":"hub/sound.js","./zone-groups":"hub/zone-groups.js","./dispatcher":"hub/dispatcher.js"}],
+
+// ---- src/hub/scheduler.js ----
+"hub/scheduler.js": [function (module, exports, require) {
+// Scheduler: action messages that run at configured times
+
+const { YAMAHA_CONFIG } = require('../config');
+const { readDatastore, writeDatastore } = require('./storage');
+const { parseScheduleTime, getScheduleDays } = require('./schedule-times');
+const { handleActionMessage } = require('./flic-adapter');
+
+/**
+ * Find the most recent time a schedule was due, up to a week back
+ * @param {Object} schedule - Schedule configuration
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Last due time at or before now
+ */
+function getLastScheduledTime(schedule, now) {
+    const time = parseScheduleTime(schedule.time);
+    const days = getScheduleDays(schedule.days);
+    if (!time || !days) {
+        return null;
+    }
+    
+    for (let daysBack = 0; daysBack <= 7; daysBack++) {
+        const due = new Date(now.getTime());
+        due.setDate(due.getDate() - daysBack);
+        due.setHours(time.hours, time.minutes, 0, 0);
+        if (due.getTime() <= now.getTime() && days.includes(due.getDay())) {
+            return due;
+        }
+    }
+    return null;
+}
+
+/**
+ * Create the scheduler for YAMAHA_CONFIG.schedules
+ * Each due schedule runs its action message once; the time of its last run is stored in the hub
+ * datastore, so a restart neither repeats a run nor loses one that was due during the restart
+ * (within scheduler.catchUpMinutes)
+ * @param {Object} options - { now: () => Date, run: (actionMessage) => void } for tests; defaults to the real clock and handleActionMessage
+ * @returns {Object} - { load(), tick(), start(), stop(), getLastRuns() }
+ */
+function createScheduler(options = {}) {
+    const now = options.now || (() => new Date());
+    const run = options.run || handleActionMessage;
+    let lastRuns = {};
+    let timer = null;
+    
+    const save = async () => {
+        if (!YAMAHA_CONFIG.persistence.enabled) {
+            return;
+        }
+        try {
+            await writeDatastore(YAMAHA_CONFIG.persistence.scheduleKey, lastRuns);
+        } catch (error) {
+            console.error('❌ Could not save schedule runs:', error.message);
+        }
+    };
+    
+    return {
+        /**
+         * Load the last run times stored before a restart
+         */
+        async load() {
+            if (!YAMAHA_CONFIG.persistence.enabled) {
+                return;
+            }
+            try {
+                lastRuns = (await readDatastore(YAMAHA_CONFIG.persistence.scheduleKey)) || {};
+            } catch (error) {
+                console.error('❌ Could not load schedule runs:', error.message);
+            }
+        },
+        
+        /**
+         * Run every schedule that became due since its last run
+         * @returns {Promise<string[]>} - Names of the schedules that ran
+         */
+        async tick() {
+            const current = now();
+            const catchUpMs = YAMAHA_CONFIG.scheduler.catchUpMinutes * 60 * 1000;
+            const ran = [];
+            
+            YAMAHA_CONFIG.schedules.forEach(schedule => {
+                if (schedule.enabled === false) {
+                    return;
+                }
+                const due = getLastScheduledTime(schedule, current);
+                if (!due || (lastRuns[schedule.name] || 0) >= due.getTime() || current.getTime() - due.getTime() > catchUpMs) {
+                    return;
+                }
+                
+                lastRuns[schedule.name] = due.getTime();
+                ran.push(schedule.name);
+                const late = current.getTime() - due.getTime() > YAMAHA_CONFIG.scheduler.checkIntervalMs * 2;
+                console.log(`⏰ Schedule "${schedule.name}" (${schedule.time}${late ? ', catching up' : ''}): ${schedule.action}`);
+                run(schedule.action);
+            });
+            
+            if (ran.length > 0) {
+                // Forget schedules that were removed from the configuration
+                Object.keys(lastRuns).forEach(name => {
+                    if (!YAMAHA_CONFIG.schedules.some(schedule => schedule.name === name)) {
+                        delete lastRuns[name];
+                    }
+                });
+                await save();
+            }
+            return ran;
+        },
+        
+        /**
+         * Check the schedules every scheduler.checkIntervalMs
+         */
+        start() {
+            if (timer || YAMAHA_CONFIG.schedules.length === 0) {
+                return;
+            }
+            timer = setInterval(() => this.tick(), YAMAHA_CONFIG.scheduler.checkIntervalMs);
+            console.log(`⏰ ${YAMAHA_CONFIG.schedules.length} schedule(s) active`);
+            this.tick();
+        },
+        
+        /**
+         * Stop checking the schedules
+         */
+        stop() {
+            if (timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        },
+        
+        /**
+         * @returns {Object} - Last run time (ms) per schedule name
+         */
+        getLastRuns() {
+            return Object.assign({}, lastRuns);
+        }
+    };
+}
+
+const scheduler = createScheduler();
+
+module.exports = { createScheduler, scheduler };
+}, {"../config":"config.js","./storage":"hub/storage.js","./schedule-times":"hub/schedule-times.js","./flic-adapter":"hub/flic-adapter.js"}],
+
+// ---- src/hub/state-sync.js ----
+"hub/state-sync.js": [function (module, exports, require) {
+// Real-time state sync: YXC events pushed over UDP, with polling as a fallback
+
+const dgram = require('dgram');
+const { YAMAHA_CONFIG } = require('../config');
+const { isZoneId } = require('../yxc/zones');
+const { yxcRequest } = require('./yxc-client');
+const { deviceRegistry } = require('./runtime-state');
+const { isPlaybackDevice, getDeviceIps } = require('./device-registry');
+const { applyZoneStatus, getCurrentVolumeAndUpdate } = require('./device-state');
+const { netusbPresetNames } = require('./zone-commands');
+const { refreshPlaybackStatus, nowPlaying } = require('./now-playing');
+const { refreshLinkGroup } = require('./link-groups');
+
+let eventSocket = null;
+
+// Timestamp of the last event received per device IP
+const lastEventTimes = {};
+
+/**
+ * Handle an event packet pushed by a device
+ * Zone payloads carry changed fields (power, volume, mute, input) directly;
+ * flags like status_updated / play_info_updated mean we have to fetch the details
+ * @param {string} ip - Sender IP address
+ * @param {Buffer|string} message - Raw UDP payload (JSON)
+ */
+function handleYxcEvent(ip, message) {
+    let event;
+    try {
+        event = JSON.parse(message.toString());
+    } catch (error) {
+        console.error(`❌ Ignoring malformed event from ${ip}:`, error);
+        return;
+    }
+
+    lastEventTimes[ip] = Date.now();
+
+    Object.keys(event).forEach(key => {
+        const payload = event[key];
+        if (!payload || typeof payload !== 'object') {
+            return;
+        }
+
+        if (key === 'dist') {
+            if (payload.dist_info_updated) {
+                refreshLinkGroup(ip);
+            }
+        } else if (key === 'netusb') {
+            if (payload.play_info_updated) {
+                refreshPlaybackStatus(ip);
+            } else if (payload.play_time !== undefined && nowPlaying[ip]) {
+                // Sent every second while playing
+                nowPlaying[ip].playTime = payload.play_time;
+            }
+            if (payload.preset_info_updated) {
+                delete netusbPresetNames[ip];
+            }
+        } else if (isZoneId(key)) {
+            applyZoneStatus(ip, key, payload);
+
+            if (payload.status_updated) {
+                const speaker = YAMAHA_CONFIG.speakers.find(s => s.ip === ip && s.zone === key);
+                if (speaker) {
+                    getCurrentVolumeAndUpdate(speaker);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Renew the event subscription on every device
+ * Devices keep pushing events for 10 minutes after the last request with X-AppName/X-AppPort headers
+ */
+function renewEventSubscriptions() {
+    getDeviceIps().forEach(ip => {
+        yxcRequest(ip, '/YamahaExtendedControl/v1/system/getDeviceInfo').catch(error => {
+            console.error(`❌ Error renewing event subscription for ${ip}:`, error);
+        });
+    });
+}
+
+/**
+ * Poll getStatus on devices that have not pushed any events recently
+ */
+function pollSilentDevices() {
+    const now = Date.now();
+
+    getDeviceIps().forEach(ip => {
+        const lastEventTime = lastEventTimes[ip] || 0;
+        if (eventSocket && now - lastEventTime < YAMAHA_CONFIG.events.eventTimeoutMs) {
+            return;
+        }
+
+        const deviceSpeakers = YAMAHA_CONFIG.speakers.filter(s => s.ip === ip);
+        deviceSpeakers.forEach(speaker => {
+            if (!isPlaybackDevice(speaker)) {
+                getCurrentVolumeAndUpdate(speaker);
+            }
+        });
+        const device = deviceRegistry[ip];
+        if (deviceSpeakers.some(s => isPlaybackDevice(s)) || !device || !device.discovered || device.netusb !== null) {
+            refreshPlaybackStatus(ip);
+        }
+    });
+}
+
+/**
+ * Start listening for event notifications and the polling fallback
+ */
+function startStateSync() {
+    const eventsConfig = YAMAHA_CONFIG.events;
+
+    if (eventsConfig.enabled) {
+        try {
+            eventSocket = dgram.createSocket('udp4');
+            eventSocket.on('message', (message, rinfo) => handleYxcEvent(rinfo.address, message));
+            eventSocket.on('error', (error) => {
+                console.error('❌ Event listener error, falling back to polling:', error);
+                eventSocket = null;
+            });
+            eventSocket.bind(eventsConfig.port);
+            console.log(`📡 Listening for Yamaha events on UDP port ${eventsConfig.port}`);
+        } catch (error) {
+            console.error('❌ Could not start event listener, falling back to polling:', error);
+            eventSocket = null;
+        }
+
+        setInterval(renewEventSubscriptions, eventsConfig.renewIntervalMs);
+    }
+
+    setInterval(pollSilentDevices, eventsConfig.pollIntervalMs);
+}
+
+module.exports = { startStateSync };
+}, {"../config":"config.js","../yxc/zones":"yxc/zones.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./device-state":"hub/device-state.js","./zone-commands":"hub/zone-commands.js","./now-playing":"hub/now-playing.js","./link-groups":"hub/link-groups.js"}],
+
+// ---- src/hub/http-server.js ----
+"hub/http-server.js": [function (module, exports, require) {
+// Local HTTP server (status and control API)
+
+const { YAMAHA_CONFIG } = require('../config');
+const { YxcError } = require('../yxc/errors');
+const { isDeviceOnline } = require('./yxc-client');
+const { speakerStates } = require('./runtime-state');
+const { getVolumeLimit } = require('./volume-limits');
+const { getVolumeRange } = require('./volume-mapping');
+const { getZoneNowPlaying } = require('./now-playing');
+const { getAllZones, dispatchCommand } = require('./dispatcher');
+const { findConfiguredName } = require('./config-loader');
+
+// Routes of the local HTTP server; ":name" path segments are passed to the handler as params
+const HTTP_ROUTES = [
+    { method: 'GET', path: '/status', handler: handleStatusRequest },
+    { method: 'GET', path: '/status/:id', handler: handleZoneStatusRequest },
+    { method: 'GET', path: '/zones', handler: handleZonesRequest },
+    { method: 'GET', path: '/zones/:id', handler: handleZoneRequest },
+    { method: 'POST', path: '/zones/:id/volume', handler: handleZoneVolumeRequest },
+    { method: 'POST', path: '/zones/:id/power', handler: handleZonePowerRequest },
+    { method: 'POST', path: '/zones/:id/mute', handler: handleZoneMuteRequest },
+    { method: 'POST', path: '/macros/:name', handler: handleMacroRequest },
+    { method: 'POST', path: '/commands', handler: handleCommandRequest }
+];
+
+// Power values accepted by POST /zones/{id}/power, as action-message commands
+const HTTP_POWER_COMMANDS = {
+    on: 'on',
+    off: 'off',
+    standby: 'off',
+    toggle: 'power'
+};
+
+const HTTP_STATUS_TEXTS = {
+    200: 'OK',
+    202: 'Accepted',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    405: 'Method Not Allowed',
+    409: 'Conflict',
+    413: 'Payload Too Large',
+    415: 'Unsupported Media Type',
+    500: 'Internal Server Error',
+    502: 'Bad Gateway'
+};
+
+// Action-message verbs the HTTP API does not run: they change the stored configuration
+const HTTP_REFUSED_VERBS = ['config'];
+
+// Largest request the server reads (headers and body)
+const HTTP_MAX_REQUEST_BYTES = 16 * 1024;
+
+/**
+ * GET /status: now-playing view of every zone
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleStatusRequest() {
+    return {
+        status: 200,
+        body: {
+            zones: getAllZones().map(speaker =>
+                Object.assign(getZoneNowPlaying(speaker), { online: isDeviceOnline(speaker.ip) }))
+        }
+    };
+}
+
+/**
+ * GET /status/{id}: now-playing view of one zone
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZoneStatusRequest(request, params) {
+    const speaker = getAllZones().find(s => s.id.toLowerCase() === params.id.toLowerCase());
+    if (!speaker) {
+        return { status: 404, body: { error: `Unknown zone: ${params.id}` } };
+    }
+    return { status: 200, body: Object.assign(getZoneNowPlaying(speaker), { online: isDeviceOnline(speaker.ip) }) };
+}
+
+/**
+ * Get the control view of a zone: power, volume, mute and input
+ * @param {Object} speaker - Speaker configuration
+ * @returns {Object} - { id, name, zone, power, volume, mute, input, online, range, limit }
+ */
+function getZoneSummary(speaker) {
+    const state = speakerStates[speaker.id] || {};
+    const range = getVolumeRange(speaker);
+    const limit = getVolumeLimit(speaker);
+    return {
+        id: speaker.id,
+        name: speaker.name,
+        zone: speaker.zone,
+        power: state.power || null,
+        volume: state.volume !== undefined ? state.volume : null,
+        mute: state.mute !== undefined ? state.mute : null,
+        input: state.input || null,
+        online: isDeviceOnline(speaker.ip),
+        range: { min: range.min, max: range.max },
+        limit: limit ? limit.volume : null
+    };
+}
+
+/**
+ * Parse the JSON body of a request
+ * @param {Object} request - Parsed request
+ * @returns {Object|null} - Body ({} if empty), or null if it is not a JSON object
+ */
+function parseJsonBody(request) {
+    if (request.body.trim().length === 0) {
+        return {};
+    }
+    try {
+        const body = JSON.parse(request.body);
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run a command through the action-message dispatcher for an HTTP request
+ * A command a cooldown, volume limit or missing feature kept from running answers 409, one whose
+ * receiver request failed 502
+ * @param {string} message - Command in action-message form
+ * @param {Object} speaker - Zone whose state the response reports (optional)
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
+ */
+async function runHttpCommand(message, speaker) {
+    console.log('Received HTTP command:', message);
+    const result = await dispatchCommand(message);
+    if (result.blocked) {
+        return { status: 409, body: { error: result.blocked } };
+    }
+    if (result.failed) {
+        const error = result.failed;
+        return { status: error instanceof YxcError ? 502 : 500, body: { error: error.message } };
+    }
+    if (!result.ok) {
+        return { status: 400, body: { error: result.error || result.invalid } };
+    }
+    return { status: 200, body: speaker ? getZoneSummary(speaker) : { ok: true } };
+}
+
+/**
+ * Find the zone an HTTP request addresses
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object|null} - Speaker configuration
+ */
+function findHttpZone(params) {
+    return getAllZones().find(s => s.id.toLowerCase() === params.id.toLowerCase()) || null;
+}
+
+/**
+ * Answer for a zone id that is not configured
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function unknownZoneResponse(params) {
+    return { status: 404, body: { error: `Unknown zone: ${params.id}` } };
+}
+
+/**
+ * GET /zones: power, volume, mute and input of every zone
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZonesRequest() {
+    return { status: 200, body: { zones: getAllZones().map(getZoneSummary) } };
+}
+
+/**
+ * GET /zones/{id}: power, volume, mute and input of one zone
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleZoneRequest(request, params) {
+    const speaker = findHttpZone(params);
+    return speaker ? { status: 200, body: getZoneSummary(speaker) } : unknownZoneResponse(params);
+}
+
 /**
- * Handle mute toggle for specific device
+ * POST /zones/{id}/volume: { "volume": n } sets a native level, { "action": "up" | "down" } steps it
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
  */
-async function handleDeviceMuteToggle(deviceId) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+async function handleZoneVolumeRequest(request, params) {
+    const speaker = findHttpZone(params);
     if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+        return unknownZoneResponse(params);
     }
     
-    try {
-        // Get current mute status
-        const statusResponse = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (statusResponse.success) {
-            const statusData = JSON.parse(statusResponse.data.body);
-            const isCurrentlyMuted = statusData.mute;
-            
-            // Toggle mute status
-            const newMuteState = !isCurrentlyMuted;
-            const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].mute, {
-                enable: newMuteState.toString()
-            }, speaker.zone);
-            
-            if (response.success) {
-                console.log(`✅ ${speaker.name} ${newMuteState ? 'muted' : 'unmuted'}`);
-            } else {
-                console.error(`❌ Failed to toggle mute for ${speaker.name}`);
-            }
-        } else {
-            console.error(`❌ Failed to get mute status for ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error toggling mute for ${speaker.name}:`, error);
+    const body = parseJsonBody(request);
+    if (body && Number.isInteger(body.volume) && body.volume >= 0) {
+        return runHttpCommand(`${speaker.id} volume ${body.volume}`, speaker);
     }
+    if (body && (body.action === 'up' || body.action === 'down')) {
+        return runHttpCommand(`${speaker.id} volume ${body.action}`, speaker);
+    }
+    return { status: 400, body: { error: 'Expected { "volume": n } or { "action": "up" | "down" }' } };
 }
 
 /**
- * Handle power toggle for specific device
+ * POST /zones/{id}/power: { "power": "on" | "off" | "toggle" } (toggle without a body)
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
  */
-async function handleDevicePowerToggle(deviceId) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
+async function handleZonePowerRequest(request, params) {
+    const speaker = findHttpZone(params);
     if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+        return unknownZoneResponse(params);
     }
     
-    try {
-        // Get current power status
-        const statusResponse = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (statusResponse.success) {
-            const statusData = JSON.parse(statusResponse.data.body);
-            const isCurrentlyOn = statusData.power === 'on';
-            
-            // Toggle power status
-            const newPowerState = isCurrentlyOn ? 'standby' : 'on';
-            const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].power, {
-                power: newPowerState
-            }, speaker.zone);
-            
-            if (response.success) {
-                console.log(`✅ ${speaker.name} turned ${newPowerState === 'on' ? 'on' : 'off'}`);
-            } else {
-                console.error(`❌ Failed to toggle power for ${speaker.name}`);
-            }
-        } else {
-            console.error(`❌ Failed to get power status for ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error toggling power for ${speaker.name}:`, error);
+    const body = parseJsonBody(request);
+    const power = body && body.power !== undefined ? body.power : 'toggle';
+    if (!body || !Object.keys(HTTP_POWER_COMMANDS).includes(power)) {
+        return { status: 400, body: { error: 'Expected { "power": "on" | "off" | "toggle" }' } };
     }
+    return runHttpCommand(`${speaker.id} ${HTTP_POWER_COMMANDS[power]}`, speaker);
 }
 
 /**
- * Handle power on for specific device
+ * POST /zones/{id}/mute: toggle mute
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ id })
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
  */
-async function handleDevicePowerOn(deviceId) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-    if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+async function handleZoneMuteRequest(request, params) {
+    const speaker = findHttpZone(params);
+    return speaker ? runHttpCommand(`${speaker.id} mute`, speaker) : unknownZoneResponse(params);
+}
+
+/**
+ * POST /macros/{name}: start a macro (answers before it finishes, macros can run for minutes)
+ * @param {Object} request - Parsed request
+ * @param {Object} params - Path parameters ({ name })
+ * @returns {Object} - HTTP response ({ status, body })
+ */
+function handleMacroRequest(request, params) {
+    const name = findConfiguredName(params.name, Object.keys(YAMAHA_CONFIG.macros));
+    if (!name) {
+        return { status: 404, body: { error: `Unknown macro: ${params.name}` } };
     }
     
-    try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].power, {
-            power: 'on'
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`✅ ${speaker.name} turned on`);
-        } else {
-            console.error(`❌ Failed to turn on ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error turning on ${speaker.name}:`, error);
-    }
+    console.log('Received HTTP command:', `macro ${name}`);
+    dispatchCommand(`macro ${name}`).catch(error => console.error(`❌ Macro "${name}" failed:`, error));
+    return { status: 202, body: { macro: name, started: true } };
 }
 
 /**
- * Handle power off for specific device
+ * POST /commands: run any action message, { "command": "livingroom input hdmi1" }
+ * @param {Object} request - Parsed request
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
  */
-async function handleDevicePowerOff(deviceId) {
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-    if (!speaker) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
+async function handleCommandRequest(request) {
+    const body = parseJsonBody(request);
+    if (!body || typeof body.command !== 'string' || body.command.trim().length === 0) {
+        return { status: 400, body: { error: 'Expected { "command": "{device-id} {action}" }' } };
     }
     
-    try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].power, {
-            power: 'standby'
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`✅ ${speaker.name} turned off`);
-        } else {
-            console.error(`❌ Failed to turn off ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error turning off ${speaker.name}:`, error);
+    const verb = body.command.trim().split(/\s+/)[0].toLowerCase();
+    if (HTTP_REFUSED_VERBS.includes(verb)) {
+        return { status: 403, body: { error: `"${verb}" commands are not available over HTTP` } };
     }
+    return runHttpCommand(body.command);
 }
 
 /**
- * Get playback status from Yamaha device
- * @param {Object} speaker - Speaker configuration
- * @returns {Promise<string>} - Playback status ('play', 'pause', 'stop', or 'unknown')
+ * Compare two strings in time that does not depend on where they differ
+ * @param {string} given - Value from the request
+ * @param {string} expected - Configured value
+ * @returns {boolean} - True if both are the same
  */
-async function getPlaybackStatus(speaker) {
-    try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (response.success) {
-            const statusData = JSON.parse(response.data.body);
-            // Check if device is powered on first
-            if (statusData.power !== 'on') {
-                return 'off';
-            }
-            
-            // Try to get playback status from netusb info
-            const netusbResponse = await sendYamahaRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/getPlayInfo', null, speaker.zone);
-            if (netusbResponse.success) {
-                const netusbData = JSON.parse(netusbResponse.data.body);
-                return netusbData.playback || 'unknown';
-            }
-            
-            return 'unknown';
-        } else {
-            console.error(`❌ Failed to get playback status for ${speaker.name}`);
-            return 'unknown';
-        }
-    } catch (error) {
-        console.error(`❌ Error getting playback status for ${speaker.name}:`, error);
-        return 'unknown';
+function constantTimeEquals(given, expected) {
+    if (typeof given !== 'string' || given.length !== expected.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < expected.length; i++) {
+        difference |= given.charCodeAt(i) ^ expected.charCodeAt(i);
     }
+    return difference === 0;
 }
 
 /**
- * Pause playback on Yamaha device
- * @param {Object} speaker - Speaker configuration
- * Uses: /netusb/setPlayback?playback=pause
+ * Check the shared secret of a request (httpServer.token in an "Authorization: Bearer" header)
+ * @param {Object} request - Parsed request
+ * @returns {boolean} - True if the request carries the configured token
  */
-async function pausePlayback(speaker) {
-    try {
-        const response = await sendYamahaRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/setPlayback', {
-            playback: 'pause'
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`⏸️ ${speaker.name} playback paused`);
-        } else {
-            console.error(`❌ Failed to pause ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error pausing ${speaker.name}:`, error);
+function isHttpRequestAuthorized(request) {
+    const token = YAMAHA_CONFIG.httpServer.token;
+    if (!token) {
+        return false;
     }
+    return constantTimeEquals(request.headers.authorization, `Bearer ${token}`);
 }
 
 /**
- * Resume playback on Yamaha device
- * @param {Object} speaker - Speaker configuration
- * Uses: /netusb/setPlayback?playback=play
+ * Check that a request's body is JSON: a web page can only send other content types without
+ * the browser asking the server first, so this keeps pages from posting commands
+ * @param {Object} request - Parsed request
+ * @returns {boolean} - True for GET requests and application/json bodies
  */
-async function resumePlayback(speaker) {
-    try {
-        const response = await sendYamahaRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/setPlayback', {
-            playback: 'play'
-        }, speaker.zone);
-        
-        if (response.success) {
-            console.log(`▶️ ${speaker.name} playback resumed`);
-        } else {
-            console.error(`❌ Failed to resume ${speaker.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error resuming ${speaker.name}:`, error);
+function hasJsonContentType(request) {
+    if (request.method === 'GET') {
+        return true;
     }
+    const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return contentType === 'application/json';
 }
 
 /**
- * Skip to next track on Yamaha device
- * @param {Object} speaker - Speaker configuration
- * Uses: /netusb/setPlayback?playback=next
+ * Join the chunks of a body sent with "Transfer-Encoding: chunked"
+ * @param {Buffer} data - Body bytes received so far
+ * @returns {string|null} - Body, or null until the last chunk has arrived
  */
-async function skipToNextTrack(speaker) {
-    try {
-        const response = await sendYamahaRequest(speaker.ip, '/YamahaExtendedControl/v1/netusb/setPlayback', {
-            playback: 'next'
-        }, speaker.zone);
+function decodeChunkedBody(data) {
+    const chunks = [];
+    let position = 0;
+    
+    while (true) {
+        const lineEnd = data.indexOf('\r\n', position);
+        if (lineEnd === -1) {
+            return null;
+        }
+        const size = parseInt(data.slice(position, lineEnd).toString(), 16);
+        if (isNaN(size)) {
+            return null;
+        }
+        if (size === 0) {
+            // Decode once all chunks are joined: a chunk can end inside a multi-byte character
+            return Buffer.concat(chunks).toString();
+        }
         
-        if (response.success) {
-            console.log(`⏭️ ${speaker.name} skipped to next track`);
-        } else {
-            console.error(`❌ Failed to skip track on ${speaker.name}`);
+        const chunkStart = lineEnd + 2;
+        if (data.length < chunkStart + size + 2) {
+            return null;
         }
-    } catch (error) {
-        console.error(`❌ Error skipping track on ${speaker.name}:`, error);
+        chunks.push(data.slice(chunkStart, chunkStart + size));
+        position = chunkStart + size + 2;
     }
 }
 
 /**
- * Handle playback device updates for playback control
- * @param {string} deviceId - Virtual device ID
- * @param {Object} values - Values from Flic Twist
+ * Parse an HTTP request once it has fully arrived
+ * @param {Buffer} data - Bytes received so far
+ * @returns {Object|null} - { method, path, query, headers, body, malformed (the query string could not be
+ *                          decoded) }, or null if more data is needed
  */
-async function handlePlaybackDeviceUpdate(deviceId, values) {
-    // Find the speaker configuration for this device
-    const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-    if (!speaker || speaker.zone !== 'playback') {
-        return;
+function parseHttpRequest(data) {
+    const headerEnd = data.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+        return null;
     }
     
-    const volumeChange = values.volume - 0.5; // 0.5 is the center position
-    
-    // Check if this is a playback command (not just volume change)
-    const isPlaybackCommand = Math.abs(volumeChange) > 0.1; // Threshold to detect intentional movement
+    const lines = data.slice(0, headerEnd).toString().split('\r\n');
+    const requestLine = lines[0].split(' ');
+    const headers = {};
+    lines.slice(1).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
     
-    if (isPlaybackCommand) {
-        // Check playback command cooldown
-        const currentTime = Date.now();
-        const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-        
-        if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-            const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-            console.log(`⏳ Playback command ignored - cooldown active (${remainingCooldown}s remaining)`);
-            
-            // Reset playback device to center position
-            flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
-                volume: 0.5
-            });
-            return;
+    const bodyData = data.slice(headerEnd + 4);
+    let body;
+    if ((headers['transfer-encoding'] || '').toLowerCase() === 'chunked') {
+        body = decodeChunkedBody(bodyData);
+        if (body === null) {
+            return null;
         }
-        
-        // Apply playback control
-        const audioSpeaker = YAMAHA_CONFIG.speakers.find(s => s.zone !== 'playback');
-        if (audioSpeaker) {
+    } else if (bodyData.length < (parseInt(headers['content-length'], 10) || 0)) {
+        return null;
+    } else {
+        body = bodyData.toString();
+    }
+    
+    const target = requestLine[1] || '/';
+    const queryStart = target.indexOf('?');
+    const query = {};
+    let malformed = false;
+    if (queryStart !== -1) {
+        target.slice(queryStart + 1).split('&').filter(pair => pair).forEach(pair => {
+            const [key, value] = pair.split('=');
             try {
-                const playbackStatus = await getPlaybackStatus(audioSpeaker);
-                
-                if (volumeChange < 0) {
-                    // Decreasing value = pause playback
-                    if (playbackStatus === 'play') {
-                        await pausePlayback(audioSpeaker);
-                    }
-                } else if (volumeChange > 0) {
-                    // Increasing value = resume or skip
-                    if (playbackStatus === 'pause') {
-                        await resumePlayback(audioSpeaker);
-                    } else if (playbackStatus === 'play') {
-                        await skipToNextTrack(audioSpeaker);
-                    }
-                }
+                query[decodeURIComponent(key)] = decodeURIComponent((value || '').replace(/\+/g, ' '));
             } catch (error) {
-                console.error(`❌ Error handling playback control:`, error);
+                // A bad percent-escape (URIError) is answered with 400
+                malformed = true;
             }
-        }
-        
-        // Update last command timestamp only for playback commands
-        lastPlaybackCommandTime = currentTime;
+        });
     }
     
-    // Reset playback device to center position
-    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
-        volume: 0.5
-    });
+    return {
+        method: (requestLine[0] || '').toUpperCase(),
+        path: queryStart === -1 ? target : target.slice(0, queryStart),
+        query: query,
+        headers: headers,
+        body: body,
+        malformed: malformed
+    };
 }
 
-
-
-
-
-async function handleYamahaSpeakerUpdate(deviceId, values) {
-    if (values.volume !== undefined) {
-        // Check playback command cooldown before allowing volume changes
-        const currentTime = Date.now();
-        const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-        
-        if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-            const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-            console.log(`⏳ Volume change ignored - playback cooldown active (${remainingCooldown}s remaining)`);
-            return;
+/**
+ * Find the route for a request path
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {Object} - { route, params }, { methodNotAllowed: true } or null
+ * @throws {URIError} - If a path segment is not validly percent-encoded
+ */
+function matchHttpRoute(method, path) {
+    const segments = path.split('/').filter(segment => segment).map(decodeURIComponent);
+    let pathMatched = false;
+    
+    for (const route of HTTP_ROUTES) {
+        const routeSegments = route.path.split('/').filter(segment => segment);
+        if (routeSegments.length !== segments.length) {
+            continue;
         }
         
-        const volumePercentage = Math.round(values.volume * 100);
-        const speaker = YAMAHA_CONFIG.speakers.find(s => s.id === deviceId);
-        
-        try {
-            await setYamahaVolume(deviceId, volumePercentage);
-            currentVolume = volumePercentage;
-        } catch (error) {
-            console.error(`❌ Failed to update Yamaha speaker ${deviceId}:`, error);
+        const params = {};
+        const matches = routeSegments.every((routeSegment, index) => {
+            if (routeSegment.startsWith(':')) {
+                params[routeSegment.slice(1)] = segments[index];
+                return true;
+            }
+            return routeSegment === segments[index];
+        });
+        if (!matches) {
+            continue;
         }
+        if (route.method === method) {
+            return { route: route, params: params };
+        }
+        pathMatched = true;
     }
-}
-
-// ============================================================================
-// VIRTUAL DEVICE STATE MANAGEMENT
-// ============================================================================
-
-function updateVirtualDeviceStates(volume) {
-    // Update all virtual devices to reflect the current state
-    YAMAHA_CONFIG.speakers.forEach(speaker => {
-        flicApp.virtualDeviceUpdateState('Speaker', speaker.id, {
-            volume: volume
-        });
-    });
-}
-
-function updateZoneVirtualDeviceStates(zone, volume) {
-    // Update virtual devices for a specific zone
-    const zoneSpeakers = YAMAHA_CONFIG.speakers.filter(speaker => speaker.zone === zone);
-    zoneSpeakers.forEach(speaker => {
-        flicApp.virtualDeviceUpdateState('Speaker', speaker.id, {
-            volume: volume
-        });
-    });
+    return pathMatched ? { methodNotAllowed: true } : null;
 }
 
 /**
- * Get current volume from Yamaha device and update virtual device state
- * @param {Object} speaker - Speaker configuration
- * @returns {Promise<number>} - Current volume percentage
+ * Answer a parsed request
+ * @param {Object} request - Parsed request
+ * @returns {Promise<Object>} - HTTP response ({ status, body })
  */
-async function getCurrentVolumeAndUpdate(speaker) {
-    // Skip playback devices as they don't have volume
-    if (speaker.zone === 'playback') {
-        return null;
+async function handleHttpRequest(request) {
+    if (request.malformed) {
+        return { status: 400, body: { error: 'Malformed query string' } };
+    }
+    if (!isHttpRequestAuthorized(request)) {
+        return { status: 401, body: { error: 'Missing or wrong token' } };
+    }
+    if (!hasJsonContentType(request)) {
+        return { status: 415, body: { error: 'Expected Content-Type: application/json' } };
     }
     
+    let match = null;
     try {
-        const response = await sendYamahaRequest(speaker.ip, YAMAHA_CONFIG.endpoints[speaker.zone].status, null, speaker.zone);
-        
-        if (response.success) {
-            const statusData = JSON.parse(response.data.body);
-            const currentVolume = statusData.volume;
-            
-            // Update virtual device state
-            flicApp.virtualDeviceUpdateState('Speaker', speaker.id, {
-                volume: currentVolume / 100
-            });
-            
-            return currentVolume;
-        } else {
-            console.error(`❌ Failed to get current volume for ${speaker.name}`);
-            return null;
-        }
+        match = matchHttpRoute(request.method, request.path);
     } catch (error) {
-        console.error(`❌ Error getting current volume for ${speaker.name}:`, error);
-        return null;
+        return { status: 400, body: { error: `Malformed path: ${request.path}` } };
+    }
+    if (!match) {
+        return { status: 404, body: { error: `Not found: ${request.path}` } };
+    }
+    if (match.methodNotAllowed) {
+        return { status: 405, body: { error: `${request.method} is not allowed on ${request.path}` } };
+    }
+    
+    try {
+        return await match.route.handler(request, match.params);
+    } catch (error) {
+        console.error(`❌ HTTP ${request.method} ${request.path} failed:`, error);
+        return { status: 500, body: { error: error.message } };
     }
 }
 
 /**
- * Initialize virtual device states with current Yamaha volumes
+ * Write a JSON response and close the connection
+ * @param {Object} socket - Client socket
+ * @param {Object} response - { status, body }
  */
-async function initializeVirtualDeviceStates() {
-    for (const speaker of YAMAHA_CONFIG.speakers) {
-        if (speaker.zone === 'playback') {
-            // Create virtual playback device for playback control
-            flicApp.createVirtualDevice(speaker.id, 'Speaker', {
-                volume: 0.5
-            });
-        } else {
-            // Get current volume for regular speakers
-            await getCurrentVolumeAndUpdate(speaker);
-        }
+function writeHttpResponse(socket, response) {
+    const content = JSON.stringify(response.body);
+    socket.write(`HTTP/1.1 ${response.status} ${HTTP_STATUS_TEXTS[response.status] || ''}\r\n` +
+        'Content-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(content)}\r\n` +
+        'Connection: close\r\n\r\n' +
+        content);
+    socket.end();
+}
+
+/**
+ * Serve the HTTP routes on YAMAHA_CONFIG.httpServer.port, if the hub provides a TCP server
+ */
+function startHttpServer() {
+    const serverConfig = YAMAHA_CONFIG.httpServer;
+    if (!serverConfig.enabled) {
+        return;
+    }
+    if (!serverConfig.token) {
+        console.log('⚠️ httpServer.token is not set, the HTTP API is not started');
+        return;
+    }
+    
+    let net = null;
+    try {
+        net = require('net');
+    } catch (error) {
+        net = null;
+    }
+    if (!net || typeof net.createServer !== 'function') {
+        console.log('⚠️ This hub has no TCP server module, the HTTP API is not available');
+        return;
     }
+    
+    const server = net.createServer(socket => {
+        // Kept as bytes until the request is complete, so characters split across packets decode correctly
+        let received = Buffer.alloc(0);
+        let answered = false;
+        
+        socket.on('data', chunk => {
+            if (answered) {
+                return;
+            }
+            received = Buffer.concat([received, Buffer.from(chunk)]);
+            
+            const request = parseHttpRequest(received);
+            if (!request && received.length <= HTTP_MAX_REQUEST_BYTES) {
+                return;
+            }
+            answered = true;
+            if (!request) {
+                writeHttpResponse(socket, { status: 413, body: { error: 'Request too large' } });
+                return;
+            }
+            handleHttpRequest(request)
+                .then(response => writeHttpResponse(socket, response))
+                .catch(error => {
+                    console.error(`❌ HTTP ${request.method} ${request.path} failed:`, error);
+                    writeHttpResponse(socket, { status: 500, body: { error: 'Internal error' } });
+                });
+        });
+        socket.on('error', error => {
+            console.error('❌ HTTP connection error:', error);
+        });
+    });
+    server.on('error', error => {
+        console.error('❌ HTTP server error:', error);
+    });
+    server.listen(serverConfig.port);
+    console.log(`🌐 HTTP API listening on port ${serverConfig.port}`);
 }
 
-// ============================================================================
-// INITIALIZATION AND CONFIGURATION
-// ============================================================================
+module.exports = { startHttpServer };
+}, {"../config":"config.js","../yxc/errors":"yxc/errors.js","./yxc-client":"hub/yxc-client.js","./runtime-state":"hub/runtime-state.js","./volume-limits":"hub/volume-limits.js","./volume-mapping":"hub/volume-mapping.js","./now-playing":"hub/now-playing.js","./dispatcher":"hub/dispatcher.js","./config-loader":"hub/config-loader.js"}],
 
-// Load configuration from datastore
-function loadYamahaConfig() {
-    // You can store speaker IP addresses in the datastore
-    // and load them here for easier configuration
-    console.log('Loading Yamaha configuration...');
-    console.log('Configured speakers:', YAMAHA_CONFIG.speakers.map(s => s.name));
-}
+// ---- src/hub/integration.js ----
+"hub/integration.js": [function (module, exports, require) {
+// Startup: loads the configuration and starts every part of the integration in order
+
+const { deviceRegistry } = require('./runtime-state');
+const { getDeviceIps, discoverAllDevices } = require('./device-registry');
+const { initializeVirtualDeviceStates, restoreRuntimeState } = require('./device-state');
+const { startNetworkDiscovery } = require('./discovery');
+const { startQuietHours } = require('./quiet-hours');
+const { refreshPlaybackStatus } = require('./now-playing');
+const { refreshAllLinkGroups } = require('./link-groups');
+const { initializeZoneGroupDevices } = require('./zone-groups');
+const { loadYamahaConfig } = require('./config-loader');
+const { logCommandHelp } = require('./dispatcher');
+const { startButtonBindings } = require('./flic-adapter');
+const { scheduler } = require('./scheduler');
+const { startStateSync } = require('./state-sync');
+const { startHttpServer } = require('./http-server');
 
 // Initialize the integration
 async function initializeYamahaIntegration() {
-    loadYamahaConfig();
+    await loadYamahaConfig();
+    
+    // Start virtual devices from the last known volumes while the receivers are queried
+    await restoreRuntimeState();
     
     console.log('Yamaha Speaker Integration Ready!');
     console.log('Available features:');
     console.log('- Volume control via Flic buttons');
     console.log('- Volume control via Flic Twist controllers');
     console.log('- Playback control via Flic Twist (playback device)');
+    console.log('- Source selection via Flic Twist (input devices)');
     console.log('- Multi-speaker synchronization');
     console.log('');
-    console.log('Action messages:');
-    console.log('- "{device-id} volume up" - Increase volume by 10% (e.g., "livingroom volume up")');
-    console.log('- "{device-id} volume down" - Decrease volume by 10% (e.g., "livingroom volume down")');
-    console.log('- "{device-id} mute" - Toggle mute (e.g., "livingroom mute")');
-    console.log('- "{device-id} power" - Toggle power on/off (e.g., "livingroom power")');
-    console.log('- "{device-id} on" - Turn device on (e.g., "livingroom on")');
-    console.log('- "{device-id} off" - Turn device off (e.g., "livingroom off")');
-    
-    // Discover volume ranges from device
-    const testSpeaker = YAMAHA_CONFIG.speakers[0];
-    const discoveredRanges = await discoverVolumeRanges(testSpeaker.ip);
-    YAMAHA_CONFIG.volumeRanges = discoveredRanges;
+    logCommandHelp();
+    
+    // Discover features (volume ranges, inputs, functions) of every device
+    await discoverAllDevices();
+
+    // Find devices on the network, follow IP changes and add unconfigured zones
+    await startNetworkDiscovery();
+    
+    // Load the MusicCast Link groups that already exist
+    await refreshAllLinkGroups();
+    
+    // Run action messages from bound Flic buttons
+    startButtonBindings();
+    
+    // Run the configured schedules, catching up on runs missed during a restart
+    await scheduler.load();
+    scheduler.start();
+    
+    // Lower zones that are too loud when their quiet hours start
+    startQuietHours();
+    
+    // Keep virtual devices in sync with changes made outside of Flic
+    startStateSync();
     
     // Initialize virtual device states with current volumes
     await initializeVirtualDeviceStates();
+    
+    // Create group devices once their members' volumes are known
+    await initializeZoneGroupDevices();
+    
+    // Load what the net/USB players are playing
+    for (const ip of getDeviceIps()) {
+        const device = deviceRegistry[ip];
+        if (!device || !device.discovered || device.netusb !== null) {
+            await refreshPlaybackStatus(ip);
+        }
+    }
+    
+    // Serve the status and control API
+    startHttpServer();
 }
 
+module.exports = { initializeYamahaIntegration };
+}, {"./runtime-state":"hub/runtime-state.js","./device-registry":"hub/device-registry.js","./device-state":"hub/device-state.js","./discovery":"hub/discovery.js","./quiet-hours":"hub/quiet-hours.js","./now-playing":"hub/now-playing.js","./link-groups":"hub/link-groups.js","./zone-groups":"hub/zone-groups.js","./config-loader":"hub/config-loader.js","./dispatcher":"hub/dispatcher.js","./flic-adapter":"hub/flic-adapter.js","./scheduler":"hub/scheduler.js","./state-sync":"hub/state-sync.js","./http-server":"hub/http-server.js"}],
+
+// ---- src/main.js ----
+"main.js": [function (module, exports, require) {
+// Yamaha Speaker Integration with Flic App Module
+// This script integrates Yamaha speakers using the YXC (Yamaha Extended Control) API
+// with Flic buttons and Twist controllers for volume control
+//
+// Entry point of the hub script: `npm run build` bundles it with everything it requires into
+// yamaha-flic-integration.js, the single file Hub Studio runs
+
+const { initializeYamahaIntegration } = require('./hub/integration');
 
+console.log('Yamaha Speaker Integration Started');
 
 // Start the integration
-initializeYamahaIntegration(); 
\ No newline at end of file
+initializeYamahaIntegration().catch(error => {
+    console.error('❌ Yamaha Speaker Integration could not start:', error.message);
+});
+}, {"./hub/integration":"hub/integration.js"}]
+};
+
+const loadedModules = {};
+
+function requireBundled(id) {
+    if (loadedModules[id]) {
+        return loadedModules[id].exports;
+    }
+    const module = loadedModules[id] = { exports: {} };
+    const [factory, dependencies] = bundledModules[id];
+    factory(module, module.exports, request => dependencies[request] ? requireBundled(dependencies[request]) : require(request));
+    return module.exports;
+}
+
+requireBundled("main.js");